@@ -14,6 +14,10 @@ import adminRoutes from './src/routes/adminRoutes.js';
 import employeeRoutes from './src/routes/employeeRoutes.js';
 import clientRoutes from './src/routes/clientRoutes.js';
 import orderRoutes from './src/routes/orderRoutes.js';
+import inventoryRoutes from './src/routes/inventoryRoutes.js';
+import ticketRoutes from './src/routes/ticketRoutes.js';
+import inboundMailRoutes from './src/routes/inboundMailRoutes.js';
+import surveyRoutes from './src/routes/surveyRoutes.js';
 import { authenticateHybrid } from './src/middlewares/authMiddleware.js';
 import { sanitizeRequest } from './src/middlewares/validator.js'; // NUEVO
 
@@ -120,12 +124,20 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authLimiter, employeeAuthRoutes);      // Empleados/Admins (JWT)
 app.use('/api/client-auth', /*authLimiter,*/ clientAuthRoutes); // Clientes (Session)
 
+// --- Webhooks (secreto compartido en cabecera) ---
+app.use('/api/inbound-mail', generalLimiter, inboundMailRoutes);
+
+// --- Encuestas de satisfacción (token en el enlace del correo) ---
+app.use('/api/surveys', generalLimiter, surveyRoutes);
+
 // --- Rutas Protegidas ---
 // Rate limiting general para todas las rutas protegidas
 app.use('/api/admin', generalLimiter, authenticateHybrid, adminRoutes);
 app.use('/api/employee', generalLimiter, authenticateHybrid, employeeRoutes);
 app.use('/api/client', generalLimiter, authenticateHybrid, clientRoutes);
 app.use('/api/orders', generalLimiter, authenticateHybrid, orderRoutes);
+app.use('/api/inventory', generalLimiter, authenticateHybrid, inventoryRoutes);
+app.use('/api/tickets', generalLimiter, authenticateHybrid, ticketRoutes);
 
 // --- Ruta 404 (Not Found) ---
 app.use((req, res) => {
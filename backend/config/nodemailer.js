@@ -4,15 +4,18 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 function getTransporter() {
-  if (process.env.SMTP_HOST && process.env.SMTP_USER) {
+  if (process.env.SMTP_HOST) {
+    // Sin SMTP_USER se conecta sin autenticación (p. ej. un buzón local como Mailpit o smtp4dev)
     return nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: Number(process.env.SMTP_PORT) || 587,
-      secure: false, // Use 'true' if your SMTP requires SSL/TLS on port 465, 'false' for STARTTLS on 587
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
+      secure: process.env.SMTP_SECURE === 'true', // 'true' para SSL/TLS en 465, 'false' para STARTTLS en 587
+      auth: process.env.SMTP_USER
+        ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS || process.env.SMTP_PASSWORD
+        }
+        : undefined
     });
   } else if (process.env.ZIMBRA_HOST && process.env.ZIMBRA_USER) {
     return nodemailer.createTransport({
@@ -169,18 +172,47 @@ const sendForgotPasswordRequest = async (adminMail, employeeId, employeeEmail) =
 
 /**
  * Envía el correo de la proforma al cliente para su aprobación.
+ * Si la orden tiene ítems, `totals` (taxService.calculateOrderTotals) se
+ * muestra detallado; si no, se usa la descripción libre y el precio total.
  */
-const sendProformaEmail = async (clientMail, clientName, identityTag, parts, totalPrice) => {
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
-    to: clientMail,
-    subject: `Ecuatechnology - Proforma de Servicio para Orden ${identityTag}`,
-    html: `
-      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
-      <div class="container">
-        <h2>Estimado/a ${clientName},</h2>
-        <p>Hemos preparado la proforma para su orden de servicio con la etiqueta <b>${identityTag}</b>.</p>
-        <p>A continuación, encontrará los detalles de los repuestos y el costo total estimado:</p>
+const sendProformaEmail = async (clientMail, clientName, identityTag, parts, totalPrice, totals = null) => {
+  const money = (value) => `$${Number(value).toFixed(2)}`;
+  const detailsTable = totals ? `
+        <table class="details-table">
+          <thead>
+            <tr>
+              <th>Descripción</th>
+              <th>Cant.</th>
+              <th>P. Unitario</th>
+              <th>Desc.</th>
+              <th>Subtotal</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${totals.items.map((item) => `
+            <tr>
+              <td>${item.description}</td>
+              <td>${item.quantity}</td>
+              <td>${money(item.unitPrice)}</td>
+              <td>${money(item.discount)}</td>
+              <td>${money(item.subtotal)}</td>
+            </tr>`).join('')}
+            ${totals.taxes.map((tax) => `
+            <tr>
+              <td colspan="4">Subtotal ${tax.name}</td>
+              <td>${money(tax.base)}</td>
+            </tr>`).join('')}
+            ${totals.taxes.filter((tax) => tax.percentage > 0).map((tax) => `
+            <tr>
+              <td colspan="4">IVA ${tax.percentage}%</td>
+              <td>${money(tax.amount)}</td>
+            </tr>`).join('')}
+            <tr>
+              <th colspan="4">TOTAL</th>
+              <th>${money(totals.total)}</th>
+            </tr>
+          </tbody>
+        </table>` : `
         <table class="details-table">
           <thead>
             <tr>
@@ -194,7 +226,19 @@ const sendProformaEmail = async (clientMail, clientName, identityTag, parts, tot
               <td>$${totalPrice ? totalPrice.toFixed(2) : 'N/A'}</td>
             </tr>
           </tbody>
-        </table>
+        </table>`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Proforma de Servicio para Orden ${identityTag}`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Hemos preparado la proforma para su orden de servicio con la etiqueta <b>${identityTag}</b>.</p>
+        <p>A continuación, encontrará los detalles de los repuestos y el costo total estimado:</p>
+        ${detailsTable}
         <p>Para aprobar o rechazar esta proforma, por favor inicie sesión en nuestro portal de clientes o siga las instrucciones provistas por nuestro personal de ventas. Su aprobación es necesaria para que nuestros técnicos puedan proceder con el servicio.</p>
         <p>Si tiene alguna pregunta, no dude en contactarnos.</p>
         <hr>
@@ -309,6 +353,253 @@ const sendPasswordResetEmail = async (userMail, userName, resetToken) => {
   }
 };
 
+/**
+ * Envía la factura electrónica al cliente con el RIDE (PDF) y el XML adjuntos.
+ * A diferencia de las demás plantillas, los errores se propagan para que el
+ * resultado del envío quede registrado en la factura.
+ * @returns {Promise<object>} Información devuelta por el transporter (messageId, accepted, rejected)
+ */
+const sendInvoiceMail = async (clientMail, clientName, invoice, attachments) => {
+  const money = (value) => `$${Number(value).toFixed(2)}`;
+  const issueDate = invoice.issueDate
+    ? new Date(invoice.issueDate).toLocaleDateString('es-EC')
+    : new Date().toLocaleDateString('es-EC');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Factura electrónica ${invoice.number}`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Adjuntamos la factura electrónica correspondiente a su orden de servicio${invoice.identityTag ? ` <b>${invoice.identityTag}</b>` : ''}.</p>
+        <table class="details-table">
+          <tbody>
+            <tr>
+              <th>Factura</th>
+              <td>${invoice.number}</td>
+            </tr>
+            <tr>
+              <th>Fecha de emisión</th>
+              <td>${issueDate}</td>
+            </tr>
+            ${invoice.totalAmount !== undefined ? `
+            <tr>
+              <th>Total</th>
+              <td>${money(invoice.totalAmount)}</td>
+            </tr>` : ''}
+            ${invoice.accessKey ? `
+            <tr>
+              <th>Clave de acceso</th>
+              <td style="word-break: break-all; font-size: 12px;">${invoice.accessKey}</td>
+            </tr>` : ''}
+          </tbody>
+        </table>
+        <p>Encontrará adjunto el comprobante en formato PDF (RIDE) y el archivo XML. Conserve el XML: es el documento con validez tributaria ante el SRI.</p>
+        <p>Gracias por su confianza en Ecuatechnology.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`,
+    attachments
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`Correo de factura ${invoice.number} enviado a:`, clientMail);
+  return info;
+};
+
+/**
+ * Envía al cliente el recibo de ingreso firmado de su equipo (PDF adjunto).
+ * Los errores se propagan para registrar si el recibo llegó.
+ * @param {object} receipt - { identityTag, receivedAt, equipment }
+ */
+const sendIntakeReceiptMail = async (clientMail, clientName, receipt, attachments) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Recibo de ingreso de su equipo (orden ${receipt.identityTag})`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Recibimos su equipo para servicio técnico. Adjuntamos el recibo de ingreso firmado con el estado físico y los accesorios entregados.</p>
+        <table class="details-table">
+          <tbody>
+            <tr>
+              <th>Orden</th>
+              <td>${receipt.identityTag}</td>
+            </tr>
+            ${receipt.equipment ? `
+            <tr>
+              <th>Equipo</th>
+              <td>${receipt.equipment}</td>
+            </tr>` : ''}
+            <tr>
+              <th>Fecha de ingreso</th>
+              <td>${new Date(receipt.receivedAt).toLocaleString('es-EC', { timeZone: 'America/Guayaquil' })}</td>
+            </tr>
+          </tbody>
+        </table>
+        <p>Revise el recibo y, si algo no coincide con lo que entregó, responda a este correo lo antes posible. Conserve el documento: lo necesitará para retirar su equipo.</p>
+        <p>Gracias por su confianza en Ecuatechnology.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`,
+    attachments
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`Recibo de ingreso de la orden ${receipt.identityTag} enviado a:`, clientMail);
+  return info;
+};
+
+/**
+ * Código de un solo uso para retirar el equipo. Los errores se propagan:
+ * sin el correo no hay código que presentar en recepción.
+ * @param {object} pickup - { identityTag, code, expiresAt, equipment }
+ */
+const sendPickupCodeMail = async (clientMail, clientName, pickup) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Código de retiro de su equipo (orden ${pickup.identityTag})`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Para retirar su equipo${pickup.equipment ? ` <b>${pickup.equipment}</b>` : ''} de la orden <b>${pickup.identityTag}</b>, presente en recepción el siguiente código:</p>
+        <div class="button-container">
+          <span class="button" style="font-size: 2em; letter-spacing: 8px;">${pickup.code}</span>
+        </div>
+        <p>El código se usa una sola vez y vence el ${new Date(pickup.expiresAt).toLocaleString('es-EC', { timeZone: 'America/Guayaquil' })}. Si otra persona retirará el equipo, compártalo solo con ella.</p>
+        <p>Si usted no solicitó el retiro, comuníquese con nosotros y no comparta este código.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`
+  };
+
+  await transporter.sendMail(mailOptions);
+  console.log(`Código de retiro de la orden ${pickup.identityTag} enviado a:`, clientMail);
+};
+
+/**
+ * Notifica la entrega del equipo con el acta de entrega firmada (PDF adjunto).
+ * Los errores se propagan para registrar si el acta llegó.
+ * @param {object} delivery - { identityTag, deliveredAt, receivedBy, equipment }
+ */
+const sendDeliveryMail = async (clientMail, clientName, delivery, attachments) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Entrega de su equipo (orden ${delivery.identityTag})`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Su equipo fue entregado. Adjuntamos el acta de entrega firmada por quien lo retiró.</p>
+        <table class="details-table">
+          <tbody>
+            <tr>
+              <th>Orden</th>
+              <td>${delivery.identityTag}</td>
+            </tr>
+            ${delivery.equipment ? `
+            <tr>
+              <th>Equipo</th>
+              <td>${delivery.equipment}</td>
+            </tr>` : ''}
+            <tr>
+              <th>Retirado por</th>
+              <td>${delivery.receivedBy}</td>
+            </tr>
+            <tr>
+              <th>Fecha de entrega</th>
+              <td>${new Date(delivery.deliveredAt).toLocaleString('es-EC', { timeZone: 'America/Guayaquil' })}</td>
+            </tr>
+          </tbody>
+        </table>
+        <p>Si usted no autorizó este retiro, comuníquese con nosotros de inmediato respondiendo a este correo.</p>
+        <p>Gracias por su confianza en Ecuatechnology.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`,
+    attachments
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`Acta de entrega de la orden ${delivery.identityTag} enviada a:`, clientMail);
+  return info;
+};
+
+/**
+ * Avisa al cliente que el estado de su ticket de soporte cambió.
+ */
+const sendTicketUpdateEmail = async (clientMail, clientName, ticketNumber, status) => {
+  const statusLabels = {
+    open: 'Abierto',
+    assigned: 'Asignado',
+    in_progress: 'En progreso',
+    resolved: 'Resuelto',
+    closed: 'Cerrado'
+  };
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - Actualización del ticket ${ticketNumber}`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Su ticket de soporte <b>${ticketNumber}</b> cambió al estado <b>${statusLabels[status] || status}</b>.</p>
+        <p>Puede revisar el detalle y las respuestas de nuestro equipo desde el portal de clientes.</p>
+        <p>Gracias por su confianza en Ecuatechnology.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`
+  };
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Correo de actualización del ticket ${ticketNumber} enviado a:`, clientMail);
+  } catch (error) {
+    console.error(`Error al enviar correo de actualización del ticket ${ticketNumber}:`, error);
+  }
+};
+
+/**
+ * Encuesta de satisfacción con enlaces de un clic (CSAT 1-5 y NPS 0-10).
+ * @param {object} survey - { reference, csatLinks: [{ score, url }], npsLinks: [{ score, url }], expiresAt }
+ */
+const sendSurveyEmail = async (clientMail, clientName, survey) => {
+  const linkCell = ({ score, url }) =>
+    `<td style="padding: 4px;"><a href="${url}" style="display: inline-block; min-width: 28px; padding: 8px; border: 1px solid ${COLORS.primary}; border-radius: 4px; color: ${COLORS.primary}; text-decoration: none; font-weight: bold;">${score}</a></td>`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'Soporte Ecuatechnology <no-reply@ecuatechnology.com>',
+    to: clientMail,
+    subject: `Ecuatechnology - ¿Cómo fue su experiencia con ${survey.reference}?`,
+    html: `
+      <!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">${baseStyle}</head><body>
+      <div class="container">
+        <h2>Estimado/a ${clientName},</h2>
+        <p>Queremos conocer su opinión sobre la atención recibida en <b>${survey.reference}</b>. Solo toma un clic.</p>
+        <p><b>¿Qué tan satisfecho quedó con el servicio?</b> (1 = nada satisfecho, 5 = muy satisfecho)</p>
+        <table style="margin: 0 auto;"><tr>${survey.csatLinks.map(linkCell).join('')}</tr></table>
+        <p><b>¿Qué tan probable es que nos recomiende?</b> (0 = nada probable, 10 = muy probable)</p>
+        <table style="margin: 0 auto;"><tr>${survey.npsLinks.map(linkCell).join('')}</tr></table>
+        <p>Después de calificar podrá dejarnos un comentario. La encuesta está disponible hasta el ${new Date(survey.expiresAt).toLocaleDateString('es-EC')}.</p>
+        <p>Gracias por su confianza en Ecuatechnology.</p>
+        <hr>
+        <footer>© ${new Date().getFullYear()} Ecuatechnology. Todos los derechos reservados.</footer>
+      </div></body></html>`
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`Encuesta de satisfacción de ${survey.reference} enviada a:`, clientMail);
+  return info;
+};
+
 // Agregar al export
 export {
   sendMailToReceptionist,
@@ -318,5 +609,11 @@ export {
   sendProformaEmail,
   sendProformaConfirmationEmail,
   sendVerificationEmail,      // Nueva función
-  sendPasswordResetEmail      // Nueva función
+  sendPasswordResetEmail,     // Nueva función
+  sendInvoiceMail,
+  sendIntakeReceiptMail,
+  sendPickupCodeMail,
+  sendDeliveryMail,
+  sendTicketUpdateEmail,
+  sendSurveyEmail
 };
\ No newline at end of file
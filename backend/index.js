@@ -1,10 +1,21 @@
-
 import dotenv from 'dotenv';
 dotenv.config();
+import http from 'http';
 import app from './app.js';
+import { startSriRetryJob } from './src/services/sriService.js';
+import { initRealtime } from './src/services/realtimeService.js';
+import { startSlaCheckJob } from './src/services/slaService.js';
+import { startInboundMailJob } from './src/services/inboundMailService.js';
 
 const PORT = process.env.PORT || 4000;
 
-app.listen(PORT, () => {
+// Servidor HTTP compartido por Express y Socket.IO
+const server = http.createServer(app);
+initRealtime(server);
+
+server.listen(PORT, () => {
 	console.log(`Servidor escuchando en el puerto ${PORT}`);
+	startSriRetryJob();
+	startSlaCheckJob();
+	startInboundMailJob();
 });
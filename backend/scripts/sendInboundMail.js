@@ -0,0 +1,64 @@
+// scripts/sendInboundMail.js - Envía un correo de prueba al buzón de correo entrante
+//
+// Uso (con GreenMail u otro servidor SMTP/IMAP local):
+//   npm run inbound:send -- --from cliente@correo.com --subject "Ticket #<número>" --text "Hola" --attach ./foto.png
+//
+// Variables:
+//   INBOUND_TEST_SMTP_HOST (localhost), INBOUND_TEST_SMTP_PORT (3025)
+//   INBOUND_TEST_TO (INBOUND_IMAP_USER o soporte@localhost)
+//
+// Con --webhook <url> envía el MIME crudo al webhook en lugar de usar SMTP.
+import dotenv from 'dotenv';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { attach: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (key === 'attach') args.attach.push(value);
+    else args[key] = value;
+    i++;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.from) {
+  console.error('Falta --from <correo del cliente>');
+  process.exit(1);
+}
+
+const mail = {
+  from: args.from,
+  to: process.env.INBOUND_TEST_TO || process.env.INBOUND_IMAP_USER || 'soporte@localhost',
+  subject: args.subject || 'Consulta de prueba',
+  text: args.text || 'Mensaje de prueba enviado con scripts/sendInboundMail.js',
+  attachments: args.attach.map((file) => ({ filename: path.basename(file), path: file }))
+};
+
+if (args.webhook) {
+  const raw = await new MailComposer(mail).compile().build();
+  const response = await fetch(args.webhook, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'message/rfc822',
+      'X-Inbound-Secret': process.env.INBOUND_WEBHOOK_SECRET || ''
+    },
+    body: raw
+  });
+  console.log(`Webhook ${response.status}:`, await response.text());
+} else {
+  const transporter = nodemailer.createTransport({
+    host: process.env.INBOUND_TEST_SMTP_HOST || 'localhost',
+    port: Number(process.env.INBOUND_TEST_SMTP_PORT || 3025),
+    secure: false
+  });
+  const info = await transporter.sendMail(mail);
+  console.log(`Correo enviado a ${mail.to} (${info.messageId})`);
+}
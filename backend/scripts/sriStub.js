@@ -0,0 +1,133 @@
+// scripts/sriStub.js - Simulador local de los servicios SOAP del SRI
+//
+// Uso:
+//   npm run sri:stub
+//   SRI_RECEPCION_URL=http://localhost:8089/RecepcionComprobantesOffline
+//   SRI_AUTORIZACION_URL=http://localhost:8089/AutorizacionComprobantesOffline
+//
+// SRI_STUB_MODE controla la respuesta:
+//   autorizar (por defecto) | rechazar | devolver | en_proceso
+import http from 'http';
+import crypto from 'crypto';
+import { XMLParser } from 'fast-xml-parser';
+
+const PORT = Number(process.env.SRI_STUB_PORT) || 8089;
+const MODE = process.env.SRI_STUB_MODE || 'autorizar';
+
+const parser = new XMLParser({ removeNSPrefix: true, parseTagValue: false });
+
+// Comprobantes recibidos en memoria: claveAcceso -> xml
+const received = new Map();
+
+const envelope = (body) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">',
+  `<soap:Body>${body}</soap:Body>`,
+  '</soap:Envelope>'
+].join('');
+
+const message = (identificador, texto, tipo = 'ERROR') => [
+  '<mensaje>',
+  `<identificador>${identificador}</identificador>`,
+  `<mensaje>${texto}</mensaje>`,
+  `<tipo>${tipo}</tipo>`,
+  '</mensaje>'
+].join('');
+
+function handleReception(body) {
+  const content = body.validarComprobante?.xml || '';
+  const xml = Buffer.from(content, 'base64').toString('utf8');
+  const accessKey = xml.match(/<claveAcceso>(\d{49})<\/claveAcceso>/)?.[1];
+
+  if (!accessKey) {
+    return envelope(
+      '<ns2:validarComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.recepcion"><RespuestaRecepcionComprobante>' +
+      '<estado>DEVUELTA</estado><comprobantes><comprobante><claveAcceso></claveAcceso><mensajes>' +
+      message('35', 'ARCHIVO NO CUMPLE ESTRUCTURA XML') +
+      '</mensajes></comprobante></comprobantes></RespuestaRecepcionComprobante></ns2:validarComprobanteResponse>'
+    );
+  }
+
+  if (MODE === 'devolver' || received.has(accessKey)) {
+    const detail = received.has(accessKey)
+      ? message('43', 'CLAVE ACCESO REGISTRADA')
+      : message('45', 'SECUENCIAL REGISTRADO');
+    return envelope(
+      '<ns2:validarComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.recepcion"><RespuestaRecepcionComprobante>' +
+      `<estado>DEVUELTA</estado><comprobantes><comprobante><claveAcceso>${accessKey}</claveAcceso><mensajes>` +
+      detail +
+      '</mensajes></comprobante></comprobantes></RespuestaRecepcionComprobante></ns2:validarComprobanteResponse>'
+    );
+  }
+
+  received.set(accessKey, xml);
+  return envelope(
+    '<ns2:validarComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.recepcion"><RespuestaRecepcionComprobante>' +
+    '<estado>RECIBIDA</estado><comprobantes/>' +
+    '</RespuestaRecepcionComprobante></ns2:validarComprobanteResponse>'
+  );
+}
+
+function handleAuthorization(body) {
+  const accessKey = body.autorizacionComprobante?.claveAccesoComprobante || '';
+  const xml = received.get(accessKey);
+
+  let autorizaciones = '';
+  if (xml && MODE !== 'en_proceso') {
+    const authorized = MODE !== 'rechazar';
+    autorizaciones = [
+      '<autorizacion>',
+      `<estado>${authorized ? 'AUTORIZADO' : 'NO AUTORIZADO'}</estado>`,
+      authorized ? `<numeroAutorizacion>${accessKey}</numeroAutorizacion>` : '',
+      `<fechaAutorizacion>${new Date().toISOString()}</fechaAutorizacion>`,
+      '<ambiente>PRUEBAS</ambiente>',
+      `<comprobante><![CDATA[${xml}]]></comprobante>`,
+      '<mensajes>',
+      authorized ? '' : message('39', 'FIRMA INVALIDA'),
+      '</mensajes>',
+      '</autorizacion>'
+    ].join('');
+  }
+
+  return envelope(
+    '<ns2:autorizacionComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.autorizacion"><RespuestaAutorizacionComprobante>' +
+    `<claveAccesoConsultada>${accessKey}</claveAccesoConsultada>` +
+    `<numeroComprobantes>${autorizaciones ? 1 : 0}</numeroComprobantes>` +
+    `<autorizaciones>${autorizaciones}</autorizaciones>` +
+    '</RespuestaAutorizacionComprobante></ns2:autorizacionComprobanteResponse>'
+  );
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const requestId = crypto.randomBytes(4).toString('hex');
+    let response;
+    let status = 200;
+
+    try {
+      const body = parser.parse(Buffer.concat(chunks).toString('utf8'))?.Envelope?.Body || {};
+
+      if (req.url.includes('RecepcionComprobantes')) {
+        response = handleReception(body);
+      } else if (req.url.includes('AutorizacionComprobantes')) {
+        response = handleAuthorization(body);
+      } else {
+        status = 404;
+        response = envelope('<soap:Fault><faultcode>soap:Client</faultcode><faultstring>Servicio no encontrado</faultstring></soap:Fault>');
+      }
+    } catch (error) {
+      status = 500;
+      response = envelope(`<soap:Fault><faultcode>soap:Server</faultcode><faultstring>${error.message}</faultstring></soap:Fault>`);
+    }
+
+    console.log(`[SRI-STUB] ${requestId} ${req.method} ${req.url} -> ${status}`);
+    res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+    res.end(response);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[SRI-STUB] Escuchando en http://localhost:${PORT} (modo: ${MODE})`);
+});
@@ -4,6 +4,8 @@ import bcrypt from 'bcrypt';
 import fs from 'fs/promises';
 import path from 'path';
 import logger from '../../config/logger.js';
+import { listTaxRates, createTaxRate, updateTaxRate } from '../services/taxService.js';
+import { getSurveyReport } from '../services/surveyService.js';
 
 const prisma = new PrismaClient();
 
@@ -824,6 +826,118 @@ export const adminDeleteRole = asyncHandler(async (req, res) => {
   });
 });
 
+// ========================================
+// TARIFAS DE IMPUESTOS
+// ========================================
+
+/**
+ * Listar tarifas de IVA configuradas
+ * 
+ * GET /api/admin/tax-rate/list
+ * @auth Employee (Administrador)
+ * @query { activeOnly?, date? } - date: solo las vigentes en esa fecha
+ */
+export const adminListTaxRates = asyncHandler(async (req, res) => {
+  const { activeOnly, date } = req.query;
+
+  const taxRates = await listTaxRates({
+    activeOnly: activeOnly === 'true',
+    date: date ? new Date(date) : undefined
+  });
+
+  res.json({ 
+    success: true,
+    data: {
+      taxRates,
+      total: taxRates.length
+    }
+  });
+});
+
+/**
+ * Crear tarifa de IVA con fecha de vigencia
+ * Si es predeterminada, cierra la vigencia de la predeterminada anterior
+ * 
+ * POST /api/admin/tax-rate/create
+ * @auth Employee (Administrador)
+ * @body { code, name?, percentage, effectiveFrom, effectiveTo?, isDefault? }
+ */
+export const adminCreateTaxRate = asyncHandler(async (req, res) => {
+  const performedBy = {
+    userId: req.auth.userId,
+    username: req.auth.username,
+    roles: req.auth.roles
+  };
+
+  const taxRate = await createTaxRate(req.body);
+
+  // Auditoría
+  auditLog('TAX_RATE_CREATED', performedBy, {
+    taxRateId: taxRate.TaxRateId,
+    code: taxRate.Code,
+    percentage: taxRate.Percentage,
+    effectiveFrom: taxRate.EffectiveFrom,
+    isDefault: taxRate.IsDefault
+  }, { ip: req.ip });
+
+  res.status(201).json({ 
+    success: true,
+    message: 'Tarifa creada exitosamente', 
+    data: { taxRate }
+  });
+});
+
+/**
+ * Actualizar tarifa de IVA (nombre, fin de vigencia, predeterminada, activa)
+ * El código y el porcentaje no se modifican: se crea una tarifa nueva
+ * 
+ * PUT /api/admin/tax-rate/update
+ * @auth Employee (Administrador)
+ * @body { taxRateId, name?, effectiveTo?, isDefault?, active? }
+ */
+export const adminUpdateTaxRate = asyncHandler(async (req, res) => {
+  const { taxRateId, ...changes } = req.body;
+  const performedBy = {
+    userId: req.auth.userId,
+    username: req.auth.username,
+    roles: req.auth.roles
+  };
+
+  const taxRate = await updateTaxRate(Number(taxRateId), changes);
+
+  // Auditoría
+  auditLog('TAX_RATE_UPDATED', performedBy, {
+    taxRateId: taxRate.TaxRateId,
+    code: taxRate.Code
+  }, { ip: req.ip, changes });
+
+  res.json({ 
+    success: true,
+    message: 'Tarifa actualizada exitosamente', 
+    data: { taxRate }
+  });
+});
+
+// ========================================
+// SATISFACCIÓN DE CLIENTES
+// ========================================
+
+/**
+ * Reporte de encuestas CSAT/NPS por técnico, categoría y mes
+ * 
+ * GET /api/admin/surveys/report
+ * @auth Employee (Administrador)
+ * @query { from?, to?, trigger? } - Fechas de envío de la encuesta
+ */
+export const adminSurveyReport = asyncHandler(async (req, res) => {
+  const report = await getSurveyReport(req.query);
+
+  res.json({ 
+    success: true,
+    data: { report }
+  });
+});
+
 // ========================================
 // SISTEMA Y LOGS
 // ========================================
@@ -1,6 +1,43 @@
 // adminTicketController.js - Gestión de tickets por administradores y staff
 import { PrismaClient } from '@prisma/client';
 import { sendTicketUpdateEmail } from '../../config/nodemailer.js';
+import { createNotification, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import { emitTicketResponse } from '../services/realtimeService.js';
+import {
+  prepareAttachments,
+  storeAttachments,
+  withAttachmentFiles,
+  openAttachment,
+  deleteAttachment
+} from '../services/ticketAttachmentService.js';
+import {
+  recordFirstResponse,
+  getSlaCompliance,
+  listPolicies,
+  createPolicy,
+  updatePolicy
+} from '../services/slaService.js';
+import {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+} from '../services/ticketRoutingService.js';
+import {
+  PLACEHOLDER_NAMES,
+  listCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+  listMacros,
+  createMacro,
+  updateMacro,
+  deleteMacro,
+  applyMacro
+} from '../services/cannedResponseService.js';
+import { sendTicketSurvey } from '../services/surveyService.js';
+import { addOrderStatusNote } from '../services/orderStatusService.js';
 
 const prisma = new PrismaClient();
 
@@ -13,6 +50,9 @@ const TICKET_STATUS = {
   CLOSED: 'closed'
 };
 
+// Roles que atienden la bandeja: pueden trabajar cualquier ticket
+const TICKET_DESK_ROLES = ['Administrador', 'Recepcionista'];
+
 const TICKET_PRIORITY = {
   LOW: 'low',
   NORMAL: 'normal',
@@ -36,7 +76,7 @@ const asyncHandler = (fn) => {
       await fn(req, res, next);
     } catch (error) {
       logError(fn.name, error, { 
-        userId: req.session?.userId || req.user?.id,
+        userId: req.auth?.userId,
         body: req.body,
         params: req.params 
       });
@@ -53,6 +93,31 @@ const asyncHandler = (fn) => {
   };
 };
 
+/**
+ * Busca un ticket y verifica que el empleado pueda trabajarlo:
+ * la bandeja (Administrador, Recepcionista) o el empleado asignado.
+ */
+const findWorkableTicket = async (ticketId, auth) => {
+  const ticket = await prisma.ticket.findUnique({
+    where: { TicketId: Number(ticketId) }
+  });
+
+  if (!ticket) {
+    const error = new Error('Ticket no encontrado');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const isDesk = (auth?.roles || []).some(role => TICKET_DESK_ROLES.includes(role));
+  if (!isDesk && ticket.AssignedToUserId !== auth?.userId) {
+    const error = new Error('Solo el empleado asignado puede trabajar este ticket');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return ticket;
+};
+
 // === GESTIÓN DE TICKETS ===
 
 /**
@@ -207,7 +272,7 @@ export const getTicketDetails = asyncHandler(async (req, res) => {
  */
 export const assignTicket = asyncHandler(async (req, res) => {
   const { ticketId, assignedToUserId } = req.body;
-  const adminUserId = req.session?.userId || req.user?.id;
+  const adminUserId = req.auth?.userId;
 
   // Verificar que el usuario asignado existe
   const assignedUser = await prisma.user.findUnique({
@@ -272,7 +337,7 @@ export const assignTicket = asyncHandler(async (req, res) => {
  */
 export const updateTicketStatus = asyncHandler(async (req, res) => {
   const { ticketId, status, notes } = req.body;
-  const userId = req.session?.userId || req.user?.id;
+  const userId = req.auth?.userId;
 
   if (!Object.values(TICKET_STATUS).includes(status)) {
     const error = new Error('Estado inválido');
@@ -280,6 +345,8 @@ export const updateTicketStatus = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  await findWorkableTicket(ticketId, req.auth);
+
   const updateData = {
     Status: status,
     UpdatedAt: new Date()
@@ -305,7 +372,7 @@ export const updateTicketStatus = asyncHandler(async (req, res) => {
   });
 
   // Registrar cambio en respuestas
-  await prisma.ticketResponse.create({
+  const response = await prisma.ticketResponse.create({
     data: {
       TicketId: ticket.TicketId,
       Message: notes || `Estado actualizado a: ${status}`,
@@ -314,7 +381,20 @@ export const updateTicketStatus = asyncHandler(async (req, res) => {
     }
   });
 
+  // El aviso de cambio de estado es visible para el cliente
+  await recordFirstResponse(ticket.TicketId, response.CreatedAt);
+
+  emitTicketResponse(ticket, response);
+
   // Notificar al cliente
+  await createNotification({
+    type: NOTIFICATION_TYPES.TICKET,
+    title: `Ticket #${ticket.TicketNumber} actualizado`,
+    message: notes || `El estado de su ticket "${ticket.Subject}" cambió a: ${status}`,
+    ticketId: ticket.TicketId,
+    orderId: ticket.OrderId
+  }, { clientIds: [ticket.ClientId] });
+
   if (ticket.client?.Email) {
     sendTicketUpdateEmail(
       ticket.client.Email,
@@ -324,6 +404,11 @@ export const updateTicketStatus = asyncHandler(async (req, res) => {
     ).catch(err => logError('sendTicketUpdateEmail', err));
   }
 
+  // Encuesta de satisfacción al resolver (una por ticket)
+  if (status === TICKET_STATUS.RESOLVED) {
+    sendTicketSurvey(ticket.TicketId).catch(err => logError('sendTicketSurvey', err));
+  }
+
   res.json({
     success: true,
     message: 'Estado del ticket actualizado',
@@ -336,30 +421,64 @@ export const updateTicketStatus = asyncHandler(async (req, res) => {
  */
 export const addTicketResponse = asyncHandler(async (req, res) => {
   const { ticketId, message, isInternal } = req.body;
-  const userId = req.session?.userId || req.user?.id;
+  const userId = req.auth?.userId;
 
-  const response = await prisma.ticketResponse.create({
-    data: {
-      TicketId: Number(ticketId),
-      Message: message,
-      RespondedByUserId: userId,
-      IsInternal: isInternal || false
-    },
-    include: {
-      respondedByUser: {
-        select: {
-          UserId: true,
-          Username: true
+  await findWorkableTicket(ticketId, req.auth);
+
+  // Adjuntos opcionales (multipart)
+  const files = await prepareAttachments(req.files);
+
+  // Los adjuntos se borran si la transacción no se confirma
+  const { response, ticket } = await withAttachmentFiles((written) => prisma.$transaction(async (tx) => {
+    const created = await tx.ticketResponse.create({
+      data: {
+        TicketId: Number(ticketId),
+        Message: message,
+        RespondedByUserId: userId,
+        IsInternal: isInternal || false
+      },
+      include: {
+        respondedByUser: {
+          select: {
+            UserId: true,
+            Username: true
+          }
         }
       }
+    });
+
+    created.attachments = await storeAttachments(Number(ticketId), files, {
+      responseId: created.ResponseId,
+      userId,
+      written
+    }, tx);
+
+    // Las notas internas no cuentan como respuesta al cliente para el SLA
+    if (!created.IsInternal) {
+      await recordFirstResponse(created.TicketId, created.CreatedAt, tx);
     }
-  });
 
-  // Actualizar fecha de actualización del ticket
-  await prisma.ticket.update({
-    where: { TicketId: Number(ticketId) },
-    data: { UpdatedAt: new Date() }
-  });
+    // Actualizar fecha de actualización del ticket
+    const updated = await tx.ticket.update({
+      where: { TicketId: Number(ticketId) },
+      data: { UpdatedAt: new Date() }
+    });
+
+    return { response: created, ticket: updated };
+  }));
+
+  emitTicketResponse(ticket, response);
+
+  // Las notas internas no se notifican al cliente
+  if (!response.IsInternal) {
+    await createNotification({
+      type: NOTIFICATION_TYPES.TICKET,
+      title: `Nueva respuesta en el ticket #${ticket.TicketNumber}`,
+      message: message.length > 200 ? `${message.slice(0, 197)}...` : message,
+      ticketId: ticket.TicketId,
+      orderId: ticket.OrderId
+    }, { clientIds: [ticket.ClientId] });
+  }
 
   res.json({
     success: true,
@@ -374,7 +493,7 @@ export const addTicketResponse = asyncHandler(async (req, res) => {
  */
 export const modifyOrderFromTicket = asyncHandler(async (req, res) => {
   const { ticketId, orderId, modifications } = req.body;
-  const adminUserId = req.session?.userId || req.user?.id;
+  const adminUserId = req.auth?.userId;
 
   // Verificar que el ticket existe y está relacionado a la orden
   const ticket = await prisma.ticket.findUnique({
@@ -397,25 +516,28 @@ export const modifyOrderFromTicket = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // Solo se aplican los campos permitidos (validados en la ruta)
+  const orderChanges = {};
+  if (modifications.technicianId) orderChanges.TechnicianId = modifications.technicianId;
+  if (modifications.estimatedDeliveryDate) orderChanges.EstimatedDeliveryDate = new Date(modifications.estimatedDeliveryDate);
+  if (modifications.diagnosis) orderChanges.Diagnosis = modifications.diagnosis;
+
   // Realizar modificaciones permitidas en transacción
   const result = await prisma.$transaction(async (tx) => {
     const order = await tx.serviceOrder.update({
       where: { OrderId: Number(orderId) },
       data: {
-        ...modifications,
+        ...orderChanges,
         // Registrar que fue modificado
         Notes: `${ticket.order.Notes || ''}\n[Modificado por ticket #${ticket.TicketNumber}]`
       }
     });
 
     // Registrar en historial de orden
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: order.OrderId,
-        StatusId: order.CurrentStatusId,
-        Notes: `Orden modificada mediante ticket de soporte #${ticket.TicketNumber}`,
-        ChangedByUserId: adminUserId
-      }
+    await addOrderStatusNote(tx, {
+      orderId: order.OrderId,
+      notes: `Orden modificada mediante ticket de soporte #${ticket.TicketNumber}`,
+      userId: adminUserId
     });
 
     // Registrar en ticket
@@ -437,6 +559,14 @@ export const modifyOrderFromTicket = asyncHandler(async (req, res) => {
       }
     });
 
+    await createNotification({
+      type: NOTIFICATION_TYPES.TICKET,
+      title: `Ticket #${ticket.TicketNumber} resuelto`,
+      message: `Su orden ${order.IdentityTag} fue modificada según lo solicitado en el ticket.`,
+      ticketId: ticket.TicketId,
+      orderId: order.OrderId
+    }, { clientIds: [ticket.ClientId] }, tx);
+
     return order;
   });
 
@@ -461,7 +591,7 @@ export const modifyOrderFromTicket = asyncHandler(async (req, res) => {
  */
 export const bulkCloseTickets = asyncHandler(async (req, res) => {
   const { ticketIds, reason } = req.body;
-  const userId = req.session?.userId || req.user?.id;
+  const userId = req.auth?.userId;
 
   if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
     const error = new Error('Debe proporcionar al menos un ticketId');
@@ -469,11 +599,21 @@ export const bulkCloseTickets = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // Solo tickets existentes que aún no están cerrados
+  const existing = await prisma.ticket.findMany({
+    where: {
+      TicketId: { in: ticketIds.map(id => Number(id)) },
+      Status: { not: TICKET_STATUS.CLOSED }
+    },
+    select: { TicketId: true }
+  });
+  const idsToClose = existing.map(ticket => ticket.TicketId);
+
   const result = await prisma.$transaction(async (tx) => {
     // Actualizar tickets
     const updated = await tx.ticket.updateMany({
       where: {
-        TicketId: { in: ticketIds.map(id => Number(id)) }
+        TicketId: { in: idsToClose }
       },
       data: {
         Status: TICKET_STATUS.CLOSED,
@@ -483,10 +623,10 @@ export const bulkCloseTickets = asyncHandler(async (req, res) => {
     });
 
     // Registrar respuesta en cada ticket
-    for (const ticketId of ticketIds) {
+    for (const ticketId of idsToClose) {
       await tx.ticketResponse.create({
         data: {
-          TicketId: Number(ticketId),
+          TicketId: ticketId,
           Message: reason || 'Ticket cerrado masivamente',
           RespondedByUserId: userId,
           IsInternal: true
@@ -498,7 +638,7 @@ export const bulkCloseTickets = asyncHandler(async (req, res) => {
   });
 
   console.log('[BULK TICKET CLOSURE]', {
-    ticketIds,
+    ticketIds: idsToClose,
     count: result.count,
     closedBy: userId,
     timestamp: new Date().toISOString()
@@ -529,7 +669,8 @@ export const getTicketStatistics = asyncHandler(async (req, res) => {
     byStatus,
     byPriority,
     byCategory,
-    avgResolutionTime
+    resolvedTickets,
+    sla
   ] = await Promise.all([
     // Total de tickets
     prisma.ticket.count({ where }),
@@ -555,20 +696,30 @@ export const getTicketStatistics = asyncHandler(async (req, res) => {
       _count: true
     }),
 
-    // Tiempo promedio de resolución
-    prisma.ticket.aggregate({
+    // Fechas para el tiempo promedio de resolución (se calcula abajo)
+    prisma.ticket.findMany({
       where: {
         ...where,
         Status: { in: [TICKET_STATUS.RESOLVED, TICKET_STATUS.CLOSED] },
         ResolvedAt: { not: null }
       },
-      _avg: {
-        // Calcular diferencia entre CreatedAt y ResolvedAt
-        // Nota: Esto requiere una query raw o cálculo posterior
+      select: {
+        CreatedAt: true,
+        ResolvedAt: true
       }
-    })
+    }),
+
+    // Cumplimiento de SLA
+    getSlaCompliance(where)
   ]);
 
+  const avgResolutionHours = resolvedTickets.length > 0
+    ? Math.round(
+      resolvedTickets.reduce((sum, t) => sum + (t.ResolvedAt - t.CreatedAt), 0)
+        / resolvedTickets.length / 36e5 * 10
+    ) / 10
+    : null;
+
   // Obtener nombres de categorías
   const categoryIds = byCategory.map(c => c.CategoryId);
   const categories = await prisma.ticketCategory.findMany({
@@ -591,8 +742,10 @@ export const getTicketStatistics = asyncHandler(async (req, res) => {
         total: totalTickets,
         byStatus: byStatus.map(s => ({ status: s.Status, count: s._count })),
         byPriority: byPriority.map(p => ({ priority: p.Priority, count: p._count })),
-        byCategory: categoriesWithCount
-      }
+        byCategory: categoriesWithCount,
+        avgResolutionHours
+      },
+      sla
     }
   });
 });
@@ -615,4 +768,396 @@ export const listTicketCategories = asyncHandler(async (req, res) => {
     success: true,
     data: { categories }
   });
-});
\ No newline at end of file
+});
+
+// === ADJUNTOS ===
+
+/**
+ * Descargar adjunto de ticket
+ * Empleados: cualquier adjunto. Clientes: adjuntos de sus tickets (sin notas internas).
+ */
+export const downloadTicketAttachment = asyncHandler(async (req, res) => {
+  const { attachmentId } = req.params;
+
+  const { attachment, stream } = await openAttachment(Number(attachmentId), req.auth);
+
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('Content-Length', attachment.fileSize);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  );
+
+  stream.on('error', (err) => {
+    logError('downloadTicketAttachment', err, { attachmentId });
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+/**
+ * Eliminar adjunto de ticket
+ * Administrador: siempre. Quien lo subió: mientras el ticket siga abierto.
+ */
+export const deleteTicketAttachment = asyncHandler(async (req, res) => {
+  const { attachmentId } = req.params;
+
+  const attachment = await deleteAttachment(Number(attachmentId), req.auth);
+
+  console.log('[TICKET ATTACHMENT DELETED]', {
+    attachmentId: attachment.attachmentId,
+    ticketId: attachment.ticketId,
+    deletedBy: req.auth?.userId || `client:${req.auth?.clientId}`,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    message: 'Adjunto eliminado exitosamente',
+    data: { attachment }
+  });
+});
+
+// === POLÍTICAS SLA ===
+
+/**
+ * Listar políticas SLA
+ */
+export const listSlaPolicies = asyncHandler(async (req, res) => {
+  const policies = await listPolicies();
+
+  res.json({
+    success: true,
+    data: { policies }
+  });
+});
+
+/**
+ * Crear política SLA para una categoría (o general) y prioridad
+ */
+export const createSlaPolicy = asyncHandler(async (req, res) => {
+  const policy = await createPolicy(req.body);
+
+  console.log('[SLA POLICY CREATED]', {
+    policyId: policy.SlaPolicyId,
+    categoryId: policy.CategoryId,
+    priority: policy.Priority,
+    createdBy: req.auth?.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Política SLA creada exitosamente',
+    data: { policy }
+  });
+});
+
+/**
+ * Actualizar plazos, escalamiento o estado de una política SLA
+ * Los tickets existentes conservan los plazos calculados al crearse
+ */
+export const updateSlaPolicy = asyncHandler(async (req, res) => {
+  const { policyId } = req.params;
+
+  const policy = await updatePolicy(Number(policyId), req.body);
+
+  console.log('[SLA POLICY UPDATED]', {
+    policyId: policy.SlaPolicyId,
+    changes: req.body,
+    updatedBy: req.auth?.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    message: 'Política SLA actualizada exitosamente',
+    data: { policy }
+  });
+});
+
+// === REGLAS DE ENRUTAMIENTO ===
+
+/**
+ * Listar reglas de asignación automática (en orden de evaluación)
+ */
+export const listRoutingRules = asyncHandler(async (req, res) => {
+  const rules = await listRules();
+
+  res.json({
+    success: true,
+    data: { rules }
+  });
+});
+
+/**
+ * Crear regla de asignación automática
+ */
+export const createRoutingRule = asyncHandler(async (req, res) => {
+  const rule = await createRule(req.body);
+
+  console.log('[ROUTING RULE CREATED]', {
+    ruleId: rule.RuleId,
+    name: rule.Name,
+    strategy: rule.Strategy,
+    createdBy: req.auth?.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Regla de enrutamiento creada exitosamente',
+    data: { rule }
+  });
+});
+
+/**
+ * Actualizar regla de asignación automática
+ */
+export const updateRoutingRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await updateRule(Number(ruleId), req.body);
+
+  console.log('[ROUTING RULE UPDATED]', {
+    ruleId: rule.RuleId,
+    changes: req.body,
+    updatedBy: req.auth?.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    message: 'Regla de enrutamiento actualizada exitosamente',
+    data: { rule }
+  });
+});
+
+/**
+ * Eliminar regla de asignación automática
+ */
+export const deleteRoutingRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await deleteRule(Number(ruleId));
+
+  console.log('[ROUTING RULE DELETED]', {
+    ruleId: rule.RuleId,
+    name: rule.Name,
+    deletedBy: req.auth?.userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    message: 'Regla de enrutamiento eliminada exitosamente'
+  });
+});
+
+// === RESPUESTAS PREDEFINIDAS Y MACROS ===
+
+/**
+ * Categoría para filtrar plantillas: la del ticket indicado o la del query
+ */
+const resolveScopeCategory = async ({ ticketId, categoryId }) => {
+  if (ticketId) {
+    const ticket = await prisma.ticket.findUnique({
+      where: { TicketId: Number(ticketId) },
+      select: { CategoryId: true }
+    });
+    if (!ticket) {
+      const error = new Error('Ticket no encontrado');
+      error.statusCode = 404;
+      throw error;
+    }
+    return ticket.CategoryId;
+  }
+  return categoryId ? Number(categoryId) : undefined;
+};
+
+/**
+ * Listar respuestas predefinidas (generales + las de la categoría)
+ */
+export const listTicketCannedResponses = asyncHandler(async (req, res) => {
+  const categoryId = await resolveScopeCategory(req.query);
+
+  const cannedResponses = await listCannedResponses({
+    categoryId,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      cannedResponses,
+      placeholders: PLACEHOLDER_NAMES
+    }
+  });
+});
+
+/**
+ * Vista previa de una respuesta predefinida con los datos del ticket
+ */
+export const previewCannedResponse = asyncHandler(async (req, res) => {
+  const { cannedResponseId } = req.params;
+  const { ticketId } = req.body;
+
+  await findWorkableTicket(ticketId, req.auth);
+
+  const rendered = await renderCannedResponse(Number(cannedResponseId), Number(ticketId));
+
+  res.json({
+    success: true,
+    data: rendered
+  });
+});
+
+export const createTicketCannedResponse = asyncHandler(async (req, res) => {
+  const cannedResponse = await createCannedResponse(req.body, req.auth?.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Respuesta predefinida creada exitosamente',
+    data: { cannedResponse }
+  });
+});
+
+export const updateTicketCannedResponse = asyncHandler(async (req, res) => {
+  const { cannedResponseId } = req.params;
+
+  const cannedResponse = await updateCannedResponse(Number(cannedResponseId), req.body);
+
+  res.json({
+    success: true,
+    message: 'Respuesta predefinida actualizada exitosamente',
+    data: { cannedResponse }
+  });
+});
+
+/**
+ * Eliminar respuesta predefinida (se desactiva si alguna macro la usa)
+ */
+export const deleteTicketCannedResponse = asyncHandler(async (req, res) => {
+  const { cannedResponseId } = req.params;
+
+  const result = await deleteCannedResponse(Number(cannedResponseId));
+
+  res.json({
+    success: true,
+    message: result.deleted
+      ? 'Respuesta predefinida eliminada exitosamente'
+      : 'La respuesta está en uso por una macro: se desactivó',
+    data: result
+  });
+});
+
+/**
+ * Listar macros (generales + las de la categoría)
+ */
+export const listTicketMacros = asyncHandler(async (req, res) => {
+  const categoryId = await resolveScopeCategory(req.query);
+
+  const macros = await listMacros({
+    categoryId,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: { macros }
+  });
+});
+
+export const createTicketMacro = asyncHandler(async (req, res) => {
+  const macro = await createMacro(req.body, req.auth?.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Macro creada exitosamente',
+    data: { macro }
+  });
+});
+
+export const updateTicketMacro = asyncHandler(async (req, res) => {
+  const { macroId } = req.params;
+
+  const macro = await updateMacro(Number(macroId), req.body);
+
+  res.json({
+    success: true,
+    message: 'Macro actualizada exitosamente',
+    data: { macro }
+  });
+});
+
+export const deleteTicketMacro = asyncHandler(async (req, res) => {
+  const { macroId } = req.params;
+
+  await deleteMacro(Number(macroId));
+
+  res.json({
+    success: true,
+    message: 'Macro eliminada exitosamente'
+  });
+});
+
+/**
+ * Ejecutar macro sobre un ticket: respuesta + estado + prioridad
+ */
+export const applyTicketMacro = asyncHandler(async (req, res) => {
+  const { macroId } = req.params;
+  const { ticketId } = req.body;
+  const userId = req.auth?.userId;
+
+  await findWorkableTicket(ticketId, req.auth);
+
+  const { ticket, response, macro, changes } = await applyMacro(Number(macroId), Number(ticketId), userId);
+
+  if (response) {
+    emitTicketResponse(ticket, response);
+  }
+
+  // El cliente recibe la respuesta pública o, si no hay, el cambio de estado
+  const publicReply = response && !response.IsInternal;
+  if (publicReply || changes.status) {
+    await createNotification({
+      type: NOTIFICATION_TYPES.TICKET,
+      title: publicReply
+        ? `Nueva respuesta en el ticket #${ticket.TicketNumber}`
+        : `Ticket #${ticket.TicketNumber} actualizado`,
+      message: publicReply
+        ? (response.Message.length > 200 ? `${response.Message.slice(0, 197)}...` : response.Message)
+        : `El estado de su ticket "${ticket.Subject}" cambió a: ${changes.status}`,
+      ticketId: ticket.TicketId,
+      orderId: ticket.OrderId
+    }, { clientIds: [ticket.ClientId] });
+  }
+
+  if (changes.status && ticket.client?.Email) {
+    sendTicketUpdateEmail(
+      ticket.client.Email,
+      ticket.client.DisplayName,
+      ticket.TicketNumber,
+      changes.status
+    ).catch(err => logError('sendTicketUpdateEmail', err));
+  }
+
+  if (changes.status === TICKET_STATUS.RESOLVED) {
+    sendTicketSurvey(ticket.TicketId).catch(err => logError('sendTicketSurvey', err));
+  }
+
+  console.log('[TICKET MACRO APPLIED]', {
+    macroId: macro.MacroId,
+    ticketId: ticket.TicketId,
+    changes,
+    responseId: response?.ResponseId ?? null,
+    appliedBy: userId,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    message: `Macro "${macro.Name}" aplicada`,
+    data: { ticket, response, changes }
+  });
+});
@@ -2,6 +2,21 @@
 import { PrismaClient } from '@prisma/client';
 import { sendProformaEmail, sendOTPEmail } from '../../config/nodemailer.js';
 import { validate, schemas, sanitizeText, validateData } from '../middlewares/validator.js';
+import { reserveOrderParts, releaseOrderReservations } from '../services/inventoryService.js';
+import {
+  notifyRoles,
+  listNotifications,
+  countUnread,
+  markAsRead,
+  markAllAsRead,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITY
+} from '../services/notificationService.js';
+import { emitOrderStatusChange } from '../services/realtimeService.js';
+import { prepareAttachments } from '../services/ticketAttachmentService.js';
+import { createClientTicket, addClientResponse } from '../services/ticketService.js';
+import { ORDER_STATUS, transitionOrderStatus } from '../services/orderStatusService.js';
+import { SYSTEM_ROLES } from '../middlewares/roleMiddleware.js';
 import bcrypt from 'bcrypt';
 
 const prisma = new PrismaClient();
@@ -14,7 +29,20 @@ const ERROR_MESSAGES = {
   INVALID_PROFORMA_STATUS: 'La proforma no está en estado correcto',
   INTERNAL_ERROR: 'Error interno del servidor',
   INVALID_OTP: 'Código OTP inválido o expirado',
-  INVALID_TICKET_CATEGORY: 'Categoría de ticket inválida'
+  INVALID_TICKET_CATEGORY: 'Categoría de ticket inválida',
+  TICKET_NOT_FOUND: 'Ticket no encontrado',
+  TICKET_CLOSED: 'El ticket está cerrado. Cree un nuevo ticket si necesita más ayuda'
+};
+
+// Campos de adjuntos visibles para el cliente (sin datos de almacenamiento)
+const CLIENT_ATTACHMENT_SELECT = {
+  AttachmentId: true,
+  ResponseId: true,
+  FileName: true,
+  FileUrl: true,
+  FileSize: true,
+  MimeType: true,
+  UploadedAt: true
 };
 
 const PROFORMA_STATUS = {
@@ -24,11 +52,6 @@ const PROFORMA_STATUS = {
   REJECTED: 'rechazada'
 };
 
-const STATUS_CODES = {
-  PROFORMA_APPROVED: 'PROFORMA_APROBADA',
-  PROFORMA_REJECTED: 'PROFORMA_RECHAZADA'
-};
-
 // === UTILIDADES Y HELPERS ===
 
 /**
@@ -63,7 +86,8 @@ const asyncHandler = (fn) => {
       
       res.status(error.statusCode || 500).json({ 
         success: false,
-        error: message 
+        error: message,
+        ...(error.errorCode && { code: error.errorCode })
       });
     }
   };
@@ -95,6 +119,13 @@ const buildClientOrderResponse = (order) => {
     diagnosis: order.Diagnosis,
     totalPrice: order.TotalPrice,
     parts: order.Parts,
+    lines: order.lines?.map(line => ({
+      type: line.LineType,
+      description: line.Description,
+      quantity: line.Quantity,
+      unitPrice: line.UnitPrice,
+      discount: line.Discount
+    })) || [],
     notes: order.Notes,
     
     // Fechas importantes del proceso
@@ -152,6 +183,7 @@ const findClientOrderWithHistory = async (criteria) => {
     },
     receptionist: { select: { Username: true } },
     technician: { select: { Username: true } },
+    lines: { orderBy: { SortOrder: 'asc' } },
     histories: {
       include: {
         status: true,
@@ -669,8 +701,8 @@ export const approveOrRejectProforma = asyncHandler(async (req, res) => {
 
   // Preparar actualización
   const newStatusCode = action === 'approve' 
-    ? STATUS_CODES.PROFORMA_APPROVED 
-    : STATUS_CODES.PROFORMA_REJECTED;
+    ? ORDER_STATUS.PROFORMA_APPROVED 
+    : ORDER_STATUS.PROFORMA_REJECTED;
     
   const proformaNewStatus = action === 'approve' 
     ? PROFORMA_STATUS.APPROVED 
@@ -680,22 +712,25 @@ export const approveOrRejectProforma = asyncHandler(async (req, res) => {
     ? 'Proforma aprobada por el cliente'
     : 'Proforma rechazada por el cliente';
 
-  const newStatus = await prisma.status.findUnique({ 
-    where: { Code: newStatusCode } 
-  });
-  
-  if (!newStatus) {
-    throw new Error(`Estado "${newStatusCode}" no configurado en el sistema`);
-  }
-
   // Actualizar en transacción
-  const updatedOrder = await prisma.$transaction(async (tx) => {
-    const order = await tx.serviceOrder.update({
-      where: { OrderId: Number(orderId) },
+  const { order: updatedOrder, toStatus: newStatus } = await prisma.$transaction(async (tx) => {
+    // Aprobada: se apartan los repuestos del inventario (409 si ya no hay stock).
+    // Rechazada: se libera cualquier reserva pendiente de la orden.
+    if (action === 'approve') {
+      await reserveOrderParts(tx, Number(orderId));
+    } else {
+      await releaseOrderReservations(tx, Number(orderId), { notes });
+    }
+
+    const transition = await transitionOrderStatus(tx, {
+      orderId: Number(orderId),
+      to: newStatusCode,
+      actor: { userId: null, clientId, roles: [SYSTEM_ROLES.CLIENT] },
+      notes,
+      clientMessage: false, // La decisión la tomó el propio cliente
       data: {
         ProformaStatus: proformaNewStatus,
-        ProformaApprovalDate: new Date(),
-        CurrentStatusId: newStatus.StatusId,
+        ProformaApprovalDate: new Date()
       },
       include: { 
         client: true, 
@@ -707,19 +742,21 @@ export const approveOrRejectProforma = asyncHandler(async (req, res) => {
         status: true 
       }
     });
+    const { order } = transition;
 
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: order.OrderId,
-        StatusId: newStatus.StatusId,
-        Notes: notes,
-        ChangedByUserId: null,
-      }
-    });
+    await notifyRoles([SYSTEM_ROLES.SALES], {
+      type: NOTIFICATION_TYPES.PROFORMA,
+      title: `Proforma ${action === 'approve' ? 'aprobada' : 'rechazada'}: orden ${order.IdentityTag}`,
+      message: `${order.client.DisplayName} ${action === 'approve' ? 'aprobó' : 'rechazó'} la proforma de la orden ${order.IdentityTag}.`,
+      priority: action === 'approve' ? NOTIFICATION_PRIORITY.MEDIUM : NOTIFICATION_PRIORITY.HIGH,
+      orderId: order.OrderId
+    }, tx);
 
-    return order;
+    return transition;
   });
 
+  emitOrderStatusChange(updatedOrder, newStatus, { notes });
+
   // Enviar email de confirmación
   sendProformaEmail(
     updatedOrder.client.Email,
@@ -756,27 +793,17 @@ export const createSupportTicket = asyncHandler(async (req, res) => {
   // Resolver CategoryId desde código
   const categoryId = await resolveTicketCategoryId(category);
 
-  // Crear ticket
-  const ticket = await prisma.ticket.create({
-    data: {
-      ClientId: clientId,
-      OrderId: orderId ? Number(orderId) : null,
-      CategoryId: categoryId,
-      Subject: sanitizeText(subject),
-      Description: sanitizeText(description),
-      Priority: priority || 'normal',
-      Status: 'open',
-      CreatedBy: 'client'
-    },
-    include: {
-      client: true,
-      order: {
-        include: {
-          equipment: true
-        }
-      },
-      category: true
-    }
+  // Adjuntos opcionales (multipart): se validan antes de crear el ticket
+  const files = await prepareAttachments(req.files);
+
+  const { ticket, attachments, routing } = await createClientTicket({
+    clientId,
+    orderId: orderId ? Number(orderId) : null,
+    categoryId,
+    subject: sanitizeText(subject),
+    description: sanitizeText(description),
+    priority: priority || 'normal',
+    files
   });
 
   console.log('[TICKET CREATED]', {
@@ -784,6 +811,9 @@ export const createSupportTicket = asyncHandler(async (req, res) => {
     clientId,
     orderId,
     category,
+    attachments: attachments.length,
+    assignedTo: routing?.userId ?? null,
+    routingRule: routing?.ruleId ?? null,
     timestamp: new Date().toISOString()
   });
 
@@ -799,7 +829,8 @@ export const createSupportTicket = asyncHandler(async (req, res) => {
         status: ticket.Status,
         priority: ticket.Priority,
         createdAt: ticket.CreatedAt
-      }
+      },
+      attachments
     }
   });
 });
@@ -868,8 +899,11 @@ export const viewTicketDetails = asyncHandler(async (req, res) => {
           Email: true
         }
       },
+      // Las notas internas del staff no se muestran al cliente
       responses: {
+        where: { IsInternal: false },
         include: {
+          attachments: { select: CLIENT_ATTACHMENT_SELECT },
           respondedByUser: {
             select: {
               UserId: true,
@@ -884,12 +918,17 @@ export const viewTicketDetails = asyncHandler(async (req, res) => {
           }
         },
         orderBy: { CreatedAt: 'asc' }
+      },
+      // Adjuntos de la creación del ticket
+      attachments: {
+        where: { ResponseId: null },
+        select: CLIENT_ATTACHMENT_SELECT
       }
     }
   });
 
   if (!ticket || ticket.ClientId !== clientId) {
-    const error = new Error('Ticket no encontrado');
+    const error = new Error(ERROR_MESSAGES.TICKET_NOT_FOUND);
     error.statusCode = 404;
     throw error;
   }
@@ -900,6 +939,48 @@ export const viewTicketDetails = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Responder a un ticket propio (con adjuntos opcionales)
+ */
+export const addClientTicketResponse = asyncHandler(async (req, res) => {
+  const { ticketId } = req.params;
+  const { message } = req.body;
+  const clientId = validateClientAuthentication(req);
+
+  const ticket = await prisma.ticket.findUnique({
+    where: { TicketId: Number(ticketId) }
+  });
+
+  if (!ticket || ticket.ClientId !== clientId) {
+    const error = new Error(ERROR_MESSAGES.TICKET_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (ticket.Status === 'closed') {
+    const error = new Error(ERROR_MESSAGES.TICKET_CLOSED);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const files = await prepareAttachments(req.files);
+
+  const { response, attachments } = await addClientResponse(ticket, clientId, message, files);
+
+  res.status(201).json({
+    success: true,
+    message: 'Respuesta enviada exitosamente',
+    data: {
+      response: {
+        responseId: response.ResponseId,
+        message: response.Message,
+        createdAt: response.CreatedAt,
+        attachments
+      }
+    }
+  });
+});
+
 // === REGISTRO Y GESTIÓN DE PERFIL ===
 
 /**
@@ -1455,85 +1536,73 @@ export const resetPassword = asyncHandler(async (req, res) => {
 // === FUNCIONES DE NOTIFICACIÓN ===
 
 /**
- * Obtener notificaciones del cliente
+ * Obtener notificaciones del cliente (paginadas, más recientes primero)
+ * GET /api/client/notifications?page=&limit=&unreadOnly=
  */
 export const getClientNotifications = asyncHandler(async (req, res) => {
   const clientId = validateClientAuthentication(req);
+  const { page, limit, unreadOnly } = req.query;
 
-  // En una implementación real, esto vendría de una tabla de notificaciones
-  // Por ahora retornamos notificaciones simuladas basadas en el estado de las órdenes
-  
-  const pendingOrders = await prisma.serviceOrder.count({
-    where: { 
-      ClientId: clientId,
-      OR: [
-        { ProformaStatus: PROFORMA_STATUS.SENT },
-        { ProformaStatus: PROFORMA_STATUS.PENDING }
-      ]
-    }
+  const result = await listNotifications({ clientId }, {
+    page,
+    limit,
+    unreadOnly: unreadOnly === 'true'
   });
 
-  const pendingTickets = await prisma.ticket.count({
-    where: { 
-      ClientId: clientId,
-      Status: { in: ['open', 'assigned', 'in_progress'] }
-    }
+  res.json({
+    success: true,
+    data: result
   });
+});
 
-  const notifications = [];
-
-  if (pendingOrders > 0) {
-    notifications.push({
-      id: 1,
-      type: 'proforma',
-      title: 'Proformas pendientes',
-      message: `Tiene ${pendingOrders} proforma(s) pendiente(s) de aprobación`,
-      priority: 'high',
-      timestamp: new Date().toISOString()
-    });
-  }
+/**
+ * Cantidad de notificaciones sin leer
+ * GET /api/client/notifications/unread-count
+ */
+export const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const clientId = validateClientAuthentication(req);
 
-  if (pendingTickets > 0) {
-    notifications.push({
-      id: 2,
-      type: 'ticket',
-      title: 'Tickets activos',
-      message: `Tiene ${pendingTickets} ticket(s) de soporte activo(s)`,
-      priority: 'medium',
-      timestamp: new Date().toISOString()
-    });
-  }
+  const unreadCount = await countUnread({ clientId });
 
   res.json({
     success: true,
-    data: {
-      notifications,
-      unreadCount: notifications.length
-    }
+    data: { unreadCount }
   });
 });
 
 /**
  * Marcar notificación como leída
+ * POST /api/client/notifications/mark-read
  */
 export const markNotificationAsRead = asyncHandler(async (req, res) => {
   const clientId = validateClientAuthentication(req);
   const { notificationId } = req.body;
 
-  // En una implementación real, actualizaríamos el estado en la base de datos
-  // Por ahora solo simulamos la operación
+  const notification = await markAsRead({ clientId }, notificationId);
 
-  console.log('[NOTIFICATION MARKED AS READ]', {
-    clientId,
-    notificationId,
-    timestamp: new Date().toISOString()
+  res.json({
+    success: true,
+    message: 'Notificación marcada como leída',
+    data: { notification }
   });
+});
+
+/**
+ * Marcar todas las notificaciones como leídas
+ * POST /api/client/notifications/mark-all-read
+ */
+export const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
+  const clientId = validateClientAuthentication(req);
+
+  const updated = await markAllAsRead({ clientId });
 
   res.json({
     success: true,
-    message: 'Notificación marcada como leída'
+    message: 'Notificaciones marcadas como leídas',
+    data: { updated }
   });
 });
+
 // === ENDPOINTS LEGACY ===
 export const getOrderStatus = async (req, res) => {
   return getOrderStatusWithHistory(req, res);
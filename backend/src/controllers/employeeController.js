@@ -4,6 +4,51 @@ import {
   registerEquipment,
   sendProformaToClient 
 } from '../services/employeeService.js';
+import { resolveTaxRate, calculateTotals, calculateOrderTotals } from '../services/taxService.js';
+import {
+  assertPartsAvailable,
+  consumeOrderReservations,
+  releaseOrderReservations
+} from '../services/inventoryService.js';
+import { getOrderPaymentStatus } from '../services/paymentService.js';
+import {
+  createNotification,
+  notifyRoles,
+  listNotifications,
+  countUnread,
+  markAsRead,
+  markAllAsRead,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITY
+} from '../services/notificationService.js';
+import { emitOrderStatusChange } from '../services/realtimeService.js';
+import { sendOrderSurvey } from '../services/surveyService.js';
+import { searchOrders } from '../services/orderSearchService.js';
+import { allocateOrderTag } from '../services/sequenceService.js';
+import {
+  prepareIntake,
+  storeIntakeFiles,
+  discardIntakeFiles,
+  buildIntakeEntryData,
+  deliverIntakeReceipt
+} from '../services/intakeService.js';
+import {
+  issuePickupCode,
+  verifyPickup,
+  consumePickupCode,
+  storeDeliverySignature,
+  discardDeliverySignature,
+  sendDeliveryNotification
+} from '../services/deliveryService.js';
+import {
+  ORDER_STATUS,
+  getStatusByCode,
+  actorFromAuth,
+  assertOrderTransition,
+  transitionOrderStatus,
+  recordInitialStatus
+} from '../services/orderStatusService.js';
+import { SYSTEM_ROLES } from '../middlewares/roleMiddleware.js';
 import { sendForgotPasswordRequest } from '../../config/nodemailer.js';
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcrypt';
@@ -11,15 +56,6 @@ import bcrypt from 'bcrypt';
 const prisma = new PrismaClient();
 
 // --- CONSTANTES ---
-const STATUS_CODES = {
-  RECEIVED: 'RECIBIDO',
-  DIAGNOSED: 'DIAGNOSTICADO',
-  IN_PROGRESS: 'EN_PROGRESO',
-  COMPLETED: 'COMPLETADO',
-  DELIVERED: 'ENTREGADO',
-  PROFORMA_SENT: 'PROFORMA_ENVIADA'
-};
-
 const PROFORMA_STATUS = {
   GENERATED: 'generada',
   SENT: 'enviada',
@@ -54,30 +90,6 @@ const logError = (context, error, metadata = {}) => {
   });
 };
 
-/**
- * Busca un estado por su código con caché en memoria
- * @param {string} statusCode - Código del estado
- * @returns {Promise<object>} Estado encontrado
- */
-const statusCache = new Map();
-
-const getStatusByCode = async (statusCode) => {
-  if (statusCache.has(statusCode)) {
-    return statusCache.get(statusCode);
-  }
-
-  const status = await prisma.status.findUnique({ 
-    where: { Code: statusCode } 
-  });
-  
-  if (!status) {
-    throw new Error(`Estado "${statusCode}" no configurado en la base de datos.`);
-  }
-
-  statusCache.set(statusCode, status);
-  return status;
-};
-
 /**
  * Valida que los campos requeridos estén presentes
  * @param {object} data - Datos a validar
@@ -132,44 +144,13 @@ const asyncHandler = (fn) => {
       
       res.status(error.statusCode || 500).json({ 
         error: message,
+        ...(error.errorCode && { code: error.errorCode }),
         ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
       });
     }
   };
 };
 
-// --- FUNCIÓN AUXILIAR MEJORADA ---
-
-/**
- * Actualiza el estado de una orden y registra el cambio en el historial.
- * Usa transacciones para garantizar atomicidad.
- * 
- * @param {number} orderId - ID de la orden
- * @param {number} newStatusId - ID del nuevo estado
- * @param {string} notes - Notas sobre el cambio de estado
- * @param {number | null} userId - ID del usuario que realiza el cambio
- * @returns {Promise<object>} La orden actualizada
- */
-async function updateOrderStatusAndHistory(orderId, newStatusId, notes, userId = null) {
-  return await prisma.$transaction(async (tx) => {
-    const updatedOrder = await tx.serviceOrder.update({
-      where: { OrderId: orderId },
-      data: { CurrentStatusId: newStatusId },
-    });
-
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: orderId,
-        StatusId: newStatusId,
-        Notes: notes,
-        ChangedByUserId: userId,
-      },
-    });
-
-    return updatedOrder;
-  });
-}
-
 // --- ROL: RECEPCIONISTA ---
 
 /**
@@ -239,25 +220,32 @@ export const receptionistRegisterEquipment = asyncHandler(async (req, res) => {
 
 /**
  * Crea una orden de servicio con registro de entrada del equipo.
+ * Con el formulario de ingreso (`intake`) guarda estado físico, accesorios,
+ * fotos y firma, y envía al cliente el recibo de ingreso en PDF.
  * @route POST /api/receptionist/order
  */
 export const receptionistCreateOrder = asyncHandler(async (req, res) => {
-  const { clientId, equipmentId, notes, estimatedDeliveryDate, technicianId } = req.body;
+  const { clientId, equipmentId, notes, estimatedDeliveryDate, technicianId, intake } = req.body;
   const receptionistId = req.session.userId;
 
   validateRequiredFields(req.body, ['clientId', 'equipmentId']);
 
-  const receivedStatus = await getStatusByCode(STATUS_CODES.RECEIVED);
+  const receivedStatus = await getStatusByCode(ORDER_STATUS.RECEIVED);
+
+  // Los archivos se validan y guardan antes de abrir la transacción
+  const stored = intake
+    ? await storeIntakeFiles(await prepareIntake(intake, req.files), `intake/${toNumber(clientId, 'clientId')}`)
+    : null;
 
   // Usar transacción para garantizar atomicidad
-  const result = await prisma.$transaction(async (tx) => {
+  const createOrder = () => prisma.$transaction(async (tx) => {
     const order = await tx.serviceOrder.create({
       data: {
         ClientId: toNumber(clientId, 'clientId'),
         EquipmentId: toNumber(equipmentId, 'equipmentId'),
         ReceptionistId: receptionistId,
         TechnicianId: technicianId ? toNumber(technicianId, 'technicianId') : null,
-        IdentityTag: `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        IdentityTag: await allocateOrderTag(tx),
         CurrentStatusId: receivedStatus.StatusId,
         Notes: notes || '',
         EstimatedDeliveryDate: estimatedDeliveryDate ? new Date(estimatedDeliveryDate) : null,
@@ -268,76 +256,150 @@ export const receptionistCreateOrder = asyncHandler(async (req, res) => {
       data: {
         OrderId: order.OrderId,
         ReceivedByUserId: receptionistId,
-        Notes: `Equipo recibido para la orden ${order.IdentityTag}.`
+        Notes: `Equipo recibido para la orden ${order.IdentityTag}.`,
+        ...(stored ? buildIntakeEntryData(stored) : {})
       }
     });
 
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: order.OrderId,
-        StatusId: receivedStatus.StatusId,
-        Notes: 'Orden creada y equipo recibido.',
-        ChangedByUserId: receptionistId,
-      }
+    await recordInitialStatus(tx, {
+      orderId: order.OrderId,
+      userId: receptionistId,
+      notes: 'Orden creada y equipo recibido.',
+      clientMessage: `Recibimos su equipo. Puede seguir su orden ${order.IdentityTag} desde el portal.`
     });
 
+    if (order.TechnicianId) {
+      await createNotification({
+        type: NOTIFICATION_TYPES.ORDER,
+        title: `Orden ${order.IdentityTag} asignada`,
+        message: `Se le asignó la orden ${order.IdentityTag}.${notes ? ` Notas de recepción: ${notes}` : ''}`,
+        orderId: order.OrderId
+      }, { userIds: [order.TechnicianId] }, tx);
+    }
+
     return order;
   });
 
+  let result;
+  try {
+    try {
+      result = await createOrder();
+    } catch (error) {
+      // P2002: otra orden creó la secuencia del período al mismo tiempo
+      if (error.code !== 'P2002') throw error;
+      result = await createOrder();
+    }
+  } catch (error) {
+    await discardIntakeFiles(stored);
+    throw error;
+  }
+
+  emitOrderStatusChange(result, receivedStatus, { notes: 'Orden creada y equipo recibido.', userId: receptionistId });
+
+  // La orden ya existe: si el recibo falla se puede reenviar desde la orden
+  const receipt = stored ? await deliverIntakeReceipt(result.OrderId) : null;
+
   res.status(201).json({ 
     success: true,
     message: 'Orden y entrada de equipo registradas con éxito.', 
-    data: { order: result } 
+    data: { order: result, receipt } 
+  });
+});
+
+/**
+ * Envía al cliente el código de un solo uso para retirar su equipo.
+ * @route POST /api/receptionist/pickup-code
+ */
+export const receptionistRequestPickupCode = asyncHandler(async (req, res) => {
+  const orderIdNum = toNumber(req.body.orderId, 'orderId');
+  const result = await issuePickupCode(orderIdNum, actorFromAuth(req.auth));
+
+  res.json({
+    success: true,
+    message: `Código de retiro enviado a ${result.sentTo}.`,
+    data: result
   });
 });
 
 /**
  * Registra la salida de un equipo y actualiza el estado a entregado.
+ * Verifica el código de retiro (o la identificación del titular), guarda la
+ * firma de quien retira y envía al cliente el acta de entrega.
  * @route POST /api/receptionist/equipment-exit
  */
 export const receptionistRegisterEquipmentExit = asyncHandler(async (req, res) => {
-  const { orderId, notes, receivedByClientName } = req.body;
-  const userId = req.session.userId;
+  const { orderId, notes, receivedByClientName, receivedByIdNumber, pickupCode, signature } = req.body;
+  const userId = req.auth?.userId;
 
-  validateRequiredFields(req.body, ['orderId', 'receivedByClientName']);
+  validateRequiredFields(req.body, ['orderId', 'receivedByClientName', 'receivedByIdNumber', 'signature']);
 
-  const deliveredStatus = await getStatusByCode(STATUS_CODES.DELIVERED);
   const orderIdNum = toNumber(orderId, 'orderId');
+  const actor = actorFromAuth(req.auth);
+
+  // Solo se entregan órdenes terminadas (o con la proforma rechazada)
+  const { order: current } = await assertOrderTransition(orderIdNum, ORDER_STATUS.DELIVERED, actor);
+
+  // No se entrega un equipo con saldo pendiente sin autorización de un administrador
+  const payment = await getOrderPaymentStatus(orderIdNum);
+  if (!payment.settled && !payment.releaseAuthorized) {
+    const error = new Error(
+      `La orden tiene un saldo pendiente de $${payment.amountDue.toFixed(2)}` +
+      (payment.invoiceNumber ? ` (factura ${payment.invoiceNumber})` : ' (sin facturar)') +
+      '. Registre el pago o solicite la autorización de un administrador.'
+    );
+    error.statusCode = 409;
+    throw error;
+  }
 
-  const result = await prisma.$transaction(async (tx) => {
-    const order = await tx.serviceOrder.update({
-      where: { OrderId: orderIdNum },
-      data: { CurrentStatusId: deliveredStatus.StatusId },
-    });
+  const verification = await verifyPickup(orderIdNum, { pickupCode, receivedByIdNumber });
+  const stored = await storeDeliverySignature(signature, current.ClientId);
+
+  let result;
+  let deliveredStatus;
+  try {
+    ({ order: result, toStatus: deliveredStatus } = await prisma.$transaction(async (tx) => {
+      await consumePickupCode(tx, orderIdNum, verification);
+
+      await tx.equipmentExit.create({
+        data: {
+          OrderId: orderIdNum,
+          DeliveredByUserId: userId,
+          ReceivedByClientName: receivedByClientName,
+          ReceivedByIdNumber: receivedByIdNumber,
+          PickupVerification: verification.method,
+          StorageProvider: stored.provider,
+          SignatureKey: stored.signatureKey,
+          Notes: notes ? `${notes}` : `Equipo entregado para la orden ${current.IdentityTag}.`
+        }
+      });
 
-    await tx.equipmentExit.create({
-      data: {
-        OrderId: order.OrderId,
-        DeliveredByUserId: userId,
-        ReceivedByClientName: receivedByClientName,
-        Notes: notes ? `${notes}` : `Equipo entregado para la orden ${order.IdentityTag}.`
-      }
-    });
+      return transitionOrderStatus(tx, {
+        orderId: orderIdNum,
+        to: ORDER_STATUS.DELIVERED,
+        actor,
+        notes: payment.settled
+          ? 'Equipo entregado al cliente.'
+          : `Equipo entregado con saldo pendiente de $${payment.amountDue.toFixed(2)} (autorizado por administración).`,
+        clientMessage: `Su equipo de la orden ${current.IdentityTag} fue entregado a ${receivedByClientName}.`
+      });
+    }));
+  } catch (error) {
+    await discardDeliverySignature(stored);
+    throw error;
+  }
 
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: order.OrderId,
-        StatusId: deliveredStatus.StatusId,
-        Notes: 'Equipo entregado al cliente.',
-        ChangedByUserId: userId,
-      }
-    });
+  emitOrderStatusChange(result, deliveredStatus, { notes: 'Equipo entregado al cliente.', userId });
 
-    return order;
-  });
+  // Acta de entrega al correo del cliente; si falla se puede reenviar desde la orden
+  const receipt = await sendDeliveryNotification(result.OrderId);
 
-  // TODO: Implementar envío de notificación al cliente
-  // await sendDeliveryNotification(result);
+  // Encuesta de satisfacción de la orden entregada
+  sendOrderSurvey(result.OrderId).catch(err => logError('sendOrderSurvey', err));
 
   res.json({ 
     success: true,
     message: 'Salida de equipo registrada y orden actualizada.', 
-    data: { order: result } 
+    data: { order: result, receipt } 
   });
 });
 
@@ -394,31 +456,30 @@ export const techListAssignedOrders = asyncHandler(async (req, res) => {
  */
 export const techSetDiagnosis = asyncHandler(async (req, res) => {
   const { orderId, diagnosis } = req.body;
-  const userId = req.session.userId;
+  const userId = req.auth?.userId;
 
   validateRequiredFields(req.body, ['orderId', 'diagnosis']);
 
-  const diagnosisStatus = await getStatusByCode(STATUS_CODES.DIAGNOSED);
   const orderIdNum = toNumber(orderId, 'orderId');
 
-  const result = await prisma.$transaction(async (tx) => {
-    await tx.serviceOrder.update({
-      where: { OrderId: orderIdNum },
+  const { order: result, toStatus: diagnosisStatus } = await prisma.$transaction((tx) =>
+    transitionOrderStatus(tx, {
+      orderId: orderIdNum,
+      to: ORDER_STATUS.DIAGNOSED,
+      actor: actorFromAuth(req.auth),
+      notes: 'Diagnóstico técnico completado.',
       data: { Diagnosis: diagnosis }
-    });
-    
-    return await tx.serviceOrder.update({
-      where: { OrderId: orderIdNum },
-      data: { CurrentStatusId: diagnosisStatus.StatusId },
-    });
+    })
+  );
+
+  await notifyRoles([SYSTEM_ROLES.SALES], {
+    type: NOTIFICATION_TYPES.ORDER,
+    title: `Diagnóstico listo: orden ${result.IdentityTag}`,
+    message: 'El técnico completó el diagnóstico. La orden está lista para cotizar repuestos y enviar la proforma.',
+    orderId: orderIdNum
   });
 
-  await updateOrderStatusAndHistory(
-    orderIdNum, 
-    diagnosisStatus.StatusId, 
-    'Diagnóstico técnico completado.', 
-    userId
-  );
+  emitOrderStatusChange(result, diagnosisStatus, { notes: 'Diagnóstico técnico completado.', userId });
 
   res.json({ 
     success: true,
@@ -433,33 +494,24 @@ export const techSetDiagnosis = asyncHandler(async (req, res) => {
  */
 export const techStartService = asyncHandler(async (req, res) => {
   const { orderId } = req.body;
-  const userId = req.session.userId;
+  const userId = req.auth?.userId;
 
   validateRequiredFields(req.body, ['orderId']);
 
-  const inProgressStatus = await getStatusByCode(STATUS_CODES.IN_PROGRESS);
   const orderIdNum = toNumber(orderId, 'orderId');
 
-  const result = await prisma.$transaction(async (tx) => {
-    const order = await tx.serviceOrder.update({
-      where: { OrderId: orderIdNum },
-      data: { 
-        ServiceStartDate: new Date(),
-        CurrentStatusId: inProgressStatus.StatusId 
-      }
-    });
-
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: orderIdNum,
-        StatusId: inProgressStatus.StatusId,
-        Notes: 'El servicio técnico ha comenzado.',
-        ChangedByUserId: userId,
-      }
-    });
+  const { order: result, toStatus: inProgressStatus } = await prisma.$transaction((tx) =>
+    transitionOrderStatus(tx, {
+      orderId: orderIdNum,
+      to: ORDER_STATUS.IN_PROGRESS,
+      actor: actorFromAuth(req.auth),
+      notes: 'El servicio técnico ha comenzado.',
+      clientMessage: 'El servicio técnico de su equipo ha comenzado.',
+      data: { ServiceStartDate: new Date() }
+    })
+  );
 
-    return order;
-  });
+  emitOrderStatusChange(result, inProgressStatus, { notes: 'El servicio técnico ha comenzado.', userId });
 
   res.json({ 
     success: true,
@@ -474,35 +526,42 @@ export const techStartService = asyncHandler(async (req, res) => {
  */
 export const techEndService = asyncHandler(async (req, res) => {
   const { orderId, finalNotes } = req.body;
-  const userId = req.session.userId;
+  const userId = req.auth?.userId;
 
   validateRequiredFields(req.body, ['orderId']);
 
-  const completedStatus = await getStatusByCode(STATUS_CODES.COMPLETED);
   const orderIdNum = toNumber(orderId, 'orderId');
 
-  const result = await prisma.$transaction(async (tx) => {
-    const order = await tx.serviceOrder.update({
-      where: { OrderId: orderIdNum },
+  const { order: result, toStatus: completedStatus } = await prisma.$transaction(async (tx) => {
+    // Se valida antes de tocar el inventario
+    const transition = await transitionOrderStatus(tx, {
+      orderId: orderIdNum,
+      to: ORDER_STATUS.COMPLETED,
+      actor: actorFromAuth(req.auth),
+      notes: 'Servicio técnico finalizado.',
+      clientMessage: 'El servicio técnico de su equipo ha finalizado.',
       data: {
         ServiceEndDate: new Date(),
-        Notes: finalNotes || '',
-        CurrentStatusId: completedStatus.StatusId
+        Notes: finalNotes || ''
       }
     });
+    const { order } = transition;
 
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: orderIdNum,
-        StatusId: completedStatus.StatusId,
-        Notes: 'Servicio técnico finalizado.',
-        ChangedByUserId: userId,
-      }
-    });
+    // Los repuestos reservados al aprobar la proforma salen del inventario
+    await consumeOrderReservations(tx, orderIdNum, { userId });
 
-    return order;
+    await notifyRoles([SYSTEM_ROLES.RECEPTIONIST], {
+      type: NOTIFICATION_TYPES.ORDER,
+      title: `Orden ${order.IdentityTag} lista para retiro`,
+      message: 'El servicio técnico finalizó. El equipo está listo para entregarse al cliente.',
+      orderId: orderIdNum
+    }, tx);
+
+    return transition;
   });
 
+  emitOrderStatusChange(result, completedStatus, { notes: 'Servicio técnico finalizado.', userId });
+
   res.json({ 
     success: true,
     message: 'Servicio finalizado.', 
@@ -576,27 +635,100 @@ export const salesListOrders = asyncHandler(async (req, res) => {
 
 /**
  * Genera proforma agregando repuestos y precio.
+ * Con `lines` la proforma se detalla por ítems (precios sin IVA) y el total
+ * se calcula con las tarifas vigentes; sin ellos se mantiene el formato
+ * anterior de descripción libre y precio total con IVA.
  * @route POST /api/sales/generate-proforma
  */
 export const salesAddPartsAndPrice = asyncHandler(async (req, res) => {
-  const { orderId, parts, totalPrice } = req.body;
+  const { orderId, parts, totalPrice, taxCode, lines } = req.body;
+
+  const orderIdNum = toNumber(orderId, 'orderId');
+
+  // Solo se cotiza una orden diagnosticada o con la proforma rechazada: en otro
+  // estado se liberarían reservas y se borrarían ítems de un trabajo ya aprobado
+  await assertOrderTransition(orderIdNum, ORDER_STATUS.PROFORMA_SENT, actorFromAuth(req.auth));
+
+  if (Array.isArray(lines) && lines.length > 0) {
+    // No se cotizan repuestos del inventario sin stock disponible
+    const parts = await assertPartsAvailable(lines);
+
+    // Valida las tarifas de cada ítem y calcula los totales
+    const totals = await calculateTotals(lines, { pricesIncludeTax: false });
+
+    const order = await prisma.$transaction(async (tx) => {
+      // La proforma vuelve a generada: lo reservado por una aprobación previa se libera
+      await releaseOrderReservations(tx, orderIdNum, {
+        userId: req.auth?.userId,
+        notes: 'Proforma modificada'
+      });
+      await tx.orderLine.deleteMany({ where: { OrderId: orderIdNum } });
+
+      await tx.orderLine.createMany({
+        data: lines.map((line, index) => ({
+          OrderId: orderIdNum,
+          LineType: line.type,
+          Code: line.code || parts.get(line.partId)?.Sku || null,
+          Description: line.description,
+          Quantity: line.quantity,
+          UnitPrice: line.unitPrice,
+          Discount: line.discount || 0,
+          TaxCode: line.taxCode || null,
+          PartId: line.partId || null,
+          SortOrder: index
+        }))
+      });
+
+      return tx.serviceOrder.update({
+        where: { OrderId: orderIdNum },
+        data: {
+          // Resumen legible para las vistas que aún muestran Parts
+          Parts: lines.map((line) => `${line.quantity} x ${line.description}`).join('; '),
+          TotalPrice: totals.total,
+          TaxCode: null,
+          ProformaStatus: PROFORMA_STATUS.GENERATED,
+        },
+        include: { lines: { orderBy: { SortOrder: 'asc' } } }
+      });
+    });
+
+    return res.json({ 
+      success: true,
+      message: 'Proforma generada con ítems detallados.', 
+      data: { order, totals } 
+    });
+  }
 
   validateRequiredFields(req.body, ['orderId', 'parts', 'totalPrice']);
 
-  const orderIdNum = toNumber(orderId, 'orderId');
   const price = parseFloat(totalPrice);
 
   if (isNaN(price) || price < 0) {
     throw new Error('El precio total debe ser un número positivo');
   }
 
-  const order = await prisma.serviceOrder.update({
-    where: { OrderId: orderIdNum },
-    data: {
-      Parts: parts,
-      TotalPrice: price,
-      ProformaStatus: PROFORMA_STATUS.GENERATED,
-    }
+  // Verifica que la tarifa indicada exista y esté vigente (sin código: predeterminada)
+  if (taxCode) {
+    await resolveTaxRate(taxCode);
+  }
+
+  const order = await prisma.$transaction(async (tx) => {
+    // Los ítems anteriores dejarían de coincidir con el precio total
+    await releaseOrderReservations(tx, orderIdNum, {
+      userId: req.auth?.userId,
+      notes: 'Proforma modificada'
+    });
+    await tx.orderLine.deleteMany({ where: { OrderId: orderIdNum } });
+
+    return tx.serviceOrder.update({
+      where: { OrderId: orderIdNum },
+      data: {
+        Parts: parts,
+        TotalPrice: price,
+        TaxCode: taxCode || null,
+        ProformaStatus: PROFORMA_STATUS.GENERATED,
+      }
+    });
   });
 
   res.json({ 
@@ -612,7 +744,8 @@ export const salesAddPartsAndPrice = asyncHandler(async (req, res) => {
  */
 export const salesSendProforma = asyncHandler(async (req, res) => {
   const { orderId } = req.body;
-  const userId = req.session.userId;
+  const userId = req.auth?.userId;
+  const actor = actorFromAuth(req.auth);
 
   validateRequiredFields(req.body, ['orderId']);
 
@@ -627,7 +760,8 @@ export const salesSendProforma = asyncHandler(async (req, res) => {
           DisplayName: true,
           Email: true
         }
-      } 
+      },
+      lines: true
     }
   });
 
@@ -649,39 +783,49 @@ export const salesSendProforma = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Enviar correo con la proforma
+  // El correo no se puede deshacer: validar la transición antes de enviarlo
+  await assertOrderTransition(order.OrderId, ORDER_STATUS.PROFORMA_SENT, actor);
+
+  // Enviar correo con la proforma (detallada si la orden tiene ítems)
+  const totals = order.lines.length > 0 ? await calculateOrderTotals(order) : null;
+
   await sendProformaToClient(
     order.OrderId,
     order.client.Email,
     order.client.DisplayName,
     order.IdentityTag,
     order.Parts,
-    order.TotalPrice // Float ya es número, no necesita toNumber()
+    order.TotalPrice, // Float ya es número, no necesita toNumber()
+    totals
   );
 
   // Actualizar estado en transacción
-  const proformaSentStatus = await getStatusByCode(STATUS_CODES.PROFORMA_SENT);
-
-  await prisma.$transaction(async (tx) => {
-    await tx.serviceOrder.update({
-      where: { OrderId: order.OrderId },
+  const proformaSentStatus = await prisma.$transaction(async (tx) => {
+    const { toStatus } = await transitionOrderStatus(tx, {
+      orderId: order.OrderId,
+      to: ORDER_STATUS.PROFORMA_SENT,
+      actor,
+      notes: 'Proforma enviada al cliente para aprobación.',
+      clientMessage: false, // El aviso de la proforma va a continuación
       data: {
         ProformaStatus: PROFORMA_STATUS.SENT,
-        ProformaSentDate: new Date(),
-        CurrentStatusId: proformaSentStatus.StatusId
+        ProformaSentDate: new Date()
       }
     });
 
-    await tx.orderStatusHistory.create({
-      data: {
-        OrderId: order.OrderId,
-        StatusId: proformaSentStatus.StatusId,
-        Notes: 'Proforma enviada al cliente para aprobación.',
-        ChangedByUserId: userId,
-      }
-    });
+    await createNotification({
+      type: NOTIFICATION_TYPES.PROFORMA,
+      title: `Proforma de la orden ${order.IdentityTag}`,
+      message: 'Su proforma está lista. Revísela y apruébela o recházela para continuar con el servicio.',
+      priority: NOTIFICATION_PRIORITY.HIGH,
+      orderId: order.OrderId
+    }, { clientIds: [order.client.ClientId] }, tx);
+
+    return toStatus;
   });
 
+  emitOrderStatusChange(order, proformaSentStatus, { notes: 'Proforma enviada al cliente para aprobación.', userId });
+
   res.json({ 
     success: true,
     message: 'Proforma enviada al cliente con éxito.' 
@@ -819,6 +963,13 @@ export const employeeForgotPassword = asyncHandler(async (req, res) => {
   if (user) {
     const adminMail = process.env.IT_ADMIN_EMAIL || 'it-admin@ecuatechnology.com';
     await sendForgotPasswordRequest(adminMail, user.Username, user.Email);
+
+    await notifyRoles([SYSTEM_ROLES.ADMIN], {
+      type: NOTIFICATION_TYPES.ACCOUNT,
+      title: 'Solicitud de restablecimiento de contraseña',
+      message: `El usuario ${user.Username}${user.Email ? ` (${user.Email})` : ''} solicitó restablecer su contraseña. Verifique su identidad antes de proceder.`,
+      priority: NOTIFICATION_PRIORITY.HIGH
+    });
   }
 
   res.json({ 
@@ -827,6 +978,91 @@ export const employeeForgotPassword = asyncHandler(async (req, res) => {
   });
 });
 
+// --- BÚSQUEDA ---
+
+/**
+ * Búsqueda de órdenes por código, cliente, equipo, diagnóstico o estado.
+ * @route GET /api/employee/search/orders?search=&status=&clientId=&sort=&page=&limit=
+ */
+export const employeeSearchOrders = asyncHandler(async (req, res) => {
+  const { results, pagination, sort, truncated } = await searchOrders(req.query);
+
+  res.json({
+    success: true,
+    message: 'Búsqueda de órdenes',
+    data: {
+      results,
+      filters: { ...req.query, sort },
+      totalCount: pagination.total,
+      pagination,
+      truncated,
+      searchBy: req.auth.username
+    }
+  });
+});
+
+// --- NOTIFICACIONES ---
+
+/**
+ * Lista las notificaciones del empleado autenticado.
+ * @route GET /api/employee/notifications?page=&limit=&unreadOnly=
+ */
+export const employeeListNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, unreadOnly } = req.query;
+
+  const result = await listNotifications({ userId: req.auth.userId }, {
+    page,
+    limit,
+    unreadOnly: unreadOnly === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Cantidad de notificaciones sin leer del empleado.
+ * @route GET /api/employee/notifications/unread-count
+ */
+export const employeeUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const unreadCount = await countUnread({ userId: req.auth.userId });
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+});
+
+/**
+ * Marca una notificación como leída.
+ * @route POST /api/employee/notifications/mark-read
+ */
+export const employeeMarkNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await markAsRead({ userId: req.auth.userId }, req.body.notificationId);
+
+  res.json({
+    success: true,
+    message: 'Notificación marcada como leída',
+    data: { notification }
+  });
+});
+
+/**
+ * Marca todas las notificaciones del empleado como leídas.
+ * @route POST /api/employee/notifications/mark-all-read
+ */
+export const employeeMarkAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await markAllAsRead({ userId: req.auth.userId });
+
+  res.json({
+    success: true,
+    message: 'Notificaciones marcadas como leídas',
+    data: { updated }
+  });
+});
+
 /**
  * Cierra la sesión del usuario.
  * @route POST /api/auth/logout
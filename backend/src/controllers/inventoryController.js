@@ -0,0 +1,251 @@
+// src/controllers/inventoryController.js - Inventario de repuestos
+import {
+  listParts,
+  getPartById,
+  createPart,
+  updatePart,
+  listLocations,
+  createLocation,
+  updateLocation,
+  receiveStock,
+  adjustStock,
+  listMovements,
+  getLowStockReport,
+  getAvailability
+} from '../services/inventoryService.js';
+import logger from '../../config/logger.js';
+
+// === UTILIDADES ===
+
+const asyncHandler = (fn) => {
+  return async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (error) {
+      logger.error(`Error en ${fn.name}`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.auth?.userId,
+        path: req.path
+      });
+
+      const message = process.env.NODE_ENV === 'production'
+        ? 'Error interno del servidor'
+        : error.message;
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: message
+      });
+    }
+  };
+};
+
+const optionalId = (value) => (value ? Number(value) : undefined);
+
+// === CATÁLOGO DE REPUESTOS ===
+
+/**
+ * Listar repuestos con existencia total
+ * GET /api/inventory/parts?search=&activeOnly=true
+ */
+export const listPartsHandler = asyncHandler(async (req, res) => {
+  const { search, activeOnly } = req.query;
+
+  const parts = await listParts({
+    search: search || undefined,
+    activeOnly: activeOnly === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: { parts, total: parts.length }
+  });
+});
+
+/**
+ * Detalle de un repuesto con existencia por ubicación
+ * GET /api/inventory/parts/:partId
+ */
+export const getPartHandler = asyncHandler(async (req, res) => {
+  const part = await getPartById(Number(req.params.partId));
+
+  res.json({
+    success: true,
+    data: { part }
+  });
+});
+
+/**
+ * Disponibilidad de un repuesto (existencia - reservado)
+ * GET /api/inventory/parts/:partId/availability
+ */
+export const getPartAvailabilityHandler = asyncHandler(async (req, res) => {
+  const availability = await getAvailability(Number(req.params.partId));
+
+  res.json({
+    success: true,
+    data: { availability }
+  });
+});
+
+/**
+ * Crear repuesto en el catálogo
+ * POST /api/inventory/parts/create
+ */
+export const createPartHandler = asyncHandler(async (req, res) => {
+  const part = await createPart(req.body);
+
+  logger.info('Repuesto creado', { partId: part.PartId, sku: part.Sku, userId: req.auth.userId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Repuesto creado exitosamente',
+    data: { part }
+  });
+});
+
+/**
+ * Actualizar repuesto
+ * PUT /api/inventory/parts/update
+ */
+export const updatePartHandler = asyncHandler(async (req, res) => {
+  const { partId, ...changes } = req.body;
+  const part = await updatePart(partId, changes);
+
+  logger.info('Repuesto actualizado', { partId, changes: Object.keys(changes), userId: req.auth.userId });
+
+  res.json({
+    success: true,
+    message: 'Repuesto actualizado exitosamente',
+    data: { part }
+  });
+});
+
+// === UBICACIONES ===
+
+/**
+ * Listar ubicaciones de bodega
+ * GET /api/inventory/locations
+ */
+export const listLocationsHandler = asyncHandler(async (req, res) => {
+  const locations = await listLocations();
+
+  res.json({
+    success: true,
+    data: { locations, total: locations.length }
+  });
+});
+
+/**
+ * Crear ubicación
+ * POST /api/inventory/locations/create
+ */
+export const createLocationHandler = asyncHandler(async (req, res) => {
+  const location = await createLocation(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Ubicación creada exitosamente',
+    data: { location }
+  });
+});
+
+/**
+ * Actualizar ubicación
+ * PUT /api/inventory/locations/update
+ */
+export const updateLocationHandler = asyncHandler(async (req, res) => {
+  const { locationId, ...changes } = req.body;
+  const location = await updateLocation(locationId, changes);
+
+  res.json({
+    success: true,
+    message: 'Ubicación actualizada exitosamente',
+    data: { location }
+  });
+});
+
+// === MOVIMIENTOS ===
+
+/**
+ * Registrar ingreso de mercadería
+ * POST /api/inventory/stock/receive
+ */
+export const receiveStockHandler = asyncHandler(async (req, res) => {
+  const stock = await receiveStock({ ...req.body, userId: req.auth.userId });
+
+  logger.info('Ingreso de inventario', {
+    partId: req.body.partId,
+    locationId: req.body.locationId,
+    quantity: req.body.quantity,
+    userId: req.auth.userId
+  });
+
+  res.json({
+    success: true,
+    message: 'Ingreso registrado exitosamente',
+    data: { stock }
+  });
+});
+
+/**
+ * Ajustar existencia (conteo físico, daño, pérdida)
+ * POST /api/inventory/stock/adjust
+ */
+export const adjustStockHandler = asyncHandler(async (req, res) => {
+  const stock = await adjustStock({ ...req.body, userId: req.auth.userId });
+
+  logger.warn('Ajuste de inventario', {
+    partId: req.body.partId,
+    locationId: req.body.locationId,
+    quantity: req.body.quantity,
+    notes: req.body.notes,
+    userId: req.auth.userId
+  });
+
+  res.json({
+    success: true,
+    message: 'Ajuste registrado exitosamente',
+    data: { stock }
+  });
+});
+
+/**
+ * Historial de movimientos
+ * GET /api/inventory/movements?partId=&orderId=&locationId=&limit=
+ */
+export const listMovementsHandler = asyncHandler(async (req, res) => {
+  const { partId, orderId, locationId, limit } = req.query;
+
+  const movements = await listMovements({
+    partId: optionalId(partId),
+    orderId: optionalId(orderId),
+    locationId: optionalId(locationId),
+    limit: Math.min(Number(limit) || 100, 500)
+  });
+
+  res.json({
+    success: true,
+    data: { movements, total: movements.length }
+  });
+});
+
+// === REPORTES ===
+
+/**
+ * Repuestos con disponibilidad en o bajo el stock mínimo
+ * GET /api/inventory/reports/low-stock
+ */
+export const lowStockReportHandler = asyncHandler(async (req, res) => {
+  const parts = await getLowStockReport();
+
+  res.json({
+    success: true,
+    data: {
+      parts,
+      total: parts.length,
+      generatedAt: new Date().toISOString()
+    }
+  });
+});
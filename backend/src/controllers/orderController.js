@@ -4,8 +4,39 @@ import { PrismaClient } from '@prisma/client';
 import { 
   generateInvoicePDF, 
   generateElectronicInvoiceXML,
+  generateCreditNotePDF,
+  generateCreditNoteXML,
+  validarClaveAcceso,
   sendInvoiceEmail 
 } from '../services/invoiceService.js';
+import {
+  submitInvoiceToSri,
+  submitCreditNoteToSri,
+  retryPendingInvoices,
+  SRI_STATUS
+} from '../services/sriService.js';
+import {
+  getCreditedByLine,
+  calculateCreditNoteTotals,
+  CREDIT_NOTE_TYPES
+} from '../services/creditNoteService.js';
+import { signComprobanteXML, getCertificateStatus } from '../services/signatureService.js';
+import { calculateOrderTotals } from '../services/taxService.js';
+import { registerPayment, listInvoicePayments, PAYMENT_METHODS } from '../services/paymentService.js';
+import { allocateSequence, DOCUMENT_TYPES } from '../services/sequenceService.js';
+import { generateOrderLabelPDF } from '../services/orderLabelService.js';
+import { getIntakeReceipt, sendIntakeReceipt, openIntakePhoto } from '../services/intakeService.js';
+import { getDeliveryReceipt, sendDeliveryReceipt } from '../services/deliveryService.js';
+import { createNotification, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import { emitOrderStatusChange } from '../services/realtimeService.js';
+import {
+  ORDER_STATUS,
+  actorFromAuth,
+  assertOrderTransition,
+  transitionOrderStatus,
+  addOrderStatusNote,
+  getAllowedTransitions
+} from '../services/orderStatusService.js';
 import logger from '../../config/logger.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -14,22 +45,26 @@ const prisma = new PrismaClient();
 
 // === CONSTANTES ===
 const INVOICE_STATUS = {
-  PENDING: 'pendiente',
-  GENERATED: 'generada',
+  ISSUED: 'emitida',
   SENT: 'enviada',
-  APPROVED: 'aprobada',
-  REJECTED: 'rechazada'
+  PAID: 'pagada',
+  VOIDED: 'anulada'
 };
 
-const ORDER_STATUS_CODES = {
-  RECEIVED: 'RECIBIDO',
-  DIAGNOSED: 'DIAGNOSTICADO',
-  PROFORMA_SENT: 'PROFORMA_ENVIADA',
-  PROFORMA_APPROVED: 'PROFORMA_APROBADA',
-  IN_PROGRESS: 'EN_PROGRESO',
-  COMPLETED: 'COMPLETADO',
-  INVOICED: 'FACTURADO',
-  DELIVERED: 'ENTREGADO'
+/**
+ * Transiciones permitidas del ciclo de vida de una factura
+ * (una factura anulada o pagada ya no puede cambiar de estado)
+ */
+const INVOICE_TRANSITIONS = {
+  [INVOICE_STATUS.ISSUED]: [INVOICE_STATUS.SENT, INVOICE_STATUS.PAID, INVOICE_STATUS.VOIDED],
+  [INVOICE_STATUS.SENT]: [INVOICE_STATUS.PAID, INVOICE_STATUS.VOIDED],
+  [INVOICE_STATUS.PAID]: [],
+  [INVOICE_STATUS.VOIDED]: []
+};
+
+const DELIVERY_STATUS = {
+  SENT: 'enviado',
+  FAILED: 'fallido'
 };
 
 const ERROR_MESSAGES = {
@@ -38,7 +73,16 @@ const ERROR_MESSAGES = {
   INVOICE_ALREADY_GENERATED: 'La factura ya fue generada para esta orden',
   ORDER_NOT_COMPLETED: 'La orden debe estar completada antes de facturar',
   PROFORMA_NOT_APPROVED: 'La proforma debe estar aprobada antes de facturar',
-  INVOICE_NOT_FOUND: 'Factura no encontrada'
+  INVOICE_NOT_FOUND: 'Factura no encontrada',
+  INVOICE_VOIDED: 'La factura está anulada',
+  INVOICE_AUTHORIZED: 'La factura ya fue autorizada por el SRI; debe revertirse con una nota de crédito',
+  INVOICE_SRI_PROCESSING: 'El SRI ya recibió la factura y la está procesando; espere su respuesta antes de anularla (si la autoriza, debe revertirse con una nota de crédito)',
+  INVOICE_NOT_AUTHORIZED: 'Solo se emiten notas de crédito sobre facturas autorizadas por el SRI; una factura no autorizada se anula directamente',
+  CREDIT_NOTE_NOT_FOUND: 'Nota de crédito no encontrada',
+  INVOICE_HAS_PAYMENTS: 'La factura tiene pagos registrados; anúlelos o registre su devolución antes de emitir una nota de crédito total',
+  VOID_HAS_PAYMENTS: 'La factura tiene pagos registrados; anúlelos antes de anular la factura',
+  INVOICE_EMAIL_FAILED: 'No se pudo enviar la factura por correo',
+  INVALID_INVOICE_TRANSITION: 'La factura no puede pasar del estado actual al solicitado'
 };
 
 // === UTILIDADES ===
@@ -61,7 +105,8 @@ const asyncHandler = (fn) => {
       
       res.status(error.statusCode || 500).json({ 
         success: false,
-        error: message 
+        error: message,
+        ...(error.errorCode && { code: error.errorCode })
       });
     }
   };
@@ -85,24 +130,163 @@ const canAccessOrder = (order, req) => {
 };
 
 /**
- * Genera número de factura secuencial
+ * Devuelve la factura vigente (no anulada) de una orden, si existe
  */
-const generateInvoiceNumber = async () => {
-  // Obtener el último número de factura
-  const lastInvoice = await prisma.invoice.findFirst({
-    orderBy: { InvoiceNumber: 'desc' },
-    select: { InvoiceNumber: true }
-  });
+const findActiveInvoice = (order) => {
+  return order.invoices?.find(invoice => invoice.Status !== INVOICE_STATUS.VOIDED) || null;
+};
+
+/**
+ * Verifica que la factura pueda pasar al nuevo estado
+ * @throws {Error} 409 si la transición no está permitida
+ */
+const assertInvoiceTransition = (invoice, nextStatus) => {
+  const allowed = INVOICE_TRANSITIONS[invoice.Status] || [];
+
+  if (!allowed.includes(nextStatus)) {
+    const error = new Error(
+      invoice.Status === INVOICE_STATUS.VOIDED
+        ? ERROR_MESSAGES.INVOICE_VOIDED
+        : `${ERROR_MESSAGES.INVALID_INVOICE_TRANSITION} (${invoice.Status} → ${nextStatus})`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Guarda un archivo del comprobante en storage y anota su ruta en `written`
+ * @returns {Promise<string>} Ruta absoluta del archivo
+ */
+const storeDocumentFile = async (written, dir, filename, content) => {
+  const fullDir = path.join(process.cwd(), 'storage', ...dir);
+  await fs.mkdir(fullDir, { recursive: true });
+  const filePath = path.join(fullDir, filename);
+  await fs.writeFile(filePath, content);
+  written.push(filePath);
+  return filePath;
+};
 
-  if (!lastInvoice) {
-    return '001-001-000000001'; // Primer número
+/**
+ * Ejecuta la transacción que registra un comprobante. Si no llega a
+ * confirmarse, borra los archivos que alcanzó a escribir para que no
+ * queden en storage sin registro que los referencie.
+ */
+const withDocumentFiles = async (createDocument) => {
+  const written = [];
+  try {
+    return await createDocument(written);
+  } catch (error) {
+    await Promise.all(written.map(filePath => fs.unlink(filePath).catch(() => {})));
+    throw error;
+  }
+};
+
+/**
+ * Verifica que el SRI no tenga la factura: una autorizada se revierte con
+ * nota de crédito, y una recibida aún puede autorizarse. Anularla entonces
+ * la sacaría del reintento y la autorización nunca se registraría.
+ * @throws {Error} 409
+ */
+const assertInvoiceVoidable = (invoice) => {
+  const message = {
+    [SRI_STATUS.AUTHORIZED]: ERROR_MESSAGES.INVOICE_AUTHORIZED,
+    [SRI_STATUS.RECEIVED]: ERROR_MESSAGES.INVOICE_SRI_PROCESSING
+  }[invoice.SriStatus];
+
+  if (message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Include común para el detalle de una factura
+ */
+const invoiceDetailInclude = {
+  order: {
+    include: {
+      client: {
+        select: {
+          ClientId: true,
+          DisplayName: true,
+          IdNumber: true,
+          Email: true
+        }
+      },
+      status: true
+    }
+  },
+  issuedBy: {
+    select: {
+      UserId: true,
+      Username: true
+    }
+  },
+  voidedBy: {
+    select: {
+      UserId: true,
+      Username: true
+    }
+  },
+  lines: {
+    orderBy: { SortOrder: 'asc' }
+  },
+  creditNotes: {
+    select: {
+      CreditNoteId: true,
+      CreditNoteNumber: true,
+      IssueDate: true,
+      Type: true,
+      Reason: true,
+      TotalAmount: true,
+      SriStatus: true
+    },
+    orderBy: { IssueDate: 'asc' }
+  },
+  deliveries: {
+    include: {
+      sentBy: {
+        select: {
+          UserId: true,
+          Username: true
+        }
+      }
+    },
+    orderBy: { CreatedAt: 'desc' }
   }
+};
 
-  // Extraer y incrementar
-  const parts = lastInvoice.InvoiceNumber.split('-');
-  const sequence = parseInt(parts[2]) + 1;
-  
-  return `001-001-${sequence.toString().padStart(9, '0')}`;
+/**
+ * Include común para el detalle de una nota de crédito
+ */
+const creditNoteDetailInclude = {
+  invoice: {
+    select: {
+      InvoiceId: true,
+      InvoiceNumber: true,
+      IssueDate: true,
+      TotalAmount: true,
+      Status: true
+    }
+  },
+  order: {
+    select: {
+      OrderId: true,
+      IdentityTag: true,
+      ClientId: true
+    }
+  },
+  issuedBy: {
+    select: {
+      UserId: true,
+      Username: true
+    }
+  },
+  lines: {
+    orderBy: { SortOrder: 'asc' }
+  }
 };
 
 // ========================================
@@ -183,12 +367,14 @@ export const getAllOrders = asyncHandler(async (req, res) => {
             Code: true
           }
         },
-        invoice: {
+        invoices: {
+          where: { Status: { not: INVOICE_STATUS.VOIDED } },
           select: {
             InvoiceId: true,
             InvoiceNumber: true,
             IssueDate: true,
-            TotalAmount: true
+            TotalAmount: true,
+            Status: true
           }
         }
       },
@@ -247,8 +433,9 @@ export const getOrdersByClient = asyncHandler(async (req, res) => {
         },
         orderBy: { ChangedAt: 'desc' }
       },
-      // Incluir factura si existe
-      invoice: {
+      // Incluir facturas (vigente y anuladas)
+      invoices: {
+        orderBy: { IssueDate: 'desc' },
         select: {
           InvoiceId: true,
           InvoiceNumber: true,
@@ -323,6 +510,17 @@ export const getOrderById = asyncHandler(async (req, res) => {
             select: {
               Username: true
             }
+          },
+          // Solo los datos de las fotos; el archivo se descarga aparte
+          photos: {
+            select: {
+              PhotoId: true,
+              FileName: true,
+              FileSize: true,
+              MimeType: true,
+              UploadedAt: true
+            },
+            orderBy: { PhotoId: 'asc' }
           }
         }
       },
@@ -335,8 +533,14 @@ export const getOrderById = asyncHandler(async (req, res) => {
           }
         }
       },
-      // Factura si existe
-      invoice: true
+      // Ítems de la proforma
+      lines: {
+        orderBy: { SortOrder: 'asc' }
+      },
+      // Facturas (vigente y anuladas)
+      invoices: {
+        orderBy: { IssueDate: 'desc' }
+      }
     }
   });
 
@@ -431,6 +635,101 @@ export const getOrderTracking = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Estados a los que el empleado puede mover la orden
+ * 
+ * GET /api/orders/:id/transitions
+ * @auth Employee
+ */
+export const getOrderTransitions = asyncHandler(async (req, res) => {
+  const transitions = await getAllowedTransitions(Number(req.params.id), actorFromAuth(req.auth));
+
+  res.json({ 
+    success: true,
+    data: transitions
+  });
+});
+
+/**
+ * Buscar una orden por su código (lectura del QR o código de barras de la etiqueta)
+ * 
+ * GET /api/orders/by-tag/:tag
+ * @auth Employee
+ */
+export const getOrderByTag = asyncHandler(async (req, res) => {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { IdentityTag: req.params.tag.trim() },
+    select: {
+      OrderId: true,
+      IdentityTag: true,
+      IntakeDate: true,
+      client: {
+        select: {
+          ClientId: true,
+          DisplayName: true,
+          Email: true
+        }
+      },
+      equipment: {
+        select: {
+          Brand: true,
+          Model: true,
+          SerialNumber: true
+        }
+      },
+      status: {
+        select: {
+          StatusId: true,
+          Name: true,
+          Code: true
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    const error = new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({ 
+    success: true,
+    data: { order }
+  });
+});
+
+/**
+ * Etiqueta adhesiva del equipo en PDF (QR y código de barras con el código de la orden)
+ * 
+ * GET /api/orders/:id/label?copies=1
+ * @auth Employee
+ */
+export const downloadOrderLabel = asyncHandler(async (req, res) => {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: Number(req.params.id) },
+    include: {
+      client: { select: { DisplayName: true } },
+      equipment: { include: { equipmentType: true } }
+    }
+  });
+
+  if (!order) {
+    const error = new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const { buffer, filename } = await generateOrderLabelPDF(order, { copies: req.query.copies });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="${filename}"`
+  );
+  res.send(buffer);
+});
+
 // ========================================
 // SISTEMA DE FACTURACIÓN ELECTRÓNICA
 // ========================================
@@ -456,7 +755,8 @@ export const generateOrderInvoice = asyncHandler(async (req, res) => {
         }
       },
       status: true,
-      invoice: true // Verificar si ya tiene factura
+      lines: true, // Ítems a facturar
+      invoices: true // Verificar si ya tiene factura vigente
     }
   });
 
@@ -467,7 +767,7 @@ export const generateOrderInvoice = asyncHandler(async (req, res) => {
   }
 
   // Verificar que la orden esté completada
-  if (order.status.Code !== ORDER_STATUS_CODES.COMPLETED) {
+  if (order.status.Code !== ORDER_STATUS.COMPLETED) {
     const error = new Error(ERROR_MESSAGES.ORDER_NOT_COMPLETED);
     error.statusCode = 400;
     throw error;
@@ -480,75 +780,117 @@ export const generateOrderInvoice = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Verificar si ya tiene factura
-  if (order.invoice) {
+  // Verificar si ya tiene factura vigente (las anuladas permiten refacturar)
+  if (findActiveInvoice(order)) {
     const error = new Error(ERROR_MESSAGES.INVOICE_ALREADY_GENERATED);
     error.statusCode = 400;
     throw error;
   }
 
-  // Generar número de factura
-  const invoiceNumber = await generateInvoiceNumber();
+  const actor = actorFromAuth(req.auth);
+  await assertOrderTransition(order.OrderId, ORDER_STATUS.INVOICED, actor);
+
+  // Calcular bases e impuestos con las tarifas vigentes a la fecha de emisión
+  const issueDate = new Date();
+  const totals = await calculateOrderTotals(order, { date: issueDate });
+
+  // Estado al que pasa la orden (se emite en tiempo real tras el commit)
+  let newOrderStatus = null;
 
   // Generar factura en transacción
-  const invoice = await prisma.$transaction(async (tx) => {
+  // Los archivos se borran si la transacción se revierte (incluido el reintento)
+  const createInvoice = () => withDocumentFiles((written) => prisma.$transaction(async (tx) => {
+    // 0. Asignar número de factura (secuencial bloqueado hasta el commit)
+    const { documentNumber: invoiceNumber } = await allocateSequence(tx, DOCUMENT_TYPES.INVOICE);
+
     // 1. Generar PDF
-    const { buffer: pdfBuffer, filename: pdfFilename } = await generateInvoicePDF(order, invoiceNumber);
+    const { buffer: pdfBuffer, filename: pdfFilename } = await generateInvoicePDF(order, invoiceNumber, totals);
     
     // Guardar PDF
-    const pdfDir = path.join(process.cwd(), 'storage', 'invoices', 'pdf');
-    await fs.mkdir(pdfDir, { recursive: true });
-    const pdfPath = path.join(pdfDir, pdfFilename);
-    await fs.writeFile(pdfPath, pdfBuffer);
+    const pdfPath = await storeDocumentFile(written, ['invoices', 'pdf'], pdfFilename, pdfBuffer);
+
+    // 2. Generar XML (Factura Electrónica SRI) y firmarlo (XAdES-BES)
+    const { xml: unsignedXml, filename: xmlFilename, accessKey } = await generateElectronicInvoiceXML(order, invoiceNumber, totals, issueDate);
+
+    if (!validarClaveAcceso(accessKey)) {
+      throw new Error(`Clave de acceso inválida generada para ${invoiceNumber}`);
+    }
 
-    // 2. Generar XML (Factura Electrónica SRI)
-    const { xml, filename: xmlFilename } = await generateElectronicInvoiceXML(order, invoiceNumber);
+    const xml = signComprobanteXML(unsignedXml);
     
-    // Guardar XML
-    const xmlDir = path.join(process.cwd(), 'storage', 'invoices', 'xml');
-    await fs.mkdir(xmlDir, { recursive: true });
-    const xmlPath = path.join(xmlDir, xmlFilename);
-    await fs.writeFile(xmlPath, xml);
+    // Guardar XML firmado
+    const xmlPath = await storeDocumentFile(written, ['invoices', 'xml'], xmlFilename, xml);
 
     // 3. Crear registro de factura en BD
     const newInvoice = await tx.invoice.create({
       data: {
         OrderId: order.OrderId,
         InvoiceNumber: invoiceNumber,
-        IssueDate: new Date(),
-        TotalAmount: order.TotalPrice,
-        SubTotal: order.TotalPrice / 1.12, // Sin IVA
-        Tax: order.TotalPrice - (order.TotalPrice / 1.12), // IVA 12%
-        Status: INVOICE_STATUS.GENERATED,
+        IssueDate: issueDate,
+        TotalAmount: totals.total,
+        SubTotal: totals.subtotal,
+        Tax: totals.tax,
+        TaxBreakdown: JSON.stringify(totals.taxes),
+        Status: INVOICE_STATUS.ISSUED,
         PDFPath: pdfPath,
         XMLPath: xmlPath,
+        AccessKey: accessKey,
         IssuedByUserId: userId
       }
     });
 
-    // 4. Actualizar estado de la orden a FACTURADO
-    const invoicedStatus = await tx.status.findUnique({
-      where: { Code: ORDER_STATUS_CODES.INVOICED }
+    // Copia de los ítems facturados
+    await tx.invoiceLine.createMany({
+      data: totals.items.map((item, index) => ({
+        InvoiceId: newInvoice.InvoiceId,
+        LineType: item.type,
+        Code: item.code,
+        Description: item.description,
+        Quantity: item.quantity,
+        UnitPrice: item.unitPrice,
+        Discount: item.discount,
+        SubTotal: item.subtotal,
+        TaxCode: item.taxCode,
+        TaxPercentage: item.taxPercentage,
+        Tax: item.tax,
+        Total: item.total,
+        SortOrder: index
+      }))
     });
 
-    if (invoicedStatus) {
-      await tx.serviceOrder.update({
-        where: { OrderId: order.OrderId },
-        data: { CurrentStatusId: invoicedStatus.StatusId }
-      });
+    // 4. Actualizar estado de la orden a FACTURADO
+    const { toStatus } = await transitionOrderStatus(tx, {
+      orderId: order.OrderId,
+      to: ORDER_STATUS.INVOICED,
+      actor,
+      notes: `Factura generada: ${invoiceNumber}`,
+      clientMessage: false // El cliente recibe el aviso de la factura
+    });
+    newOrderStatus = toStatus;
 
-      await tx.orderStatusHistory.create({
-        data: {
-          OrderId: order.OrderId,
-          StatusId: invoicedStatus.StatusId,
-          Notes: `Factura generada: ${invoiceNumber}`,
-          ChangedByUserId: userId
-        }
-      });
-    }
+    await createNotification({
+      type: NOTIFICATION_TYPES.INVOICE,
+      title: `Factura ${invoiceNumber}`,
+      message: `Se emitió la factura ${invoiceNumber} de su orden ${order.IdentityTag} por $${totals.total.toFixed(2)}. Puede descargarla desde el portal.`,
+      orderId: order.OrderId,
+      invoiceId: newInvoice.InvoiceId
+    }, { clientIds: [order.ClientId] }, tx);
 
     return newInvoice;
-  });
+  }, { timeout: 20000 }));
+
+  let invoice;
+  try {
+    invoice = await createInvoice();
+  } catch (error) {
+    // P2002: otra factura creó la secuencia de este punto de emisión al mismo tiempo
+    if (error.code !== 'P2002') throw error;
+    invoice = await createInvoice();
+  }
+
+  if (newOrderStatus) {
+    emitOrderStatusChange(order, newOrderStatus, { notes: `Factura generada: ${invoice.InvoiceNumber}`, userId });
+  }
 
   // Log de auditoría
   logger.info('Factura generada', {
@@ -560,6 +902,20 @@ export const generateOrderInvoice = asyncHandler(async (req, res) => {
     issuedBy: userId
   });
 
+  // 5. Enviar al SRI (si falla, queda pendiente para el reintento automático)
+  let sriStatus = invoice.SriStatus;
+  if (process.env.SRI_AUTO_SUBMIT !== 'false') {
+    try {
+      const submitted = await submitInvoiceToSri(invoice.InvoiceId);
+      sriStatus = submitted.SriStatus;
+    } catch (error) {
+      logger.warn('No se pudo enviar la factura al SRI', {
+        invoiceId: invoice.InvoiceId,
+        error: error.message
+      });
+    }
+  }
+
   res.status(201).json({ 
     success: true,
     message: 'Factura generada exitosamente',
@@ -569,26 +925,31 @@ export const generateOrderInvoice = asyncHandler(async (req, res) => {
         invoiceNumber: invoice.InvoiceNumber,
         issueDate: invoice.IssueDate,
         totalAmount: invoice.TotalAmount,
-        status: invoice.Status
+        status: invoice.Status,
+        accessKey: invoice.AccessKey,
+        sriStatus
       }
     }
   });
 });
 
 /**
- * Enviar factura por correo al cliente
+ * Enviar (o reenviar) factura por correo al cliente
+ * Cada intento queda registrado en InvoiceDelivery con su resultado.
  * 
- * POST /api/orders/:id/send-invoice
+ * POST /api/orders/:id/admin/send-invoice
  * @auth Employee (Administrador, Staff Ventas)
+ * @body { email? } - Destinatario alternativo; por defecto el email del cliente
  */
 export const sendInvoiceToClient = asyncHandler(async (req, res) => {
   const orderId = Number(req.params.id);
+  const userId = req.auth?.userId;
 
   const order = await prisma.serviceOrder.findUnique({
     where: { OrderId: orderId },
     include: {
       client: true,
-      invoice: true
+      invoices: true
     }
   });
 
@@ -598,13 +959,23 @@ export const sendInvoiceToClient = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  if (!order.invoice) {
+  const invoice = findActiveInvoice(order);
+
+  if (!invoice) {
     const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
     error.statusCode = 404;
     throw error;
   }
 
-  if (!order.client.Email) {
+  if (invoice.Status === INVOICE_STATUS.VOIDED) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_VOIDED);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const recipient = req.body?.email || order.client.Email;
+
+  if (!recipient) {
     const error = new Error('El cliente no tiene email registrado');
     error.statusCode = 400;
     throw error;
@@ -612,37 +983,84 @@ export const sendInvoiceToClient = asyncHandler(async (req, res) => {
 
   // Leer archivos PDF y XML
   const [pdfBuffer, xmlBuffer] = await Promise.all([
-    fs.readFile(order.invoice.PDFPath),
-    fs.readFile(order.invoice.XMLPath)
+    fs.readFile(invoice.PDFPath),
+    fs.readFile(invoice.XMLPath)
   ]);
 
   // Enviar email con adjuntos
-  await sendInvoiceEmail(
-    order.client.Email,
-    order.client.DisplayName,
-    order.invoice.InvoiceNumber,
-    pdfBuffer,
-    xmlBuffer
-  );
+  let result;
+  try {
+    result = await sendInvoiceEmail(
+      recipient,
+      order.client.DisplayName,
+      invoice.InvoiceNumber,
+      pdfBuffer,
+      xmlBuffer,
+      {
+        issueDate: invoice.IssueDate,
+        totalAmount: invoice.TotalAmount,
+        accessKey: invoice.AccessKey,
+        identityTag: order.IdentityTag
+      }
+    );
+  } catch (sendError) {
+    const delivery = await prisma.invoiceDelivery.create({
+      data: {
+        InvoiceId: invoice.InvoiceId,
+        Recipient: recipient,
+        Status: DELIVERY_STATUS.FAILED,
+        ErrorMessage: sendError.message.slice(0, 500),
+        SentByUserId: userId
+      }
+    });
 
-  // Actualizar estado de la factura
-  await prisma.invoice.update({
-    where: { InvoiceId: order.invoice.InvoiceId },
-    data: { 
-      Status: INVOICE_STATUS.SENT,
-      SentDate: new Date()
-    }
-  });
+    logger.error('Error al enviar factura por email', {
+      invoiceId: invoice.InvoiceId,
+      invoiceNumber: invoice.InvoiceNumber,
+      recipient,
+      error: sendError.message
+    });
+
+    return res.status(502).json({
+      success: false,
+      error: ERROR_MESSAGES.INVOICE_EMAIL_FAILED,
+      data: { delivery }
+    });
+  }
+
+  // Solo una factura que sigue emitida pasa a "enviada": la condición se evalúa
+  // al escribir, así un pago registrado durante el envío no se revierte
+  const [, , delivery] = await prisma.$transaction([
+    prisma.invoice.update({
+      where: { InvoiceId: invoice.InvoiceId },
+      data: { SentDate: new Date() }
+    }),
+    prisma.invoice.updateMany({
+      where: { InvoiceId: invoice.InvoiceId, Status: INVOICE_STATUS.ISSUED },
+      data: { Status: INVOICE_STATUS.SENT }
+    }),
+    prisma.invoiceDelivery.create({
+      data: {
+        InvoiceId: invoice.InvoiceId,
+        Recipient: recipient,
+        Status: DELIVERY_STATUS.SENT,
+        MessageId: result.messageId,
+        SentByUserId: userId
+      }
+    })
+  ]);
 
   logger.info('Factura enviada por email', {
-    invoiceId: order.invoice.InvoiceId,
-    invoiceNumber: order.invoice.InvoiceNumber,
-    clientEmail: order.client.Email
+    invoiceId: invoice.InvoiceId,
+    invoiceNumber: invoice.InvoiceNumber,
+    clientEmail: recipient,
+    messageId: result.messageId
   });
 
   res.json({ 
     success: true,
-    message: 'Factura enviada al cliente exitosamente'
+    message: 'Factura enviada al cliente exitosamente',
+    data: { delivery }
   });
 });
 
@@ -663,7 +1081,7 @@ export const downloadInvoicePDF = asyncHandler(async (req, res) => {
           ClientId: true
         }
       },
-      invoice: true
+      invoices: true
     }
   });
 
@@ -673,7 +1091,9 @@ export const downloadInvoicePDF = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  if (!order.invoice) {
+  const invoice = findActiveInvoice(order);
+
+  if (!invoice) {
     const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
     error.statusCode = 404;
     throw error;
@@ -687,12 +1107,12 @@ export const downloadInvoicePDF = asyncHandler(async (req, res) => {
   }
 
   // Leer archivo PDF
-  const pdfBuffer = await fs.readFile(order.invoice.PDFPath);
+  const pdfBuffer = await fs.readFile(invoice.PDFPath);
 
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader(
     'Content-Disposition',
-    `attachment; filename="factura_${order.invoice.InvoiceNumber}.pdf"`
+    `attachment; filename="factura_${invoice.InvoiceNumber}.pdf"`
   );
   res.send(pdfBuffer);
 });
@@ -714,7 +1134,7 @@ export const downloadInvoiceXML = asyncHandler(async (req, res) => {
           ClientId: true
         }
       },
-      invoice: true
+      invoices: true
     }
   });
 
@@ -724,7 +1144,9 @@ export const downloadInvoiceXML = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  if (!order.invoice) {
+  const invoice = findActiveInvoice(order);
+
+  if (!invoice) {
     const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
     error.statusCode = 404;
     throw error;
@@ -738,63 +1160,832 @@ export const downloadInvoiceXML = asyncHandler(async (req, res) => {
   }
 
   // Leer archivo XML
-  const xmlBuffer = await fs.readFile(order.invoice.XMLPath);
+  const xmlBuffer = await fs.readFile(invoice.XMLPath);
 
   res.setHeader('Content-Type', 'application/xml');
   res.setHeader(
     'Content-Disposition',
-    `attachment; filename="factura_${order.invoice.InvoiceNumber}.xml"`
+    `attachment; filename="factura_${invoice.InvoiceNumber}.xml"`
   );
   res.send(xmlBuffer);
 });
 
+// ========================================
+// RECIBO DE INGRESO Y ACTA DE ENTREGA
+// ========================================
+
+/**
+ * Busca la orden y verifica que el usuario pueda verla
+ */
+const findAccessibleOrder = async (orderId, req) => {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    select: { OrderId: true, ClientId: true }
+  });
+
+  if (!order) {
+    const error = new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!canAccessOrder(order, req)) {
+    const error = new Error(ERROR_MESSAGES.UNAUTHORIZED_ACCESS);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * Recibo de ingreso firmado en PDF (estado físico, accesorios y firma del cliente)
+ * 
+ * GET /api/orders/:id/intake-receipt
+ * @auth Hybrid (Employee or Client owner)
+ */
+export const downloadIntakeReceipt = asyncHandler(async (req, res) => {
+  const order = await findAccessibleOrder(Number(req.params.id), req);
+
+  const { buffer, filename } = await getIntakeReceipt(order.OrderId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="${filename}"`
+  );
+  res.send(buffer);
+});
+
+/**
+ * Reenviar el recibo de ingreso al correo del cliente
+ * 
+ * POST /api/orders/:id/intake-receipt/send
+ * @auth Employee (Administrador, Recepcionista)
+ */
+export const resendIntakeReceipt = asyncHandler(async (req, res) => {
+  const result = await sendIntakeReceipt(Number(req.params.id));
+
+  res.json({
+    success: true,
+    message: `Recibo de ingreso enviado a ${result.sentTo}`,
+    data: result
+  });
+});
+
+/**
+ * Foto del equipo tomada en el ingreso
+ * 
+ * GET /api/orders/:id/intake-photos/:photoId
+ * @auth Hybrid (Employee or Client owner)
+ */
+export const downloadIntakePhoto = asyncHandler(async (req, res) => {
+  const order = await findAccessibleOrder(Number(req.params.id), req);
+
+  const { photo, stream } = await openIntakePhoto(order.OrderId, Number(req.params.photoId));
+
+  res.setHeader('Content-Type', photo.MimeType);
+  res.setHeader('Content-Length', photo.FileSize);
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename*=UTF-8''${encodeURIComponent(photo.FileName)}`
+  );
+
+  stream.on('error', (err) => {
+    logger.error('Error leyendo la foto de ingreso', { orderId: order.OrderId, photoId: photo.PhotoId, error: err.message });
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+/**
+ * Acta de entrega firmada en PDF (quien retiró, identificación y firma)
+ * 
+ * GET /api/orders/:id/delivery-receipt
+ * @auth Hybrid (Employee or Client owner)
+ */
+export const downloadDeliveryReceipt = asyncHandler(async (req, res) => {
+  const order = await findAccessibleOrder(Number(req.params.id), req);
+
+  const { buffer, filename } = await getDeliveryReceipt(order.OrderId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="${filename}"`
+  );
+  res.send(buffer);
+});
+
+/**
+ * Reenviar el acta de entrega al correo del cliente
+ * 
+ * POST /api/orders/:id/delivery-receipt/send
+ * @auth Employee (Administrador, Recepcionista)
+ */
+export const resendDeliveryReceipt = asyncHandler(async (req, res) => {
+  const result = await sendDeliveryReceipt(Number(req.params.id));
+
+  res.json({
+    success: true,
+    message: `Acta de entrega enviada a ${result.sentTo}`,
+    data: result
+  });
+});
+
 /**
  * Listar facturas (Admin/Ventas)
  * 
- * GET /api/orders/invoices
+ * GET /api/orders/admin/invoices
  * @auth Employee (Administrador, Staff Ventas)
+ * @query { status?, sriStatus?, startDate?, endDate?, clientId?, orderId?, page?, limit? }
  */
 export const listInvoices = asyncHandler(async (req, res) => {
-  const { status, startDate, endDate, clientId } = req.query;
+  const { 
+    status, 
+    sriStatus,
+    startDate, 
+    endDate, 
+    clientId, 
+    orderId,
+    page = 1,
+    limit = 50
+  } = req.query;
 
   const where = {};
   if (status) where.Status = status;
+  if (sriStatus) where.SriStatus = sriStatus;
   if (clientId) where.order = { ClientId: Number(clientId) };
+  if (orderId) where.OrderId = Number(orderId);
   if (startDate || endDate) {
     where.IssueDate = {};
     if (startDate) where.IssueDate.gte = new Date(startDate);
     if (endDate) where.IssueDate.lte = new Date(endDate);
   }
 
-  const invoices = await prisma.invoice.findMany({
-    where,
-    include: {
-      order: {
-        include: {
-          client: {
-            select: {
-              ClientId: true,
-              DisplayName: true,
-              Email: true
+  const skip = (Number(page) - 1) * Number(limit);
+  const take = Number(limit);
+
+  const [invoices, total] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      skip,
+      take,
+      include: {
+        order: {
+          include: {
+            client: {
+              select: {
+                ClientId: true,
+                DisplayName: true,
+                Email: true
+              }
             }
           }
+        },
+        issuedBy: {
+          select: {
+            UserId: true,
+            Username: true
+          }
         }
       },
-      issuedBy: {
+      orderBy: { IssueDate: 'desc' }
+    }),
+    prisma.invoice.count({ where })
+  ]);
+
+  res.json({ 
+    success: true,
+    data: {
+      invoices,
+      total,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    }
+  });
+});
+
+/**
+ * Detalle de una factura
+ * 
+ * GET /api/orders/admin/invoices/:invoiceId
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const getInvoiceById = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+
+  const invoice = await prisma.invoice.findUnique({
+    where: { InvoiceId: invoiceId },
+    include: invoiceDetailInclude
+  });
+
+  if (!invoice) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({ 
+    success: true,
+    data: { invoice }
+  });
+});
+
+/**
+ * Anular una factura que el SRI no ha recibido ni autorizado
+ * Si la orden quedó en FACTURADO, vuelve a COMPLETADO para poder refacturarla.
+ * 
+ * POST /api/orders/admin/invoices/:invoiceId/void
+ * @auth Employee (Administrador)
+ * @body { reason }
+ */
+export const voidInvoice = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+  const { reason } = req.body;
+  const userId = req.auth.userId;
+
+  const invoice = await prisma.invoice.findUnique({
+    where: { InvoiceId: invoiceId },
+    include: {
+      order: {
+        include: { status: true }
+      }
+    }
+  });
+
+  if (!invoice) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertInvoiceTransition(invoice, INVOICE_STATUS.VOIDED);
+
+  assertInvoiceVoidable(invoice);
+
+  let newOrderStatus = null;
+
+  const voidedInvoice = await prisma.$transaction(async (tx) => {
+    // Bloquea la factura: un pago registrado al mismo tiempo espera a la anulación
+    await tx.invoice.update({
+      where: { InvoiceId: invoice.InvoiceId },
+      data: { UpdatedAt: new Date() }
+    });
+
+    // Estado y pagos vuelven a validarse con la factura ya bloqueada
+    const current = await tx.invoice.findUnique({
+      where: { InvoiceId: invoice.InvoiceId },
+      select: {
+        Status: true,
+        SriStatus: true,
+        _count: { select: { payments: { where: { VoidedAt: null } } } }
+      }
+    });
+
+    assertInvoiceTransition(current, INVOICE_STATUS.VOIDED);
+    assertInvoiceVoidable(current);
+
+    if (current._count.payments > 0) {
+      const error = new Error(ERROR_MESSAGES.VOID_HAS_PAYMENTS);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const updated = await tx.invoice.update({
+      where: { InvoiceId: invoice.InvoiceId },
+      data: {
+        Status: INVOICE_STATUS.VOIDED,
+        VoidedAt: new Date(),
+        VoidedByUserId: userId,
+        VoidReason: reason
+      },
+      include: invoiceDetailInclude
+    });
+
+    // La orden vuelve a COMPLETADO para poder refacturarla
+    if (invoice.order.status.Code === ORDER_STATUS.INVOICED) {
+      const { toStatus } = await transitionOrderStatus(tx, {
+        orderId: invoice.OrderId,
+        to: ORDER_STATUS.COMPLETED,
+        actor: actorFromAuth(req.auth),
+        notes: `Factura ${invoice.InvoiceNumber} anulada: ${reason}`,
+        clientMessage: false
+      });
+      newOrderStatus = toStatus;
+    }
+
+    return updated;
+  });
+
+  if (newOrderStatus) {
+    emitOrderStatusChange(invoice.order, newOrderStatus, { notes: `Factura ${invoice.InvoiceNumber} anulada: ${reason}`, userId });
+  }
+
+  logger.info('Factura anulada', {
+    invoiceId: invoice.InvoiceId,
+    invoiceNumber: invoice.InvoiceNumber,
+    orderId: invoice.OrderId,
+    reason,
+    voidedBy: userId
+  });
+
+  res.json({ 
+    success: true,
+    message: 'Factura anulada exitosamente',
+    data: { invoice: voidedInvoice }
+  });
+});
+
+/**
+ * Marcar una factura como pagada
+ * Registra un pago por el saldo pendiente (los pagos parciales se registran
+ * en /admin/invoices/:invoiceId/payments).
+ * 
+ * POST /api/orders/admin/invoices/:invoiceId/mark-paid
+ * @auth Employee (Administrador, Staff Ventas)
+ * @body { method?, reference? }
+ */
+export const markInvoicePaid = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+  const userId = req.auth.userId;
+  const { method = PAYMENT_METHODS.CASH, reference } = req.body || {};
+
+  const { balance } = await listInvoicePayments(invoiceId);
+
+  if (balance <= 0) {
+    const error = new Error(`${ERROR_MESSAGES.INVALID_INVOICE_TRANSITION} (sin saldo pendiente)`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const { payment } = await registerPayment({
+    invoiceId,
+    amount: balance,
+    method,
+    reference,
+    userId
+  });
+
+  const paidInvoice = await prisma.invoice.findUnique({
+    where: { InvoiceId: invoiceId },
+    include: invoiceDetailInclude
+  });
+
+  logger.info('Factura marcada como pagada', {
+    invoiceId,
+    invoiceNumber: paidInvoice.InvoiceNumber,
+    paymentId: payment.PaymentId,
+    amount: payment.Amount,
+    markedBy: userId
+  });
+
+  res.json({ 
+    success: true,
+    message: 'Factura marcada como pagada',
+    data: { invoice: paidInvoice, payment }
+  });
+});
+
+/**
+ * Enviar (o reenviar) una factura al SRI para su autorización
+ * 
+ * POST /api/orders/admin/invoices/:invoiceId/sri/submit
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const submitInvoiceSri = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+
+  const updated = await submitInvoiceToSri(invoiceId);
+
+  res.json({ 
+    success: true,
+    message: `Estado SRI: ${updated.SriStatus}`,
+    data: {
+      invoice: {
+        invoiceId: updated.InvoiceId,
+        invoiceNumber: updated.InvoiceNumber,
+        accessKey: updated.AccessKey,
+        sriStatus: updated.SriStatus,
+        authorizationNumber: updated.AuthorizationNumber,
+        authorizationDate: updated.AuthorizationDate,
+        sriMessages: updated.SriMessages ? JSON.parse(updated.SriMessages) : [],
+        sriAttempts: updated.SriAttempts
+      }
+    }
+  });
+});
+
+/**
+ * Reintentar el envío al SRI de las facturas y notas de crédito pendientes
+ * 
+ * POST /api/orders/admin/invoices/sri/retry-pending
+ * @auth Employee (Administrador)
+ * @query { limit? }
+ */
+export const retryPendingSriSubmissions = asyncHandler(async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const summary = await retryPendingInvoices({ limit });
+
+  logger.info('Reintento manual de envíos SRI', {
+    processed: summary.processed,
+    requestedBy: req.auth.userId
+  });
+
+  res.json({ 
+    success: true,
+    message: `${summary.processed} comprobante(s) procesado(s)`,
+    data: summary
+  });
+});
+
+/**
+ * Estado del certificado de firma electrónica (vigencia y ambiente SRI)
+ * 
+ * GET /api/orders/admin/invoices/certificate
+ * @auth Employee (Administrador)
+ */
+export const getSigningCertificateStatus = asyncHandler(async (req, res) => {
+  const certificate = getCertificateStatus();
+
+  res.json({ 
+    success: true,
+    data: { certificate }
+  });
+});
+
+// ========================================
+// NOTAS DE CRÉDITO
+// ========================================
+
+/**
+ * Emitir nota de crédito (codDoc 04) sobre una factura autorizada
+ * Sin `lines` se revierte el saldo completo de la factura; con `lines`, solo
+ * las cantidades indicadas. Cuando la nota deja la factura sin saldo, la
+ * factura queda anulada y la orden vuelve a COMPLETADO.
+ * 
+ * POST /api/orders/admin/invoices/:invoiceId/credit-notes
+ * @auth Employee (Administrador)
+ * @body { reason, lines?: [{ invoiceLineId, quantity }] }
+ */
+export const issueCreditNote = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+  const { reason, lines: requestedLines } = req.body;
+  const userId = req.auth.userId;
+
+  const invoice = await prisma.invoice.findUnique({
+    where: { InvoiceId: invoiceId },
+    include: {
+      lines: true,
+      order: {
+        include: {
+          client: true,
+          status: true
+        }
+      }
+    }
+  });
+
+  if (!invoice) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (invoice.Status === INVOICE_STATUS.VOIDED) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_VOIDED);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (invoice.SriStatus !== SRI_STATUS.AUTHORIZED) {
+    const error = new Error(ERROR_MESSAGES.INVOICE_NOT_AUTHORIZED);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const order = invoice.order;
+  const issueDate = new Date();
+
+  let newOrderStatus = null;
+
+  // Los archivos se borran si la transacción se revierte (incluido el reintento)
+  const createCreditNote = () => withDocumentFiles((written) => prisma.$transaction(async (tx) => {
+    // Bloquea la factura para que dos notas simultáneas no acrediten el mismo saldo
+    await tx.invoice.update({
+      where: { InvoiceId: invoice.InvoiceId },
+      data: { UpdatedAt: issueDate }
+    });
+
+    const credited = await getCreditedByLine(invoice.InvoiceId, tx);
+    const totals = calculateCreditNoteTotals(invoice, credited, requestedLines);
+
+    // La nota total anula la factura: se valida con el estado y los pagos ya bloqueados
+    if (totals.type === CREDIT_NOTE_TYPES.FULL) {
+      const current = await tx.invoice.findUnique({
+        where: { InvoiceId: invoice.InvoiceId },
         select: {
-          UserId: true,
-          Username: true
+          Status: true,
+          _count: { select: { payments: { where: { VoidedAt: null } } } }
         }
+      });
+
+      if (current._count.payments > 0) {
+        const error = new Error(ERROR_MESSAGES.INVOICE_HAS_PAYMENTS);
+        error.statusCode = 409;
+        throw error;
       }
-    },
-    orderBy: { IssueDate: 'desc' }
+
+      assertInvoiceTransition(current, INVOICE_STATUS.VOIDED);
+    }
+
+    // 0. Número propio de nota de crédito
+    const { documentNumber: creditNoteNumber } = await allocateSequence(tx, DOCUMENT_TYPES.CREDIT_NOTE);
+
+    // 1. PDF
+    const { buffer: pdfBuffer, filename: pdfFilename } = await generateCreditNotePDF(order, invoice, creditNoteNumber, totals, reason, issueDate);
+    const pdfPath = await storeDocumentFile(written, ['credit-notes', 'pdf'], pdfFilename, pdfBuffer);
+
+    // 2. XML firmado
+    const { xml: unsignedXml, filename: xmlFilename, accessKey } = await generateCreditNoteXML(order, invoice, creditNoteNumber, totals, reason, issueDate);
+
+    if (!validarClaveAcceso(accessKey)) {
+      throw new Error(`Clave de acceso inválida generada para ${creditNoteNumber}`);
+    }
+
+    const xml = signComprobanteXML(unsignedXml);
+    const xmlPath = await storeDocumentFile(written, ['credit-notes', 'xml'], xmlFilename, xml);
+
+    // 3. Registro de la nota y sus ítems
+    const creditNote = await tx.creditNote.create({
+      data: {
+        InvoiceId: invoice.InvoiceId,
+        OrderId: order.OrderId,
+        CreditNoteNumber: creditNoteNumber,
+        IssueDate: issueDate,
+        Type: totals.type,
+        Reason: reason,
+        SubTotal: totals.subtotal,
+        Tax: totals.tax,
+        TotalAmount: totals.total,
+        TaxBreakdown: JSON.stringify(totals.taxes),
+        PDFPath: pdfPath,
+        XMLPath: xmlPath,
+        AccessKey: accessKey,
+        IssuedByUserId: userId
+      }
+    });
+
+    await tx.creditNoteLine.createMany({
+      data: totals.items.map((item, index) => ({
+        CreditNoteId: creditNote.CreditNoteId,
+        InvoiceLineId: item.invoiceLineId,
+        Code: item.code,
+        Description: item.description,
+        Quantity: item.quantity,
+        UnitPrice: item.unitPrice,
+        Discount: item.discount,
+        SubTotal: item.subtotal,
+        TaxCode: item.taxCode,
+        TaxPercentage: item.taxPercentage,
+        Tax: item.tax,
+        Total: item.total,
+        SortOrder: index
+      }))
+    });
+
+    // 4. Factura y orden
+    let statusChanged = false;
+    let historyNotes = `Nota de crédito parcial ${creditNoteNumber} sobre factura ${invoice.InvoiceNumber} por $${totals.total.toFixed(2)}: ${reason}`;
+
+    if (totals.type === CREDIT_NOTE_TYPES.FULL) {
+      await tx.invoice.update({
+        where: { InvoiceId: invoice.InvoiceId },
+        data: {
+          Status: INVOICE_STATUS.VOIDED,
+          VoidedAt: issueDate,
+          VoidedByUserId: userId,
+          VoidReason: `Nota de crédito ${creditNoteNumber}: ${reason}`
+        }
+      });
+
+      historyNotes = `Factura ${invoice.InvoiceNumber} revertida con nota de crédito ${creditNoteNumber}: ${reason}`;
+
+      if (order.status.Code === ORDER_STATUS.INVOICED) {
+        const { toStatus } = await transitionOrderStatus(tx, {
+          orderId: order.OrderId,
+          to: ORDER_STATUS.COMPLETED,
+          actor: actorFromAuth(req.auth),
+          notes: historyNotes,
+          clientMessage: false
+        });
+        newOrderStatus = toStatus;
+        statusChanged = true;
+      }
+    }
+
+    // Sin cambio de estado la nota queda igual registrada en el historial
+    if (!statusChanged) {
+      await addOrderStatusNote(tx, { orderId: order.OrderId, notes: historyNotes, userId });
+    }
+
+    return creditNote;
+  }, { timeout: 20000 }));
+
+  let creditNote;
+  try {
+    creditNote = await createCreditNote();
+  } catch (error) {
+    // P2002: otra nota creó la secuencia de este punto de emisión al mismo tiempo
+    if (error.code !== 'P2002') throw error;
+    creditNote = await createCreditNote();
+  }
+
+  if (newOrderStatus) {
+    emitOrderStatusChange(order, newOrderStatus, {
+      notes: `Factura ${invoice.InvoiceNumber} revertida con nota de crédito ${creditNote.CreditNoteNumber}`,
+      userId
+    });
+  }
+
+  logger.info('Nota de crédito emitida', {
+    creditNoteId: creditNote.CreditNoteId,
+    creditNoteNumber: creditNote.CreditNoteNumber,
+    invoiceId: invoice.InvoiceId,
+    invoiceNumber: invoice.InvoiceNumber,
+    type: creditNote.Type,
+    amount: creditNote.TotalAmount,
+    issuedBy: userId
+  });
+
+  // 5. Enviar al SRI (si falla, queda pendiente para el reintento automático)
+  let sriStatus = creditNote.SriStatus;
+  if (process.env.SRI_AUTO_SUBMIT !== 'false') {
+    try {
+      const submitted = await submitCreditNoteToSri(creditNote.CreditNoteId);
+      sriStatus = submitted.SriStatus;
+    } catch (error) {
+      logger.warn('No se pudo enviar la nota de crédito al SRI', {
+        creditNoteId: creditNote.CreditNoteId,
+        error: error.message
+      });
+    }
+  }
+
+  res.status(201).json({ 
+    success: true,
+    message: creditNote.Type === CREDIT_NOTE_TYPES.FULL
+      ? 'Nota de crédito emitida: la factura quedó anulada'
+      : 'Nota de crédito parcial emitida exitosamente',
+    data: {
+      creditNote: {
+        creditNoteId: creditNote.CreditNoteId,
+        creditNoteNumber: creditNote.CreditNoteNumber,
+        invoiceNumber: invoice.InvoiceNumber,
+        issueDate: creditNote.IssueDate,
+        type: creditNote.Type,
+        totalAmount: creditNote.TotalAmount,
+        accessKey: creditNote.AccessKey,
+        sriStatus
+      }
+    }
   });
+});
+
+/**
+ * Listar notas de crédito
+ * 
+ * GET /api/orders/admin/credit-notes
+ * @auth Employee (Administrador, Staff Ventas)
+ * @query { invoiceId?, orderId?, sriStatus?, startDate?, endDate?, page?, limit? }
+ */
+export const listCreditNotes = asyncHandler(async (req, res) => {
+  const { invoiceId, orderId, sriStatus, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+  const where = {};
+  if (invoiceId) where.InvoiceId = Number(invoiceId);
+  if (orderId) where.OrderId = Number(orderId);
+  if (sriStatus) where.SriStatus = sriStatus;
+  if (startDate || endDate) {
+    where.IssueDate = {};
+    if (startDate) where.IssueDate.gte = new Date(startDate);
+    if (endDate) where.IssueDate.lte = new Date(endDate);
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+  const take = Number(limit);
+
+  const [creditNotes, total] = await Promise.all([
+    prisma.creditNote.findMany({
+      where,
+      skip,
+      take,
+      include: {
+        invoice: { select: { InvoiceId: true, InvoiceNumber: true } },
+        issuedBy: { select: { UserId: true, Username: true } }
+      },
+      orderBy: { IssueDate: 'desc' }
+    }),
+    prisma.creditNote.count({ where })
+  ]);
 
   res.json({ 
     success: true,
     data: {
-      invoices,
-      total: invoices.length
+      creditNotes,
+      total,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
     }
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Detalle de una nota de crédito
+ * 
+ * GET /api/orders/admin/credit-notes/:creditNoteId
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const getCreditNoteById = asyncHandler(async (req, res) => {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { CreditNoteId: Number(req.params.creditNoteId) },
+    include: creditNoteDetailInclude
+  });
+
+  if (!creditNote) {
+    const error = new Error(ERROR_MESSAGES.CREDIT_NOTE_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({ 
+    success: true,
+    data: { creditNote }
+  });
+});
+
+/**
+ * Descargar PDF o XML de una nota de crédito
+ * 
+ * GET /api/orders/admin/credit-notes/:creditNoteId/download?format=pdf|xml
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const downloadCreditNote = asyncHandler(async (req, res) => {
+  const format = req.query.format === 'xml' ? 'xml' : 'pdf';
+
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { CreditNoteId: Number(req.params.creditNoteId) }
+  });
+
+  if (!creditNote) {
+    const error = new Error(ERROR_MESSAGES.CREDIT_NOTE_NOT_FOUND);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const filePath = format === 'xml' ? creditNote.XMLPath : creditNote.PDFPath;
+  const buffer = await fs.readFile(filePath);
+
+  res.setHeader('Content-Type', format === 'xml' ? 'application/xml' : 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="nota_credito_${creditNote.CreditNoteNumber}.${format}"`
+  );
+  res.send(buffer);
+});
+
+/**
+ * Enviar (o reenviar) una nota de crédito al SRI
+ * 
+ * POST /api/orders/admin/credit-notes/:creditNoteId/sri/submit
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const submitCreditNoteSri = asyncHandler(async (req, res) => {
+  const updated = await submitCreditNoteToSri(Number(req.params.creditNoteId));
+
+  res.json({ 
+    success: true,
+    message: `Estado SRI: ${updated.SriStatus}`,
+    data: {
+      creditNote: {
+        creditNoteId: updated.CreditNoteId,
+        creditNoteNumber: updated.CreditNoteNumber,
+        accessKey: updated.AccessKey,
+        sriStatus: updated.SriStatus,
+        authorizationNumber: updated.AuthorizationNumber,
+        authorizationDate: updated.AuthorizationDate,
+        sriMessages: updated.SriMessages ? JSON.parse(updated.SriMessages) : [],
+        sriAttempts: updated.SriAttempts
+      }
+    }
+  });
+});
@@ -0,0 +1,246 @@
+// src/controllers/paymentController.js - Cobros y cuentas por cobrar
+import { PrismaClient } from '@prisma/client';
+import {
+  registerPayment,
+  voidPayment,
+  listInvoicePayments,
+  getClientBalance,
+  getAgingReport,
+  getOrderPaymentStatus
+} from '../services/paymentService.js';
+import { addOrderStatusNote } from '../services/orderStatusService.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+const ERROR_MESSAGES = {
+  ORDER_ALREADY_SETTLED: 'La orden no tiene saldo pendiente'
+};
+
+// === UTILIDADES ===
+
+const asyncHandler = (fn) => {
+  return async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (error) {
+      logger.error(`Error en ${fn.name}`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.auth?.userId,
+        path: req.path
+      });
+
+      const message = process.env.NODE_ENV === 'production'
+        ? 'Error interno del servidor'
+        : error.message;
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: message
+      });
+    }
+  };
+};
+
+// ========================================
+// PAGOS
+// ========================================
+
+/**
+ * Registrar pago (total o parcial) de una factura
+ *
+ * POST /api/orders/admin/invoices/:invoiceId/payments
+ * @auth Employee (Administrador, Staff Ventas)
+ * @body { amount, method, reference?, paidAt?, notes? }
+ */
+export const registerInvoicePayment = asyncHandler(async (req, res) => {
+  const invoiceId = Number(req.params.invoiceId);
+  const userId = req.auth.userId;
+
+  const { payment, invoice, balance } = await registerPayment({
+    ...req.body,
+    invoiceId,
+    userId
+  });
+
+  logger.info('Pago registrado', {
+    paymentId: payment.PaymentId,
+    invoiceId,
+    invoiceNumber: invoice.InvoiceNumber,
+    amount: payment.Amount,
+    method: payment.Method,
+    balance,
+    receivedBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: balance > 0
+      ? `Pago registrado. Saldo pendiente: $${balance.toFixed(2)}`
+      : 'Pago registrado. La factura quedó pagada',
+    data: {
+      payment,
+      invoice: {
+        invoiceId: invoice.InvoiceId,
+        invoiceNumber: invoice.InvoiceNumber,
+        status: invoice.Status,
+        balance
+      }
+    }
+  });
+});
+
+/**
+ * Pagos de una factura con su saldo
+ *
+ * GET /api/orders/admin/invoices/:invoiceId/payments
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const getInvoicePayments = asyncHandler(async (req, res) => {
+  const summary = await listInvoicePayments(Number(req.params.invoiceId));
+
+  res.json({
+    success: true,
+    data: summary
+  });
+});
+
+/**
+ * Anular un pago registrado por error
+ *
+ * POST /api/orders/admin/payments/:paymentId/void
+ * @auth Employee (Administrador)
+ * @body { reason }
+ */
+export const voidInvoicePayment = asyncHandler(async (req, res) => {
+  const paymentId = Number(req.params.paymentId);
+  const { reason } = req.body;
+  const userId = req.auth.userId;
+
+  const { payment, balance } = await voidPayment(paymentId, { reason, userId });
+
+  logger.warn('Pago anulado', {
+    paymentId,
+    invoiceId: payment.InvoiceId,
+    amount: payment.Amount,
+    reason,
+    voidedBy: userId
+  });
+
+  res.json({
+    success: true,
+    message: 'Pago anulado exitosamente',
+    data: { payment, balance }
+  });
+});
+
+// ========================================
+// CUENTAS POR COBRAR
+// ========================================
+
+/**
+ * Reporte de antigüedad de cartera (0-30, 31-60, 61-90, +90 días)
+ *
+ * GET /api/orders/admin/receivables/aging
+ * @auth Employee (Administrador, Staff Ventas)
+ * @query { asOf? }
+ */
+export const getReceivablesAging = asyncHandler(async (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+  if (isNaN(asOf.getTime())) {
+    const error = new Error('Fecha de corte inválida');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const report = await getAgingReport({ asOf });
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * Saldo de un cliente con sus facturas pendientes
+ *
+ * GET /api/orders/admin/receivables/clients/:clientId
+ * @auth Employee (Administrador, Staff Ventas)
+ */
+export const getClientReceivables = asyncHandler(async (req, res) => {
+  const balance = await getClientBalance(Number(req.params.clientId));
+
+  res.json({
+    success: true,
+    data: balance
+  });
+});
+
+// ========================================
+// ENTREGA CON SALDO PENDIENTE
+// ========================================
+
+/**
+ * Autorizar la entrega del equipo con saldo pendiente
+ * Permite a recepción registrar la salida aunque la orden no esté pagada.
+ *
+ * POST /api/orders/:id/admin/authorize-release
+ * @auth Employee (Administrador)
+ * @body { reason }
+ */
+export const authorizeOrderRelease = asyncHandler(async (req, res) => {
+  const orderId = Number(req.params.id);
+  const { reason } = req.body;
+  const userId = req.auth.userId;
+
+  const payment = await getOrderPaymentStatus(orderId);
+
+  if (payment.settled) {
+    const error = new Error(ERROR_MESSAGES.ORDER_ALREADY_SETTLED);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const order = await prisma.$transaction(async (tx) => {
+    const updated = await tx.serviceOrder.update({
+      where: { OrderId: orderId },
+      data: {
+        ReleaseAuthorizedByUserId: userId,
+        ReleaseAuthorizedAt: new Date(),
+        ReleaseAuthorizationNote: reason
+      }
+    });
+
+    await addOrderStatusNote(tx, {
+      orderId,
+      notes: `Entrega autorizada con saldo pendiente de $${payment.amountDue.toFixed(2)}: ${reason}`,
+      userId
+    });
+
+    return updated;
+  });
+
+  logger.warn('Entrega con saldo pendiente autorizada', {
+    orderId,
+    amountDue: payment.amountDue,
+    invoiceNumber: payment.invoiceNumber,
+    reason,
+    authorizedBy: userId
+  });
+
+  res.json({
+    success: true,
+    message: 'Entrega autorizada con saldo pendiente',
+    data: {
+      order: {
+        orderId: order.OrderId,
+        identityTag: order.IdentityTag,
+        releaseAuthorizedAt: order.ReleaseAuthorizedAt,
+        amountDue: payment.amountDue
+      }
+    }
+  });
+});
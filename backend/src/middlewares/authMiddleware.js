@@ -6,6 +6,56 @@ import logger from '../../config/logger.js';
 const prisma = new PrismaClient();
 const JWT_SECRET = process.env.JWT_SECRET;
 
+/**
+ * Verifica un token JWT de empleado y que el usuario siga activo en la BD.
+ * Compartido por authenticateHybrid y el gateway de Socket.IO.
+ *
+ * @param {string} token - JWT emitido en el login de empleados
+ * @returns {Promise<object>} Objeto `auth` de empleado (mismo formato que req.auth)
+ * @throws Errores de jsonwebtoken, o con `code` USER_NOT_FOUND / USER_INACTIVE
+ */
+export async function verifyEmployeeToken(token) {
+  // Verificamos que el token sea válido, no expirado, y tenga el issuer/audience correcto
+  const decodedPayload = jwt.verify(token, JWT_SECRET, {
+    issuer: 'ecuatechnology-api',
+    audience: 'ecuatechnology-desktop-app'
+  });
+
+  // 🔒 MEJORA CRÍTICA: Verificar que el usuario sigue activo en la base de datos
+  const user = await prisma.user.findUnique({
+    where: { UserId: decodedPayload.userId },
+    select: {
+      UserId: true,
+      Username: true,
+      Email: true,
+      Active: true
+    }
+  });
+
+  if (!user) {
+    logger.warn(`Token JWT válido pero usuario ID ${decodedPayload.userId} no encontrado en BD`);
+    const error = new Error('Usuario no encontrado');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  if (!user.Active) {
+    logger.warn(`Intento de acceso con token JWT de usuario inactivo ID: ${user.UserId}`);
+    const error = new Error('Usuario inactivo. Contacte al administrador.');
+    error.code = 'USER_INACTIVE';
+    throw error;
+  }
+
+  return {
+    userId: decodedPayload.userId,
+    username: user.Username,
+    email: user.Email,
+    roles: decodedPayload.roles,
+    type: 'employee',
+    authMethod: 'jwt' // Útil para logging/auditoría
+  };
+}
+
 /**
  * Middleware de Autenticación Híbrido (MEJORADO).
  * 
@@ -40,53 +90,27 @@ export const authenticateHybrid = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     try {
-      // Verificamos que el token sea válido, no expirado, y tenga el issuer/audience correcto
-      const decodedPayload = jwt.verify(token, JWT_SECRET, {
-        issuer: 'ecuatechnology-api',
-        audience: 'ecuatechnology-desktop-app'
-      });
-      
-      // 🔒 MEJORA CRÍTICA: Verificar que el usuario sigue activo en la base de datos
-      const user = await prisma.user.findUnique({
-        where: { UserId: decodedPayload.userId },
-        select: {
-          UserId: true,
-          Username: true,
-          Email: true,
-          Active: true
-        }
-      });
+      // Si todo está bien, creamos el objeto `req.auth` con información completa
+      req.auth = await verifyEmployeeToken(token);
 
-      if (!user) {
-        logger.warn(`Token JWT válido pero usuario ID ${decodedPayload.userId} no encontrado en BD`);
+      logger.info(`✓ Acceso JWT exitoso - Usuario: ${req.auth.username} (ID: ${req.auth.userId}) | Roles: [${req.auth.roles.join(', ')}]`);
+      return next(); // Autenticado con éxito, pasamos al siguiente middleware/controlador.
+      
+    } catch (err) {
+      if (err.code === 'USER_NOT_FOUND') {
         return res.status(401).json({ 
           error: 'Usuario no encontrado',
           code: 'USER_NOT_FOUND' 
         });
       }
 
-      if (!user.Active) {
-        logger.warn(`Intento de acceso con token JWT de usuario inactivo ID: ${user.UserId}`);
+      if (err.code === 'USER_INACTIVE') {
         return res.status(401).json({ 
           error: 'Usuario inactivo. Contacte al administrador.',
           code: 'USER_INACTIVE' 
         });
       }
 
-      // Si todo está bien, creamos el objeto `req.auth` con información completa
-      req.auth = { 
-        userId: decodedPayload.userId,
-        username: user.Username,
-        email: user.Email,
-        roles: decodedPayload.roles,
-        type: 'employee',
-        authMethod: 'jwt' // Útil para logging/auditoría
-      };
-
-      logger.info(`✓ Acceso JWT exitoso - Usuario: ${user.Username} (ID: ${user.UserId}) | Roles: [${decodedPayload.roles.join(', ')}]`);
-      return next(); // Autenticado con éxito, pasamos al siguiente middleware/controlador.
-      
-    } catch (err) {
       // 🔒 MEJORA: Diferenciamos entre token expirado vs inválido
       if (err.name === 'TokenExpiredError') {
         logger.warn(`Token JWT expirado. Expiró en: ${err.expiredAt}`);
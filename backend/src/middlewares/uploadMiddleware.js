@@ -0,0 +1,102 @@
+// src/middlewares/uploadMiddleware.js - Recepción de archivos multipart (multer)
+import multer from 'multer';
+import { ATTACHMENT_LIMITS, ALLOWED_MIME_TYPES } from '../services/ticketAttachmentService.js';
+import { INTAKE_LIMITS, INTAKE_PHOTO_MIME_TYPES } from '../services/intakeService.js';
+
+/**
+ * Rechaza los tipos no permitidos antes de recibir el archivo completo
+ */
+const unsupportedTypeFilter = (mimeTypes) => (req, file, callback) => {
+  if (!mimeTypes.includes(file.mimetype)) {
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = `Tipo de archivo no permitido: ${file.originalname}`;
+    error.unsupportedType = true;
+    return callback(error);
+  }
+  callback(null, true);
+};
+
+/**
+ * Los archivos quedan en memoria: la validación de contenido y el escaneo
+ * se hacen antes de escribirlos en el almacenamiento.
+ */
+const ticketUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_LIMITS.MAX_FILE_SIZE,
+    files: ATTACHMENT_LIMITS.MAX_FILES,
+    fields: 20
+  },
+  fileFilter: unsupportedTypeFilter(ALLOWED_MIME_TYPES)
+});
+
+/**
+ * Fotos del formulario de ingreso; el campo "intake" (JSON) incluye la firma
+ * como data URL, por eso admite campos de texto más grandes
+ */
+const intakeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: INTAKE_LIMITS.MAX_PHOTO_SIZE,
+    files: INTAKE_LIMITS.MAX_PHOTOS,
+    fields: 20,
+    fieldSize: 2 * 1024 * 1024
+  },
+  fileFilter: unsupportedTypeFilter(INTAKE_PHOTO_MIME_TYPES)
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: ({ maxFileSize }) => `Cada archivo puede pesar máximo ${Math.round(maxFileSize / 1024 / 1024)} MB`,
+  LIMIT_FILE_COUNT: ({ maxFiles }) => `Máximo ${maxFiles} archivos por envío`,
+  LIMIT_UNEXPECTED_FILE: ({ field }) => `Campo de archivo inesperado. Use "${field}"`
+};
+
+/**
+ * Procesa el multipart con multer y traduce sus errores.
+ * Las solicitudes JSON pasan sin cambios.
+ */
+function optionalMultipart(upload, limits) {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const status = err.unsupportedType ? 415 : err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        const message = MULTER_MESSAGES[err.code]?.(limits);
+        return res.status(status).json({
+          success: false,
+          error: err.unsupportedType ? err.message : (message || 'Archivo inválido'),
+          code: err.code
+        });
+      }
+
+      next(err);
+    });
+  };
+}
+
+/**
+ * Adjuntos de tickets en el campo "attachments" (opcional).
+ */
+export function ticketAttachmentsUpload() {
+  return optionalMultipart(ticketUpload.array('attachments', ATTACHMENT_LIMITS.MAX_FILES), {
+    field: 'attachments',
+    maxFiles: ATTACHMENT_LIMITS.MAX_FILES,
+    maxFileSize: ATTACHMENT_LIMITS.MAX_FILE_SIZE
+  });
+}
+
+/**
+ * Fotos del ingreso del equipo en el campo "photos" (opcional, JPEG o PNG).
+ */
+export function intakePhotosUpload() {
+  return optionalMultipart(intakeUpload.array('photos', INTAKE_LIMITS.MAX_PHOTOS), {
+    field: 'photos',
+    maxFiles: INTAKE_LIMITS.MAX_PHOTOS,
+    maxFileSize: INTAKE_LIMITS.MAX_PHOTO_SIZE
+  });
+}
+
+export default { ticketAttachmentsUpload, intakePhotosUpload };
@@ -125,6 +125,23 @@ const ecuadorianIdRefinement = z.string()
     'Número de cédula inválido'
   );
 
+/**
+ * Booleano que también acepta 'true'/'false' (campos de formularios multipart)
+ */
+const formBoolean = z.preprocess(
+  (value) => (value === 'true' ? true : value === 'false' ? false : value),
+  z.boolean()
+);
+
+/**
+ * Calificación entera que también llega como texto (enlaces y formularios HTML);
+ * el texto vacío cuenta como no enviado
+ */
+const formScore = (min, max) => z.preprocess(
+  (value) => (value === '' ? undefined : typeof value === 'string' ? Number(value) : value),
+  z.number().int().min(min).max(max).optional()
+);
+
 // --- MIDDLEWARE DE VALIDACIÓN ---
 
 /**
@@ -159,6 +176,75 @@ export const validate = (schema, source = 'body') => {
   };
 };
 
+/**
+ * Código de porcentaje de IVA del SRI (0, 2, 4...)
+ */
+const taxCodeSchema = z.string().regex(/^\d{1,2}$/, 'Código de tarifa SRI inválido');
+
+/**
+ * Ítem de proforma: mano de obra, repuesto o servicio
+ */
+const orderLineSchema = z.object({
+  type: z.enum(['mano_obra', 'repuesto', 'servicio']),
+  code: sanitizedString(1, 25).optional(),
+  description: sanitizedString(2, 300),
+  quantity: z.number().positive('La cantidad debe ser mayor a 0'),
+  unitPrice: z.number().min(0, 'El precio unitario no puede ser negativo'),
+  discount: z.number().min(0).optional(),
+  taxCode: taxCodeSchema.optional(),
+  // Repuesto del catálogo de inventario (se reserva al aprobar la proforma)
+  partId: z.number().int().positive().optional()
+}).refine((line) => (line.discount || 0) <= line.quantity * line.unitPrice, {
+  message: 'El descuento no puede superar el valor del ítem',
+  path: ['discount']
+}).refine((line) => !line.partId || (line.type === 'repuesto' && Number.isInteger(line.quantity)), {
+  message: 'Solo los repuestos pueden referenciar el inventario y en unidades enteras',
+  path: ['partId']
+});
+
+/**
+ * Firma capturada en la aplicación (data URL PNG). La sanitización global
+ * escapa la "/" del data URL.
+ */
+const signatureDataUrl = z.preprocess(
+  (value) => (typeof value === 'string' ? validator.unescape(value) : value),
+  z.string().min(1, 'La firma es requerida')
+);
+
+/**
+ * Formulario de ingreso del equipo: estado físico, accesorios, bloqueo y firma.
+ * En multipart (con fotos) llega como texto JSON en el campo `intake`.
+ */
+const intakeFormSchema = z.preprocess(
+  (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(validator.unescape(value));
+    } catch {
+      return value;
+    }
+  },
+  z.object({
+    condition: z.enum(['good', 'fair', 'poor']),
+    checklist: z.array(z.object({
+      item: z.enum(['screen', 'casing', 'keyboard', 'touchpad', 'ports', 'hinges', 'battery', 'camera', 'buttons', 'other']),
+      status: z.enum(['ok', 'damaged', 'missing']),
+      notes: sanitizedString(0, 300).optional()
+    })).max(20).default([]),
+    accessories: z.array(z.object({
+      item: z.enum(['charger', 'bag', 'cables', 'battery', 'mouse', 'other']),
+      quantity: z.number().int().min(1).max(20).default(1),
+      description: sanitizedString(0, 200).optional()
+    })).max(20).default([]),
+    lockType: z.enum(['none', 'password', 'pin', 'pattern', 'biometric', 'other']).default('none'),
+    accessProvided: formBoolean.default(false),
+    symptoms: sanitizedString(3, 2000),
+    conditionNotes: sanitizedString(0, 1000).optional(),
+    signedByName: sanitizedString(2, 150),
+    signature: signatureDataUrl
+  })
+);
+
 // --- SCHEMAS DE VALIDACIÓN PARA EL SISTEMA ---
 
 export const schemas = {
@@ -228,18 +314,28 @@ export const schemas = {
   }),
 
   // ORDEN DE SERVICIO
+  // Acepta JSON o multipart con las fotos del ingreso
   createOrder: z.object({
-    clientId: z.number().int().positive(),
-    equipmentId: z.number().int().positive(),
+    clientId: z.coerce.number().int().positive(),
+    equipmentId: z.coerce.number().int().positive(),
     notes: sanitizedString(0, 2000).optional(),
     estimatedDeliveryDate: z.string().datetime().optional().or(z.date().optional()),
-    technicianId: z.number().int().positive().optional()
+    technicianId: z.coerce.number().int().positive().optional(),
+    intake: intakeFormSchema.optional()
   }),
 
+  // Sin correo del cliente no hay código de retiro y se valida la identificación del titular
   registerEquipmentExit: z.object({
     orderId: z.number().int().positive(),
     notes: sanitizedString(0, 1000).optional(),
-    receivedByClientName: sanitizedString(1, 255)
+    receivedByClientName: sanitizedString(1, 255),
+    receivedByIdNumber: z.string().trim().regex(/^[A-Za-z0-9-]{5,20}$/, 'Número de identificación inválido'),
+    pickupCode: z.string().trim().regex(/^\d{6}$/, 'El código de retiro tiene 6 dígitos').optional(),
+    signature: signatureDataUrl
+  }),
+
+  requestPickupCode: z.object({
+    orderId: z.number().int().positive()
   }),
 
   // TÉCNICO
@@ -260,7 +356,10 @@ export const schemas = {
   // VENTAS
   generateProforma: z.object({
     orderId: z.number().int().positive(),
-    parts: z.string().min(1, 'Los repuestos son requeridos'),
+    // Ítems detallados (precios sin IVA)
+    lines: z.array(orderLineSchema).min(1).max(100).optional(),
+    // Formato anterior: descripción libre y precio total con IVA
+    parts: z.string().min(1, 'Los repuestos son requeridos').optional(),
     totalPrice: z.number().positive('El precio debe ser mayor a 0').or(
       z.string().transform((val) => {
         const num = parseFloat(val);
@@ -269,14 +368,297 @@ export const schemas = {
         }
         return num;
       })
-    )
+    ).optional(),
+    taxCode: taxCodeSchema.optional()
+  }).refine((data) => data.lines || (data.parts && data.totalPrice !== undefined), {
+    message: 'Debe enviar los ítems (lines) o los repuestos y el precio total',
+    path: ['lines']
   }),
 
   sendProforma: z.object({
     orderId: z.number().int().positive()
   }),
 
+  // FACTURACIÓN
+  voidInvoice: z.object({
+    reason: sanitizedString(5, 500)
+  }),
+
+  // TICKETS (Staff)
+  assignTicket: z.object({
+    ticketId: z.number().int().positive(),
+    assignedToUserId: z.number().int().positive()
+  }),
+
+  updateTicketStatus: z.object({
+    ticketId: z.number().int().positive(),
+    status: z.enum(['open', 'assigned', 'in_progress', 'resolved', 'closed']),
+    notes: sanitizedString(1, 2000).optional()
+  }),
+
+  // Acepta JSON o multipart con adjuntos
+  addTicketResponse: z.object({
+    ticketId: z.coerce.number().int().positive(),
+    message: sanitizedString(1, 5000),
+    isInternal: formBoolean.optional()
+  }),
+
+  modifyOrderFromTicket: z.object({
+    ticketId: z.number().int().positive(),
+    orderId: z.number().int().positive(),
+    modifications: z.object({
+      technicianId: z.number().int().positive().optional(),
+      estimatedDeliveryDate: z.string().datetime().optional(),
+      diagnosis: sanitizedString(1, 5000).optional()
+    }).strict().refine((data) => Object.keys(data).length > 0, {
+      message: 'Debe indicar al menos un cambio'
+    })
+  }),
+
+  bulkCloseTickets: z.object({
+    ticketIds: z.array(z.number().int().positive()).min(1).max(200),
+    reason: sanitizedString(1, 1000).optional()
+  }),
+
+  createSlaPolicy: z.object({
+    categoryId: z.number().int().positive().nullable().optional(),
+    priority: z.enum(['low', 'normal', 'high', 'urgent']),
+    firstResponseMinutes: z.number().int().positive(),
+    resolutionMinutes: z.number().int().positive(),
+    warningPercent: z.number().int().min(1).max(99).optional(),
+    escalateToUserId: z.number().int().positive().nullable().optional()
+  }).refine((data) => data.firstResponseMinutes <= data.resolutionMinutes, {
+    message: 'El plazo de primera respuesta no puede superar al de resolución',
+    path: ['firstResponseMinutes']
+  }),
+
+  updateSlaPolicy: z.object({
+    firstResponseMinutes: z.number().int().positive().optional(),
+    resolutionMinutes: z.number().int().positive().optional(),
+    warningPercent: z.number().int().min(1).max(99).optional(),
+    escalateToUserId: z.number().int().positive().nullable().optional(),
+    active: z.boolean().optional()
+  }).strict().refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe indicar al menos un cambio'
+  }),
+
+  createRoutingRule: z.object({
+    name: sanitizedString(2, 100),
+    sortOrder: z.number().int().min(0).optional(),
+    active: z.boolean().optional(),
+    categoryId: z.number().int().positive().nullable().optional(),
+    priority: z.enum(['low', 'normal', 'high', 'urgent']).nullable().optional(),
+    requiresOrder: z.boolean().optional(),
+    keywords: sanitizedString(1, 500).nullable().optional(),
+    strategy: z.enum(['order_technician', 'user', 'round_robin', 'least_loaded']),
+    targetUserId: z.number().int().positive().nullable().optional(),
+    targetRoleName: z.string().min(1).max(50).nullable().optional()
+  }),
+
+  updateRoutingRule: z.object({
+    name: sanitizedString(2, 100).optional(),
+    sortOrder: z.number().int().min(0).optional(),
+    active: z.boolean().optional(),
+    categoryId: z.number().int().positive().nullable().optional(),
+    priority: z.enum(['low', 'normal', 'high', 'urgent']).nullable().optional(),
+    requiresOrder: z.boolean().optional(),
+    keywords: sanitizedString(1, 500).nullable().optional(),
+    strategy: z.enum(['order_technician', 'user', 'round_robin', 'least_loaded']).optional(),
+    targetUserId: z.number().int().positive().nullable().optional(),
+    targetRoleName: z.string().min(1).max(50).nullable().optional()
+  }).strict().refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe indicar al menos un cambio'
+  }),
+
+  createCannedResponse: z.object({
+    title: sanitizedString(2, 150),
+    body: sanitizedString(1, 5000),
+    categoryId: z.number().int().positive().nullable().optional()
+  }),
+
+  updateCannedResponse: z.object({
+    title: sanitizedString(2, 150).optional(),
+    body: sanitizedString(1, 5000).optional(),
+    categoryId: z.number().int().positive().nullable().optional(),
+    active: z.boolean().optional()
+  }).strict().refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe indicar al menos un cambio'
+  }),
+
+  createTicketMacro: z.object({
+    name: sanitizedString(2, 100),
+    categoryId: z.number().int().positive().nullable().optional(),
+    cannedResponseId: z.number().int().positive().nullable().optional(),
+    replyIsInternal: z.boolean().optional(),
+    setStatus: z.enum(['open', 'assigned', 'in_progress', 'resolved', 'closed']).nullable().optional(),
+    setPriority: z.enum(['low', 'normal', 'high', 'urgent']).nullable().optional()
+  }).refine((data) => data.cannedResponseId || data.setStatus || data.setPriority, {
+    message: 'La macro debe realizar al menos una acción'
+  }),
+
+  updateTicketMacro: z.object({
+    name: sanitizedString(2, 100).optional(),
+    categoryId: z.number().int().positive().nullable().optional(),
+    cannedResponseId: z.number().int().positive().nullable().optional(),
+    replyIsInternal: z.boolean().optional(),
+    setStatus: z.enum(['open', 'assigned', 'in_progress', 'resolved', 'closed']).nullable().optional(),
+    setPriority: z.enum(['low', 'normal', 'high', 'urgent']).nullable().optional(),
+    active: z.boolean().optional()
+  }).strict().refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe indicar al menos un cambio'
+  }),
+
+  // Vista previa de respuesta predefinida y ejecución de macro
+  ticketTarget: z.object({
+    ticketId: z.number().int().positive()
+  }),
+
+  // TICKETS (Cliente)
+  clientTicketResponse: z.object({
+    message: sanitizedString(1, 5000)
+  }),
+
+  // ENCUESTAS DE SATISFACCIÓN (públicas, por token)
+  surveyRating: z.object({
+    csat: formScore(1, 5),
+    nps: formScore(0, 10)
+  }).refine((data) => data.csat !== undefined || data.nps !== undefined, {
+    message: 'Indique la calificación'
+  }),
+
+  submitSurvey: z.object({
+    csat: formScore(1, 5),
+    nps: formScore(0, 10),
+    comment: z.union([z.literal(''), sanitizedString(1, 1000)]).optional()
+  }).refine((data) => data.csat !== undefined || data.nps !== undefined || data.comment, {
+    message: 'Indique una calificación o un comentario'
+  }),
+
+  surveyReportQuery: z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    trigger: z.enum(['ticket_resolved', 'order_delivered']).optional()
+  }),
+
+  markNotificationRead: z.object({
+    notificationId: z.number().int().positive()
+  }),
+
+  sendInvoice: z.object({
+    email: emailRefinement.optional()
+  }),
+
+  registerPayment: z.object({
+    amount: z.number().positive('El monto debe ser mayor a 0'),
+    method: z.enum(['efectivo', 'transferencia', 'tarjeta']),
+    reference: sanitizedString(1, 100).optional(),
+    paidAt: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+    notes: sanitizedString(0, 500).optional()
+  }).refine((data) => data.method === 'efectivo' || data.reference, {
+    message: 'Las transferencias y pagos con tarjeta requieren una referencia',
+    path: ['reference']
+  }),
+
+  voidPayment: z.object({
+    reason: sanitizedString(5, 500)
+  }),
+
+  authorizeRelease: z.object({
+    reason: sanitizedString(5, 500)
+  }),
+
+  createCreditNote: z.object({
+    reason: sanitizedString(5, 300),
+    // Sin ítems se revierte el saldo completo de la factura
+    lines: z.array(z.object({
+      invoiceLineId: z.number().int().positive(),
+      quantity: z.number().positive('La cantidad debe ser mayor a 0')
+    })).min(1).max(100).optional()
+  }),
+
+  createTaxRate: z.object({
+    code: taxCodeSchema,
+    name: sanitizedString(2, 100).optional(),
+    percentage: z.number().min(0).max(100),
+    effectiveFrom: z.string().datetime({ offset: true }).or(z.string().date()),
+    effectiveTo: z.string().datetime({ offset: true }).or(z.string().date()).nullable().optional(),
+    isDefault: z.boolean().optional()
+  }),
+
+  updateTaxRate: z.object({
+    taxRateId: z.number().int().positive(),
+    name: sanitizedString(2, 100).optional(),
+    effectiveTo: z.string().datetime({ offset: true }).or(z.string().date()).nullable().optional(),
+    isDefault: z.boolean().optional(),
+    active: z.boolean().optional()
+  }),
+
+  // INVENTARIO
+  createPart: z.object({
+    sku: z.string().trim().min(2).max(50).regex(/^[A-Za-z0-9._-]+$/, 'El SKU solo admite letras, números, punto, guion y guion bajo'),
+    name: sanitizedString(2, 150),
+    description: sanitizedString(0, 500).optional(),
+    unitPrice: z.number().min(0, 'El precio no puede ser negativo'),
+    cost: z.number().min(0).optional(),
+    taxCode: taxCodeSchema.optional(),
+    minStock: z.number().int().min(0).optional()
+  }),
+
+  updatePart: z.object({
+    partId: z.number().int().positive(),
+    name: sanitizedString(2, 150).optional(),
+    description: sanitizedString(0, 500).optional(),
+    unitPrice: z.number().min(0).optional(),
+    cost: z.number().min(0).nullable().optional(),
+    taxCode: taxCodeSchema.nullable().optional(),
+    minStock: z.number().int().min(0).optional(),
+    active: z.boolean().optional()
+  }),
+
+  createLocation: z.object({
+    code: z.string().trim().min(1).max(20).regex(/^[A-Za-z0-9_-]+$/, 'Código de ubicación inválido'),
+    name: sanitizedString(2, 100)
+  }),
+
+  updateLocation: z.object({
+    locationId: z.number().int().positive(),
+    name: sanitizedString(2, 100).optional(),
+    active: z.boolean().optional()
+  }),
+
+  receiveStock: z.object({
+    partId: z.number().int().positive(),
+    locationId: z.number().int().positive(),
+    quantity: z.number().int().positive('La cantidad debe ser mayor a 0'),
+    notes: sanitizedString(0, 500).optional()
+  }),
+
+  adjustStock: z.object({
+    partId: z.number().int().positive(),
+    locationId: z.number().int().positive(),
+    quantity: z.number().int().refine((val) => val !== 0, 'La cantidad del ajuste no puede ser 0'),
+    notes: sanitizedString(5, 500)
+  }),
+
   // QUERY PARAMS
+  searchOrders: z.object({
+    search: z.string().trim().max(100).optional(),
+    status: z.string().regex(/^(\d+|[A-Za-z_]+)$/, 'Estado inválido').optional(),
+    clientId: z.coerce.number().int().positive().optional(),
+    sort: z.enum(['relevance', 'recent', 'oldest', 'client', 'status']).optional(),
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional()
+  }),
+
+  orderLabelQuery: z.object({
+    copies: z.coerce.number().int().min(1).max(10).optional()
+  }),
+
+  // Códigos actuales (ECT-2026-000123) y anteriores (ORD-<timestamp>-<aleatorio>)
+  orderTagParams: z.object({
+    tag: z.string().trim().regex(/^[A-Za-z0-9-]{3,50}$/, 'Código de orden inválido')
+  }),
+
   listOrdersQuery: z.object({
     status: z.string().optional().transform((val) => val ? parseInt(val) : undefined),
     startDate: z.string().datetime().optional(),
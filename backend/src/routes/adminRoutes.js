@@ -11,6 +11,10 @@ import {
   adminListRoles,
   adminUpdateRole,
   adminDeleteRole,
+  adminListTaxRates,
+  adminCreateTaxRate,
+  adminUpdateTaxRate,
+  adminSurveyReport,
   getSystemLogs,
   getSystemStatistics
 } from '../controllers/adminController.js';
@@ -22,6 +26,7 @@ import {
   requireEmployeeAuth,
   SYSTEM_ROLES
 } from '../middlewares/roleMiddleware.js';
+import { validate, schemas } from '../middlewares/validator.js';
 
 const router = express.Router();
 
@@ -135,6 +140,54 @@ router.put('/role/update', requireAdmin(), adminUpdateRole);
  */
 router.delete('/role/delete', requireAdmin(), adminDeleteRole);
 
+// ========================================
+// TARIFAS DE IMPUESTOS
+// ========================================
+
+/**
+ * Listar tarifas de IVA
+ * Solo administradores
+ * 
+ * GET /api/admin/tax-rate/list
+ * @auth Employee (Administrador)
+ * @query { activeOnly?, date? }
+ */
+router.get('/tax-rate/list', requireAdmin(), adminListTaxRates);
+
+/**
+ * Crear tarifa de IVA con vigencia
+ * Solo administradores
+ * 
+ * POST /api/admin/tax-rate/create
+ * @auth Employee (Administrador)
+ * @body { code, name?, percentage, effectiveFrom, effectiveTo?, isDefault? }
+ */
+router.post('/tax-rate/create', requireAdmin(), validate(schemas.createTaxRate), adminCreateTaxRate);
+
+/**
+ * Actualizar tarifa de IVA
+ * Solo administradores
+ * 
+ * PUT /api/admin/tax-rate/update
+ * @auth Employee (Administrador)
+ * @body { taxRateId, name?, effectiveTo?, isDefault?, active? }
+ */
+router.put('/tax-rate/update', requireAdmin(), validate(schemas.updateTaxRate), adminUpdateTaxRate);
+
+// ========================================
+// SATISFACCIÓN DE CLIENTES
+// ========================================
+
+/**
+ * Reporte de encuestas de satisfacción (CSAT y NPS)
+ * Agrupado por técnico, categoría de ticket y mes
+ * 
+ * GET /api/admin/surveys/report
+ * @auth Employee (Administrador)
+ * @query { from?, to?, trigger? } - trigger: ticket_resolved | order_delivered
+ */
+router.get('/surveys/report', requireAdmin(), validate(schemas.surveyReportQuery, 'query'), adminSurveyReport);
+
 // ========================================
 // SISTEMA Y MONITOREO
 // ========================================
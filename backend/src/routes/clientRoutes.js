@@ -8,6 +8,7 @@ import {
   requireClientAuth as requireClientAuthEnhanced
 } from '../middlewares/roleMiddleware.js';
 import { sanitizeRequest, validate, schemas } from '../middlewares/validator.js';
+import { ticketAttachmentsUpload } from '../middlewares/uploadMiddleware.js';
 
 // Controladores EXISTENTES confirmados
 import * as clientController from '../controllers/clientController.js';
@@ -220,11 +221,13 @@ router.post(
 /**
  * Crear ticket de soporte
  * POST /api/client/tickets/create
+ * @body JSON o multipart { orderId?, category, subject, description, priority?, attachments[]? }
  */
 router.post(
   '/tickets/create',
   authenticateHybrid,
   requireClientAuthEnhanced(),
+  ticketAttachmentsUpload(),
   clientController.createSupportTicket
 );
 
@@ -250,6 +253,21 @@ router.get(
   clientController.viewTicketDetails
 );
 
+/**
+ * Responder a un ticket propio
+ * POST /api/client/tickets/:ticketId/response
+ * @body JSON o multipart { message, attachments[]? }
+ * Los adjuntos se descargan y eliminan en /api/tickets/attachments/:attachmentId
+ */
+router.post(
+  '/tickets/:ticketId/response',
+  authenticateHybrid,
+  requireClientAuthEnhanced(),
+  ticketAttachmentsUpload(),
+  validate(schemas.clientTicketResponse),
+  clientController.addClientTicketResponse
+);
+
 // ========================================
 // SISTEMA DE NOTIFICACIONES
 // ========================================
@@ -257,6 +275,7 @@ router.get(
 /**
  * Obtener notificaciones del cliente
  * GET /api/client/notifications
+ * @query { page?, limit?, unreadOnly? }
  */
 router.get(
   '/notifications',
@@ -265,17 +284,41 @@ router.get(
   clientController.getClientNotifications
 );
 
+/**
+ * Cantidad de notificaciones sin leer
+ * GET /api/client/notifications/unread-count
+ */
+router.get(
+  '/notifications/unread-count',
+  authenticateHybrid,
+  requireClientAuthEnhanced(),
+  clientController.getUnreadNotificationCount
+);
+
 /**
  * Marcar notificación como leída
  * POST /api/client/notifications/mark-read
+ * @body { notificationId }
  */
 router.post(
   '/notifications/mark-read',
   authenticateHybrid,
   requireClientAuthEnhanced(),
+  validate(schemas.markNotificationRead),
   clientController.markNotificationAsRead
 );
 
+/**
+ * Marcar todas las notificaciones como leídas
+ * POST /api/client/notifications/mark-all-read
+ */
+router.post(
+  '/notifications/mark-all-read',
+  authenticateHybrid,
+  requireClientAuthEnhanced(),
+  clientController.markAllNotificationsAsRead
+);
+
 // ========================================
 // ENDPOINTS LEGACY (Compatibilidad)
 // ========================================
@@ -345,6 +388,7 @@ router.use((req, res) => {
       'POST /api/client/tickets/create',
       'GET  /api/client/tickets/my-tickets',
       'GET  /api/client/tickets/:ticketId',
+      'POST /api/client/tickets/:ticketId/response',
       
       // === PROTEGIDAS - Notificaciones ===
       'GET  /api/client/notifications',
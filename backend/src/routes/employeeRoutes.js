@@ -7,10 +7,20 @@ import {
   employeeForgotPassword,
   employeeLogout,
 
+  // Notificaciones
+  employeeListNotifications,
+  employeeUnreadNotificationCount,
+  employeeMarkNotificationRead,
+  employeeMarkAllNotificationsRead,
+
+  // Búsqueda
+  employeeSearchOrders,
+
   // Recepcionista
   receptionistCreateOrUpdateClient,
   receptionistRegisterEquipment,
   receptionistCreateOrder,
+  receptionistRequestPickupCode,
   receptionistRegisterEquipmentExit,
 
   // Staff Técnico
@@ -42,6 +52,10 @@ import {
   schemas, 
   sanitizeRequest 
 } from '../middlewares/validator.js';
+import { intakePhotosUpload } from '../middlewares/uploadMiddleware.js';
+import { getReceivablesSummary } from '../services/paymentService.js';
+import { getSatisfactionSummary } from '../services/surveyService.js';
+import logger from '../../config/logger.js';
 
 const router = express.Router();
 
@@ -122,75 +136,80 @@ router.post(
 );
 
 /**
- * Notificaciones del sistema
+ * Notificaciones del empleado autenticado
  * 
  * @route   GET /api/employee/notifications
  * @access  Private (Cualquier empleado autenticado)
- * @returns { success: boolean, data: { unread: number, notifications: array } }
+ * @query   { page?: number, limit?: number, unreadOnly?: boolean }
+ * @returns { success: boolean, data: { notifications: array, unreadCount: number, pagination: object } }
  */
 router.get(
   '/notifications',
   requireEmployeeAuth(),
-  (req, res) => {
-    res.json({
-      success: true,
-      message: 'Notificaciones del usuario',
-      data: {
-        unread: 3,
-        notifications: [
-          { 
-            id: 1, 
-            type: 'info', 
-            message: 'Nueva orden asignada', 
-            timestamp: new Date(),
-            read: false
-          },
-          { 
-            id: 2, 
-            type: 'warning', 
-            message: 'Orden próxima a vencer', 
-            timestamp: new Date(),
-            read: false
-          },
-          { 
-            id: 3, 
-            type: 'success', 
-            message: 'Proforma aprobada', 
-            timestamp: new Date(),
-            read: false
-          }
-        ],
-        userId: req.auth.userId,
-        username: req.auth.username
-      }
-    });
-  }
+  employeeListNotifications
+);
+
+/**
+ * Cantidad de notificaciones sin leer
+ * 
+ * @route   GET /api/employee/notifications/unread-count
+ * @access  Private (Cualquier empleado autenticado)
+ * @returns { success: boolean, data: { unreadCount: number } }
+ */
+router.get(
+  '/notifications/unread-count',
+  requireEmployeeAuth(),
+  employeeUnreadNotificationCount
+);
+
+/**
+ * Marcar notificación como leída
+ * 
+ * @route   POST /api/employee/notifications/mark-read
+ * @access  Private (Cualquier empleado autenticado)
+ * @body    { notificationId: number }
+ */
+router.post(
+  '/notifications/mark-read',
+  requireEmployeeAuth(),
+  validate(schemas.markNotificationRead),
+  employeeMarkNotificationRead
+);
+
+/**
+ * Marcar todas las notificaciones como leídas
+ * 
+ * @route   POST /api/employee/notifications/mark-all-read
+ * @access  Private (Cualquier empleado autenticado)
+ */
+router.post(
+  '/notifications/mark-all-read',
+  requireEmployeeAuth(),
+  employeeMarkAllNotificationsRead
 );
 
 /**
  * Búsqueda general de órdenes
+ * Busca por código de orden, cliente (nombre, cédula/RUC, email, teléfono parcial),
+ * equipo (marca, modelo, serie), diagnóstico y estado. Todos los términos deben coincidir.
  * 
  * @route   GET /api/employee/search/orders
  * @access  Private (Cualquier empleado autenticado)
- * @query   { search?: string, status?: string, clientId?: number }
- * @returns { success: boolean, data: { results: array, filters: object } }
+ * @query   {
+ *   search?: string,
+ *   status?: string,   // Código (EN_PROGRESO) o id del estado
+ *   clientId?: number,
+ *   sort?: 'relevance'|'recent'|'oldest'|'client'|'status', // relevance por defecto si hay búsqueda
+ *   page?: number,
+ *   limit?: number     // Máximo 100
+ * }
+ * @returns { success: boolean, data: { results: array, filters: object, totalCount: number, pagination: object, truncated: boolean } }
  */
 router.get(
   '/search/orders',
   requireEmployeeAuth(),
   validate(schemas.searchOrders, 'query'),
-  (req, res) => {
-    res.json({
-      success: true,
-      message: 'Búsqueda de órdenes',
-      data: {
-        results: [],
-        filters: req.query,
-        totalCount: 0,
-        searchBy: req.auth.username
-      }
-    });
-  }
+  employeeSearchOrders
 );
 
 // ========================================
@@ -249,38 +268,73 @@ router.post(
 
 /**
  * Crear orden de servicio
- * Incluye registro automático de entrada de equipo
+ * Incluye registro automático de entrada de equipo y, con `intake`, el
+ * formulario de ingreso firmado (el recibo en PDF se envía al cliente)
  * 
  * @route   POST /api/employee/receptionist/create-order
  * @access  Private (Administrador, Recepcionista)
- * @body    {
+ * @body    JSON o multipart {
  *   clientId: number,
  *   equipmentId: number,
  *   notes?: string,
  *   estimatedDeliveryDate?: string (ISO 8601),
- *   technicianId?: number
+ *   technicianId?: number,
+ *   intake?: {
+ *     condition: 'good' | 'fair' | 'poor',
+ *     checklist: [{ item, status: 'ok' | 'damaged' | 'missing', notes? }],
+ *     accessories: [{ item: 'charger' | 'bag' | 'cables' | ..., quantity, description? }],
+ *     lockType: 'none' | 'password' | 'pin' | 'pattern' | 'biometric' | 'other',
+ *     accessProvided: boolean,
+ *     symptoms: string,
+ *     conditionNotes?: string,
+ *     signedByName: string,
+ *     signature: string (data URL PNG)
+ *   } (texto JSON en multipart),
+ *   photos[]?: JPEG/PNG
  * }
- * @returns { success: boolean, message: string, data: { order: object } }
+ * @returns { success: boolean, message: string, data: { order: object, receipt: object | null } }
  */
 router.post(
   '/receptionist/create-order', 
   requireReception(),
+  intakePhotosUpload(),
   validate(schemas.createOrder),
   receptionistCreateOrder
 );
 
+/**
+ * Enviar código de retiro
+ * Código de un solo uso al correo del cliente; reemplaza al anterior
+ * 
+ * @route   POST /api/employee/receptionist/pickup-code
+ * @access  Private (Administrador, Recepcionista)
+ * @body    { orderId: number }
+ * @returns { success: boolean, message: string, data: { sentTo: string, expiresAt: string } }
+ */
+router.post(
+  '/receptionist/pickup-code',
+  requireReception(),
+  validate(schemas.requestPickupCode),
+  receptionistRequestPickupCode
+);
+
 /**
  * Registrar salida de equipo
- * Marca la orden como entregada
+ * Marca la orden como entregada y envía al cliente el acta de entrega firmada.
+ * Con correo registrado se exige el código de retiro; sin correo, la
+ * identificación de quien retira debe ser la del titular.
  * 
  * @route   POST /api/employee/receptionist/equipment-exit
  * @access  Private (Administrador, Recepcionista)
  * @body    {
  *   orderId: number,
  *   receivedByClientName: string,
+ *   receivedByIdNumber: string,
+ *   pickupCode?: string (6 dígitos),
+ *   signature: string (data URL PNG),
  *   notes?: string
  * }
- * @returns { success: boolean, message: string, data: { order: object } }
+ * @returns { success: boolean, message: string, data: { order: object, receipt: object } }
  */
 router.post(
   '/receptionist/equipment-exit', 
@@ -455,8 +509,10 @@ router.get(
  * @access  Private (Administrador, Staff Ventas)
  * @body    {
  *   orderId: number,
- *   parts: string,
- *   totalPrice: number
+ *   lines?: [{ type: 'mano_obra'|'repuesto'|'servicio', code?, description, quantity, unitPrice, discount?, taxCode? }],
+ *   parts?: string,      // Formato anterior (sin lines)
+ *   totalPrice?: number, // Formato anterior, con IVA
+ *   taxCode?: string     // Código de porcentaje IVA SRI (por defecto la tarifa vigente)
  * }
  * @returns { success: boolean, message: string, data: { order: object } }
  */
@@ -565,7 +621,22 @@ router.get(
 router.get(
   '/admin/statistics',
   requireAdmin(), // Solo Admin, sin herencia
-  (req, res) => {
+  async (req, res) => {
+    let financial;
+    let satisfaction;
+    try {
+      [financial, satisfaction] = await Promise.all([
+        getReceivablesSummary(),
+        getSatisfactionSummary()
+      ]);
+    } catch (error) {
+      logger.error('Error al calcular estadísticas del sistema', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Error al obtener estadísticas del sistema'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Estadísticas del sistema',
@@ -580,14 +651,11 @@ router.get(
         performance: {
           avgServiceTime: '3.2 días',
           avgResponseTime: '2.1 horas',
-          customerSatisfaction: '4.5/5',
+          customerSatisfaction: satisfaction.csatAverage !== null ? `${satisfaction.csatAverage}/5` : 'Sin respuestas',
           employeeUtilization: '87%'
         },
-        financial: {
-          pendingPayments: 15000,
-          collectedThisMonth: 45000,
-          projectedRevenue: 52000
-        },
+        financial,
+        satisfaction,
         admin: {
           id: req.auth.userId,
           username: req.auth.username,
@@ -988,6 +1056,9 @@ router.use((req, res) => {
     'POST /api/employee/change-password',
     'POST /api/employee/logout',
     'GET /api/employee/notifications',
+    'GET /api/employee/notifications/unread-count',
+    'POST /api/employee/notifications/mark-read',
+    'POST /api/employee/notifications/mark-all-read',
     'GET /api/employee/search/orders',
     'GET /api/employee/equipment-types',
     'GET /api/employee/client-types',
@@ -1000,6 +1071,7 @@ router.use((req, res) => {
     'POST /api/employee/receptionist/client',
     'POST /api/employee/receptionist/equipment',
     'POST /api/employee/receptionist/create-order',
+    'POST /api/employee/receptionist/pickup-code',
     'POST /api/employee/receptionist/equipment-exit',
     'GET /api/employee/receptionist/dashboard'
   ] : [];
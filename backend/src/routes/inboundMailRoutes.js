@@ -0,0 +1,73 @@
+// src/routes/inboundMailRoutes.js - Webhook de correo entrante (proveedores que reenvían el MIME crudo)
+import express from 'express';
+import crypto from 'crypto';
+import { processRawEmail, INBOUND_SOURCE } from '../services/inboundMailService.js';
+import logger from '../../config/logger.js';
+
+const router = express.Router();
+
+/**
+ * Verifica el secreto compartido en la cabecera X-Inbound-Secret
+ */
+const verifyInboundSecret = (req, res, next) => {
+  const secret = process.env.INBOUND_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook de correo entrante no configurado'
+    });
+  }
+
+  const received = Buffer.from(req.get('x-inbound-secret') || '');
+  const expected = Buffer.from(secret);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.warn(`Webhook de correo entrante con secreto inválido desde ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Acceso no autorizado'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Recibir un correo
+ * POST /api/inbound-mail/webhook
+ * @auth Cabecera X-Inbound-Secret
+ * @body Correo MIME crudo (Content-Type: message/rfc822)
+ */
+router.post(
+  '/webhook',
+  verifyInboundSecret,
+  express.raw({ type: ['message/rfc822', 'application/octet-stream'], limit: '25mb' }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Se espera el correo MIME crudo (Content-Type: message/rfc822)'
+      });
+    }
+
+    try {
+      const result = await processRawEmail(req.body, INBOUND_SOURCE.WEBHOOK);
+
+      res.status(result.status === 'ticket_created' ? 201 : 200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error al procesar correo entrante por webhook', { error: error.message, stack: error.stack });
+
+      // 500 para que el proveedor reintente la entrega
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production' ? 'Error interno del servidor' : error.message
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,134 @@
+// src/routes/inventoryRoutes.js - Inventario de repuestos
+import express from 'express';
+import {
+  listPartsHandler,
+  getPartHandler,
+  getPartAvailabilityHandler,
+  createPartHandler,
+  updatePartHandler,
+  listLocationsHandler,
+  createLocationHandler,
+  updateLocationHandler,
+  receiveStockHandler,
+  adjustStockHandler,
+  listMovementsHandler,
+  lowStockReportHandler
+} from '../controllers/inventoryController.js';
+import { authenticateHybrid } from '../middlewares/authMiddleware.js';
+import {
+  requireAdmin,
+  requireSales,
+  requireEmployeeAuth
+} from '../middlewares/roleMiddleware.js';
+import { validate, schemas } from '../middlewares/validator.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación (solo empleados)
+router.use(authenticateHybrid);
+
+// ========================================
+// CONSULTAS (Cualquier empleado)
+// ========================================
+
+/**
+ * Listar repuestos con existencia total
+ * GET /api/inventory/parts
+ * @auth Employee
+ * @query { search?, activeOnly? }
+ */
+router.get('/parts', requireEmployeeAuth(), listPartsHandler);
+
+/**
+ * Detalle de repuesto con existencia por ubicación
+ * GET /api/inventory/parts/:partId
+ * @auth Employee
+ */
+router.get('/parts/:partId', requireEmployeeAuth(), getPartHandler);
+
+/**
+ * Disponibilidad de un repuesto para cotizar
+ * GET /api/inventory/parts/:partId/availability
+ * @auth Employee
+ */
+router.get('/parts/:partId/availability', requireEmployeeAuth(), getPartAvailabilityHandler);
+
+/**
+ * Listar ubicaciones
+ * GET /api/inventory/locations
+ * @auth Employee
+ */
+router.get('/locations', requireEmployeeAuth(), listLocationsHandler);
+
+/**
+ * Historial de movimientos
+ * GET /api/inventory/movements
+ * @auth Employee
+ * @query { partId?, orderId?, locationId?, limit? }
+ */
+router.get('/movements', requireEmployeeAuth(), listMovementsHandler);
+
+/**
+ * Reporte de stock bajo (disponible <= stock mínimo)
+ * GET /api/inventory/reports/low-stock
+ * @auth Employee
+ */
+router.get('/reports/low-stock', requireEmployeeAuth(), lowStockReportHandler);
+
+// ========================================
+// CATÁLOGO E INGRESOS (Administrador, Staff Ventas)
+// ========================================
+
+/**
+ * Crear repuesto
+ * POST /api/inventory/parts/create
+ * @auth Employee (Administrador, Staff Ventas)
+ * @body { sku, name, description?, unitPrice, cost?, taxCode?, minStock? }
+ */
+router.post('/parts/create', requireSales(), validate(schemas.createPart), createPartHandler);
+
+/**
+ * Actualizar repuesto
+ * PUT /api/inventory/parts/update
+ * @auth Employee (Administrador, Staff Ventas)
+ * @body { partId, name?, description?, unitPrice?, cost?, taxCode?, minStock?, active? }
+ */
+router.put('/parts/update', requireSales(), validate(schemas.updatePart), updatePartHandler);
+
+/**
+ * Registrar ingreso de mercadería
+ * POST /api/inventory/stock/receive
+ * @auth Employee (Administrador, Staff Ventas)
+ * @body { partId, locationId, quantity, notes? }
+ */
+router.post('/stock/receive', requireSales(), validate(schemas.receiveStock), receiveStockHandler);
+
+// ========================================
+// ADMINISTRACIÓN (Solo Administrador)
+// ========================================
+
+/**
+ * Ajustar existencia con motivo
+ * POST /api/inventory/stock/adjust
+ * @auth Employee (Administrador)
+ * @body { partId, locationId, quantity (con signo), notes }
+ */
+router.post('/stock/adjust', requireAdmin(), validate(schemas.adjustStock), adjustStockHandler);
+
+/**
+ * Crear ubicación de bodega
+ * POST /api/inventory/locations/create
+ * @auth Employee (Administrador)
+ * @body { code, name }
+ */
+router.post('/locations/create', requireAdmin(), validate(schemas.createLocation), createLocationHandler);
+
+/**
+ * Actualizar ubicación
+ * PUT /api/inventory/locations/update
+ * @auth Employee (Administrador)
+ * @body { locationId, name?, active? }
+ */
+router.put('/locations/update', requireAdmin(), validate(schemas.updateLocation), updateLocationHandler);
+
+export default router;
@@ -7,12 +7,39 @@ import {
   getOrdersByClient,
   getOrderById,
   getOrderTracking,
+  getOrderTransitions,
+  getOrderByTag,
+  downloadOrderLabel,
   generateOrderInvoice,
   sendInvoiceToClient,
   downloadInvoicePDF,
   downloadInvoiceXML,
-  listInvoices
+  downloadIntakeReceipt,
+  resendIntakeReceipt,
+  downloadIntakePhoto,
+  downloadDeliveryReceipt,
+  resendDeliveryReceipt,
+  listInvoices,
+  getInvoiceById,
+  voidInvoice,
+  markInvoicePaid,
+  submitInvoiceSri,
+  retryPendingSriSubmissions,
+  getSigningCertificateStatus,
+  issueCreditNote,
+  listCreditNotes,
+  getCreditNoteById,
+  downloadCreditNote,
+  submitCreditNoteSri
 } from '../controllers/orderController.js';
+import {
+  registerInvoicePayment,
+  getInvoicePayments,
+  voidInvoicePayment,
+  getReceivablesAging,
+  getClientReceivables,
+  authorizeOrderRelease
+} from '../controllers/paymentController.js';
 
 // --- Importaciones de Middlewares ---
 import { authenticateHybrid } from '../middlewares/authMiddleware.js';
@@ -27,6 +54,7 @@ import {
   SYSTEM_ROLES,
   USER_TYPES
 } from '../middlewares/roleMiddleware.js';
+import { validate, schemas } from '../middlewares/validator.js';
 
 const router = express.Router();
 
@@ -52,6 +80,18 @@ router.get(
   getOrdersByClient
 );
 
+/**
+ * Buscar orden por su código (lector de QR/código de barras de la aplicación de escritorio)
+ * GET /api/orders/by-tag/:tag
+ * @auth Employee
+ */
+router.get(
+  '/by-tag/:tag',
+  requireEmployeeAuth(),
+  validate(schemas.orderTagParams, 'params'),
+  getOrderByTag
+);
+
 /**
  * Obtener orden específica con verificación de propiedad
  * GET /api/orders/:id
@@ -74,6 +114,30 @@ router.get(
   getOrderTracking
 );
 
+/**
+ * Próximos estados permitidos para el empleado según la máquina de estados
+ * GET /api/orders/:id/transitions
+ * @auth Employee
+ */
+router.get(
+  '/:id/transitions',
+  requireEmployeeAuth(),
+  getOrderTransitions
+);
+
+/**
+ * Etiqueta imprimible del equipo (PDF de 62 x 40 mm, una página por copia)
+ * GET /api/orders/:id/label
+ * @auth Employee
+ * @query { copies?: number } // 1 a 10
+ */
+router.get(
+  '/:id/label',
+  requireEmployeeAuth(),
+  validate(schemas.orderLabelQuery, 'query'),
+  downloadOrderLabel
+);
+
 // ========================================
 // RUTAS DE ADMINISTRACIÓN (Solo Empleados)
 // ========================================
@@ -101,6 +165,201 @@ router.get(
   listInvoices
 );
 
+/**
+ * Estado del certificado de firma electrónica
+ * GET /api/orders/admin/invoices/certificate
+ * @auth Employee - Solo Admin
+ */
+router.get(
+  '/admin/invoices/certificate',
+  requireAdmin(),
+  getSigningCertificateStatus
+);
+
+/**
+ * Reintentar el envío al SRI de las facturas y notas de crédito pendientes
+ * POST /api/orders/admin/invoices/sri/retry-pending
+ * @auth Employee - Solo Admin
+ */
+router.post(
+  '/admin/invoices/sri/retry-pending',
+  requireAdmin(),
+  retryPendingSriSubmissions
+);
+
+/**
+ * Detalle de una factura
+ * GET /api/orders/admin/invoices/:invoiceId
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.get(
+  '/admin/invoices/:invoiceId',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  getInvoiceById
+);
+
+/**
+ * Anular una factura
+ * POST /api/orders/admin/invoices/:invoiceId/void
+ * @auth Employee - Solo Admin
+ * @body { reason }
+ */
+router.post(
+  '/admin/invoices/:invoiceId/void',
+  requireAdmin(),
+  validate(schemas.voidInvoice),
+  voidInvoice
+);
+
+/**
+ * Marcar una factura como pagada (registra un pago por el saldo pendiente)
+ * POST /api/orders/admin/invoices/:invoiceId/mark-paid
+ * @auth Employee - Admin y Staff Ventas
+ * @body { method?, reference? }
+ */
+router.post(
+  '/admin/invoices/:invoiceId/mark-paid',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  markInvoicePaid
+);
+
+/**
+ * Enviar una factura al SRI (recepción y autorización)
+ * POST /api/orders/admin/invoices/:invoiceId/sri/submit
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.post(
+  '/admin/invoices/:invoiceId/sri/submit',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  submitInvoiceSri
+);
+
+// ========================================
+// PAGOS Y CUENTAS POR COBRAR
+// ========================================
+
+/**
+ * Registrar pago total o parcial de una factura
+ * POST /api/orders/admin/invoices/:invoiceId/payments
+ * @auth Employee - Admin y Staff Ventas
+ * @body { amount, method, reference?, paidAt?, notes? }
+ */
+router.post(
+  '/admin/invoices/:invoiceId/payments',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  validate(schemas.registerPayment),
+  registerInvoicePayment
+);
+
+/**
+ * Pagos y saldo de una factura
+ * GET /api/orders/admin/invoices/:invoiceId/payments
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.get(
+  '/admin/invoices/:invoiceId/payments',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  getInvoicePayments
+);
+
+/**
+ * Anular un pago registrado por error
+ * POST /api/orders/admin/payments/:paymentId/void
+ * @auth Employee - Solo Admin
+ * @body { reason }
+ */
+router.post(
+  '/admin/payments/:paymentId/void',
+  requireAdmin(),
+  validate(schemas.voidPayment),
+  voidInvoicePayment
+);
+
+/**
+ * Antigüedad de cartera por cliente (0-30, 31-60, 61-90, +90 días)
+ * GET /api/orders/admin/receivables/aging
+ * @auth Employee - Admin y Staff Ventas
+ * @query { asOf? }
+ */
+router.get(
+  '/admin/receivables/aging',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  getReceivablesAging
+);
+
+/**
+ * Saldo de un cliente
+ * GET /api/orders/admin/receivables/clients/:clientId
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.get(
+  '/admin/receivables/clients/:clientId',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  getClientReceivables
+);
+
+// ========================================
+// NOTAS DE CRÉDITO
+// ========================================
+
+/**
+ * Emitir nota de crédito total o parcial sobre una factura autorizada
+ * POST /api/orders/admin/invoices/:invoiceId/credit-notes
+ * @auth Employee - Solo Admin
+ * @body { reason, lines?: [{ invoiceLineId, quantity }] }
+ */
+router.post(
+  '/admin/invoices/:invoiceId/credit-notes',
+  requireAdmin(),
+  validate(schemas.createCreditNote),
+  issueCreditNote
+);
+
+/**
+ * Listar notas de crédito
+ * GET /api/orders/admin/credit-notes
+ * @auth Employee - Admin y Staff Ventas
+ * @query { invoiceId?, orderId?, sriStatus?, startDate?, endDate?, page?, limit? }
+ */
+router.get(
+  '/admin/credit-notes',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  listCreditNotes
+);
+
+/**
+ * Detalle de una nota de crédito
+ * GET /api/orders/admin/credit-notes/:creditNoteId
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.get(
+  '/admin/credit-notes/:creditNoteId',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  getCreditNoteById
+);
+
+/**
+ * Descargar PDF o XML de una nota de crédito
+ * GET /api/orders/admin/credit-notes/:creditNoteId/download?format=pdf|xml
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.get(
+  '/admin/credit-notes/:creditNoteId/download',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  downloadCreditNote
+);
+
+/**
+ * Enviar una nota de crédito al SRI
+ * POST /api/orders/admin/credit-notes/:creditNoteId/sri/submit
+ * @auth Employee - Admin y Staff Ventas
+ */
+router.post(
+  '/admin/credit-notes/:creditNoteId/sri/submit',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  submitCreditNoteSri
+);
+
 // ========================================
 // SISTEMA DE FACTURACIÓN ELECTRÓNICA
 // ========================================
@@ -117,13 +376,28 @@ router.post(
 );
 
 /**
- * Enviar factura por correo al cliente
+ * Autorizar la entrega del equipo con saldo pendiente
+ * POST /api/orders/:id/admin/authorize-release
+ * @auth Employee - Solo Admin
+ * @body { reason }
+ */
+router.post(
+  '/:id/admin/authorize-release',
+  requireAdmin(),
+  validate(schemas.authorizeRelease),
+  authorizeOrderRelease
+);
+
+/**
+ * Enviar o reenviar factura por correo al cliente (PDF y XML adjuntos)
  * POST /api/orders/:id/admin/send-invoice
  * @auth Employee - Solo Admin y Staff Ventas
+ * @body { email? }
  */
 router.post(
   '/:id/admin/send-invoice',
   requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.SALES]),
+  validate(schemas.sendInvoice),
   sendInvoiceToClient
 );
 
@@ -153,6 +427,65 @@ router.get(
   downloadInvoiceXML
 );
 
+// ========================================
+// RECIBO DE INGRESO Y ACTA DE ENTREGA
+// ========================================
+
+/**
+ * Recibo de ingreso firmado (PDF)
+ * GET /api/orders/:id/intake-receipt
+ * @auth Hybrid - Empleados o Cliente propietario
+ */
+router.get(
+  '/:id/intake-receipt',
+  requireHybridRoles([], true),
+  downloadIntakeReceipt
+);
+
+/**
+ * Reenviar el recibo de ingreso al correo del cliente
+ * POST /api/orders/:id/intake-receipt/send
+ * @auth Employee - Admin, Recepcionista
+ */
+router.post(
+  '/:id/intake-receipt/send',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.RECEPTIONIST]),
+  resendIntakeReceipt
+);
+
+/**
+ * Foto del equipo tomada en el ingreso
+ * GET /api/orders/:id/intake-photos/:photoId
+ * @auth Hybrid - Empleados o Cliente propietario
+ */
+router.get(
+  '/:id/intake-photos/:photoId',
+  requireHybridRoles([], true),
+  downloadIntakePhoto
+);
+
+/**
+ * Acta de entrega firmada (PDF)
+ * GET /api/orders/:id/delivery-receipt
+ * @auth Hybrid - Empleados o Cliente propietario
+ */
+router.get(
+  '/:id/delivery-receipt',
+  requireHybridRoles([], true),
+  downloadDeliveryReceipt
+);
+
+/**
+ * Reenviar el acta de entrega al correo del cliente
+ * POST /api/orders/:id/delivery-receipt/send
+ * @auth Employee - Admin, Recepcionista
+ */
+router.post(
+  '/:id/delivery-receipt/send',
+  requireEmployeeRoles([SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.RECEPTIONIST]),
+  resendDeliveryReceipt
+);
+
 // ========================================
 // RUTAS DEPRECADAS (Mantenidas para compatibilidad)
 // ========================================
@@ -0,0 +1,129 @@
+// src/routes/surveyRoutes.js - Encuestas de satisfacción públicas (enlaces de un clic por token)
+import express from 'express';
+import { validate, schemas } from '../middlewares/validator.js';
+import { getSurvey, submitSurvey } from '../services/surveyService.js';
+import logger from '../../config/logger.js';
+
+const router = express.Router();
+
+// El token solo contiene caracteres base64url
+const isValidToken = (token) => /^[A-Za-z0-9_-]{20,64}$/.test(token);
+
+/**
+ * Página HTML mínima para quien responde desde el enlace del correo
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="es"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title} - Ecuatechnology</title>
+<style>
+  body { margin: 0; background: #FEFAF1; font-family: Arial, sans-serif; color: #333; }
+  .container { max-width: 560px; margin: 40px auto; background: #fff; border: 1px solid #e0e0e0; border-radius: 8px; padding: 30px; }
+  h2 { color: #B2753B; text-align: center; }
+  textarea { width: 100%; box-sizing: border-box; min-height: 100px; }
+  select, button { margin-top: 8px; }
+  button { background: #B2753B; color: #fff; border: none; border-radius: 5px; padding: 10px 24px; font-weight: bold; cursor: pointer; }
+</style></head>
+<body><div class="container"><h2>${title}</h2>${body}</div></body></html>`;
+}
+
+/**
+ * Formulario para completar la otra calificación y dejar un comentario
+ */
+function renderFollowUp(token, survey) {
+  const npsOptions = ['<option value="">Sin responder</option>']
+    .concat(Array.from({ length: 11 }, (_, score) =>
+      `<option value="${score}"${survey.npsScore === score ? ' selected' : ''}>${score}</option>`))
+    .join('');
+  const csatOptions = ['<option value="">Sin responder</option>']
+    .concat([1, 2, 3, 4, 5].map((score) =>
+      `<option value="${score}"${survey.csatScore === score ? ' selected' : ''}>${score}</option>`))
+    .join('');
+
+  return `
+    <p>Registramos su calificación para <b>${survey.reference}</b>. ¡Gracias!</p>
+    <form method="post" action="/api/surveys/${token}">
+      <p><label>Satisfacción con el servicio (1 a 5)<br><select name="csat">${csatOptions}</select></label></p>
+      <p><label>¿Nos recomendaría? (0 a 10)<br><select name="nps">${npsOptions}</select></label></p>
+      <p><label>Comentario (opcional)<br><textarea name="comment" maxlength="1000"></textarea></label></p>
+      <button type="submit">Enviar</button>
+    </form>`;
+}
+
+const sendSurveyError = (res, error, asHtml) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    logger.error('Error en encuesta de satisfacción', { error: error.message, stack: error.stack });
+  }
+  const message = statusCode === 500 ? 'No pudimos registrar su respuesta. Intente más tarde.' : error.message;
+
+  if (asHtml) {
+    return res.status(statusCode).type('html').send(renderPage('Encuesta de satisfacción', `<p>${message}</p>`));
+  }
+  res.status(statusCode).json({ success: false, error: message });
+};
+
+router.param('token', (req, res, next, token) => {
+  if (!isValidToken(token)) {
+    return res.status(404).json({ success: false, error: 'Encuesta no encontrada' });
+  }
+  next();
+});
+
+/**
+ * Calificación de un clic desde el correo
+ * GET /api/surveys/:token/rate?csat=1..5 | ?nps=0..10
+ * @auth Token de la encuesta
+ * @query { csat?, nps? }
+ */
+router.get('/:token/rate', validate(schemas.surveyRating, 'query'), async (req, res) => {
+  try {
+    const survey = await submitSurvey(req.params.token, req.query);
+    res.type('html').send(renderPage('¡Gracias por su opinión!', renderFollowUp(req.params.token, survey)));
+  } catch (error) {
+    sendSurveyError(res, error, true);
+  }
+});
+
+/**
+ * Consultar una encuesta
+ * GET /api/surveys/:token
+ * @auth Token de la encuesta
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const survey = await getSurvey(req.params.token);
+    res.json({ success: true, data: { survey } });
+  } catch (error) {
+    sendSurveyError(res, error, false);
+  }
+});
+
+/**
+ * Responder o completar una encuesta (JSON o formulario HTML)
+ * POST /api/surveys/:token
+ * @auth Token de la encuesta
+ * @body { csat?, nps?, comment? }
+ */
+router.post('/:token', validate(schemas.submitSurvey), async (req, res) => {
+  const asHtml = req.is('application/x-www-form-urlencoded');
+
+  try {
+    const survey = await submitSurvey(req.params.token, {
+      ...req.body,
+      comment: req.body.comment || undefined
+    });
+
+    if (asHtml) {
+      return res.type('html').send(renderPage(
+        '¡Gracias por su opinión!',
+        '<p>Su respuesta fue registrada. Nos ayuda a mejorar nuestro servicio.</p>'
+      ));
+    }
+    res.json({ success: true, message: 'Respuesta registrada', data: { survey } });
+  } catch (error) {
+    sendSurveyError(res, error, asHtml);
+  }
+});
+
+export default router;
@@ -1,168 +1,404 @@
-// src/routes/ticketRoutes.js
+// src/routes/ticketRoutes.js - Gestión de tickets de soporte (App Escritorio)
 import express from 'express';
-import { 
-  authenticateHybrid, 
-  requireRoles 
-} from '../middlewares/authMiddleware.js';
-import { validate, schemas, sanitizeRequest } from '../middleware/validationMiddleware.js';
-
-// Controladores
-import * as clientTicketController from '../controllers/clientController.js';
-import * as adminTicketController from '../controllers/adminTicketController.js';
+import {
+  listAllTickets,
+  getTicketDetails,
+  assignTicket,
+  updateTicketStatus,
+  addTicketResponse,
+  modifyOrderFromTicket,
+  bulkCloseTickets,
+  getTicketStatistics,
+  listTicketCategories,
+  downloadTicketAttachment,
+  deleteTicketAttachment,
+  listSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  listRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  listTicketCannedResponses,
+  previewCannedResponse,
+  createTicketCannedResponse,
+  updateTicketCannedResponse,
+  deleteTicketCannedResponse,
+  listTicketMacros,
+  createTicketMacro,
+  updateTicketMacro,
+  deleteTicketMacro,
+  applyTicketMacro
+} from '../controllers/adminTicketsController.js';
+import { authenticateHybrid } from '../middlewares/authMiddleware.js';
+import {
+  requireAdmin,
+  requireAnyAuth,
+  requireEmployeeAuth,
+  requireEmployeeRoles,
+  SYSTEM_ROLES
+} from '../middlewares/roleMiddleware.js';
+import { validate, schemas } from '../middlewares/validator.js';
+import { ticketAttachmentsUpload } from '../middlewares/uploadMiddleware.js';
 
 const router = express.Router();
 
-// Sanitización global
-router.use(sanitizeRequest);
+// Todas las rutas requieren autenticación
+router.use(authenticateHybrid);
+
+// Los clientes crean y consultan sus tickets en /api/client/tickets/*
 
-// === RUTAS PARA CLIENTES (Portal Web) ===
+// Roles que atienden la bandeja de tickets
+const TICKET_DESK_ROLES = [SYSTEM_ROLES.ADMIN, SYSTEM_ROLES.RECEPTIONIST];
+
+// ========================================
+// CATÁLOGOS (Empleados y Clientes)
+// ========================================
 
 /**
- * Crear ticket de soporte
- * POST /api/tickets/create
- * Auth: Session (Cliente)
+ * Listar categorías de tickets
+ * GET /api/tickets/categories
+ * @auth Hybrid (Cualquier usuario autenticado)
  */
-router.post(
-  '/create',
-  authenticateHybrid,
-  // validate(schemas.createTicket), // Agregar schema
-  clientTicketController.createSupportTicket
-);
+router.get('/categories', requireAnyAuth(), listTicketCategories);
+
+// ========================================
+// ADJUNTOS (Empleados y Clientes)
+// El permiso se valida en el servicio según el dueño del ticket
+// ========================================
 
 /**
- * Listar mis tickets
- * GET /api/tickets/my-tickets
- * Auth: Session (Cliente)
+ * Descargar adjunto
+ * GET /api/tickets/attachments/:attachmentId
+ * @auth Hybrid (Empleados o cliente dueño del ticket)
  */
-router.get(
-  '/my-tickets',
-  authenticateHybrid,
-  clientTicketController.listMyTickets
-);
+router.get('/attachments/:attachmentId', requireAnyAuth(), downloadTicketAttachment);
 
 /**
- * Ver detalles de mi ticket
- * GET /api/tickets/:ticketId
- * Auth: Session (Cliente)
+ * Eliminar adjunto
+ * DELETE /api/tickets/attachments/:attachmentId
+ * @auth Hybrid (Administrador, o quien lo subió mientras el ticket siga abierto)
  */
-router.get(
-  '/:ticketId',
-  authenticateHybrid,
-  clientTicketController.viewTicketDetails
-);
+router.delete('/attachments/:attachmentId', requireAnyAuth(), deleteTicketAttachment);
 
-// === RUTAS PARA STAFF (App Escritorio) ===
+// ========================================
+// BANDEJA DE TICKETS (Staff)
+// Las rutas fijas van antes de /admin/:ticketId
+// ========================================
 
 /**
  * Listar todos los tickets (con filtros)
  * GET /api/tickets/admin/list
- * Auth: JWT (Administrador, Recepcionista)
+ * @auth Employee (Administrador, Recepcionista)
+ * @query { status?, priority?, assignedTo?, category?, clientId?, orderId? }
  */
 router.get(
   '/admin/list',
-  authenticateHybrid,
-  requireRoles(['Administrador', 'Recepcionista']),
-  adminTicketController.listAllTickets
+  requireEmployeeRoles(TICKET_DESK_ROLES),
+  listAllTickets
 );
 
 /**
- * Ver detalles completos de cualquier ticket
- * GET /api/tickets/admin/:ticketId
- * Auth: JWT (Administrador, Recepcionista, Staff Técnico, Staff Ventas)
+ * Estadísticas de tickets
+ * GET /api/tickets/admin/statistics
+ * @auth Employee (Administrador)
+ * @query { startDate?, endDate? }
  */
 router.get(
-  '/admin/:ticketId',
-  authenticateHybrid,
-  requireRoles(['Administrador', 'Recepcionista', 'Staff Técnico', 'Staff Ventas']),
-  adminTicketController.getTicketDetails
+  '/admin/statistics',
+  requireAdmin(),
+  getTicketStatistics
 );
 
 /**
  * Asignar ticket a usuario
  * POST /api/tickets/admin/assign
- * Auth: JWT (Administrador)
+ * @auth Employee (Administrador)
+ * @body { ticketId, assignedToUserId }
  */
 router.post(
   '/admin/assign',
-  authenticateHybrid,
-  requireRoles(['Administrador']),
-  // validate(schemas.assignTicket),
-  adminTicketController.assignTicket
+  requireAdmin(),
+  validate(schemas.assignTicket),
+  assignTicket
 );
 
 /**
  * Actualizar estado del ticket
  * PUT /api/tickets/admin/status
- * Auth: JWT (Administrador, Staff asignado)
+ * @auth Employee (Administrador, Recepcionista o staff asignado)
+ * @body { ticketId, status, notes? }
  */
 router.put(
   '/admin/status',
-  authenticateHybrid,
-  requireRoles(['Administrador', 'Recepcionista', 'Staff Técnico', 'Staff Ventas']),
-  // validate(schemas.updateTicketStatus),
-  adminTicketController.updateTicketStatus
+  requireEmployeeAuth(),
+  validate(schemas.updateTicketStatus),
+  updateTicketStatus
 );
 
 /**
  * Agregar respuesta a ticket
  * POST /api/tickets/admin/response
- * Auth: JWT (Administrador, Staff asignado)
+ * @auth Employee (Administrador, Recepcionista o staff asignado)
+ * @body JSON o multipart { ticketId, message, isInternal?, attachments[]? }
  */
 router.post(
   '/admin/response',
-  authenticateHybrid,
-  requireRoles(['Administrador', 'Recepcionista', 'Staff Técnico', 'Staff Ventas']),
-  // validate(schemas.addTicketResponse),
-  adminTicketController.addTicketResponse
+  requireEmployeeAuth(),
+  ticketAttachmentsUpload(),
+  validate(schemas.addTicketResponse),
+  addTicketResponse
 );
 
 /**
  * Modificar orden desde ticket
  * PUT /api/tickets/admin/modify-order
- * Auth: JWT (Administrador SOLAMENTE)
+ * @auth Employee (Administrador)
+ * @body { ticketId, orderId, modifications: { technicianId?, estimatedDeliveryDate?, diagnosis? } }
  */
 router.put(
   '/admin/modify-order',
-  authenticateHybrid,
-  requireRoles(['Administrador']),
-  // validate(schemas.modifyOrderFromTicket),
-  adminTicketController.modifyOrderFromTicket
+  requireAdmin(),
+  validate(schemas.modifyOrderFromTicket),
+  modifyOrderFromTicket
 );
 
 /**
  * Cerrar tickets masivamente
  * POST /api/tickets/admin/bulk-close
- * Auth: JWT (Administrador)
+ * @auth Employee (Administrador)
+ * @body { ticketIds, reason? }
  */
 router.post(
   '/admin/bulk-close',
-  authenticateHybrid,
-  requireRoles(['Administrador']),
-  // validate(schemas.bulkCloseTickets),
-  adminTicketController.bulkCloseTickets
+  requireAdmin(),
+  validate(schemas.bulkCloseTickets),
+  bulkCloseTickets
 );
 
 /**
- * Estadísticas de tickets
- * GET /api/tickets/admin/statistics
- * Auth: JWT (Administrador)
+ * Listar políticas SLA
+ * GET /api/tickets/admin/sla-policies
+ * @auth Employee (Administrador)
  */
 router.get(
-  '/admin/statistics',
-  authenticateHybrid,
-  requireRoles(['Administrador']),
-  adminTicketController.getTicketStatistics
+  '/admin/sla-policies',
+  requireAdmin(),
+  listSlaPolicies
 );
 
 /**
- * Listar categorías de tickets
- * GET /api/tickets/categories
- * Auth: Hybrid (Cualquier usuario autenticado)
+ * Crear política SLA (categoryId null = general para la prioridad)
+ * POST /api/tickets/admin/sla-policies
+ * @auth Employee (Administrador)
+ * @body { categoryId?, priority, firstResponseMinutes, resolutionMinutes, warningPercent?, escalateToUserId? }
+ */
+router.post(
+  '/admin/sla-policies',
+  requireAdmin(),
+  validate(schemas.createSlaPolicy),
+  createSlaPolicy
+);
+
+/**
+ * Actualizar política SLA
+ * PUT /api/tickets/admin/sla-policies/:policyId
+ * @auth Employee (Administrador)
+ * @body { firstResponseMinutes?, resolutionMinutes?, warningPercent?, escalateToUserId?, active? }
+ */
+router.put(
+  '/admin/sla-policies/:policyId',
+  requireAdmin(),
+  validate(schemas.updateSlaPolicy),
+  updateSlaPolicy
+);
+
+/**
+ * Listar reglas de asignación automática
+ * GET /api/tickets/admin/routing-rules
+ * @auth Employee (Administrador)
+ */
+router.get(
+  '/admin/routing-rules',
+  requireAdmin(),
+  listRoutingRules
+);
+
+/**
+ * Crear regla de asignación automática
+ * POST /api/tickets/admin/routing-rules
+ * @auth Employee (Administrador)
+ * @body { name, sortOrder?, active?, categoryId?, priority?, requiresOrder?, keywords?, strategy, targetUserId?, targetRoleName? }
+ * strategy: order_technician | user (targetUserId) | round_robin | least_loaded (targetRoleName)
+ */
+router.post(
+  '/admin/routing-rules',
+  requireAdmin(),
+  validate(schemas.createRoutingRule),
+  createRoutingRule
+);
+
+/**
+ * Actualizar regla de asignación automática
+ * PUT /api/tickets/admin/routing-rules/:ruleId
+ * @auth Employee (Administrador)
+ */
+router.put(
+  '/admin/routing-rules/:ruleId',
+  requireAdmin(),
+  validate(schemas.updateRoutingRule),
+  updateRoutingRule
+);
+
+/**
+ * Eliminar regla de asignación automática
+ * DELETE /api/tickets/admin/routing-rules/:ruleId
+ * @auth Employee (Administrador)
+ */
+router.delete(
+  '/admin/routing-rules/:ruleId',
+  requireAdmin(),
+  deleteRoutingRule
+);
+
+// ========================================
+// RESPUESTAS PREDEFINIDAS Y MACROS
+// Marcadores: {{client_name}}, {{ticket_number}}, {{order_tag}},
+// {{order_status}}, {{estimated_delivery}}
+// ========================================
+
+/**
+ * Listar respuestas predefinidas
+ * GET /api/tickets/admin/canned-responses
+ * @auth Employee (Cualquier empleado)
+ * @query { ticketId?, categoryId?, includeInactive? }
+ */
+router.get(
+  '/admin/canned-responses',
+  requireEmployeeAuth(),
+  listTicketCannedResponses
+);
+
+/**
+ * Crear respuesta predefinida (categoryId null = todas las categorías)
+ * POST /api/tickets/admin/canned-responses
+ * @auth Employee (Administrador)
+ * @body { title, body, categoryId? }
+ */
+router.post(
+  '/admin/canned-responses',
+  requireAdmin(),
+  validate(schemas.createCannedResponse),
+  createTicketCannedResponse
+);
+
+/**
+ * Vista previa con los marcadores resueltos para un ticket
+ * POST /api/tickets/admin/canned-responses/:cannedResponseId/render
+ * @auth Employee (Administrador, Recepcionista o staff asignado)
+ * @body { ticketId }
+ */
+router.post(
+  '/admin/canned-responses/:cannedResponseId/render',
+  requireEmployeeAuth(),
+  validate(schemas.ticketTarget),
+  previewCannedResponse
+);
+
+/**
+ * Actualizar respuesta predefinida
+ * PUT /api/tickets/admin/canned-responses/:cannedResponseId
+ * @auth Employee (Administrador)
+ * @body { title?, body?, categoryId?, active? }
+ */
+router.put(
+  '/admin/canned-responses/:cannedResponseId',
+  requireAdmin(),
+  validate(schemas.updateCannedResponse),
+  updateTicketCannedResponse
+);
+
+/**
+ * Eliminar respuesta predefinida
+ * DELETE /api/tickets/admin/canned-responses/:cannedResponseId
+ * @auth Employee (Administrador)
+ */
+router.delete(
+  '/admin/canned-responses/:cannedResponseId',
+  requireAdmin(),
+  deleteTicketCannedResponse
+);
+
+/**
+ * Listar macros
+ * GET /api/tickets/admin/macros
+ * @auth Employee (Cualquier empleado)
+ * @query { ticketId?, categoryId?, includeInactive? }
+ */
+router.get(
+  '/admin/macros',
+  requireEmployeeAuth(),
+  listTicketMacros
+);
+
+/**
+ * Crear macro
+ * POST /api/tickets/admin/macros
+ * @auth Employee (Administrador)
+ * @body { name, categoryId?, cannedResponseId?, replyIsInternal?, setStatus?, setPriority? }
+ */
+router.post(
+  '/admin/macros',
+  requireAdmin(),
+  validate(schemas.createTicketMacro),
+  createTicketMacro
+);
+
+/**
+ * Ejecutar macro sobre un ticket
+ * POST /api/tickets/admin/macros/:macroId/apply
+ * @auth Employee (Administrador, Recepcionista o staff asignado)
+ * @body { ticketId }
+ */
+router.post(
+  '/admin/macros/:macroId/apply',
+  requireEmployeeAuth(),
+  validate(schemas.ticketTarget),
+  applyTicketMacro
+);
+
+/**
+ * Actualizar macro
+ * PUT /api/tickets/admin/macros/:macroId
+ * @auth Employee (Administrador)
+ */
+router.put(
+  '/admin/macros/:macroId',
+  requireAdmin(),
+  validate(schemas.updateTicketMacro),
+  updateTicketMacro
+);
+
+/**
+ * Eliminar macro
+ * DELETE /api/tickets/admin/macros/:macroId
+ * @auth Employee (Administrador)
+ */
+router.delete(
+  '/admin/macros/:macroId',
+  requireAdmin(),
+  deleteTicketMacro
+);
+
+/**
+ * Ver detalles completos de cualquier ticket
+ * GET /api/tickets/admin/:ticketId
+ * @auth Employee (Cualquier empleado)
  */
 router.get(
-  '/categories',
-  authenticateHybrid,
-  adminTicketController.listTicketCategories
+  '/admin/:ticketId',
+  requireEmployeeAuth(),
+  getTicketDetails
 );
 
-export default router;
\ No newline at end of file
+export default router;
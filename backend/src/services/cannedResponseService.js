@@ -0,0 +1,361 @@
+// services/cannedResponseService.js - Respuestas predefinidas y macros para tickets
+import { PrismaClient } from '@prisma/client';
+import validator from 'validator';
+import { sanitizeText } from '../middlewares/validator.js';
+import { recordFirstResponse } from './slaService.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+const EMPTY_VALUE = 'N/D';
+
+/**
+ * Marcadores disponibles y cómo se resuelven a partir del ticket
+ * (con client y order.status incluidos)
+ */
+const PLACEHOLDERS = {
+  client_name: (ticket) => ticket.client?.DisplayName,
+  ticket_number: (ticket) => ticket.TicketNumber,
+  order_tag: (ticket) => ticket.order?.IdentityTag,
+  order_status: (ticket) => ticket.order?.status?.Name,
+  estimated_delivery: (ticket) => ticket.order?.EstimatedDeliveryDate
+    ? new Date(ticket.order.EstimatedDeliveryDate).toLocaleDateString('es-EC')
+    : null
+};
+
+export const PLACEHOLDER_NAMES = Object.keys(PLACEHOLDERS);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const TICKET_STATUS = {
+  RESOLVED: 'resolved',
+  CLOSED: 'closed'
+};
+
+// === UTILIDADES ===
+
+function cannedError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Rechaza marcadores que no existen para que no lleguen sin resolver al cliente
+ */
+export function assertPlaceholders(body) {
+  const unknown = [...body.matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !PLACEHOLDERS[name]);
+
+  if (unknown.length > 0) {
+    throw cannedError(
+      `Marcadores desconocidos: ${[...new Set(unknown)].join(', ')}. Disponibles: ${PLACEHOLDER_NAMES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Reemplaza los marcadores con los datos del ticket.
+ * Los valores se escapan igual que el texto que escribe el staff; los que ya
+ * vienen escapados de la BD (nombre del cliente) se restauran antes para no
+ * escaparlos dos veces.
+ */
+export function renderTemplate(body, ticket) {
+  return body.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const resolver = PLACEHOLDERS[name];
+    if (!resolver) return match;
+
+    const value = resolver(ticket);
+    return value ? sanitizeText(validator.unescape(String(value))) : EMPTY_VALUE;
+  });
+}
+
+/**
+ * Ticket con los datos que usan los marcadores
+ */
+async function loadTicketContext(ticketId, client = prisma) {
+  const ticket = await client.ticket.findUnique({
+    where: { TicketId: ticketId },
+    include: {
+      client: { select: { DisplayName: true, Email: true } },
+      order: {
+        select: {
+          IdentityTag: true,
+          EstimatedDeliveryDate: true,
+          status: { select: { Name: true } }
+        }
+      }
+    }
+  });
+
+  if (!ticket) throw cannedError('Ticket no encontrado', 404);
+  return ticket;
+}
+
+/**
+ * Una plantilla o macro con categoría solo aplica a tickets de esa categoría
+ */
+function assertScope(item, ticket) {
+  if (item.CategoryId && item.CategoryId !== ticket.CategoryId) {
+    throw cannedError('No disponible para la categoría de este ticket');
+  }
+}
+
+/**
+ * Filtro por categoría: las generales más las de la categoría indicada
+ */
+const scopeWhere = (categoryId) => (categoryId
+  ? { OR: [{ CategoryId: null }, { CategoryId: categoryId }] }
+  : {});
+
+async function assertCategory(categoryId) {
+  if (!categoryId) return;
+  const category = await prisma.ticketCategory.findUnique({ where: { CategoryId: categoryId } });
+  if (!category) throw cannedError('Categoría de ticket no encontrada', 404);
+}
+
+// === RESPUESTAS PREDEFINIDAS ===
+
+/**
+ * @param {{ categoryId?, includeInactive? }} filters
+ */
+export async function listCannedResponses({ categoryId, includeInactive = false } = {}) {
+  return prisma.cannedResponse.findMany({
+    where: {
+      ...scopeWhere(categoryId),
+      ...(!includeInactive && { Active: true })
+    },
+    include: { category: { select: { CategoryId: true, Name: true } } },
+    orderBy: { Title: 'asc' }
+  });
+}
+
+export async function createCannedResponse(data, userId) {
+  assertPlaceholders(data.body);
+  await assertCategory(data.categoryId);
+
+  return prisma.cannedResponse.create({
+    data: {
+      Title: data.title,
+      Body: data.body,
+      CategoryId: data.categoryId ?? null,
+      CreatedByUserId: userId
+    }
+  });
+}
+
+export async function updateCannedResponse(cannedResponseId, data) {
+  const existing = await prisma.cannedResponse.findUnique({ where: { CannedResponseId: cannedResponseId } });
+  if (!existing) throw cannedError('Respuesta predefinida no encontrada', 404);
+
+  if (data.body) assertPlaceholders(data.body);
+  await assertCategory(data.categoryId);
+
+  return prisma.cannedResponse.update({
+    where: { CannedResponseId: cannedResponseId },
+    data: {
+      Title: data.title,
+      Body: data.body,
+      CategoryId: data.categoryId,
+      Active: data.active
+    }
+  });
+}
+
+/**
+ * Elimina la respuesta; si una macro la usa solo se desactiva
+ */
+export async function deleteCannedResponse(cannedResponseId) {
+  const existing = await prisma.cannedResponse.findUnique({
+    where: { CannedResponseId: cannedResponseId },
+    include: { _count: { select: { macros: true } } }
+  });
+  if (!existing) throw cannedError('Respuesta predefinida no encontrada', 404);
+
+  if (existing._count.macros > 0) {
+    await prisma.cannedResponse.update({
+      where: { CannedResponseId: cannedResponseId },
+      data: { Active: false }
+    });
+    return { deleted: false, deactivated: true };
+  }
+
+  await prisma.cannedResponse.delete({ where: { CannedResponseId: cannedResponseId } });
+  return { deleted: true, deactivated: false };
+}
+
+/**
+ * Texto final de una respuesta predefinida para un ticket (vista previa)
+ */
+export async function renderCannedResponse(cannedResponseId, ticketId) {
+  const [canned, ticket] = await Promise.all([
+    prisma.cannedResponse.findUnique({ where: { CannedResponseId: cannedResponseId } }),
+    loadTicketContext(ticketId)
+  ]);
+
+  if (!canned || !canned.Active) throw cannedError('Respuesta predefinida no encontrada', 404);
+  assertScope(canned, ticket);
+
+  return {
+    cannedResponseId,
+    ticketId,
+    message: renderTemplate(canned.Body, ticket)
+  };
+}
+
+// === MACROS ===
+
+export async function listMacros({ categoryId, includeInactive = false } = {}) {
+  return prisma.ticketMacro.findMany({
+    where: {
+      ...scopeWhere(categoryId),
+      ...(!includeInactive && { Active: true })
+    },
+    include: {
+      category: { select: { CategoryId: true, Name: true } },
+      cannedResponse: { select: { CannedResponseId: true, Title: true } }
+    },
+    orderBy: { Name: 'asc' }
+  });
+}
+
+async function assertMacroReferences(data) {
+  await assertCategory(data.categoryId);
+
+  if (data.cannedResponseId) {
+    const canned = await prisma.cannedResponse.findUnique({ where: { CannedResponseId: data.cannedResponseId } });
+    if (!canned || !canned.Active) throw cannedError('Respuesta predefinida no encontrada', 404);
+
+    // La respuesta debe poder usarse en la categoría de la macro
+    if (canned.CategoryId && canned.CategoryId !== data.categoryId) {
+      throw cannedError('La respuesta predefinida pertenece a otra categoría');
+    }
+  }
+}
+
+export async function createMacro(data, userId) {
+  await assertMacroReferences(data);
+
+  return prisma.ticketMacro.create({
+    data: {
+      Name: data.name,
+      CategoryId: data.categoryId ?? null,
+      CannedResponseId: data.cannedResponseId ?? null,
+      ReplyIsInternal: data.replyIsInternal ?? false,
+      SetStatus: data.setStatus ?? null,
+      SetPriority: data.setPriority ?? null,
+      CreatedByUserId: userId
+    }
+  });
+}
+
+export async function updateMacro(macroId, data) {
+  const macro = await prisma.ticketMacro.findUnique({ where: { MacroId: macroId } });
+  if (!macro) throw cannedError('Macro no encontrada', 404);
+
+  await assertMacroReferences({
+    categoryId: data.categoryId !== undefined ? data.categoryId : macro.CategoryId,
+    cannedResponseId: data.cannedResponseId
+  });
+
+  const updated = {
+    CannedResponseId: data.cannedResponseId !== undefined ? data.cannedResponseId : macro.CannedResponseId,
+    SetStatus: data.setStatus !== undefined ? data.setStatus : macro.SetStatus,
+    SetPriority: data.setPriority !== undefined ? data.setPriority : macro.SetPriority
+  };
+  if (!updated.CannedResponseId && !updated.SetStatus && !updated.SetPriority) {
+    throw cannedError('La macro debe realizar al menos una acción');
+  }
+
+  return prisma.ticketMacro.update({
+    where: { MacroId: macroId },
+    data: {
+      Name: data.name,
+      CategoryId: data.categoryId,
+      ReplyIsInternal: data.replyIsInternal,
+      Active: data.active,
+      ...updated
+    }
+  });
+}
+
+export async function deleteMacro(macroId) {
+  const macro = await prisma.ticketMacro.findUnique({ where: { MacroId: macroId } });
+  if (!macro) throw cannedError('Macro no encontrada', 404);
+
+  await prisma.ticketMacro.delete({ where: { MacroId: macroId } });
+  return macro;
+}
+
+/**
+ * Ejecuta una macro sobre un ticket en una sola transacción:
+ * publica la respuesta (con marcadores resueltos), cambia estado y prioridad.
+ *
+ * @returns {Promise<{ ticket, response, macro, changes: { status?, priority? } }>}
+ */
+export async function applyMacro(macroId, ticketId, userId) {
+  const macro = await prisma.ticketMacro.findUnique({
+    where: { MacroId: macroId },
+    include: { cannedResponse: true }
+  });
+  if (!macro || !macro.Active) throw cannedError('Macro no encontrada', 404);
+
+  const context = await loadTicketContext(ticketId);
+  assertScope(macro, context);
+
+  const changes = {};
+  if (macro.SetStatus && macro.SetStatus !== context.Status) changes.status = macro.SetStatus;
+  if (macro.SetPriority && macro.SetPriority !== context.Priority) changes.priority = macro.SetPriority;
+
+  return prisma.$transaction(async (tx) => {
+    let response = null;
+
+    if (macro.cannedResponse) {
+      response = await tx.ticketResponse.create({
+        data: {
+          TicketId: ticketId,
+          Message: renderTemplate(macro.cannedResponse.Body, context),
+          RespondedByUserId: userId,
+          IsInternal: macro.ReplyIsInternal
+        }
+      });
+
+      if (!response.IsInternal) {
+        await recordFirstResponse(ticketId, response.CreatedAt, tx);
+      }
+    }
+
+    const now = new Date();
+    const ticket = await tx.ticket.update({
+      where: { TicketId: ticketId },
+      data: {
+        UpdatedAt: now,
+        ...(changes.status && { Status: changes.status }),
+        ...(changes.status === TICKET_STATUS.RESOLVED && !context.ResolvedAt && { ResolvedAt: now }),
+        ...(changes.status === TICKET_STATUS.CLOSED && !context.ClosedAt && { ClosedAt: now }),
+        ...(changes.priority && { Priority: changes.priority })
+      },
+      include: { client: true }
+    });
+
+    return { ticket, response, macro, changes };
+  });
+}
+
+export default {
+  PLACEHOLDER_NAMES,
+  assertPlaceholders,
+  renderTemplate,
+  listCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+  listMacros,
+  createMacro,
+  updateMacro,
+  deleteMacro,
+  applyMacro
+};
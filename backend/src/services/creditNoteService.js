@@ -0,0 +1,182 @@
+// services/creditNoteService.js - Cálculo de notas de crédito sobre facturas emitidas
+import { PrismaClient } from '@prisma/client';
+import { IVA_PERCENTAGE_CODES } from './taxService.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const CREDIT_NOTE_TYPES = {
+  FULL: 'total',
+  PARTIAL: 'parcial'
+};
+
+// Tolerancia para comparar cantidades decimales
+const EPSILON = 1e-6;
+
+// === UTILIDADES ===
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+function creditNoteError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Nombres de tarifa guardados en la factura (TaxBreakdown)
+ */
+function taxNamesFromInvoice(invoice) {
+  try {
+    const breakdown = JSON.parse(invoice.TaxBreakdown || '[]');
+    return new Map(breakdown.map((tax) => [String(tax.code), tax.name]));
+  } catch {
+    return new Map();
+  }
+}
+
+// === CONSULTAS ===
+
+/**
+ * Cantidades y valores ya acreditados por cada ítem de la factura
+ * @param {number} invoiceId
+ * @returns {Promise<Map<number, { quantity, discount, subtotal, tax }>>}
+ */
+export async function getCreditedByLine(invoiceId, client = prisma) {
+  const lines = await client.creditNoteLine.findMany({
+    where: { creditNote: { InvoiceId: invoiceId } },
+    select: { InvoiceLineId: true, Quantity: true, Discount: true, SubTotal: true, Tax: true }
+  });
+
+  const credited = new Map();
+  for (const line of lines) {
+    const entry = credited.get(line.InvoiceLineId) || { quantity: 0, discount: 0, subtotal: 0, tax: 0 };
+    entry.quantity += line.Quantity;
+    entry.discount = round2(entry.discount + line.Discount);
+    entry.subtotal = round2(entry.subtotal + line.SubTotal);
+    entry.tax = round2(entry.tax + line.Tax);
+    credited.set(line.InvoiceLineId, entry);
+  }
+
+  return credited;
+}
+
+// === CÁLCULO ===
+
+/**
+ * Calcula los ítems y totales de una nota de crédito.
+ * Sin `requested` se revierte todo el saldo pendiente de la factura. Cuando
+ * se acredita el saldo completo de un ítem se usan los valores restantes
+ * exactos, para que la suma de las notas coincida con la factura.
+ *
+ * @param {object} invoice - Factura con `lines`
+ * @param {Map} credited - Resultado de getCreditedByLine
+ * @param {Array<{ invoiceLineId: number, quantity: number }>|null} requested
+ * @returns {{ type, items, taxes, subtotal, tax, total }} Mismo formato que taxService.calculateTotals
+ */
+export function calculateCreditNoteTotals(invoice, credited, requested = null) {
+  const taxNames = taxNamesFromInvoice(invoice);
+  const lines = [...invoice.lines].sort((a, b) => a.SortOrder - b.SortOrder);
+  const remainingOf = (line) => line.Quantity - (credited.get(line.InvoiceLineId)?.quantity || 0);
+
+  let selection;
+  if (requested?.length) {
+    const quantities = new Map();
+    for (const { invoiceLineId, quantity } of requested) {
+      quantities.set(invoiceLineId, (quantities.get(invoiceLineId) || 0) + quantity);
+    }
+
+    selection = [...quantities.entries()].map(([invoiceLineId, quantity]) => {
+      const line = lines.find((l) => l.InvoiceLineId === invoiceLineId);
+      if (!line) {
+        throw creditNoteError(`El ítem ${invoiceLineId} no pertenece a la factura ${invoice.InvoiceNumber}`);
+      }
+      const remaining = remainingOf(line);
+      if (quantity > remaining + EPSILON) {
+        throw creditNoteError(`La cantidad a acreditar de "${line.Description}" supera el saldo del ítem (${round2(remaining)})`);
+      }
+      return { line, quantity };
+    });
+  } else {
+    selection = lines
+      .map((line) => ({ line, quantity: remainingOf(line) }))
+      .filter(({ quantity }) => quantity > EPSILON);
+  }
+
+  if (selection.length === 0) {
+    throw creditNoteError(`La factura ${invoice.InvoiceNumber} ya fue revertida en su totalidad`, 409);
+  }
+
+  const items = selection.map(({ line, quantity }) => {
+    const previous = credited.get(line.InvoiceLineId) || { quantity: 0, discount: 0, subtotal: 0, tax: 0 };
+    const closesLine = Math.abs(remainingOf(line) - quantity) < EPSILON;
+
+    let discount, subtotal, tax;
+    if (closesLine) {
+      discount = round2(line.Discount - previous.discount);
+      subtotal = round2(line.SubTotal - previous.subtotal);
+      tax = round2(line.Tax - previous.tax);
+    } else {
+      const ratio = quantity / line.Quantity;
+      discount = round2(line.Discount * ratio);
+      subtotal = round2(line.SubTotal * ratio);
+      tax = round2(subtotal * line.TaxPercentage / 100);
+    }
+
+    return {
+      invoiceLineId: line.InvoiceLineId,
+      type: line.LineType,
+      code: line.Code,
+      description: line.Description,
+      quantity,
+      unitPrice: line.UnitPrice,
+      discount,
+      subtotal,
+      taxCode: line.TaxCode,
+      taxName: taxNames.get(line.TaxCode) || IVA_PERCENTAGE_CODES[line.TaxCode]?.name || `IVA ${line.TaxPercentage}%`,
+      taxPercentage: line.TaxPercentage,
+      tax,
+      total: round2(subtotal + tax)
+    };
+  });
+
+  // Agrupación por tarifa (totalConImpuestos del XML y resumen del PDF)
+  const groups = new Map();
+  for (const item of items) {
+    const group = groups.get(item.taxCode) || {
+      code: item.taxCode,
+      name: item.taxName,
+      percentage: item.taxPercentage,
+      base: 0,
+      amount: 0
+    };
+    group.base = round2(group.base + item.subtotal);
+    group.amount = round2(group.amount + item.tax);
+    groups.set(item.taxCode, group);
+  }
+
+  // Total cuando esta nota deja en cero el saldo de todos los ítems
+  const creditedNow = new Map(selection.map(({ line, quantity }) => [line.InvoiceLineId, quantity]));
+  const closesInvoice = lines.every((line) =>
+    remainingOf(line) - (creditedNow.get(line.InvoiceLineId) || 0) < EPSILON
+  );
+
+  const subtotal = round2(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const tax = round2(items.reduce((sum, item) => sum + item.tax, 0));
+
+  return {
+    type: closesInvoice ? CREDIT_NOTE_TYPES.FULL : CREDIT_NOTE_TYPES.PARTIAL,
+    items,
+    taxes: [...groups.values()],
+    subtotal,
+    tax,
+    total: round2(subtotal + tax)
+  };
+}
+
+export default {
+  CREDIT_NOTE_TYPES,
+  getCreditedByLine,
+  calculateCreditNoteTotals
+};
@@ -0,0 +1,427 @@
+// services/deliveryService.js - Retiro del equipo: código de retiro, firma y acta de entrega en PDF
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { PrismaClient } from '@prisma/client';
+import { getStorage, buildStorageKey } from './storageService.js';
+import { decodeSignature, ACCESSORY_LABELS } from './intakeService.js';
+import { drawPdfHeader } from './invoiceService.js';
+import {
+  plain,
+  formatDateTime,
+  readAll,
+  sectionTitle,
+  field,
+  drawSignatureBlock
+} from './receiptPdfService.js';
+import { assertOrderTransition, ORDER_STATUS } from './orderStatusService.js';
+import { sendPickupCodeMail, sendDeliveryMail } from '../../config/nodemailer.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const DELIVERY_LIMITS = {
+  PICKUP_CODE_TTL_HOURS: Number(process.env.PICKUP_CODE_TTL_HOURS || 24),
+  MAX_PICKUP_ATTEMPTS: 5
+};
+
+// Cómo se verificó que quien retira está autorizado
+export const PICKUP_VERIFICATION = {
+  PICKUP_CODE: 'pickup_code',
+  ID_NUMBER: 'id_number'
+};
+
+// === UTILIDADES ===
+
+function deliveryError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Cédulas y RUC se comparan sin espacios, guiones ni mayúsculas
+const normalizeIdNumber = (value) => (value || '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+
+const hashPickupCode = (orderId, code) =>
+  crypto.createHash('sha256').update(`${orderId}:${code}`).digest('hex');
+
+// === CÓDIGO DE RETIRO ===
+
+/**
+ * Genera un código de retiro de 6 dígitos y lo envía al correo del cliente.
+ * Un código nuevo reemplaza al anterior.
+ * @param {number} orderId
+ * @param {{ userId?, roles }} actor - Ver actorFromAuth()
+ * @returns {Promise<{ sentTo: string, expiresAt: Date }>}
+ */
+export async function issuePickupCode(orderId, actor) {
+  // Solo tiene sentido para órdenes que ya se pueden entregar
+  await assertOrderTransition(orderId, ORDER_STATUS.DELIVERED, actor);
+
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: {
+      client: { select: { DisplayName: true, Email: true } },
+      equipment: { select: { Brand: true, Model: true } }
+    }
+  });
+
+  if (!order) throw deliveryError('Orden no encontrada', 404);
+  if (!order.client?.Email) {
+    throw deliveryError('El cliente no tiene un correo registrado: el retiro se verifica con la identificación del titular');
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + DELIVERY_LIMITS.PICKUP_CODE_TTL_HOURS * 60 * 60 * 1000);
+
+  await prisma.serviceOrder.update({
+    where: { OrderId: orderId },
+    data: {
+      PickupCodeHash: hashPickupCode(orderId, code),
+      PickupCodeExpires: expiresAt,
+      PickupCodeAttempts: 0
+    }
+  });
+
+  try {
+    await sendPickupCodeMail(order.client.Email, order.client.DisplayName, {
+      identityTag: order.IdentityTag,
+      code,
+      expiresAt,
+      equipment: [order.equipment?.Brand, order.equipment?.Model].filter(Boolean).join(' ')
+    });
+  } catch (error) {
+    logger.error(`No se pudo enviar el código de retiro de la orden ${order.IdentityTag}: ${error.message}`);
+    throw deliveryError('No se pudo enviar el código de retiro por correo', 502);
+  }
+
+  logger.info(`Código de retiro de la orden ${order.IdentityTag} enviado a ${order.client.Email}`);
+  return { sentTo: order.client.Email, expiresAt };
+}
+
+/**
+ * Verifica que quien retira está autorizado. Con correo registrado se exige el
+ * código de retiro; sin correo, la identificación del titular de la orden.
+ * Los intentos fallidos se registran fuera de la transacción de la entrega.
+ *
+ * @param {number} orderId
+ * @param {{ pickupCode?: string, receivedByIdNumber: string }} pickup
+ * @returns {Promise<{ method: string, codeHash?: string }>}
+ */
+export async function verifyPickup(orderId, { pickupCode, receivedByIdNumber }) {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    select: {
+      OrderId: true,
+      PickupCodeHash: true,
+      PickupCodeExpires: true,
+      PickupCodeAttempts: true,
+      client: { select: { Email: true, IdNumber: true } }
+    }
+  });
+
+  if (!order) throw deliveryError('Orden no encontrada', 404);
+
+  if (!order.client?.Email) {
+    if (normalizeIdNumber(receivedByIdNumber) !== normalizeIdNumber(order.client?.IdNumber)) {
+      throw deliveryError('El cliente no tiene un correo registrado: solo el titular puede retirar el equipo presentando su identificación');
+    }
+    return { method: PICKUP_VERIFICATION.ID_NUMBER };
+  }
+
+  if (!pickupCode) {
+    throw deliveryError('Ingrese el código de retiro enviado al correo del cliente');
+  }
+  if (!order.PickupCodeHash) {
+    throw deliveryError('La orden no tiene un código de retiro vigente; solicite uno nuevo');
+  }
+  if (order.PickupCodeExpires < new Date()) {
+    throw deliveryError('El código de retiro venció; solicite uno nuevo');
+  }
+  if (order.PickupCodeAttempts >= DELIVERY_LIMITS.MAX_PICKUP_ATTEMPTS) {
+    throw deliveryError('Se superó el número de intentos; solicite un nuevo código de retiro', 429);
+  }
+
+  const codeHash = hashPickupCode(orderId, pickupCode);
+  const matches = crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(order.PickupCodeHash));
+
+  if (!matches) {
+    const { PickupCodeAttempts: attempts } = await prisma.serviceOrder.update({
+      where: { OrderId: orderId },
+      data: { PickupCodeAttempts: { increment: 1 } },
+      select: { PickupCodeAttempts: true }
+    });
+    const remaining = Math.max(DELIVERY_LIMITS.MAX_PICKUP_ATTEMPTS - attempts, 0);
+    throw deliveryError(
+      remaining > 0
+        ? `Código de retiro incorrecto (quedan ${remaining} intentos)`
+        : 'Código de retiro incorrecto; solicite un nuevo código',
+      remaining > 0 ? 400 : 429
+    );
+  }
+
+  return { method: PICKUP_VERIFICATION.PICKUP_CODE, codeHash };
+}
+
+/**
+ * Invalida el código dentro de la transacción de la entrega; si otra entrega
+ * lo usó al mismo tiempo, la segunda falla
+ */
+export async function consumePickupCode(tx, orderId, verification) {
+  if (verification.method !== PICKUP_VERIFICATION.PICKUP_CODE) return;
+
+  const { count } = await tx.serviceOrder.updateMany({
+    where: { OrderId: orderId, PickupCodeHash: verification.codeHash },
+    data: { PickupCodeHash: null, PickupCodeExpires: null, PickupCodeAttempts: 0 }
+  });
+
+  if (count === 0) throw deliveryError('El código de retiro ya fue usado', 409);
+}
+
+// === FIRMA ===
+
+/**
+ * Guarda la firma de quien retira antes de la transacción de la entrega;
+ * si esta falla, se elimina con discardDeliverySignature()
+ * @returns {Promise<{ provider: string, signatureKey: string }>}
+ */
+export async function storeDeliverySignature(dataUrl, clientId) {
+  const signature = decodeSignature(dataUrl);
+  const storage = getStorage();
+  const signatureKey = await storage.save(buildStorageKey(`delivery/${clientId}`, 'firma.png'), signature);
+  return { provider: storage.name, signatureKey };
+}
+
+export async function discardDeliverySignature(stored) {
+  if (!stored) return;
+  await getStorage(stored.provider).remove(stored.signatureKey).catch(() => {});
+}
+
+// === PDF ===
+
+async function findDeliveryOrder(orderId) {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: {
+      client: true,
+      equipment: { include: { equipmentType: true } },
+      equipmentEntry: { select: { EnteredAt: true, Accessories: true } },
+      equipmentExit: { include: { deliveredBy: { select: { Username: true } } } }
+    }
+  });
+
+  if (!order) throw deliveryError('Orden no encontrada', 404);
+  if (!order.equipmentExit?.SignatureKey) {
+    throw deliveryError('La orden no tiene un acta de entrega firmada', 404);
+  }
+
+  return order;
+}
+
+function returnedAccessories(entry) {
+  try {
+    return entry?.Accessories ? JSON.parse(entry.Accessories) : null;
+  } catch {
+    return null;
+  }
+}
+
+const receiptFilename = (order) => `acta_entrega_${order.IdentityTag}.pdf`.replace(/-/g, '_');
+
+/**
+ * Genera el acta de entrega con los datos de quien retira, los accesorios
+ * devueltos y su firma
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+export async function generateDeliveryReceiptPDF(order) {
+  const exit = order.equipmentExit;
+  const signature = await readAll(await getStorage(exit.StorageProvider).read(exit.SignatureKey));
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Acta de entrega ${order.IdentityTag}`,
+      Author: 'Ecuatechnology S.A.',
+      Subject: `Entrega del equipo de la orden ${order.IdentityTag}`
+    }
+  });
+
+  const buffers = [];
+  doc.on('data', (chunk) => buffers.push(chunk));
+  const ended = new Promise((resolve) => doc.on('end', () => resolve()));
+
+  // ===== ENCABEZADO =====
+  drawPdfHeader(doc);
+
+  doc.fillColor('#2c3e50')
+     .fontSize(16)
+     .font('Helvetica-Bold')
+     .text('ACTA DE ENTREGA DE EQUIPO', 50, 110);
+
+  doc.fillColor('#333')
+     .fontSize(10)
+     .font('Helvetica')
+     .text(`Orden: ${order.IdentityTag}`, 350, 110)
+     .text(`Fecha: ${formatDateTime(exit.ExitedAt)}`, 350, 125)
+     .text(`Entregado por: ${exit.deliveredBy?.Username || 'N/D'}`, 350, 140);
+
+  doc.y = 160;
+
+  // ===== CLIENTE Y EQUIPO =====
+  sectionTitle(doc, 'CLIENTE');
+  field(doc, 'Nombre', plain(order.client?.DisplayName));
+  field(doc, 'Identificación', order.client?.IdNumber);
+
+  const equipment = order.equipment || {};
+  sectionTitle(doc, 'EQUIPO');
+  field(doc, 'Tipo', equipment.equipmentType?.Name);
+  field(doc, 'Marca / Modelo', [plain(equipment.Brand), plain(equipment.Model)].filter(Boolean).join(' '));
+  field(doc, 'Número de serie', plain(equipment.SerialNumber));
+  field(doc, 'Fecha de ingreso', formatDateTime(order.equipmentEntry?.EnteredAt || order.IntakeDate));
+  if (order.Diagnosis) field(doc, 'Diagnóstico', plain(order.Diagnosis));
+
+  // ===== ACCESORIOS =====
+  sectionTitle(doc, 'ACCESORIOS DEVUELTOS');
+  const accessories = returnedAccessories(order.equipmentEntry);
+  if (!accessories) {
+    doc.text('No se registraron accesorios con el formulario de ingreso.', 50);
+  } else if (accessories.length === 0) {
+    doc.text('El equipo ingresó sin accesorios.', 50);
+  } else {
+    accessories.forEach((accessory) => {
+      const detail = accessory.description ? ` - ${plain(accessory.description)}` : '';
+      doc.text(`• ${accessory.quantity} x ${ACCESSORY_LABELS[accessory.item] || accessory.item}${detail}`, 60);
+    });
+  }
+
+  // ===== RETIRO =====
+  sectionTitle(doc, 'RETIRO');
+  field(doc, 'Retirado por', plain(exit.ReceivedByClientName));
+  field(doc, 'Identificación', exit.ReceivedByIdNumber);
+  field(
+    doc,
+    'Verificación',
+    exit.PickupVerification === PICKUP_VERIFICATION.PICKUP_CODE
+      ? 'Código de retiro enviado al correo del cliente'
+      : 'Identificación del titular de la orden'
+  );
+  if (exit.Notes) field(doc, 'Observaciones', plain(exit.Notes));
+
+  // ===== DECLARACIÓN Y FIRMA =====
+  drawSignatureBlock(doc, {
+    declaration:
+      'Quien firma declara haber recibido el equipo y los accesorios detallados en este documento, y haber revisado ' +
+      'su estado y funcionamiento a conformidad. La garantía del servicio se rige por las condiciones de la orden.',
+    signature,
+    signerLabel: `Firma de quien retira: ${plain(exit.ReceivedByClientName)}`,
+    signedAt: exit.ExitedAt
+  });
+
+  doc.end();
+  await ended;
+
+  return { buffer: Buffer.concat(buffers), filename: receiptFilename(order) };
+}
+
+// === ENVÍO Y DESCARGA ===
+
+/**
+ * Genera el acta (si aún no existe) y la guarda en el almacenamiento
+ * @returns {Promise<{ order: object, buffer: Buffer, filename: string }>}
+ */
+async function ensureDeliveryReceipt(orderId) {
+  const order = await findDeliveryOrder(orderId);
+  const exit = order.equipmentExit;
+  const filename = receiptFilename(order);
+
+  if (exit.ReceiptKey) {
+    const stream = await getStorage(exit.StorageProvider).read(exit.ReceiptKey);
+    return { order, buffer: await readAll(stream), filename };
+  }
+
+  const { buffer } = await generateDeliveryReceiptPDF(order);
+  const storage = getStorage(exit.StorageProvider);
+  const key = await storage.save(buildStorageKey(`delivery/${order.ClientId}`, filename), buffer);
+
+  await prisma.equipmentExit.update({
+    where: { ExitId: exit.ExitId },
+    data: { ReceiptKey: key }
+  });
+
+  return { order, buffer, filename };
+}
+
+/**
+ * Envía el acta de entrega al correo del cliente
+ * @returns {Promise<{ sentTo: string, sentAt: Date }>}
+ */
+export async function sendDeliveryReceipt(orderId) {
+  const { order, buffer, filename } = await ensureDeliveryReceipt(orderId);
+
+  if (!order.client?.Email) {
+    throw deliveryError('El cliente no tiene un correo registrado');
+  }
+
+  await sendDeliveryMail(order.client.Email, order.client.DisplayName, {
+    identityTag: order.IdentityTag,
+    deliveredAt: order.equipmentExit.ExitedAt,
+    receivedBy: order.equipmentExit.ReceivedByClientName,
+    equipment: [order.equipment?.Brand, order.equipment?.Model].filter(Boolean).join(' ')
+  }, [{ filename, content: buffer, contentType: 'application/pdf' }]);
+
+  const sentAt = new Date();
+  await prisma.equipmentExit.update({
+    where: { ExitId: order.equipmentExit.ExitId },
+    data: { ReceiptSentAt: sentAt }
+  });
+
+  logger.info(`Acta de entrega de la orden ${order.IdentityTag} enviada a ${order.client.Email}`);
+  return { sentTo: order.client.Email, sentAt };
+}
+
+/**
+ * Acta y aviso de entrega luego de registrar la salida. Un fallo no revierte
+ * la entrega: queda registrado y el acta se puede reenviar después.
+ * @returns {Promise<{ receiptGenerated: boolean, emailed: boolean }>}
+ */
+export async function sendDeliveryNotification(orderId) {
+  const result = { receiptGenerated: false, emailed: false };
+
+  try {
+    const { order } = await ensureDeliveryReceipt(orderId);
+    result.receiptGenerated = true;
+
+    if (order.client?.Email) {
+      await sendDeliveryReceipt(orderId);
+      result.emailed = true;
+    }
+  } catch (error) {
+    logger.error(`No se pudo enviar el aviso de entrega de la orden ${orderId}: ${error.message}`, { stack: error.stack });
+  }
+
+  return result;
+}
+
+/**
+ * PDF del acta para descarga
+ */
+export async function getDeliveryReceipt(orderId) {
+  const { buffer, filename } = await ensureDeliveryReceipt(orderId);
+  return { buffer, filename };
+}
+
+export default {
+  DELIVERY_LIMITS,
+  PICKUP_VERIFICATION,
+  issuePickupCode,
+  verifyPickup,
+  consumePickupCode,
+  storeDeliverySignature,
+  discardDeliverySignature,
+  generateDeliveryReceiptPDF,
+  sendDeliveryReceipt,
+  sendDeliveryNotification,
+  getDeliveryReceipt
+};
@@ -189,14 +189,15 @@ export async function registerEquipment(equipmentData) {
  * @param {string} identityTag - Tag de la orden.
  * @param {string} parts - Descripción de los repuestos.
  * @param {number} totalPrice - Precio total.
+ * @param {object|null} totals - Ítems e impuestos calculados (si la orden tiene ítems).
  */
-export async function sendProformaToClient(orderId, clientEmail, clientName, identityTag, parts, totalPrice) {
+export async function sendProformaToClient(orderId, clientEmail, clientName, identityTag, parts, totalPrice, totals = null) {
   try {
     if (!validator.isEmail(clientEmail)) {
       throw new Error('Email del cliente inválido para enviar proforma.');
     }
 
-    await sendProformaEmail(clientEmail, clientName, identityTag, parts, totalPrice);
+    await sendProformaEmail(clientEmail, clientName, identityTag, parts, totalPrice, totals);
 
     // Actualizar el estado de la proforma en la base de datos (handled in controller)
     // Se deja al controlador la actualización del estado de la orden para tener
@@ -0,0 +1,352 @@
+// services/inboundMailService.js - Correo entrante a tickets (buzón IMAP o webhook con MIME crudo)
+import crypto from 'crypto';
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { PrismaClient } from '@prisma/client';
+import { sanitizeText, validateAndSanitizeEmail } from '../middlewares/validator.js';
+import { prepareAttachments, ATTACHMENT_LIMITS } from './ticketAttachmentService.js';
+import { createClientTicket, addClientResponse } from './ticketService.js';
+import { getOrderTagFormat } from './sequenceService.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const INBOUND_STATUS = {
+  TICKET_CREATED: 'ticket_created',
+  RESPONSE_ADDED: 'response_added',
+  REJECTED: 'rejected',
+  DUPLICATE: 'duplicate'
+};
+
+export const INBOUND_SOURCE = {
+  IMAP: 'imap',
+  WEBHOOK: 'webhook'
+};
+
+// "Ticket #<número>" en el asunto (los números son cuid)
+const TICKET_NUMBER_PATTERN = /ticket\s*#?\s*([a-z0-9]{20,40})\b/i;
+
+// Códigos de orden anteriores: ORD-<timestamp>-<sufijo>
+const LEGACY_ORDER_TAG_PATTERN = 'ORD-\\d+-[a-z0-9]+';
+
+// Inicio del texto citado en una respuesta
+const QUOTE_MARKERS = [
+  /^(El|On)\s.+(escribió|wrote):\s*$/i,
+  /^-{2,}\s*(Mensaje original|Original Message)\s*-{2,}/i,
+  /^(De|From):\s.+/i
+];
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+
+let pollTimer = null;
+let pollRunning = false;
+
+// === UTILIDADES ===
+
+/**
+ * Deja solo el texto nuevo de una respuesta: corta en la primera cita
+ */
+export function stripQuotedReply(text = '') {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    if (line.startsWith('>') || QUOTE_MARKERS.some((marker) => marker.test(line.trim()))) break;
+    kept.push(line);
+  }
+
+  const reply = kept.join('\n').trim();
+  return reply || text.trim();
+}
+
+export function extractTicketNumber(subject = '') {
+  return subject.match(TICKET_NUMBER_PATTERN)?.[1] || null;
+}
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 3)}...` : text);
+
+/**
+ * Id estable del correo: Message-ID o, si falta, un hash de remitente/asunto/fecha
+ */
+function resolveMessageId(parsed, fromAddress) {
+  if (parsed.messageId) return parsed.messageId;
+
+  const hash = crypto.createHash('sha256')
+    .update(`${fromAddress}|${parsed.subject || ''}|${parsed.date?.toISOString() || ''}|${parsed.text || ''}`)
+    .digest('hex');
+  return `generated-${hash}`;
+}
+
+/**
+ * Cliente por correo, probando la dirección tal cual y normalizada
+ * (los registros guardan el email normalizado con validator.js)
+ */
+async function findClientByEmail(address) {
+  const { isValid, sanitized } = validateAndSanitizeEmail(address);
+  const candidates = [...new Set([address, isValid ? sanitized : null].filter(Boolean))];
+
+  return prisma.client.findFirst({
+    where: { Email: { in: candidates } },
+    select: { ClientId: true, DisplayName: true, Email: true }
+  });
+}
+
+/**
+ * Adjuntos del correo que pasan las mismas reglas del portal.
+ * Los rechazados se omiten (el correo se procesa igual) y se informan.
+ */
+async function prepareMailAttachments(mailAttachments = []) {
+  const files = mailAttachments
+    .filter((attachment) => attachment.contentDisposition !== 'inline' || attachment.filename)
+    .map((attachment) => ({
+      originalname: attachment.filename || 'adjunto',
+      mimetype: attachment.contentType,
+      size: attachment.size ?? attachment.content.length,
+      buffer: attachment.content
+    }));
+
+  const accepted = [];
+  const skipped = [];
+
+  for (const file of files) {
+    if (accepted.length >= ATTACHMENT_LIMITS.MAX_FILES) {
+      skipped.push(`${file.originalname} (límite de archivos)`);
+      continue;
+    }
+    try {
+      accepted.push(...await prepareAttachments([file]));
+    } catch (err) {
+      skipped.push(`${file.originalname} (${err.message})`);
+    }
+  }
+
+  return { accepted, skipped };
+}
+
+async function resolveInboundCategoryId() {
+  const code = process.env.INBOUND_TICKET_CATEGORY || 'general';
+  const category = await prisma.ticketCategory.findUnique({ where: { Code: code } });
+
+  if (!category) {
+    throw new Error(`Categoría de tickets para correo entrante no encontrada: ${code}`);
+  }
+  return category.CategoryId;
+}
+
+/**
+ * Código de orden con el prefijo configurado (ECT-2026-000123 o ECT-000123,
+ * según se haya numerado por año) o con el formato anterior
+ */
+function orderTagPattern() {
+  const { prefix } = getOrderTagFormat();
+  return new RegExp(`\\b(?:${prefix}-(?:\\d{4}-)?\\d{3,9}|${LEGACY_ORDER_TAG_PATTERN})\\b`, 'i');
+}
+
+/**
+ * Orden del cliente mencionada en el asunto (p. ej. respuesta al correo de proforma)
+ */
+async function findClientOrderInSubject(subject, clientId) {
+  const tag = subject.match(orderTagPattern())?.[0];
+  if (!tag) return null;
+
+  const order = await prisma.serviceOrder.findUnique({
+    where: { IdentityTag: tag },
+    select: { OrderId: true, ClientId: true }
+  });
+
+  return order?.ClientId === clientId ? order.OrderId : null;
+}
+
+async function recordInbound(data) {
+  return prisma.inboundEmail.create({ data });
+}
+
+// === PROCESAMIENTO ===
+
+/**
+ * Convierte un correo ya parseado en ticket o respuesta.
+ * - Remitente desconocido: se registra como rechazado.
+ * - Asunto con número de ticket del mismo cliente (no cerrado): respuesta.
+ * - En otro caso: ticket nuevo, vinculado a la orden si el asunto trae su etiqueta.
+ *
+ * @param {object} parsed - Resultado de mailparser.simpleParser
+ * @param {string} source - INBOUND_SOURCE
+ * @returns {Promise<{ status: string, ticketId?: number, responseId?: number, skippedAttachments?: string[] }>}
+ */
+export async function processInboundMessage(parsed, source) {
+  const fromAddress = (parsed.from?.value?.[0]?.address || '').trim().toLowerCase();
+  const subject = (parsed.subject || '').trim();
+  const messageId = resolveMessageId(parsed, fromAddress);
+
+  const existing = await prisma.inboundEmail.findUnique({ where: { MessageId: messageId } });
+  if (existing) return { status: INBOUND_STATUS.DUPLICATE, ticketId: existing.TicketId };
+
+  const base = {
+    MessageId: messageId,
+    FromAddress: fromAddress || 'desconocido',
+    Subject: truncate(subject, 500),
+    Source: source
+  };
+
+  const client = fromAddress ? await findClientByEmail(fromAddress) : null;
+  if (!client) {
+    await recordInbound({ ...base, Status: INBOUND_STATUS.REJECTED, Reason: 'Remitente no registrado como cliente' });
+    logger.warn(`Correo entrante rechazado: remitente desconocido ${fromAddress}`);
+    return { status: INBOUND_STATUS.REJECTED };
+  }
+
+  const body = sanitizeText(truncate(stripQuotedReply(parsed.text || ''), MAX_BODY_LENGTH));
+  const { accepted, skipped } = await prepareMailAttachments(parsed.attachments);
+  const skippedNote = skipped.length > 0 ? `Adjuntos omitidos: ${skipped.join('; ')}` : null;
+
+  // Respuesta a un ticket existente del mismo cliente
+  const ticketNumber = extractTicketNumber(subject);
+  const ticket = ticketNumber
+    ? await prisma.ticket.findUnique({ where: { TicketNumber: ticketNumber } })
+    : null;
+
+  if (ticket && ticket.ClientId === client.ClientId && ticket.Status !== 'closed') {
+    const { response } = await addClientResponse(ticket, client.ClientId, body || '(sin texto)', accepted);
+
+    await recordInbound({
+      ...base,
+      Status: INBOUND_STATUS.RESPONSE_ADDED,
+      Reason: skippedNote,
+      ClientId: client.ClientId,
+      TicketId: ticket.TicketId
+    });
+
+    logger.info(`Correo entrante agregado al ticket ${ticket.TicketNumber}`, { from: fromAddress, source });
+    return { status: INBOUND_STATUS.RESPONSE_ADDED, ticketId: ticket.TicketId, responseId: response.ResponseId, skippedAttachments: skipped };
+  }
+
+  // Ticket nuevo (incluye respuestas a tickets cerrados o ajenos)
+  const orderId = await findClientOrderInSubject(subject, client.ClientId);
+  const followUp = ticket && ticket.ClientId === client.ClientId
+    ? `Seguimiento del ticket cerrado #${ticket.TicketNumber}\n\n`
+    : '';
+
+  const { ticket: created } = await createClientTicket({
+    clientId: client.ClientId,
+    orderId,
+    categoryId: await resolveInboundCategoryId(),
+    subject: sanitizeText(truncate(subject || 'Consulta por correo', MAX_SUBJECT_LENGTH)),
+    description: `${followUp}${body}` || '(sin texto)',
+    files: accepted
+  });
+
+  await recordInbound({
+    ...base,
+    Status: INBOUND_STATUS.TICKET_CREATED,
+    Reason: skippedNote,
+    ClientId: client.ClientId,
+    TicketId: created.TicketId
+  });
+
+  logger.info(`Ticket ${created.TicketNumber} creado desde correo entrante`, { from: fromAddress, source, orderId });
+  return { status: INBOUND_STATUS.TICKET_CREATED, ticketId: created.TicketId, skippedAttachments: skipped };
+}
+
+/**
+ * Procesa un correo en formato MIME crudo (RFC 822)
+ * @param {Buffer|string} raw
+ */
+export async function processRawEmail(raw, source = INBOUND_SOURCE.WEBHOOK) {
+  const parsed = await simpleParser(raw);
+  return processInboundMessage(parsed, source);
+}
+
+// === BUZÓN IMAP ===
+
+function imapConfig() {
+  return {
+    host: process.env.INBOUND_IMAP_HOST,
+    port: Number(process.env.INBOUND_IMAP_PORT || 993),
+    secure: process.env.INBOUND_IMAP_SECURE !== 'false',
+    auth: {
+      user: process.env.INBOUND_IMAP_USER,
+      pass: process.env.INBOUND_IMAP_PASS
+    },
+    logger: false
+  };
+}
+
+/**
+ * Lee los correos no leídos del buzón, los procesa y los marca como leídos.
+ * Si uno falla (p. ej. base de datos caída) queda sin leer para el siguiente ciclo.
+ *
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export async function pollMailbox() {
+  const client = new ImapFlow(imapConfig());
+  let processed = 0;
+  let failed = 0;
+
+  await client.connect();
+  const lock = await client.getMailboxLock(process.env.INBOUND_IMAP_MAILBOX || 'INBOX');
+
+  try {
+    // Se descargan primero: no se pueden enviar otros comandos durante el fetch
+    const messages = [];
+    for await (const message of client.fetch({ seen: false }, { uid: true, source: true })) {
+      messages.push({ uid: message.uid, source: message.source });
+    }
+
+    for (const message of messages) {
+      try {
+        await processRawEmail(message.source, INBOUND_SOURCE.IMAP);
+        await client.messageFlagsAdd(message.uid, ['\\Seen'], { uid: true });
+        processed++;
+      } catch (error) {
+        failed++;
+        logger.error(`Error al procesar correo entrante UID ${message.uid}`, { error: error.message });
+      }
+    }
+  } finally {
+    lock.release();
+    await client.logout();
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Inicia la lectura periódica del buzón.
+ * Requiere INBOUND_IMAP_HOST; INBOUND_MAIL_INTERVAL_MS=0 la desactiva.
+ */
+export function startInboundMailJob() {
+  const interval = Number(process.env.INBOUND_MAIL_INTERVAL_MS ?? 60000);
+  if (!process.env.INBOUND_IMAP_HOST || !interval || pollTimer) return;
+
+  pollTimer = setInterval(async () => {
+    if (pollRunning) return;
+    pollRunning = true;
+    try {
+      const { processed, failed } = await pollMailbox();
+      if (processed + failed > 0) {
+        logger.info(`Correo entrante: ${processed} procesado(s), ${failed} con error`);
+      }
+    } catch (error) {
+      logger.error('Error al leer el buzón de correo entrante', { error: error.message });
+    } finally {
+      pollRunning = false;
+    }
+  }, interval);
+
+  pollTimer.unref();
+  logger.info(`Lectura de correo entrante cada ${interval / 1000}s (${process.env.INBOUND_IMAP_HOST})`);
+}
+
+export default {
+  INBOUND_STATUS,
+  INBOUND_SOURCE,
+  stripQuotedReply,
+  extractTicketNumber,
+  processInboundMessage,
+  processRawEmail,
+  pollMailbox,
+  startInboundMailJob
+};
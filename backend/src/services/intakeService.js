@@ -0,0 +1,493 @@
+// services/intakeService.js - Formulario de ingreso del equipo: estado, accesorios, fotos, firma y recibo PDF
+import PDFDocument from 'pdfkit';
+import { PrismaClient } from '@prisma/client';
+import { prepareAttachments, ATTACHMENT_LIMITS } from './ticketAttachmentService.js';
+import { getStorage, buildStorageKey } from './storageService.js';
+import { drawPdfHeader } from './invoiceService.js';
+import {
+  plain,
+  formatDateTime,
+  readAll,
+  ensureSpace,
+  sectionTitle,
+  field,
+  drawSignatureBlock
+} from './receiptPdfService.js';
+import { sendIntakeReceiptMail } from '../../config/nodemailer.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const INTAKE_LIMITS = {
+  MAX_PHOTOS: Number(process.env.INTAKE_MAX_PHOTOS || 8),
+  MAX_PHOTO_SIZE: ATTACHMENT_LIMITS.MAX_FILE_SIZE,
+  MAX_SIGNATURE_SIZE: 512 * 1024
+};
+
+// PDFKit solo incrusta JPEG y PNG
+export const INTAKE_PHOTO_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+const CONDITION_LABELS = {
+  good: 'Bueno',
+  fair: 'Regular',
+  poor: 'Malo'
+};
+
+const CHECK_STATUS_LABELS = {
+  ok: 'Sin novedad',
+  damaged: 'Con daños',
+  missing: 'Faltante'
+};
+
+const CHECKLIST_LABELS = {
+  screen: 'Pantalla',
+  casing: 'Carcasa',
+  keyboard: 'Teclado',
+  touchpad: 'Touchpad',
+  ports: 'Puertos',
+  hinges: 'Bisagras',
+  battery: 'Batería',
+  camera: 'Cámara',
+  buttons: 'Botones',
+  other: 'Otro'
+};
+
+export const ACCESSORY_LABELS = {
+  charger: 'Cargador',
+  bag: 'Bolso / funda',
+  cables: 'Cables',
+  battery: 'Batería externa',
+  mouse: 'Mouse',
+  other: 'Otro'
+};
+
+const LOCK_LABELS = {
+  none: 'Sin bloqueo',
+  password: 'Contraseña',
+  pin: 'PIN',
+  pattern: 'Patrón',
+  biometric: 'Biométrico',
+  other: 'Otro'
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+const SIGNATURE_DATA_URL = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// === UTILIDADES ===
+
+function intakeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const parseJson = (value) => {
+  try {
+    return value ? JSON.parse(value) : [];
+  } catch {
+    return [];
+  }
+};
+
+// === PREPARACIÓN ===
+
+/**
+ * Firma capturada en la aplicación (data URL PNG); también la usa el acta de entrega
+ */
+export function decodeSignature(dataUrl) {
+  const match = SIGNATURE_DATA_URL.exec(dataUrl || '');
+  if (!match) {
+    throw intakeError('La firma debe ser una imagen PNG (data URL)');
+  }
+
+  const buffer = Buffer.from(match[1], 'base64');
+  if (buffer.length === 0 || buffer.length > INTAKE_LIMITS.MAX_SIGNATURE_SIZE) {
+    throw intakeError('La firma está vacía o excede el tamaño permitido', 413);
+  }
+  if (!PNG_SIGNATURE.every((byte, index) => buffer[index] === byte)) {
+    throw intakeError('La firma no es una imagen PNG válida', 415);
+  }
+
+  return buffer;
+}
+
+/**
+ * Valida fotos y firma antes de crear la orden, para no dejar registros
+ * a medias si un archivo es rechazado
+ *
+ * @param {object} intake - Formulario validado (schemas.intakeForm)
+ * @param {object[]} files - Fotos de multer
+ */
+export async function prepareIntake(intake, files = []) {
+  const photos = await prepareAttachments(files, {
+    maxFiles: INTAKE_LIMITS.MAX_PHOTOS,
+    mimeTypes: INTAKE_PHOTO_MIME_TYPES
+  });
+
+  return { intake, photos, signature: decodeSignature(intake.signature) };
+}
+
+/**
+ * Guarda firma y fotos en el almacenamiento. Se llama antes de la transacción
+ * de la orden; si esta falla, los archivos se eliminan con discardIntakeFiles().
+ *
+ * @param {object} prepared - Resultado de prepareIntake()
+ * @param {string} prefix - Carpeta dentro del almacenamiento
+ */
+export async function storeIntakeFiles(prepared, prefix) {
+  const storage = getStorage();
+  const keys = [];
+
+  try {
+    const signatureKey = await storage.save(buildStorageKey(prefix, 'firma.png'), prepared.signature);
+    keys.push(signatureKey);
+
+    const photos = [];
+    for (const photo of prepared.photos) {
+      const key = await storage.save(buildStorageKey(prefix, photo.originalName), photo.buffer);
+      keys.push(key);
+      photos.push({ ...photo, key });
+    }
+
+    return { ...prepared, provider: storage.name, signatureKey, photos, keys };
+  } catch (err) {
+    await Promise.all(keys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+}
+
+export async function discardIntakeFiles(stored) {
+  if (!stored) return;
+  const storage = getStorage(stored.provider);
+  await Promise.all(stored.keys.map((key) => storage.remove(key).catch(() => {})));
+}
+
+/**
+ * Campos del EquipmentEntry con el formulario y sus fotos
+ * @param {object} stored - Resultado de storeIntakeFiles()
+ */
+export function buildIntakeEntryData({ intake, provider, signatureKey, photos }) {
+  return {
+    PhysicalCondition: intake.condition,
+    Checklist: JSON.stringify(intake.checklist),
+    Accessories: JSON.stringify(intake.accessories),
+    LockType: intake.lockType,
+    AccessProvided: intake.accessProvided,
+    ReportedSymptoms: intake.symptoms,
+    ConditionNotes: intake.conditionNotes || null,
+    SignedByName: intake.signedByName,
+    SignedAt: new Date(),
+    StorageProvider: provider,
+    SignatureKey: signatureKey,
+    photos: {
+      create: photos.map((photo) => ({
+        FileName: photo.originalName,
+        FileSize: photo.size,
+        MimeType: photo.mimeType,
+        StorageProvider: provider,
+        StorageKey: photo.key,
+        Checksum: photo.checksum
+      }))
+    }
+  };
+}
+
+// === RECIBO PDF ===
+
+async function findIntakeOrder(orderId) {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: {
+      client: true,
+      equipment: { include: { equipmentType: true } },
+      receptionist: { select: { Username: true } },
+      equipmentEntry: { include: { photos: { orderBy: { PhotoId: 'asc' } } } }
+    }
+  });
+
+  if (!order) throw intakeError('Orden no encontrada', 404);
+  if (!order.equipmentEntry?.SignatureKey) {
+    throw intakeError('La orden no tiene formulario de ingreso firmado', 404);
+  }
+
+  return order;
+}
+
+function drawChecklist(doc, checklist) {
+  const columns = [
+    { x: 50, width: 130 },
+    { x: 185, width: 90 },
+    { x: 280, width: 265 }
+  ];
+
+  const drawRow = (cells, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width }))) + 6;
+    ensureSpace(doc, height);
+
+    const y = doc.y;
+    cells.forEach((text, i) => doc.text(text, columns[i].x, y + 3, { width: columns[i].width }));
+    doc.moveTo(50, y + height).lineTo(545, y + height).strokeColor('#ddd').lineWidth(0.5).stroke();
+    doc.y = y + height;
+  };
+
+  drawRow(['Elemento', 'Estado', 'Observaciones'], true);
+  checklist.forEach((check) => drawRow([
+    CHECKLIST_LABELS[check.item] || check.item,
+    CHECK_STATUS_LABELS[check.status] || check.status,
+    plain(check.notes) || '-'
+  ]));
+  doc.fontSize(10);
+}
+
+function drawPhotos(doc, photoBuffers) {
+  const width = 155;
+  const height = 116;
+  const gap = 15;
+
+  for (let index = 0; index < photoBuffers.length; index += 3) {
+    ensureSpace(doc, height + gap);
+    const y = doc.y;
+    photoBuffers.slice(index, index + 3).forEach((buffer, column) => {
+      doc.image(buffer, 50 + column * (width + gap), y, { fit: [width, height], align: 'center', valign: 'center' });
+    });
+    doc.y = y + height + gap;
+  }
+}
+
+const receiptFilename = (order) => `recibo_ingreso_${order.IdentityTag}.pdf`.replace(/-/g, '_');
+
+/**
+ * Genera el PDF del recibo de ingreso con el estado del equipo, accesorios,
+ * fotos y firma del cliente
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+export async function generateIntakeReceiptPDF(order) {
+  const entry = order.equipmentEntry;
+  const storage = getStorage(entry.StorageProvider);
+
+  const signature = await readAll(await storage.read(entry.SignatureKey));
+  const photoBuffers = [];
+  for (const photo of entry.photos) {
+    photoBuffers.push(await readAll(await getStorage(photo.StorageProvider).read(photo.StorageKey)));
+  }
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Recibo de ingreso ${order.IdentityTag}`,
+      Author: 'Ecuatechnology S.A.',
+      Subject: `Ingreso del equipo de la orden ${order.IdentityTag}`
+    }
+  });
+
+  const buffers = [];
+  doc.on('data', (chunk) => buffers.push(chunk));
+  const ended = new Promise((resolve) => doc.on('end', () => resolve()));
+
+  // ===== ENCABEZADO =====
+  drawPdfHeader(doc);
+
+  doc.fillColor('#2c3e50')
+     .fontSize(16)
+     .font('Helvetica-Bold')
+     .text('RECIBO DE INGRESO DE EQUIPO', 50, 110);
+
+  doc.fillColor('#333')
+     .fontSize(10)
+     .font('Helvetica')
+     .text(`Orden: ${order.IdentityTag}`, 350, 110)
+     .text(`Fecha: ${formatDateTime(entry.EnteredAt)}`, 350, 125)
+     .text(`Recibido por: ${order.receptionist?.Username || 'N/D'}`, 350, 140);
+
+  doc.y = 160;
+
+  // ===== CLIENTE Y EQUIPO =====
+  sectionTitle(doc, 'CLIENTE');
+  field(doc, 'Nombre', plain(order.client?.DisplayName));
+  field(doc, 'Identificación', order.client?.IdNumber);
+  field(doc, 'Teléfono', order.client?.Phone);
+  field(doc, 'Email', order.client?.Email);
+
+  const equipment = order.equipment || {};
+  sectionTitle(doc, 'EQUIPO');
+  field(doc, 'Tipo', equipment.equipmentType?.Name);
+  field(doc, 'Marca / Modelo', [plain(equipment.Brand), plain(equipment.Model)].filter(Boolean).join(' '));
+  field(doc, 'Número de serie', plain(equipment.SerialNumber));
+  if (equipment.Description) field(doc, 'Descripción', plain(equipment.Description));
+
+  // ===== ESTADO FÍSICO =====
+  sectionTitle(doc, 'ESTADO FÍSICO');
+  field(doc, 'Estado general', CONDITION_LABELS[entry.PhysicalCondition] || entry.PhysicalCondition);
+  const checklist = parseJson(entry.Checklist);
+  if (checklist.length > 0) {
+    doc.moveDown(0.3);
+    drawChecklist(doc, checklist);
+  }
+  if (entry.ConditionNotes) {
+    doc.moveDown(0.3);
+    field(doc, 'Observaciones', plain(entry.ConditionNotes));
+  }
+
+  // ===== ACCESORIOS =====
+  sectionTitle(doc, 'ACCESORIOS ENTREGADOS');
+  const accessories = parseJson(entry.Accessories);
+  if (accessories.length === 0) {
+    doc.text('Ninguno. El equipo se recibe sin accesorios.', 50);
+  } else {
+    accessories.forEach((accessory) => {
+      const detail = accessory.description ? ` - ${plain(accessory.description)}` : '';
+      doc.text(`• ${accessory.quantity} x ${ACCESSORY_LABELS[accessory.item] || accessory.item}${detail}`, 60);
+    });
+  }
+
+  // ===== BLOQUEO Y SÍNTOMAS =====
+  sectionTitle(doc, 'BLOQUEO Y FALLA REPORTADA');
+  field(doc, 'Tipo de bloqueo', LOCK_LABELS[entry.LockType] || entry.LockType);
+  if (entry.LockType !== 'none') {
+    field(doc, 'Código de acceso entregado', entry.AccessProvided ? 'Sí (no se registra en este documento)' : 'No');
+  }
+  field(doc, 'Síntomas reportados por el cliente', plain(entry.ReportedSymptoms));
+
+  // ===== FOTOS =====
+  if (photoBuffers.length > 0) {
+    sectionTitle(doc, `FOTOS DEL EQUIPO (${photoBuffers.length})`);
+    drawPhotos(doc, photoBuffers);
+  }
+
+  // ===== DECLARACIÓN Y FIRMA =====
+  drawSignatureBlock(doc, {
+    declaration:
+      'El cliente declara que el estado físico, los accesorios y la falla descritos en este documento corresponden ' +
+      'al equipo entregado. Ecuatechnology S.A. responde únicamente por los accesorios aquí detallados. ' +
+      'Para retirar el equipo presente este recibo o el código de la orden.',
+    signature,
+    signerLabel: `Firma del cliente: ${plain(entry.SignedByName)}`,
+    signedAt: entry.SignedAt
+  });
+
+  doc.end();
+  await ended;
+
+  return { buffer: Buffer.concat(buffers), filename: receiptFilename(order) };
+}
+
+// === ENVÍO Y DESCARGA ===
+
+/**
+ * Genera el recibo (si aún no existe) y lo guarda en el almacenamiento
+ * @returns {Promise<{ order: object, buffer: Buffer, filename: string }>}
+ */
+async function ensureReceipt(orderId) {
+  const order = await findIntakeOrder(orderId);
+  const entry = order.equipmentEntry;
+  const filename = receiptFilename(order);
+
+  if (entry.ReceiptKey) {
+    const stream = await getStorage(entry.StorageProvider).read(entry.ReceiptKey);
+    return { order, buffer: await readAll(stream), filename };
+  }
+
+  const { buffer } = await generateIntakeReceiptPDF(order);
+  const storage = getStorage(entry.StorageProvider);
+  const key = await storage.save(buildStorageKey(`intake/${order.ClientId}`, filename), buffer);
+
+  await prisma.equipmentEntry.update({
+    where: { EntryId: entry.EntryId },
+    data: { ReceiptKey: key }
+  });
+
+  return { order, buffer, filename };
+}
+
+/**
+ * Envía el recibo de ingreso al correo del cliente
+ * @returns {Promise<{ sentTo: string, sentAt: Date }>}
+ */
+export async function sendIntakeReceipt(orderId) {
+  const { order, buffer, filename } = await ensureReceipt(orderId);
+
+  if (!order.client?.Email) {
+    throw intakeError('El cliente no tiene un correo registrado');
+  }
+
+  await sendIntakeReceiptMail(order.client.Email, order.client.DisplayName, {
+    identityTag: order.IdentityTag,
+    receivedAt: order.equipmentEntry.EnteredAt,
+    equipment: [order.equipment?.Brand, order.equipment?.Model].filter(Boolean).join(' ')
+  }, [{ filename, content: buffer, contentType: 'application/pdf' }]);
+
+  const sentAt = new Date();
+  await prisma.equipmentEntry.update({
+    where: { EntryId: order.equipmentEntry.EntryId },
+    data: { ReceiptSentAt: sentAt }
+  });
+
+  logger.info(`Recibo de ingreso de la orden ${order.IdentityTag} enviado a ${order.client.Email}`);
+  return { sentTo: order.client.Email, sentAt };
+}
+
+/**
+ * Recibo y envío luego de crear la orden. Un fallo no revierte la orden:
+ * queda registrado y el recibo se puede reenviar después.
+ * @returns {Promise<{ receiptGenerated: boolean, emailed: boolean }>}
+ */
+export async function deliverIntakeReceipt(orderId) {
+  const result = { receiptGenerated: false, emailed: false };
+
+  try {
+    const { order } = await ensureReceipt(orderId);
+    result.receiptGenerated = true;
+
+    if (order.client?.Email) {
+      await sendIntakeReceipt(orderId);
+      result.emailed = true;
+    }
+  } catch (error) {
+    logger.error(`No se pudo entregar el recibo de ingreso de la orden ${orderId}: ${error.message}`, { stack: error.stack });
+  }
+
+  return result;
+}
+
+/**
+ * PDF del recibo para descarga
+ */
+export async function getIntakeReceipt(orderId) {
+  const { buffer, filename } = await ensureReceipt(orderId);
+  return { buffer, filename };
+}
+
+/**
+ * Abre una foto del ingreso para descarga
+ * @returns {Promise<{ photo: object, stream: import('stream').Readable }>}
+ */
+export async function openIntakePhoto(orderId, photoId) {
+  const photo = await prisma.equipmentEntryPhoto.findFirst({
+    where: { PhotoId: photoId, entry: { OrderId: orderId } }
+  });
+
+  if (!photo) throw intakeError('Foto no encontrada', 404);
+
+  const stream = await getStorage(photo.StorageProvider).read(photo.StorageKey);
+  return { photo, stream };
+}
+
+export default {
+  INTAKE_LIMITS,
+  INTAKE_PHOTO_MIME_TYPES,
+  ACCESSORY_LABELS,
+  decodeSignature,
+  prepareIntake,
+  storeIntakeFiles,
+  discardIntakeFiles,
+  buildIntakeEntryData,
+  generateIntakeReceiptPDF,
+  sendIntakeReceipt,
+  deliverIntakeReceipt,
+  getIntakeReceipt,
+  openIntakePhoto
+};
@@ -0,0 +1,544 @@
+// services/inventoryService.js - Inventario de repuestos: stock por ubicación, reservas y consumo
+import { PrismaClient } from '@prisma/client';
+import { LINE_TYPES } from './taxService.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const MOVEMENT_TYPES = {
+  RECEIPT: 'entrada',
+  ADJUSTMENT: 'ajuste',
+  RESERVATION: 'reserva',
+  RELEASE: 'liberacion',
+  CONSUMPTION: 'consumo'
+};
+
+export const RESERVATION_STATUS = {
+  ACTIVE: 'activa',
+  CONSUMED: 'consumida',
+  RELEASED: 'liberada'
+};
+
+// === UTILIDADES ===
+
+function inventoryError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const available = (stock) => stock.OnHand - stock.Reserved;
+
+/**
+ * Cantidad de repuesto requerida por ítem; el inventario maneja unidades enteras
+ */
+function toUnits(quantity, description) {
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    throw inventoryError(`La cantidad del repuesto "${description}" debe ser un entero positivo`);
+  }
+  return units;
+}
+
+/**
+ * Agrupa los ítems de repuesto con PartId por repuesto
+ */
+function groupPartLines(lines) {
+  const required = new Map();
+  for (const line of lines) {
+    if (line.LineType !== LINE_TYPES.PART || !line.PartId) continue;
+    const units = toUnits(line.Quantity, line.Description);
+    const entry = required.get(line.PartId) || { partId: line.PartId, quantity: 0, lines: [] };
+    entry.quantity += units;
+    entry.lines.push({ lineId: line.LineId, quantity: units });
+    required.set(line.PartId, entry);
+  }
+  return [...required.values()];
+}
+
+// === CONSULTAS ===
+
+/**
+ * Disponibilidad (existencia - reservado) de un repuesto por ubicación
+ * @param {number} partId
+ * @returns {Promise<{ partId, onHand, reserved, available, locations }>}
+ */
+export async function getAvailability(partId, client = prisma) {
+  const stocks = await client.partStock.findMany({
+    where: { PartId: partId, location: { Active: true } },
+    include: { location: { select: { LocationId: true, Code: true, Name: true } } },
+    orderBy: { LocationId: 'asc' }
+  });
+
+  const locations = stocks.map((stock) => ({
+    locationId: stock.LocationId,
+    code: stock.location.Code,
+    name: stock.location.Name,
+    onHand: stock.OnHand,
+    reserved: stock.Reserved,
+    available: available(stock)
+  }));
+
+  return {
+    partId,
+    onHand: locations.reduce((sum, l) => sum + l.onHand, 0),
+    reserved: locations.reduce((sum, l) => sum + l.reserved, 0),
+    available: locations.reduce((sum, l) => sum + l.available, 0),
+    locations
+  };
+}
+
+/**
+ * Verifica que los repuestos del inventario usados en una proforma existan,
+ * estén activos y tengan stock disponible. Se llama al registrar la proforma
+ * para no ofrecer reparaciones con repuestos que no hay.
+ * @param {Array<{ partId?, quantity, description }>} lines - Ítems validados de la proforma
+ * @returns {Promise<Map<number, object>>} Repuestos encontrados por PartId
+ */
+export async function assertPartsAvailable(lines, client = prisma) {
+  const required = new Map();
+  for (const line of lines) {
+    if (!line.partId) continue;
+    if (line.type !== LINE_TYPES.PART) {
+      throw inventoryError(`Solo los ítems de tipo ${LINE_TYPES.PART} pueden referenciar un repuesto del inventario`);
+    }
+    const units = toUnits(line.quantity, line.description);
+    required.set(line.partId, (required.get(line.partId) || 0) + units);
+  }
+
+  const parts = await client.part.findMany({
+    where: { PartId: { in: [...required.keys()] } }
+  });
+  const partsById = new Map(parts.map((part) => [part.PartId, part]));
+
+  for (const [partId, quantity] of required) {
+    const part = partsById.get(partId);
+    if (!part || !part.Active) {
+      throw inventoryError(`Repuesto ${partId} no encontrado o inactivo`, 404);
+    }
+    const { available: free } = await getAvailability(partId, client);
+    if (free < quantity) {
+      throw inventoryError(`Stock insuficiente de ${part.Sku} (${part.Name}): disponible ${free}, requerido ${quantity}`, 409);
+    }
+  }
+
+  return partsById;
+}
+
+/**
+ * Repuestos cuya disponibilidad total está en o por debajo del mínimo
+ */
+export async function getLowStockReport() {
+  const parts = await prisma.part.findMany({
+    where: { Active: true },
+    include: {
+      stocks: {
+        where: { location: { Active: true } },
+        include: { location: { select: { Code: true, Name: true } } }
+      }
+    },
+    orderBy: { Sku: 'asc' }
+  });
+
+  return parts
+    .map((part) => {
+      const onHand = part.stocks.reduce((sum, s) => sum + s.OnHand, 0);
+      const reserved = part.stocks.reduce((sum, s) => sum + s.Reserved, 0);
+      return {
+        partId: part.PartId,
+        sku: part.Sku,
+        name: part.Name,
+        minStock: part.MinStock,
+        onHand,
+        reserved,
+        available: onHand - reserved,
+        shortage: Math.max(part.MinStock - (onHand - reserved), 0),
+        locations: part.stocks.map((s) => ({
+          code: s.location.Code,
+          name: s.location.Name,
+          onHand: s.OnHand,
+          reserved: s.Reserved
+        }))
+      };
+    })
+    .filter((row) => row.available <= row.minStock);
+}
+
+/**
+ * Historial de movimientos con filtros opcionales
+ */
+export async function listMovements({ partId, orderId, locationId, limit = 100 } = {}) {
+  const where = {};
+  if (partId) where.PartId = partId;
+  if (orderId) where.OrderId = orderId;
+  if (locationId) where.LocationId = locationId;
+
+  return prisma.stockMovement.findMany({
+    where,
+    include: {
+      part: { select: { Sku: true, Name: true } },
+      location: { select: { Code: true, Name: true } },
+      user: { select: { UserId: true, Username: true } }
+    },
+    orderBy: { CreatedAt: 'desc' },
+    take: limit
+  });
+}
+
+// === CATÁLOGO ===
+
+export async function listParts({ search, activeOnly = false } = {}) {
+  const where = {};
+  if (activeOnly) where.Active = true;
+  if (search) {
+    where.OR = [
+      { Sku: { contains: search } },
+      { Name: { contains: search } }
+    ];
+  }
+
+  const parts = await prisma.part.findMany({
+    where,
+    include: { stocks: { where: { location: { Active: true } } } },
+    orderBy: { Sku: 'asc' }
+  });
+
+  return parts.map(({ stocks, ...part }) => ({
+    ...part,
+    onHand: stocks.reduce((sum, s) => sum + s.OnHand, 0),
+    reserved: stocks.reduce((sum, s) => sum + s.Reserved, 0),
+    available: stocks.reduce((sum, s) => sum + available(s), 0)
+  }));
+}
+
+export async function getPartById(partId) {
+  const part = await prisma.part.findUnique({ where: { PartId: partId } });
+  if (!part) {
+    throw inventoryError('Repuesto no encontrado', 404);
+  }
+  return { ...part, stock: await getAvailability(partId) };
+}
+
+export async function createPart({ sku, name, description, unitPrice, cost, taxCode, minStock = 0 }) {
+  const existing = await prisma.part.findUnique({ where: { Sku: sku } });
+  if (existing) {
+    throw inventoryError(`Ya existe un repuesto con SKU ${sku}`, 409);
+  }
+
+  return prisma.part.create({
+    data: {
+      Sku: sku,
+      Name: name,
+      Description: description || null,
+      UnitPrice: unitPrice,
+      Cost: cost ?? null,
+      TaxCode: taxCode || null,
+      MinStock: minStock
+    }
+  });
+}
+
+export async function updatePart(partId, { name, description, unitPrice, cost, taxCode, minStock, active }) {
+  const part = await prisma.part.findUnique({ where: { PartId: partId } });
+  if (!part) {
+    throw inventoryError('Repuesto no encontrado', 404);
+  }
+
+  const data = {};
+  if (name !== undefined) data.Name = name;
+  if (description !== undefined) data.Description = description || null;
+  if (unitPrice !== undefined) data.UnitPrice = unitPrice;
+  if (cost !== undefined) data.Cost = cost;
+  if (taxCode !== undefined) data.TaxCode = taxCode || null;
+  if (minStock !== undefined) data.MinStock = minStock;
+  if (active !== undefined) data.Active = active;
+
+  return prisma.part.update({ where: { PartId: partId }, data });
+}
+
+export async function listLocations() {
+  return prisma.stockLocation.findMany({ orderBy: { Code: 'asc' } });
+}
+
+export async function createLocation({ code, name }) {
+  const existing = await prisma.stockLocation.findUnique({ where: { Code: code } });
+  if (existing) {
+    throw inventoryError(`Ya existe una ubicación con código ${code}`, 409);
+  }
+  return prisma.stockLocation.create({ data: { Code: code, Name: name } });
+}
+
+export async function updateLocation(locationId, { name, active }) {
+  const location = await prisma.stockLocation.findUnique({ where: { LocationId: locationId } });
+  if (!location) {
+    throw inventoryError('Ubicación no encontrada', 404);
+  }
+
+  const data = {};
+  if (name !== undefined) data.Name = name;
+  if (active !== undefined) data.Active = active;
+
+  return prisma.stockLocation.update({ where: { LocationId: locationId }, data });
+}
+
+// === MOVIMIENTOS DE EXISTENCIA ===
+
+async function assertActivePartAndLocation(tx, partId, locationId) {
+  const [part, location] = await Promise.all([
+    tx.part.findUnique({ where: { PartId: partId } }),
+    tx.stockLocation.findUnique({ where: { LocationId: locationId } })
+  ]);
+  if (!part) throw inventoryError('Repuesto no encontrado', 404);
+  if (!location || !location.Active) throw inventoryError('Ubicación no encontrada o inactiva', 404);
+  return { part, location };
+}
+
+/**
+ * Ingreso de mercadería a una ubicación
+ */
+export async function receiveStock({ partId, locationId, quantity, notes, userId }) {
+  return prisma.$transaction(async (tx) => {
+    await assertActivePartAndLocation(tx, partId, locationId);
+
+    const stock = await tx.partStock.upsert({
+      where: { PartId_LocationId: { PartId: partId, LocationId: locationId } },
+      create: { PartId: partId, LocationId: locationId, OnHand: quantity },
+      update: { OnHand: { increment: quantity } }
+    });
+
+    await tx.stockMovement.create({
+      data: {
+        PartId: partId,
+        LocationId: locationId,
+        MovementType: MOVEMENT_TYPES.RECEIPT,
+        Quantity: quantity,
+        UserId: userId || null,
+        Notes: notes || null
+      }
+    });
+
+    return stock;
+  });
+}
+
+/**
+ * Ajuste de existencia (conteo físico, daño, pérdida). La cantidad lleva signo.
+ * No se permite dejar la existencia por debajo de lo reservado.
+ */
+export async function adjustStock({ partId, locationId, quantity, notes, userId }) {
+  return prisma.$transaction(async (tx) => {
+    await assertActivePartAndLocation(tx, partId, locationId);
+
+    if (quantity > 0) {
+      await tx.partStock.upsert({
+        where: { PartId_LocationId: { PartId: partId, LocationId: locationId } },
+        create: { PartId: partId, LocationId: locationId, OnHand: quantity },
+        update: { OnHand: { increment: quantity } }
+      });
+    } else {
+      const stock = await tx.partStock.findUnique({
+        where: { PartId_LocationId: { PartId: partId, LocationId: locationId } }
+      });
+      if (!stock || available(stock) < -quantity) {
+        throw inventoryError(`El ajuste deja la existencia por debajo de lo reservado (disponible ${stock ? available(stock) : 0})`, 409);
+      }
+
+      const { count } = await tx.partStock.updateMany({
+        where: {
+          PartStockId: stock.PartStockId,
+          OnHand: stock.OnHand,
+          Reserved: stock.Reserved
+        },
+        data: { OnHand: { increment: quantity } }
+      });
+      if (count === 0) {
+        throw inventoryError('La existencia cambió durante el ajuste; intente nuevamente', 409);
+      }
+    }
+
+    await tx.stockMovement.create({
+      data: {
+        PartId: partId,
+        LocationId: locationId,
+        MovementType: MOVEMENT_TYPES.ADJUSTMENT,
+        Quantity: quantity,
+        UserId: userId || null,
+        Notes: notes
+      }
+    });
+
+    return tx.partStock.findUnique({
+      where: { PartId_LocationId: { PartId: partId, LocationId: locationId } }
+    });
+  });
+}
+
+// === RESERVAS POR ORDEN ===
+
+/**
+ * Reserva los repuestos del inventario de una orden al aprobarse la proforma.
+ * Se toma primero de la ubicación con más disponibilidad; cada descuento se
+ * condiciona a la fila leída para que dos aprobaciones concurrentes no
+ * reserven las mismas unidades.
+ *
+ * @param {object} tx - Cliente de transacción de Prisma
+ * @param {number} orderId
+ * @returns {Promise<Array>} Reservas creadas
+ * @throws 409 si algún repuesto no tiene stock suficiente
+ */
+export async function reserveOrderParts(tx, orderId, { userId = null } = {}) {
+  const lines = await tx.orderLine.findMany({
+    where: { OrderId: orderId, LineType: LINE_TYPES.PART, PartId: { not: null } },
+    include: { part: { select: { Sku: true, Name: true } } }
+  });
+
+  const reservations = [];
+  for (const { partId, lines: partLines, quantity } of groupPartLines(lines)) {
+    const part = lines.find((line) => line.PartId === partId).part;
+    const stocks = (await tx.partStock.findMany({
+      where: { PartId: partId, location: { Active: true } }
+    }))
+      .filter((stock) => available(stock) > 0)
+      .sort((a, b) => available(b) - available(a));
+
+    const free = stocks.reduce((sum, stock) => sum + available(stock), 0);
+    if (free < quantity) {
+      throw inventoryError(`Stock insuficiente de ${part.Sku} (${part.Name}): disponible ${free}, requerido ${quantity}`, 409);
+    }
+
+    // Reparte cada ítem entre las ubicaciones disponibles
+    const pending = partLines.map((line) => ({ ...line }));
+    for (const stock of stocks) {
+      let take = Math.min(available(stock), pending.reduce((sum, line) => sum + line.quantity, 0));
+      if (take === 0) break;
+
+      const { count } = await tx.partStock.updateMany({
+        where: {
+          PartStockId: stock.PartStockId,
+          OnHand: stock.OnHand,
+          Reserved: stock.Reserved
+        },
+        data: { Reserved: { increment: take } }
+      });
+      if (count === 0) {
+        throw inventoryError(`La existencia de ${part.Sku} cambió durante la reserva; intente nuevamente`, 409);
+      }
+
+      await tx.stockMovement.create({
+        data: {
+          PartId: partId,
+          LocationId: stock.LocationId,
+          MovementType: MOVEMENT_TYPES.RESERVATION,
+          Quantity: take,
+          OrderId: orderId,
+          UserId: userId
+        }
+      });
+
+      for (const line of pending) {
+        if (take === 0) break;
+        if (line.quantity === 0) continue;
+        const portion = Math.min(line.quantity, take);
+        reservations.push(await tx.stockReservation.create({
+          data: {
+            OrderId: orderId,
+            OrderLineId: line.lineId,
+            PartId: partId,
+            LocationId: stock.LocationId,
+            Quantity: portion
+          }
+        }));
+        line.quantity -= portion;
+        take -= portion;
+      }
+    }
+  }
+
+  return reservations;
+}
+
+/**
+ * Cierra las reservas activas de una orden, liberándolas o consumiéndolas
+ */
+async function resolveOrderReservations(tx, orderId, { userId = null, consume, notes }) {
+  const reservations = await tx.stockReservation.findMany({
+    where: { OrderId: orderId, Status: RESERVATION_STATUS.ACTIVE }
+  });
+
+  for (const reservation of reservations) {
+    const { count } = await tx.partStock.updateMany({
+      where: {
+        PartId: reservation.PartId,
+        LocationId: reservation.LocationId,
+        Reserved: { gte: reservation.Quantity },
+        ...(consume && { OnHand: { gte: reservation.Quantity } })
+      },
+      data: consume
+        ? { OnHand: { decrement: reservation.Quantity }, Reserved: { decrement: reservation.Quantity } }
+        : { Reserved: { decrement: reservation.Quantity } }
+    });
+    if (count === 0) {
+      throw inventoryError(`La existencia del repuesto ${reservation.PartId} no cubre la reserva ${reservation.ReservationId}`, 409);
+    }
+
+    await tx.stockReservation.update({
+      where: { ReservationId: reservation.ReservationId },
+      data: {
+        Status: consume ? RESERVATION_STATUS.CONSUMED : RESERVATION_STATUS.RELEASED,
+        ResolvedAt: new Date()
+      }
+    });
+
+    await tx.stockMovement.create({
+      data: {
+        PartId: reservation.PartId,
+        LocationId: reservation.LocationId,
+        MovementType: consume ? MOVEMENT_TYPES.CONSUMPTION : MOVEMENT_TYPES.RELEASE,
+        Quantity: consume ? -reservation.Quantity : reservation.Quantity,
+        OrderId: orderId,
+        UserId: userId,
+        Notes: notes || null
+      }
+    });
+  }
+
+  return reservations.length;
+}
+
+/**
+ * Libera las reservas de una orden (proforma rechazada u orden cancelada)
+ * @returns {Promise<number>} Reservas liberadas
+ */
+export async function releaseOrderReservations(tx, orderId, options = {}) {
+  return resolveOrderReservations(tx, orderId, { ...options, consume: false });
+}
+
+/**
+ * Descuenta de la existencia los repuestos reservados al finalizar el servicio
+ * @returns {Promise<number>} Reservas consumidas
+ */
+export async function consumeOrderReservations(tx, orderId, options = {}) {
+  return resolveOrderReservations(tx, orderId, { ...options, consume: true });
+}
+
+export default {
+  MOVEMENT_TYPES,
+  RESERVATION_STATUS,
+  getAvailability,
+  assertPartsAvailable,
+  getLowStockReport,
+  listMovements,
+  listParts,
+  getPartById,
+  createPart,
+  updatePart,
+  listLocations,
+  createLocation,
+  updateLocation,
+  receiveStock,
+  adjustStock,
+  reserveOrderParts,
+  releaseOrderReservations,
+  consumeOrderReservations
+};
@@ -3,13 +3,18 @@ import PDFDocument from 'pdfkit';
 import stream from 'stream';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import axios from 'axios';
 import { XMLBuilder } from 'fast-xml-parser';
+import { getSriAmbiente } from './sriService.js';
+import { SRI_TAX_CODE_IVA } from './taxService.js';
+import { sendInvoiceMail } from '../../config/nodemailer.js';
 
 /**
  * Genera un PDF de factura profesional con formato ecuatoriano
+ * @param {object} totals - Resultado de taxService.calculateOrderTotals
  */
-export async function generateInvoicePDF(order, invoiceNumber) {
+export async function generateInvoicePDF(order, invoiceNumber, totals) {
   const doc = new PDFDocument({ 
     size: 'A4', 
     margin: 50,
@@ -25,24 +30,7 @@ export async function generateInvoicePDF(order, invoiceNumber) {
   const ended = new Promise((resolve) => doc.on('end', () => resolve()));
 
   // ===== ENCABEZADO =====
-  doc.fillColor('#2c3e50')
-     .fontSize(20)
-     .font('Helvetica-Bold')
-     .text('ECUATECHNOLOGY S.A.', 50, 50, { align: 'center' });
-  
-  doc.fillColor('#666')
-     .fontSize(10)
-     .font('Helvetica')
-     .text('SERVICIOS TECNOLÓGICOS ESPECIALIZADOS', 50, 75, { align: 'center' });
-  
-  // Línea separadora
-  doc.moveTo(50, 90)
-     .lineTo(545, 90)
-     .strokeColor('#e74c3c')
-     .lineWidth(2)
-     .stroke();
-  
-  doc.moveDown(3);
+  drawPdfHeader(doc);
 
   // ===== INFORMACIÓN DE LA FACTURA =====
   doc.fillColor('#2c3e50')
@@ -54,7 +42,7 @@ export async function generateInvoicePDF(order, invoiceNumber) {
      .fontSize(10)
      .font('Helvetica')
      .text(`Número: ${invoiceNumber}`, 350, 120)
-     .text(`Fecha: ${new Date().toLocaleDateString('es-EC')}`, 350, 135)
+     .text(`Fecha: ${(totals.date || new Date()).toLocaleDateString('es-EC', { timeZone: 'America/Guayaquil' })}`, 350, 135)
      .text(`Orden: ${order.IdentityTag}`, 350, 150);
 
   // ===== INFORMACIÓN DEL CLIENTE =====
@@ -110,9 +98,6 @@ export async function generateInvoicePDF(order, invoiceNumber) {
 
   // ===== TABLA DE COSTOS =====
   const tableY = serviceY + 80;
-  const totalPrice = order.TotalPrice ? Number(order.TotalPrice) : 0;
-  const subtotal = totalPrice / 1.12;
-  const iva = totalPrice - subtotal;
   
   const tableHeaders = ['Descripción', 'Cantidad', 'P. Unitario', 'Total'];
   const tableWidths = [250, 80, 80, 80];
@@ -135,14 +120,24 @@ export async function generateInvoicePDF(order, invoiceNumber) {
      .lineWidth(1)
      .stroke();
 
-  // Contenido de la tabla
+  // Contenido de la tabla: ítems y resumen de impuestos por tarifa
   const rows = [
-    ['Mano de obra técnica', '1', `$${subtotal.toFixed(2)}`, `$${subtotal.toFixed(2)}`],
-    ['Repuestos y materiales', '1', 'Incluido', 'Incluido'],
-    ['IVA 12%', '1', `$${iva.toFixed(2)}`, `$${iva.toFixed(2)}`],
+    ...totals.items.map((item) => [
+      item.description,
+      String(item.quantity),
+      `$${item.unitPrice.toFixed(2)}`,
+      `$${item.subtotal.toFixed(2)}`
+    ]),
+    ...totals.taxes.map((tax) => [
+      `Subtotal ${tax.name}`, '', '', `$${tax.base.toFixed(2)}`
+    ]),
+    ...totals.taxes
+      .filter((tax) => tax.percentage > 0)
+      .map((tax) => [`IVA ${tax.percentage}%`, '', '', `$${tax.amount.toFixed(2)}`])
   ];
 
   let currentY = tableY + 25;
+  const cellHeight = (row) => Math.max(15, doc.heightOfString(row[0], { width: tableWidths[0] }) + 3);
   doc.fillColor('#333')
      .fontSize(9)
      .font('Helvetica');
@@ -152,7 +147,7 @@ export async function generateInvoicePDF(order, invoiceNumber) {
       const x = tableX + tableWidths.slice(0, cellIndex).reduce((a, b) => a + b, 0);
       doc.text(cell, x, currentY, { width: tableWidths[cellIndex] });
     });
-    currentY += 15;
+    currentY += cellHeight(row);
   });
 
   // Línea de total
@@ -167,17 +162,10 @@ export async function generateInvoicePDF(order, invoiceNumber) {
      .fontSize(12)
      .font('Helvetica-Bold')
      .text('TOTAL:', tableX + tableWidths.slice(0, 2).reduce((a, b) => a + b, 0), currentY + 15)
-     .text(`$${totalPrice.toFixed(2)}`, tableX + tableWidths.slice(0, 3).reduce((a, b) => a + b, 0), currentY + 15);
+     .text(`$${totals.total.toFixed(2)}`, tableX + tableWidths.slice(0, 3).reduce((a, b) => a + b, 0), currentY + 15);
 
   // ===== PIE DE PÁGINA =====
-  const footerY = 650;
-  doc.fillColor('#666')
-     .fontSize(8)
-     .font('Helvetica')
-     .text('Ecuatechnology S.A. - RUC: 1798282737001', 50, footerY, { align: 'center' })
-     .text('Av. Principal 123, Quito - Ecuador | Tel: +593 2 1234567', 50, footerY + 12, { align: 'center' })
-     .text('Email: info@ecuatechnology.com | www.ecuatechnology.com', 50, footerY + 24, { align: 'center' })
-     .text('Gracias por confiar en nuestros servicios técnicos especializados', 50, footerY + 40, { align: 'center' });
+  drawPdfFooter(doc);
 
   doc.end();
   await ended;
@@ -188,112 +176,197 @@ export async function generateInvoicePDF(order, invoiceNumber) {
   return { buffer, filename };
 }
 
+/**
+ * Genera el PDF (RIDE) de una nota de crédito
+ * @param {object} invoice - Factura modificada
+ * @param {object} totals - Resultado de creditNoteService.calculateCreditNoteTotals
+ */
+export async function generateCreditNotePDF(order, invoice, creditNoteNumber, totals, reason, issueDate = new Date()) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Nota de crédito ${creditNoteNumber}`,
+      Author: 'Ecuatechnology S.A.',
+      Subject: `Nota de crédito de la factura ${invoice.InvoiceNumber}`
+    }
+  });
+
+  const buffers = [];
+  doc.on('data', (chunk) => buffers.push(chunk));
+  const ended = new Promise((resolve) => doc.on('end', () => resolve()));
+
+  drawPdfHeader(doc);
+
+  // ===== INFORMACIÓN DEL DOCUMENTO =====
+  doc.fillColor('#2c3e50')
+     .fontSize(16)
+     .font('Helvetica-Bold')
+     .text('NOTA DE CRÉDITO', 50, 120);
+
+  doc.fillColor('#333')
+     .fontSize(10)
+     .font('Helvetica')
+     .text(`Número: ${creditNoteNumber}`, 350, 120)
+     .text(`Fecha: ${issueDate.toLocaleDateString('es-EC', { timeZone: 'America/Guayaquil' })}`, 350, 135)
+     .text(`Orden: ${order.IdentityTag}`, 350, 150);
+
+  // ===== COMPROBANTE MODIFICADO =====
+  const sourceY = 180;
+  doc.fillColor('#2c3e50')
+     .fontSize(12)
+     .font('Helvetica-Bold')
+     .text('COMPROBANTE QUE SE MODIFICA', 50, sourceY);
+
+  doc.fillColor('#333')
+     .fontSize(10)
+     .font('Helvetica')
+     .text(`Factura: ${invoice.InvoiceNumber}`, 50, sourceY + 20)
+     .text(`Fecha de emisión: ${new Date(invoice.IssueDate).toLocaleDateString('es-EC', { timeZone: 'America/Guayaquil' })}`, 50, sourceY + 35)
+     .text(`Cliente: ${order.client?.DisplayName || 'N/D'} (${order.client?.IdNumber || 'N/D'})`, 50, sourceY + 50)
+     .text(`Motivo: ${reason}`, 50, sourceY + 65, { width: 495 });
+
+  // ===== DETALLE =====
+  const tableY = doc.y + 20;
+  const tableHeaders = ['Descripción', 'Cantidad', 'P. Unitario', 'Total'];
+  const tableWidths = [250, 80, 80, 80];
+  const tableX = 50;
+  const columnX = (i) => tableX + tableWidths.slice(0, i).reduce((a, b) => a + b, 0);
+
+  doc.fillColor('#2c3e50')
+     .fontSize(10)
+     .font('Helvetica-Bold');
+  tableHeaders.forEach((header, i) => doc.text(header, columnX(i), tableY, { width: tableWidths[i] }));
+
+  doc.moveTo(tableX, tableY + 15)
+     .lineTo(columnX(tableWidths.length), tableY + 15)
+     .strokeColor('#bdc3c7')
+     .lineWidth(1)
+     .stroke();
+
+  const rows = [
+    ...totals.items.map((item) => [
+      item.description,
+      String(item.quantity),
+      `$${item.unitPrice.toFixed(2)}`,
+      `$${item.subtotal.toFixed(2)}`
+    ]),
+    ...totals.taxes.map((tax) => [`Subtotal ${tax.name}`, '', '', `$${tax.base.toFixed(2)}`]),
+    ...totals.taxes
+      .filter((tax) => tax.percentage > 0)
+      .map((tax) => [`IVA ${tax.percentage}%`, '', '', `$${tax.amount.toFixed(2)}`])
+  ];
+
+  let currentY = tableY + 25;
+  doc.fillColor('#333')
+     .fontSize(9)
+     .font('Helvetica');
+  rows.forEach((row) => {
+    row.forEach((cell, i) => doc.text(cell, columnX(i), currentY, { width: tableWidths[i] }));
+    currentY += Math.max(15, doc.heightOfString(row[0], { width: tableWidths[0] }) + 3);
+  });
+
+  doc.moveTo(tableX, currentY + 5)
+     .lineTo(columnX(tableWidths.length), currentY + 5)
+     .strokeColor('#2c3e50')
+     .lineWidth(1)
+     .stroke();
+
+  doc.fillColor('#2c3e50')
+     .fontSize(12)
+     .font('Helvetica-Bold')
+     .text('VALOR MODIFICADO:', columnX(1) - 40, currentY + 15)
+     .text(`$${totals.total.toFixed(2)}`, columnX(3), currentY + 15);
+
+  drawPdfFooter(doc);
+
+  doc.end();
+  await ended;
+
+  const buffer = Buffer.concat(buffers);
+  const filename = `nota_credito_${creditNoteNumber}.pdf`.replace(/-/g, '_');
+
+  return { buffer, filename };
+}
+
 /**
  * Genera XML para facturación electrónica según estándares SRI Ecuador
+ * @param {object} totals - Resultado de taxService.calculateOrderTotals
+ * @param {Date} issueDate - Fecha de emisión (la misma de la clave de acceso)
  */
-export async function generateElectronicInvoiceXML(order, invoiceNumber) {
-  const totalPrice = order.TotalPrice ? Number(order.TotalPrice) : 0;
-  const subtotal = totalPrice / 1.12;
-  const iva = totalPrice - subtotal;
-  
+export async function generateElectronicInvoiceXML(order, invoiceNumber, totals, issueDate = new Date()) {
   // Extraer componentes del número de factura
   const [estab, ptoEmi, secuencial] = invoiceNumber.split('-');
   
-  // Generar clave de acceso
-  const claveAcceso = generarClaveAccesoCompleta(invoiceNumber);
+  // Generar clave de acceso (el ambiente debe coincidir con el del XML)
+  const ambiente = getSriAmbiente();
+  const claveAcceso = generarClaveAccesoCompleta({
+    fecha: issueDate,
+    tipoComprobante: '01',
+    ambiente,
+    estab,
+    ptoEmi,
+    secuencial
+  });
 
   // Estructura EXACTA para factura electrónica SRI Ecuador
   const facturaElectronica = {
     'factura': {
       '@id': 'comprobante',
       '@version': '1.0.0',
-      'infoTributaria': {
-        'ambiente': '1', // 1=Pruebas, 2=Producción
-        'tipoEmision': '1', // 1=Normal
-        'razonSocial': 'ECUATECHNOLOGY S.A.',
-        'nombreComercial': 'ECUATECHNOLOGY SERVICIOS TECNOLOGICOS',
-        'ruc': '1798282737001',
-        'claveAcceso': claveAcceso,
-        'codDoc': '01', // 01=Factura
-        'estab': estab,
-        'ptoEmi': ptoEmi,
-        'secuencial': secuencial,
-        'dirMatriz': 'AV. AMAZONAS N12-123 Y AV. PATRIA, QUITO - PICHINCHA'
-      },
+      'infoTributaria': buildInfoTributaria({
+        ambiente,
+        claveAcceso,
+        codDoc: '01', // 01=Factura
+        estab,
+        ptoEmi,
+        secuencial
+      }),
       'infoFactura': {
-        'fechaEmision': new Date().toISOString().split('T')[0],
-        'dirEstablecimiento': 'AV. AMAZONAS N12-123 Y AV. PATRIA',
+        'fechaEmision': formatearFechaSRI(issueDate, '/'), // dd/mm/aaaa
+        'dirEstablecimiento': DIR_ESTABLECIMIENTO,
         'obligadoContabilidad': 'NO',
         'tipoIdentificacionComprador': identificarTipoDocumento(order.client?.IdType, order.client?.IdNumber),
         'razonSocialComprador': order.client?.DisplayName?.toUpperCase() || 'CONSUMIDOR FINAL',
         'identificacionComprador': order.client?.IdNumber || '9999999999999',
-        'totalSinImpuestos': subtotal.toFixed(2),
-        'totalDescuento': '0.00',
+        'totalSinImpuestos': totals.subtotal.toFixed(2),
+        'totalDescuento': totals.items.reduce((sum, item) => sum + item.discount, 0).toFixed(2),
         'totalConImpuestos': {
-          'totalImpuesto': [
-            {
-              'codigo': '2', // 2=IVA
-              'codigoPorcentaje': '0', // 0=0%
-              'baseImponible': '0.00',
-              'valor': '0.00'
-            },
-            {
-              'codigo': '2', // 2=IVA
-              'codigoPorcentaje': '2', // 2=12%
-              'baseImponible': subtotal.toFixed(2),
-              'valor': iva.toFixed(2)
-            }
-          ]
+          'totalImpuesto': totals.taxes.map((tax) => ({
+            'codigo': SRI_TAX_CODE_IVA,
+            'codigoPorcentaje': tax.code,
+            'baseImponible': tax.base.toFixed(2),
+            'valor': tax.amount.toFixed(2)
+          }))
         },
         'propina': '0.00',
-        'importeTotal': totalPrice.toFixed(2),
+        'importeTotal': totals.total.toFixed(2),
         'moneda': 'DOLAR'
       },
       'detalles': {
-        'detalle': [
-          {
-            'codigoPrincipal': 'SRV-TEC-001',
-            'codigoAuxiliar': 'SERV-TECNICO',
-            'descripcion': `REPARACION Y MANTENIMIENTO DE EQUIPO ${order.equipment?.equipmentType?.Name?.toUpperCase() || 'TECNOLOGICO'}`,
-            'cantidad': '1.000',
-            'precioUnitario': subtotal.toFixed(2),
-            'descuento': '0.00',
-            'precioTotalSinImpuesto': subtotal.toFixed(2),
-            'impuestos': {
-              'impuesto': [
-                {
-                  'codigo': '2',
-                  'codigoPorcentaje': '0',
-                  'tarifa': '0.00',
-                  'baseImponible': '0.00',
-                  'valor': '0.00'
-                },
-                {
-                  'codigo': '2',
-                  'codigoPorcentaje': '2',
-                  'tarifa': '12.00',
-                  'baseImponible': subtotal.toFixed(2),
-                  'valor': iva.toFixed(2)
-                }
-              ]
-            }
+        'detalle': totals.items.map((item) => ({
+          'codigoPrincipal': item.code || 'SRV-TEC-001',
+          'descripcion': item.description.substring(0, 300),
+          'cantidad': item.quantity.toFixed(3),
+          'precioUnitario': item.unitPrice.toFixed(2),
+          'descuento': item.discount.toFixed(2),
+          'precioTotalSinImpuesto': item.subtotal.toFixed(2),
+          'impuestos': {
+            'impuesto': [
+              {
+                'codigo': SRI_TAX_CODE_IVA,
+                'codigoPorcentaje': item.taxCode,
+                'tarifa': item.taxPercentage.toFixed(2),
+                'baseImponible': item.subtotal.toFixed(2),
+                'valor': item.tax.toFixed(2)
+              }
+            ]
           }
-        ]
+        }))
       },
       'infoAdicional': {
         'campoAdicional': [
-          {
-            '@nombre': 'Direccion',
-            '#text': order.client?.Address || 'CIUDAD'
-          },
-          {
-            '@nombre': 'Telefono',
-            '#text': order.client?.Phone || 'NO REGISTRA'
-          },
-          {
-            '@nombre': 'Email',
-            '#text': order.client?.Email || 'NO REGISTRA'
-          },
+          ...buildContactFields(order),
           {
             '@nombre': 'OrdenServicio',
             '#text': order.IdentityTag || `OS-${order.OrderId}`
@@ -315,35 +388,129 @@ export async function generateElectronicInvoiceXML(order, invoiceNumber) {
     }
   };
 
-  const builder = new XMLBuilder({
-    ignoreAttributes: false,
-    format: true,
-    suppressEmptyNode: true,
-    processEntities: true,
-    suppressBooleanAttributes: false
+  const xml = buildComprobanteXML(facturaElectronica);
+  const filename = `${claveAcceso}.xml`;
+
+  return { xml, filename, accessKey: claveAcceso };
+}
+
+/**
+ * Genera el XML de una nota de crédito electrónica (codDoc 04, versión 1.1.0)
+ * @param {object} invoice - Factura modificada (número y fecha de emisión)
+ * @param {object} totals - Resultado de creditNoteService.calculateCreditNoteTotals
+ * @param {string} reason - Motivo de la nota de crédito
+ * @param {Date} issueDate - Fecha de emisión (la misma de la clave de acceso)
+ */
+export async function generateCreditNoteXML(order, invoice, creditNoteNumber, totals, reason, issueDate = new Date()) {
+  const [estab, ptoEmi, secuencial] = creditNoteNumber.split('-');
+
+  const ambiente = getSriAmbiente();
+  const claveAcceso = generarClaveAccesoCompleta({
+    fecha: issueDate,
+    tipoComprobante: '04',
+    ambiente,
+    estab,
+    ptoEmi,
+    secuencial
   });
 
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build(facturaElectronica.factura)}`;
+  const notaCredito = {
+    'notaCredito': {
+      '@id': 'comprobante',
+      '@version': '1.1.0',
+      'infoTributaria': buildInfoTributaria({
+        ambiente,
+        claveAcceso,
+        codDoc: '04', // 04=Nota de crédito
+        estab,
+        ptoEmi,
+        secuencial
+      }),
+      'infoNotaCredito': {
+        'fechaEmision': formatearFechaSRI(issueDate, '/'),
+        'dirEstablecimiento': DIR_ESTABLECIMIENTO,
+        'tipoIdentificacionComprador': identificarTipoDocumento(order.client?.IdType, order.client?.IdNumber),
+        'razonSocialComprador': order.client?.DisplayName?.toUpperCase() || 'CONSUMIDOR FINAL',
+        'identificacionComprador': order.client?.IdNumber || '9999999999999',
+        'obligadoContabilidad': 'NO',
+        'codDocModificado': '01',
+        'numDocModificado': invoice.InvoiceNumber,
+        'fechaEmisionDocSustento': formatearFechaSRI(new Date(invoice.IssueDate), '/'),
+        'totalSinImpuestos': totals.subtotal.toFixed(2),
+        'valorModificacion': totals.total.toFixed(2),
+        'moneda': 'DOLAR',
+        'totalConImpuestos': {
+          'totalImpuesto': totals.taxes.map((tax) => ({
+            'codigo': SRI_TAX_CODE_IVA,
+            'codigoPorcentaje': tax.code,
+            'baseImponible': tax.base.toFixed(2),
+            'valor': tax.amount.toFixed(2)
+          }))
+        },
+        'motivo': reason.substring(0, 300)
+      },
+      'detalles': {
+        'detalle': totals.items.map((item) => ({
+          'codigoInterno': item.code || 'SRV-TEC-001',
+          'descripcion': item.description.substring(0, 300),
+          'cantidad': item.quantity.toFixed(3),
+          'precioUnitario': item.unitPrice.toFixed(2),
+          'descuento': item.discount.toFixed(2),
+          'precioTotalSinImpuesto': item.subtotal.toFixed(2),
+          'impuestos': {
+            'impuesto': [
+              {
+                'codigo': SRI_TAX_CODE_IVA,
+                'codigoPorcentaje': item.taxCode,
+                'tarifa': item.taxPercentage.toFixed(2),
+                'baseImponible': item.subtotal.toFixed(2),
+                'valor': item.tax.toFixed(2)
+              }
+            ]
+          }
+        }))
+      },
+      'infoAdicional': {
+        'campoAdicional': [
+          ...buildContactFields(order),
+          {
+            '@nombre': 'OrdenServicio',
+            '#text': order.IdentityTag || `OS-${order.OrderId}`
+          }
+        ]
+      }
+    }
+  };
+
+  const xml = buildComprobanteXML(notaCredito);
   const filename = `${claveAcceso}.xml`;
 
-  return { xml, filename };
+  return { xml, filename, accessKey: claveAcceso };
 }
 
 /**
- * Envía factura por correo electrónico al cliente
+ * Envía factura por correo electrónico al cliente (PDF y XML adjuntos)
+ * @param {object} details - { issueDate?, totalAmount?, accessKey?, identityTag? } para la plantilla
+ * @throws Si el servidor SMTP falla o rechaza el destinatario
  */
-export async function sendInvoiceEmail(clientEmail, clientName, invoiceNumber, pdfBuffer, xmlBuffer) {
-  // En un entorno real, aquí integrarías con un servicio de email
-  // como SendGrid, AWS SES, o un SMTP server
-  
-  console.log(`📧 Simulando envío de factura ${invoiceNumber} a: ${clientEmail}`);
-  console.log(`👋 Cliente: ${clientName}`);
-  console.log(`📎 Archivos: PDF (${pdfBuffer.length} bytes), XML (${xmlBuffer.length} bytes)`);
-  
-  // Simulación de envío exitoso
+export async function sendInvoiceEmail(clientEmail, clientName, invoiceNumber, pdfBuffer, xmlBuffer, details = {}) {
+  const info = await sendInvoiceMail(
+    clientEmail,
+    clientName,
+    { number: invoiceNumber, ...details },
+    [
+      { filename: `factura_${invoiceNumber}.pdf`, content: pdfBuffer, contentType: 'application/pdf' },
+      { filename: `factura_${invoiceNumber}.xml`, content: xmlBuffer, contentType: 'application/xml' }
+    ]
+  );
+
+  if (info.rejected?.length) {
+    throw new Error(`El servidor de correo rechazó el destinatario: ${info.rejected.join(', ')}`);
+  }
+
   return {
     success: true,
-    messageId: `simulated-${Date.now()}`,
+    messageId: info.messageId,
     clientEmail,
     invoiceNumber
   };
@@ -392,31 +559,144 @@ export async function sendInvoiceToExternalApp(pdfBuffer, meta = {}) {
 
 // ===== FUNCIONES AUXILIARES =====
 
+const RUC_EMISOR = '1798282737001';
+const DIR_ESTABLECIMIENTO = 'AV. AMAZONAS N12-123 Y AV. PATRIA';
+
 /**
- * Genera clave de acceso completa según especificaciones SRI Ecuador
+ * Encabezado común de los PDF (factura, nota de crédito y recibo de ingreso)
  */
-function generarClaveAccesoCompleta(invoiceNumber) {
-  const fecha = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const [estab, ptoEmi, secuencial] = invoiceNumber.split('-');
+export function drawPdfHeader(doc) {
+  doc.fillColor('#2c3e50')
+     .fontSize(20)
+     .font('Helvetica-Bold')
+     .text('ECUATECHNOLOGY S.A.', 50, 50, { align: 'center' });
   
-  // Datos fijos para la clave de acceso
-  const ruc = '1798282737001';
-  const ambiente = '1'; // 1=Pruebas
-  const tipoComprobante = '01'; // 01=Factura
-  const numeroRandom = Math.floor(Math.random() * 90000000) + 10000000; // 8 dígitos
+  doc.fillColor('#666')
+     .fontSize(10)
+     .font('Helvetica')
+     .text('SERVICIOS TECNOLÓGICOS ESPECIALIZADOS', 50, 75, { align: 'center' });
   
-  // Construir clave base (43 dígitos)
+  // Línea separadora
+  doc.moveTo(50, 90)
+     .lineTo(545, 90)
+     .strokeColor('#e74c3c')
+     .lineWidth(2)
+     .stroke();
+  
+  doc.moveDown(3);
+}
+
+/**
+ * Pie de página común de los PDF
+ */
+function drawPdfFooter(doc) {
+  const footerY = 650;
+  doc.fillColor('#666')
+     .fontSize(8)
+     .font('Helvetica')
+     .text(`Ecuatechnology S.A. - RUC: ${RUC_EMISOR}`, 50, footerY, { align: 'center' })
+     .text('Av. Principal 123, Quito - Ecuador | Tel: +593 2 1234567', 50, footerY + 12, { align: 'center' })
+     .text('Email: info@ecuatechnology.com | www.ecuatechnology.com', 50, footerY + 24, { align: 'center' })
+     .text('Gracias por confiar en nuestros servicios técnicos especializados', 50, footerY + 40, { align: 'center' });
+}
+
+/**
+ * Bloque infoTributaria común a todos los comprobantes
+ */
+function buildInfoTributaria({ ambiente, claveAcceso, codDoc, estab, ptoEmi, secuencial }) {
+  return {
+    'ambiente': ambiente, // 1=Pruebas, 2=Producción
+    'tipoEmision': '1', // 1=Normal
+    'razonSocial': 'ECUATECHNOLOGY S.A.',
+    'nombreComercial': 'ECUATECHNOLOGY SERVICIOS TECNOLOGICOS',
+    'ruc': RUC_EMISOR,
+    'claveAcceso': claveAcceso,
+    'codDoc': codDoc,
+    'estab': estab,
+    'ptoEmi': ptoEmi,
+    'secuencial': secuencial,
+    'dirMatriz': 'AV. AMAZONAS N12-123 Y AV. PATRIA, QUITO - PICHINCHA'
+  };
+}
+
+/**
+ * Campos adicionales de contacto del cliente
+ */
+function buildContactFields(order) {
+  return [
+    {
+      '@nombre': 'Direccion',
+      '#text': order.client?.Address || 'CIUDAD'
+    },
+    {
+      '@nombre': 'Telefono',
+      '#text': order.client?.Phone || 'NO REGISTRA'
+    },
+    {
+      '@nombre': 'Email',
+      '#text': order.client?.Email || 'NO REGISTRA'
+    }
+  ];
+}
+
+/**
+ * Serializa un comprobante ({ factura: ... } o { notaCredito: ... })
+ */
+function buildComprobanteXML(comprobante) {
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@', // Atributos declarados como '@id', '@nombre'
+    format: true,
+    suppressEmptyNode: false, // La firma XAdES no admite nodos autocerrados
+    processEntities: true,
+    suppressBooleanAttributes: false
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build(comprobante)}`;
+}
+
+/**
+ * Fecha en la zona horaria de Ecuador (UTC-5, sin horario de verano)
+ * con formato ddmmaaaa (clave de acceso) o dd/mm/aaaa (fechaEmision)
+ */
+function formatearFechaSRI(fecha, separador = '') {
+  const local = new Date(fecha.getTime() - 5 * 60 * 60 * 1000);
+  const dd = String(local.getUTCDate()).padStart(2, '0');
+  const mm = String(local.getUTCMonth() + 1).padStart(2, '0');
+  return [dd, mm, local.getUTCFullYear()].join(separador);
+}
+
+/**
+ * Genera clave de acceso completa según especificaciones SRI Ecuador.
+ * El código numérico se deriva de los datos del comprobante, por lo que
+ * regenerar el mismo documento produce siempre la misma clave.
+ */
+export function generarClaveAccesoCompleta({ fecha, tipoComprobante, ambiente = '1', estab, ptoEmi, secuencial, ruc = RUC_EMISOR }) {
+  const fechaClave = formatearFechaSRI(fecha);
+  const tipoEmision = '1'; // 1=Emisión normal
+
+  // Código numérico de 8 dígitos (determinístico)
+  const hash = crypto.createHash('sha256')
+    .update([fechaClave, tipoComprobante, ruc, ambiente, estab, ptoEmi, secuencial].join('|'))
+    .digest('hex');
+  const codigoNumerico = (BigInt(`0x${hash.slice(0, 16)}`) % 100000000n).toString().padStart(8, '0');
+  
+  // Construir clave base (48 dígitos)
   const claveBase = [
-    fecha,                    // 8 dígitos (YYYYMMDD)
+    fechaClave,               // 8 dígitos (DDMMAAAA)
     tipoComprobante,          // 2 dígitos
     ruc,                      // 13 dígitos
     ambiente,                 // 1 dígito
     estab,                    // 3 dígitos
     ptoEmi,                   // 3 dígitos
     secuencial,               // 9 dígitos
-    numeroRandom,             // 8 dígitos
-    '1'                       // 1 dígito (tipo emisión)
+    codigoNumerico,           // 8 dígitos
+    tipoEmision               // 1 dígito
   ].join('');
+
+  if (!/^\d{48}$/.test(claveBase)) {
+    throw new Error(`Datos inválidos para la clave de acceso: ${claveBase}`);
+  }
   
   // Calcular dígito verificador (algoritmo módulo 11)
   const digitoVerificador = calcularDigitoVerificador(claveBase);
@@ -424,16 +704,23 @@ function generarClaveAccesoCompleta(invoiceNumber) {
   return claveBase + digitoVerificador;
 }
 
+/**
+ * Valida estructura (49 dígitos) y dígito verificador de una clave de acceso
+ */
+export function validarClaveAcceso(claveAcceso) {
+  if (!/^\d{49}$/.test(claveAcceso || '')) return false;
+  return calcularDigitoVerificador(claveAcceso.slice(0, 48)) === claveAcceso[48];
+}
+
 /**
  * Calcula el dígito verificador usando algoritmo módulo 11 del SRI
+ * (factores 2 a 7 cíclicos, aplicados de derecha a izquierda)
  */
 function calcularDigitoVerificador(claveBase) {
-  const factores = [2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2, 3, 4, 5, 6, 7, 2];
-  
   let suma = 0;
   for (let i = 0; i < claveBase.length; i++) {
-    const digito = parseInt(claveBase[i]);
-    const factor = factores[factores.length - 1 - i];
+    const digito = parseInt(claveBase[claveBase.length - 1 - i]);
+    const factor = 2 + (i % 6);
     suma += digito * factor;
   }
   
@@ -467,6 +754,10 @@ function identificarTipoDocumento(idType, idNumber) {
 export default {
   generateInvoicePDF,
   generateElectronicInvoiceXML,
+  generateCreditNotePDF,
+  generateCreditNoteXML,
+  generarClaveAccesoCompleta,
+  validarClaveAcceso,
   sendInvoiceEmail,
   sendInvoiceToExternalApp
 };
\ No newline at end of file
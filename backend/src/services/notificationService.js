@@ -0,0 +1,235 @@
+// services/notificationService.js - Centro de notificaciones con estado de lectura por destinatario
+import { PrismaClient } from '@prisma/client';
+import { emitNotification } from './realtimeService.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const NOTIFICATION_TYPES = {
+  ORDER: 'orden',
+  PROFORMA: 'proforma',
+  TICKET: 'ticket',
+  INVOICE: 'factura',
+  ACCOUNT: 'cuenta'
+};
+
+export const NOTIFICATION_PRIORITY = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// === UTILIDADES ===
+
+function notificationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Filtro por destinatario: { clientId } para el portal o { userId } para empleados
+ */
+function recipientWhere({ clientId, userId }) {
+  if (clientId) return { ClientId: clientId };
+  if (userId) return { UserId: userId };
+  throw notificationError('Destinatario de notificación no especificado', 500);
+}
+
+function toDto(notification, readAt = null) {
+  return {
+    id: notification.NotificationId,
+    type: notification.Type,
+    title: notification.Title,
+    message: notification.Message,
+    priority: notification.Priority,
+    orderId: notification.OrderId,
+    ticketId: notification.TicketId,
+    invoiceId: notification.InvoiceId,
+    read: readAt !== null,
+    readAt,
+    timestamp: notification.CreatedAt
+  };
+}
+
+// === CREACIÓN ===
+
+/**
+ * Crea una notificación para uno o varios destinatarios y la envía en
+ * tiempo real a los empleados conectados.
+ * Acepta un cliente de transacción para que la notificación se confirme
+ * junto con el cambio que la origina; en ese caso debe ser el último paso
+ * de la transacción, porque el evento sale antes del commit.
+ *
+ * @param {object} data - { type, title, message, priority?, orderId?, ticketId?, invoiceId? }
+ * @param {{ clientIds?: number[], userIds?: number[] }} recipients
+ * @returns {Promise<object|null>} Notificación creada o null si no hay destinatarios
+ */
+export async function createNotification(data, { clientIds = [], userIds = [] }, client = prisma) {
+  const recipients = [
+    ...[...new Set(clientIds.filter(Boolean))].map((ClientId) => ({ ClientId })),
+    ...[...new Set(userIds.filter(Boolean))].map((UserId) => ({ UserId }))
+  ];
+
+  if (recipients.length === 0) return null;
+
+  const notification = await client.notification.create({
+    data: {
+      Type: data.type,
+      Title: data.title,
+      Message: data.message,
+      Priority: data.priority || NOTIFICATION_PRIORITY.MEDIUM,
+      OrderId: data.orderId || null,
+      TicketId: data.ticketId || null,
+      InvoiceId: data.invoiceId || null,
+      recipients: { create: recipients }
+    }
+  });
+
+  const userRecipients = recipients.filter((recipient) => recipient.UserId).map((recipient) => recipient.UserId);
+  emitNotification(toDto(notification), userRecipients);
+
+  return notification;
+}
+
+/**
+ * Notifica a todos los empleados activos que tengan alguno de los roles indicados
+ * @param {string[]} roleNames - Nombres de rol (SYSTEM_ROLES)
+ */
+export async function notifyRoles(roleNames, data, client = prisma) {
+  const users = await client.user.findMany({
+    where: {
+      Active: true,
+      userRoles: { some: { role: { Name: { in: roleNames } } } }
+    },
+    select: { UserId: true }
+  });
+
+  return createNotification(data, { userIds: users.map((user) => user.UserId) }, client);
+}
+
+/**
+ * Notifica al cliente dueño de la orden que su estado cambió
+ * @param {number} orderId
+ * @param {number} statusId - Nuevo estado
+ * @param {string} [notes] - Detalle visible para el cliente
+ */
+export async function notifyOrderStatusChange(orderId, statusId, notes, client = prisma) {
+  const [order, status] = await Promise.all([
+    client.serviceOrder.findUnique({
+      where: { OrderId: orderId },
+      select: { ClientId: true, IdentityTag: true }
+    }),
+    client.status.findUnique({
+      where: { StatusId: statusId },
+      select: { Name: true, Code: true }
+    })
+  ]);
+
+  if (!order || !status) return null;
+
+  return createNotification({
+    type: NOTIFICATION_TYPES.ORDER,
+    title: `Orden ${order.IdentityTag}: ${status.Name}`,
+    message: notes || `Su orden ${order.IdentityTag} cambió al estado "${status.Name}".`,
+    orderId
+  }, { clientIds: [order.ClientId] }, client);
+}
+
+// === CONSULTAS ===
+
+/**
+ * Notificaciones de un destinatario, las más recientes primero
+ * @param {{ clientId?, userId? }} recipient
+ * @param {{ page?, limit?, unreadOnly? }} options
+ */
+export async function listNotifications(recipient, { page = 1, limit = 20, unreadOnly = false } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(Number(page) || 1, 1);
+  const where = { ...recipientWhere(recipient) };
+  if (unreadOnly) where.ReadAt = null;
+
+  const [rows, total, unreadCount] = await Promise.all([
+    prisma.notificationRecipient.findMany({
+      where,
+      include: { notification: true },
+      orderBy: { CreatedAt: 'desc' },
+      skip: (currentPage - 1) * take,
+      take
+    }),
+    prisma.notificationRecipient.count({ where }),
+    countUnread(recipient)
+  ]);
+
+  return {
+    notifications: rows.map((row) => toDto(row.notification, row.ReadAt)),
+    unreadCount,
+    pagination: {
+      page: currentPage,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+export async function countUnread(recipient) {
+  return prisma.notificationRecipient.count({
+    where: { ...recipientWhere(recipient), ReadAt: null }
+  });
+}
+
+// === LECTURA ===
+
+/**
+ * Marca una notificación como leída para el destinatario
+ * @returns {Promise<{ id, readAt }>}
+ */
+export async function markAsRead(recipient, notificationId) {
+  const row = await prisma.notificationRecipient.findFirst({
+    where: { ...recipientWhere(recipient), NotificationId: notificationId }
+  });
+
+  if (!row) {
+    throw notificationError('Notificación no encontrada', 404);
+  }
+
+  if (row.ReadAt) {
+    return { id: notificationId, readAt: row.ReadAt };
+  }
+
+  const updated = await prisma.notificationRecipient.update({
+    where: { NotificationRecipientId: row.NotificationRecipientId },
+    data: { ReadAt: new Date() }
+  });
+
+  return { id: notificationId, readAt: updated.ReadAt };
+}
+
+/**
+ * Marca como leídas todas las notificaciones pendientes del destinatario
+ * @returns {Promise<number>} Cantidad marcada
+ */
+export async function markAllAsRead(recipient) {
+  const { count } = await prisma.notificationRecipient.updateMany({
+    where: { ...recipientWhere(recipient), ReadAt: null },
+    data: { ReadAt: new Date() }
+  });
+
+  return count;
+}
+
+export default {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITY,
+  createNotification,
+  notifyRoles,
+  notifyOrderStatusChange,
+  listNotifications,
+  countUnread,
+  markAsRead,
+  markAllAsRead
+};
@@ -0,0 +1,123 @@
+// services/orderLabelService.js - Etiqueta adhesiva del equipo (PDF con QR y código de barras de la orden)
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+import { plain } from './receiptPdfService.js';
+
+// === CONSTANTES ===
+
+// Etiqueta de 62 x 40 mm (rollo de 62 mm de las impresoras térmicas de etiquetas)
+const MM = 72 / 25.4;
+const LABEL_WIDTH = 62 * MM;
+const LABEL_HEIGHT = 40 * MM;
+const MARGIN = 3 * MM;
+const QR_SIZE = 22 * MM;
+const GAP = 2 * MM;
+
+export const MAX_LABEL_COPIES = 10;
+
+// === CÓDIGOS ===
+
+/**
+ * QR y Code 128 con el código de la orden. Ambos contienen solo el texto del
+ * código, así un lector en modo teclado lo escribe tal cual en la aplicación.
+ */
+async function renderCodes(identityTag) {
+  const [qr, barcode] = await Promise.all([
+    bwipjs.toBuffer({ bcid: 'qrcode', text: identityTag, eclevel: 'M', scale: 4 }),
+    bwipjs.toBuffer({ bcid: 'code128', text: identityTag, scale: 3, height: 8 })
+  ]);
+  return { qr, barcode };
+}
+
+// === PDF ===
+
+/**
+ * Reduce el tamaño de fuente hasta que el texto entre en el ancho disponible
+ */
+function fitFontSize(doc, text, width, maxSize, minSize = 6) {
+  let size = maxSize;
+  while (size > minSize && doc.fontSize(size).widthOfString(text) > width) {
+    size -= 0.5;
+  }
+  return size;
+}
+
+function drawLabel(doc, order, { qr, barcode }) {
+  const textX = MARGIN + QR_SIZE + GAP;
+  const textWidth = LABEL_WIDTH - textX - MARGIN;
+  const line = { width: textWidth, height: 9, ellipsis: true, lineBreak: false };
+
+  doc.image(qr, MARGIN, MARGIN, { width: QR_SIZE, height: QR_SIZE });
+
+  doc.fillColor('#000')
+     .font('Helvetica-Bold')
+     .fontSize(6)
+     .text('ECUATECHNOLOGY S.A.', textX, MARGIN, line);
+
+  doc.font('Helvetica-Bold')
+     .fontSize(fitFontSize(doc, order.IdentityTag, textWidth, 12))
+     .text(order.IdentityTag, textX, MARGIN + 9, { width: textWidth, lineBreak: false });
+
+  // Nombre y datos del equipo se guardan escapados; en la etiqueta van tal cual
+  const equipment = order.equipment || {};
+  const details = [
+    plain(order.client?.DisplayName),
+    [equipment.equipmentType?.Name, plain(equipment.Brand), plain(equipment.Model)].filter(Boolean).join(' '),
+    equipment.SerialNumber ? `S/N: ${plain(equipment.SerialNumber)}` : null,
+    `Ingreso: ${new Date(order.IntakeDate).toLocaleDateString('es-EC', { timeZone: 'America/Guayaquil' })}`
+  ].filter(Boolean);
+
+  doc.font('Helvetica').fontSize(6.5);
+  details.forEach((text, index) => {
+    doc.text(text, textX, MARGIN + 25 + index * 9, line);
+  });
+
+  const barcodeY = MARGIN + QR_SIZE + GAP;
+  doc.image(barcode, MARGIN, barcodeY, {
+    fit: [LABEL_WIDTH - 2 * MARGIN, LABEL_HEIGHT - barcodeY - MARGIN],
+    align: 'center',
+    valign: 'center'
+  });
+}
+
+/**
+ * Genera el PDF de la etiqueta del equipo (una página por copia)
+ * @param {object} order - Orden con client y equipment (incluido equipmentType)
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+export async function generateOrderLabelPDF(order, { copies = 1 } = {}) {
+  const codes = await renderCodes(order.IdentityTag);
+
+  const doc = new PDFDocument({
+    size: [LABEL_WIDTH, LABEL_HEIGHT],
+    margin: 0,
+    autoFirstPage: false,
+    info: {
+      Title: `Etiqueta ${order.IdentityTag}`,
+      Author: 'Ecuatechnology S.A.'
+    }
+  });
+
+  const buffers = [];
+  doc.on('data', (chunk) => buffers.push(chunk));
+  const ended = new Promise((resolve) => doc.on('end', () => resolve()));
+
+  const pages = Math.min(Math.max(Number(copies) || 1, 1), MAX_LABEL_COPIES);
+  for (let page = 0; page < pages; page++) {
+    doc.addPage();
+    drawLabel(doc, order, codes);
+  }
+
+  doc.end();
+  await ended;
+
+  return {
+    buffer: Buffer.concat(buffers),
+    filename: `etiqueta_${order.IdentityTag}.pdf`.replace(/-/g, '_')
+  };
+}
+
+export default {
+  MAX_LABEL_COPIES,
+  generateOrderLabelPDF
+};
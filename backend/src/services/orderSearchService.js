@@ -0,0 +1,309 @@
+// services/orderSearchService.js - Búsqueda de órdenes de servicio con ranking por relevancia
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const ORDER_SEARCH_SORT = {
+  RELEVANCE: 'relevance',
+  RECENT: 'recent',
+  OLDEST: 'oldest',
+  CLIENT: 'client',
+  STATUS: 'status'
+};
+
+export const MAX_SEARCH_PAGE_SIZE = 100;
+
+// Con orden por relevancia se puntúan en memoria las coincidencias más recientes
+const MAX_RANKED_CANDIDATES = 500;
+
+// Términos de búsqueda considerados (el resto se ignora)
+const MAX_TERMS = 6;
+
+// Un término con al menos estos dígitos también se busca como teléfono
+const MIN_PHONE_DIGITS = 3;
+
+// Peso de cada campo; un término vale el peso completo si coincide exacto,
+// 0.75 si es prefijo (o sufijo, en teléfonos), 0.6 si inicia una palabra
+// y 0.5 si solo está contenido
+const FIELD_WEIGHTS = {
+  identityTag: 100,
+  idNumber: 90,
+  phone: 80,
+  email: 70,
+  serialNumber: 70,
+  displayName: 50,
+  equipment: 30,
+  status: 25,
+  diagnosis: 10
+};
+
+const ORDER_BY = {
+  [ORDER_SEARCH_SORT.RECENT]: [{ IntakeDate: 'desc' }, { OrderId: 'desc' }],
+  [ORDER_SEARCH_SORT.OLDEST]: [{ IntakeDate: 'asc' }, { OrderId: 'asc' }],
+  [ORDER_SEARCH_SORT.CLIENT]: [{ client: { DisplayName: 'asc' } }, { IntakeDate: 'desc' }],
+  [ORDER_SEARCH_SORT.STATUS]: [{ status: { SortOrder: 'asc' } }, { IntakeDate: 'desc' }]
+};
+
+const SEARCH_SELECT = {
+  OrderId: true,
+  IdentityTag: true,
+  IntakeDate: true,
+  EstimatedDeliveryDate: true,
+  Diagnosis: true,
+  client: {
+    select: {
+      ClientId: true,
+      DisplayName: true,
+      IdNumber: true,
+      Email: true,
+      Phone: true
+    }
+  },
+  equipment: {
+    select: {
+      EquipmentId: true,
+      Brand: true,
+      Model: true,
+      SerialNumber: true,
+      equipmentType: { select: { Name: true } }
+    }
+  },
+  status: {
+    select: {
+      StatusId: true,
+      Code: true,
+      Name: true
+    }
+  },
+  technician: {
+    select: {
+      UserId: true,
+      Username: true
+    }
+  }
+};
+
+// === TÉRMINOS ===
+
+const digitsOf = (value) => (value || '').replace(/\D/g, '');
+
+/**
+ * Divide la búsqueda en términos únicos (sin distinguir mayúsculas)
+ */
+function parseTerms(search) {
+  const terms = (search || '')
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Variantes de teléfono de un término: solo dígitos y, para que "0987..."
+ * encuentre "+593987...", también sin el 0 o el 593 iniciales
+ */
+function phoneVariants(term) {
+  if (!/^\+?[\d().-]+$/.test(term)) return [];
+
+  const digits = digitsOf(term);
+  if (digits.length < MIN_PHONE_DIGITS) return [];
+
+  const variants = new Set([digits]);
+  if (digits.startsWith('0') && digits.length > MIN_PHONE_DIGITS) variants.add(digits.slice(1));
+  if (digits.startsWith('593') && digits.length > MIN_PHONE_DIGITS + 2) variants.add(digits.slice(3));
+
+  return [...variants];
+}
+
+/**
+ * Condición de un término: debe aparecer en al menos uno de los campos
+ */
+function termWhere(term) {
+  const contains = { contains: term };
+
+  return {
+    OR: [
+      { IdentityTag: contains },
+      { Diagnosis: contains },
+      {
+        client: {
+          OR: [
+            { DisplayName: contains },
+            { IdNumber: contains },
+            { Email: contains },
+            { Phone: contains },
+            ...phoneVariants(term)
+              .filter((variant) => variant !== term)
+              .map((variant) => ({ Phone: { contains: variant } }))
+          ]
+        }
+      },
+      {
+        equipment: {
+          OR: [
+            { Brand: contains },
+            { Model: contains },
+            { SerialNumber: contains }
+          ]
+        }
+      },
+      {
+        status: {
+          OR: [
+            { Code: contains },
+            { Name: contains }
+          ]
+        }
+      }
+    ]
+  };
+}
+
+// === RELEVANCIA ===
+
+/**
+ * Fracción del peso que aporta un término sobre el valor de un campo
+ */
+function matchFactor(value, term, { suffix = false } = {}) {
+  if (!value) return 0;
+
+  const text = value.toLowerCase();
+  if (text === term) return 1;
+  if (text.startsWith(term) || (suffix && text.endsWith(term))) return 0.75;
+  if (text.split(/[\s@._-]+/).some((word) => word.startsWith(term))) return 0.6;
+  if (text.includes(term)) return 0.5;
+  return 0;
+}
+
+function phoneFactor(phone, term) {
+  const direct = matchFactor(phone, term, { suffix: true });
+  const digits = digitsOf(phone);
+
+  return phoneVariants(term).reduce(
+    (best, variant) => Math.max(best, matchFactor(digits, variant, { suffix: true })),
+    direct
+  );
+}
+
+/**
+ * Puntaje de la orden: por cada término suma el mejor campo en que aparece
+ * @returns {{ relevance: number, matchedFields: string[] }}
+ */
+function scoreOrder(order, terms) {
+  const { client, equipment, status } = order;
+  const matchedFields = new Set();
+  let relevance = 0;
+
+  for (const term of terms) {
+    const factors = {
+      identityTag: matchFactor(order.IdentityTag, term),
+      idNumber: matchFactor(client?.IdNumber, term),
+      phone: phoneFactor(client?.Phone, term),
+      email: matchFactor(client?.Email, term),
+      serialNumber: matchFactor(equipment?.SerialNumber, term),
+      displayName: matchFactor(client?.DisplayName, term),
+      equipment: Math.max(matchFactor(equipment?.Brand, term), matchFactor(equipment?.Model, term)),
+      status: Math.max(matchFactor(status?.Code, term), matchFactor(status?.Name, term)),
+      diagnosis: matchFactor(order.Diagnosis, term)
+    };
+
+    let best = 0;
+    for (const [field, factor] of Object.entries(factors)) {
+      if (factor === 0) continue;
+      matchedFields.add(field);
+      best = Math.max(best, factor * FIELD_WEIGHTS[field]);
+    }
+    relevance += best;
+  }
+
+  return { relevance: Math.round(relevance), matchedFields: [...matchedFields] };
+}
+
+// === BÚSQUEDA ===
+
+/**
+ * Filtros que no dependen del texto buscado.
+ * `status` acepta el código (EN_PROGRESO) o el id del estado.
+ */
+function filterWhere({ status, clientId }) {
+  const where = {};
+  if (clientId) where.ClientId = clientId;
+  if (status) {
+    where.status = /^\d+$/.test(status)
+      ? { StatusId: Number(status) }
+      : { Code: status.toUpperCase() };
+  }
+  return where;
+}
+
+/**
+ * Busca órdenes por código, datos del cliente (nombre, cédula/RUC, email, teléfono),
+ * equipo (marca, modelo, serie), diagnóstico y estado. Todos los términos deben
+ * aparecer en alguno de esos campos. Sin texto de búsqueda lista por fecha de ingreso.
+ *
+ * @param {{ search?: string, status?: string, clientId?: number, sort?: string, page?: number, limit?: number }} params
+ * @returns {Promise<{ results: object[], pagination: object, sort: string, truncated: boolean }>}
+ */
+export async function searchOrders({ search, status, clientId, sort, page = 1, limit = 20 } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 20, 1), MAX_SEARCH_PAGE_SIZE);
+  const currentPage = Math.max(Number(page) || 1, 1);
+  const terms = parseTerms(search);
+
+  // Sin términos no hay relevancia que calcular y se ordena por fecha de ingreso
+  const effectiveSort = terms.length > 0
+    ? sort || ORDER_SEARCH_SORT.RELEVANCE
+    : (sort && sort !== ORDER_SEARCH_SORT.RELEVANCE ? sort : ORDER_SEARCH_SORT.RECENT);
+  const rankInMemory = effectiveSort === ORDER_SEARCH_SORT.RELEVANCE;
+
+  const where = {
+    AND: [filterWhere({ status, clientId }), ...terms.map(termWhere)]
+  };
+
+  const [rows, total] = await Promise.all([
+    prisma.serviceOrder.findMany({
+      where,
+      select: SEARCH_SELECT,
+      ...(rankInMemory
+        ? { orderBy: ORDER_BY[ORDER_SEARCH_SORT.RECENT], take: MAX_RANKED_CANDIDATES }
+        : { orderBy: ORDER_BY[effectiveSort], skip: (currentPage - 1) * take, take })
+    }),
+    prisma.serviceOrder.count({ where })
+  ]);
+
+  let results = rows.map((order) => ({
+    ...order,
+    ...(terms.length > 0 ? scoreOrder(order, terms) : { relevance: null, matchedFields: [] })
+  }));
+
+  if (rankInMemory) {
+    // sort es estable: ante empates se conserva primero la orden más reciente
+    results = results
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice((currentPage - 1) * take, currentPage * take);
+  }
+
+  const pageableTotal = rankInMemory ? Math.min(total, MAX_RANKED_CANDIDATES) : total;
+
+  return {
+    results,
+    sort: effectiveSort,
+    // Hay más coincidencias que las ordenadas por relevancia: conviene afinar la búsqueda
+    truncated: rankInMemory && total > MAX_RANKED_CANDIDATES,
+    pagination: {
+      page: currentPage,
+      limit: take,
+      total,
+      pages: Math.ceil(pageableTotal / take)
+    }
+  };
+}
+
+export default {
+  ORDER_SEARCH_SORT,
+  MAX_SEARCH_PAGE_SIZE,
+  searchOrders
+};
@@ -0,0 +1,345 @@
+// services/orderStatusService.js - Máquina de estados de las órdenes de servicio
+//
+// Único punto que cambia CurrentStatusId y escribe en OrderStatusHistory.
+// Los estados viven en ops.Status (Code, SortOrder, IsTerminal); aquí se
+// definen las transiciones permitidas y qué roles pueden ejecutarlas.
+import { PrismaClient } from '@prisma/client';
+import { notifyOrderStatusChange } from './notificationService.js';
+import { SYSTEM_ROLES } from '../middlewares/roleMiddleware.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const ORDER_STATUS = {
+  RECEIVED: 'RECIBIDO',
+  DIAGNOSED: 'DIAGNOSTICADO',
+  PROFORMA_SENT: 'PROFORMA_ENVIADA',
+  PROFORMA_APPROVED: 'PROFORMA_APROBADA',
+  PROFORMA_REJECTED: 'PROFORMA_RECHAZADA',
+  IN_PROGRESS: 'EN_PROGRESO',
+  COMPLETED: 'COMPLETADO',
+  INVOICED: 'FACTURADO',
+  DELIVERED: 'ENTREGADO'
+};
+
+/**
+ * Códigos de error devueltos al rechazar un cambio de estado
+ */
+export const TRANSITION_ERRORS = {
+  INVALID: 'ORDER_TRANSITION_INVALID',
+  FORBIDDEN: 'ORDER_TRANSITION_FORBIDDEN',
+  NOT_ASSIGNED: 'ORDER_TRANSITION_NOT_ASSIGNED',
+  TERMINAL: 'ORDER_STATUS_TERMINAL',
+  CONFLICT: 'ORDER_STATUS_CONFLICT',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  STATUS_NOT_CONFIGURED: 'ORDER_STATUS_NOT_CONFIGURED'
+};
+
+const { ADMIN, RECEPTIONIST, TECHNICIAN, SALES, CLIENT } = SYSTEM_ROLES;
+
+// Un técnico solo mueve las órdenes que tiene asignadas (el administrador, cualquiera)
+const TECHNICAL_STEP = { roles: [ADMIN, TECHNICIAN], assignedTechnicianOnly: true };
+const SALES_STEP = { roles: [ADMIN, SALES] };
+const RECEPTION_STEP = { roles: [ADMIN, RECEPTIONIST] };
+const CLIENT_STEP = { roles: [CLIENT] };
+
+/**
+ * Transiciones permitidas: estado actual -> { estado destino: regla }.
+ * Un estado marcado IsTerminal en ops.Status no sale aunque figure aquí.
+ */
+const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.RECEIVED]: {
+    [ORDER_STATUS.DIAGNOSED]: TECHNICAL_STEP
+  },
+  [ORDER_STATUS.DIAGNOSED]: {
+    [ORDER_STATUS.PROFORMA_SENT]: SALES_STEP
+  },
+  [ORDER_STATUS.PROFORMA_SENT]: {
+    [ORDER_STATUS.PROFORMA_APPROVED]: CLIENT_STEP,
+    [ORDER_STATUS.PROFORMA_REJECTED]: CLIENT_STEP
+  },
+  [ORDER_STATUS.PROFORMA_APPROVED]: {
+    [ORDER_STATUS.IN_PROGRESS]: TECHNICAL_STEP
+  },
+  [ORDER_STATUS.PROFORMA_REJECTED]: {
+    [ORDER_STATUS.PROFORMA_SENT]: SALES_STEP, // Proforma corregida y reenviada
+    [ORDER_STATUS.DELIVERED]: RECEPTION_STEP // Devolución del equipo sin reparar
+  },
+  [ORDER_STATUS.IN_PROGRESS]: {
+    [ORDER_STATUS.COMPLETED]: TECHNICAL_STEP
+  },
+  [ORDER_STATUS.COMPLETED]: {
+    [ORDER_STATUS.INVOICED]: SALES_STEP,
+    [ORDER_STATUS.DELIVERED]: RECEPTION_STEP
+  },
+  [ORDER_STATUS.INVOICED]: {
+    [ORDER_STATUS.COMPLETED]: { roles: [ADMIN] }, // Factura anulada o revertida con nota de crédito
+    [ORDER_STATUS.DELIVERED]: RECEPTION_STEP
+  },
+  [ORDER_STATUS.DELIVERED]: {}
+};
+
+// === UTILIDADES ===
+
+function transitionError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errorCode = code;
+  return error;
+}
+
+const statusCache = new Map();
+
+/**
+ * Estado por código (con caché en memoria, como los demás catálogos)
+ */
+export async function getStatusByCode(code, client = prisma) {
+  if (statusCache.has(code)) return statusCache.get(code);
+
+  const status = await client.status.findUnique({ where: { Code: code } });
+  if (!status) {
+    throw transitionError(
+      `Estado "${code}" no configurado en la base de datos.`,
+      500,
+      TRANSITION_ERRORS.STATUS_NOT_CONFIGURED
+    );
+  }
+
+  statusCache.set(code, status);
+  return status;
+}
+
+/**
+ * Quién ejecuta el cambio, a partir de req.auth
+ * @returns {{ userId: number|null, clientId: number|null, roles: string[] }}
+ */
+export function actorFromAuth(auth = {}) {
+  return {
+    userId: auth.userId ?? null,
+    clientId: auth.clientId ?? null,
+    roles: auth.roles || []
+  };
+}
+
+async function loadOrder(orderId, client) {
+  const order = await client.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: { status: true }
+  });
+
+  if (!order) {
+    throw transitionError('Orden no encontrada.', 404, TRANSITION_ERRORS.ORDER_NOT_FOUND);
+  }
+  return order;
+}
+
+/**
+ * Valida el paso del estado actual de la orden a `toStatus` para el actor dado
+ */
+function checkTransition(order, toStatus, actor) {
+  const from = order.status;
+
+  if (from.IsTerminal) {
+    throw transitionError(
+      `La orden ${order.IdentityTag} está en estado final "${from.Name}" y ya no puede cambiar.`,
+      409,
+      TRANSITION_ERRORS.TERMINAL
+    );
+  }
+
+  const rule = ORDER_TRANSITIONS[from.Code]?.[toStatus.Code];
+  if (!rule) {
+    throw transitionError(
+      `La orden ${order.IdentityTag} no puede pasar de "${from.Name}" a "${toStatus.Name}".`,
+      409,
+      TRANSITION_ERRORS.INVALID
+    );
+  }
+
+  if (!rule.roles.some((role) => actor.roles.includes(role))) {
+    throw transitionError(
+      `Su rol no puede pasar la orden de "${from.Name}" a "${toStatus.Name}".`,
+      403,
+      TRANSITION_ERRORS.FORBIDDEN
+    );
+  }
+
+  const isAdmin = actor.roles.includes(ADMIN);
+  if (rule.assignedTechnicianOnly && !isAdmin && order.TechnicianId && order.TechnicianId !== actor.userId) {
+    throw transitionError(
+      `La orden ${order.IdentityTag} está asignada a otro técnico.`,
+      403,
+      TRANSITION_ERRORS.NOT_ASSIGNED
+    );
+  }
+}
+
+// === TRANSICIONES ===
+
+/**
+ * Verifica sin escribir que la orden pueda pasar al estado indicado.
+ * Útil antes de efectos que no se revierten (p. ej. enviar un correo);
+ * transitionOrderStatus vuelve a validar dentro de la transacción.
+ *
+ * @returns {Promise<{ order, fromStatus, toStatus }>}
+ */
+export async function assertOrderTransition(orderId, toCode, actor, client = prisma) {
+  const [order, toStatus] = await Promise.all([
+    loadOrder(orderId, client),
+    getStatusByCode(toCode, client)
+  ]);
+
+  checkTransition(order, toStatus, actor);
+  return { order, fromStatus: order.status, toStatus };
+}
+
+/**
+ * Cambia el estado de una orden: valida la transición, actualiza la orden
+ * (junto con `data`), registra el historial y notifica al cliente.
+ * Debe ejecutarse dentro de la transacción del cambio que lo origina;
+ * el evento en tiempo real (emitOrderStatusChange) lo emite quien llama tras el commit.
+ *
+ * @param {object} tx - Cliente de transacción de Prisma
+ * @param {object} params
+ * @param {number} params.orderId
+ * @param {string} params.to - Código del estado destino (ORDER_STATUS)
+ * @param {{ userId?, roles }} params.actor - Ver actorFromAuth()
+ * @param {string} params.notes - Nota del historial
+ * @param {string|false} [params.clientMessage] - Texto para el cliente (por defecto la nota; false = sin aviso)
+ * @param {object} [params.data] - Otros campos de ServiceOrder a actualizar
+ * @param {object} [params.include] - Relaciones a incluir en la orden devuelta
+ * @returns {Promise<{ order, fromStatus, toStatus }>}
+ */
+export async function transitionOrderStatus(tx, { orderId, to, actor, notes, clientMessage, data = {}, include }) {
+  const { order: current, fromStatus, toStatus } = await assertOrderTransition(orderId, to, actor, tx);
+
+  let order;
+  try {
+    // El estado de origen en el filtro evita que dos cambios simultáneos se pisen
+    order = await tx.serviceOrder.update({
+      where: { OrderId: orderId, CurrentStatusId: fromStatus.StatusId },
+      data: { ...data, CurrentStatusId: toStatus.StatusId },
+      ...(include && { include })
+    });
+  } catch (error) {
+    if (error.code !== 'P2025') throw error;
+    throw transitionError(
+      `El estado de la orden ${current.IdentityTag} cambió mientras se procesaba la solicitud. Intente nuevamente.`,
+      409,
+      TRANSITION_ERRORS.CONFLICT
+    );
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      OrderId: orderId,
+      StatusId: toStatus.StatusId,
+      Notes: notes,
+      ChangedByUserId: actor.userId ?? null
+    }
+  });
+
+  if (clientMessage !== false) {
+    await notifyOrderStatusChange(orderId, toStatus.StatusId, clientMessage || notes, tx);
+  }
+
+  return { order, fromStatus, toStatus };
+}
+
+/**
+ * Estado inicial de una orden recién creada (no hay transición previa)
+ * @returns {Promise<object>} Estado asignado
+ */
+export async function recordInitialStatus(tx, { orderId, userId = null, notes, clientMessage }) {
+  const status = await getStatusByCode(ORDER_STATUS.RECEIVED, tx);
+
+  await tx.orderStatusHistory.create({
+    data: {
+      OrderId: orderId,
+      StatusId: status.StatusId,
+      Notes: notes,
+      ChangedByUserId: userId
+    }
+  });
+
+  if (clientMessage !== false) {
+    await notifyOrderStatusChange(orderId, status.StatusId, clientMessage || notes, tx);
+  }
+
+  return status;
+}
+
+/**
+ * Anotación en el historial sin cambiar el estado (autorizaciones, modificaciones)
+ */
+export async function addOrderStatusNote(tx, { orderId, notes, userId = null }) {
+  const order = await tx.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    select: { CurrentStatusId: true }
+  });
+
+  if (!order) {
+    throw transitionError('Orden no encontrada.', 404, TRANSITION_ERRORS.ORDER_NOT_FOUND);
+  }
+
+  return tx.orderStatusHistory.create({
+    data: {
+      OrderId: orderId,
+      StatusId: order.CurrentStatusId,
+      Notes: notes,
+      ChangedByUserId: userId
+    }
+  });
+}
+
+/**
+ * Estados a los que el actor puede llevar la orden, según SortOrder.
+ * `direction` indica si el paso avanza o retrocede en el flujo.
+ */
+export async function getAllowedTransitions(orderId, actor) {
+  const order = await loadOrder(orderId, prisma);
+  const targets = order.status.IsTerminal ? [] : Object.keys(ORDER_TRANSITIONS[order.status.Code] || {});
+
+  const statuses = targets.length > 0
+    ? await prisma.status.findMany({ where: { Code: { in: targets } }, orderBy: { SortOrder: 'asc' } })
+    : [];
+
+  const allowed = [];
+  for (const status of statuses) {
+    try {
+      checkTransition(order, status, actor);
+      allowed.push({
+        statusId: status.StatusId,
+        code: status.Code,
+        name: status.Name,
+        direction: status.SortOrder < order.status.SortOrder ? 'back' : 'forward'
+      });
+    } catch {
+      // Transición existente pero no disponible para este actor
+    }
+  }
+
+  return {
+    orderId: order.OrderId,
+    current: {
+      statusId: order.status.StatusId,
+      code: order.status.Code,
+      name: order.status.Name,
+      isTerminal: order.status.IsTerminal
+    },
+    allowed
+  };
+}
+
+export default {
+  ORDER_STATUS,
+  TRANSITION_ERRORS,
+  getStatusByCode,
+  actorFromAuth,
+  assertOrderTransition,
+  transitionOrderStatus,
+  recordInitialStatus,
+  addOrderStatusNote,
+  getAllowedTransitions
+};
@@ -0,0 +1,425 @@
+// services/paymentService.js - Cobros, saldos por cliente y cartera vencida
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const PAYMENT_METHODS = {
+  CASH: 'efectivo',
+  TRANSFER: 'transferencia',
+  CARD: 'tarjeta'
+};
+
+/**
+ * Tramos del reporte de antigüedad de cartera (días desde la emisión)
+ */
+export const AGING_BUCKETS = [
+  { key: 'current', label: '0-30', from: 0, to: 30 },
+  { key: 'days31to60', label: '31-60', from: 31, to: 60 },
+  { key: 'days61to90', label: '61-90', from: 61, to: 90 },
+  { key: 'over90', label: '+90', from: 91, to: Infinity }
+];
+
+// Estados de factura que pueden tener saldo
+const RECEIVABLE_STATUSES = ['emitida', 'enviada', 'pagada'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Diferencias menores a medio centavo se consideran saldadas
+const CENT_TOLERANCE = 0.005;
+
+// === UTILIDADES ===
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+function paymentError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Include necesario para calcular el saldo de una factura
+ */
+const balanceInclude = {
+  payments: { where: { VoidedAt: null }, select: { Amount: true, PaidAt: true } },
+  creditNotes: { select: { TotalAmount: true } },
+  _count: { select: { payments: true } } // Incluye anulados
+};
+
+/**
+ * Saldo de una factura: total - notas de crédito - pagos vigentes
+ * @param {object} invoice - Factura con `payments` (vigentes) y `creditNotes`
+ */
+export function getInvoiceBalance(invoice) {
+  const credited = round2((invoice.creditNotes || []).reduce((sum, note) => sum + note.TotalAmount, 0));
+  const payments = invoice.payments || [];
+
+  // Facturas marcadas como pagadas antes de registrar cobros: se consideran saldadas
+  if (invoice.Status === 'pagada' && (invoice._count?.payments ?? payments.length) === 0) {
+    return { total: invoice.TotalAmount, credited, paid: round2(invoice.TotalAmount - credited), balance: 0 };
+  }
+
+  const paid = round2(payments.reduce((sum, payment) => sum + payment.Amount, 0));
+  const balance = invoice.Status === 'anulada' ? 0 : round2(invoice.TotalAmount - credited - paid);
+
+  return {
+    total: invoice.TotalAmount,
+    credited,
+    paid,
+    balance
+  };
+}
+
+/**
+ * Estado comercial que corresponde al saldo (pagada al cubrirse el total)
+ */
+function statusForBalance(invoice, balance) {
+  if (balance <= CENT_TOLERANCE) return 'pagada';
+  return invoice.SentDate ? 'enviada' : 'emitida';
+}
+
+// === PAGOS ===
+
+/**
+ * Registra un pago (total o parcial) contra una factura
+ * @returns {Promise<{ payment, invoice, balance }>}
+ */
+export async function registerPayment({ invoiceId, amount, method, reference, paidAt, notes, userId }) {
+  if (!Object.values(PAYMENT_METHODS).includes(method)) {
+    throw paymentError(`Método de pago inválido. Use: ${Object.values(PAYMENT_METHODS).join(', ')}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Bloquea la factura para que dos cobros simultáneos no excedan el saldo
+    await tx.invoice.update({
+      where: { InvoiceId: invoiceId },
+      data: { UpdatedAt: new Date() }
+    }).catch((error) => {
+      if (error.code === 'P2025') throw paymentError('Factura no encontrada', 404);
+      throw error;
+    });
+
+    const invoice = await tx.invoice.findUnique({
+      where: { InvoiceId: invoiceId },
+      include: balanceInclude
+    });
+
+    if (invoice.Status === 'anulada') {
+      throw paymentError('No se pueden registrar pagos en una factura anulada', 409);
+    }
+
+    const { balance } = getInvoiceBalance(invoice);
+    if (balance <= CENT_TOLERANCE) {
+      throw paymentError('La factura no tiene saldo pendiente', 409);
+    }
+    if (amount > balance + CENT_TOLERANCE) {
+      throw paymentError(`El pago ($${amount.toFixed(2)}) supera el saldo pendiente ($${balance.toFixed(2)})`);
+    }
+
+    const payment = await tx.payment.create({
+      data: {
+        InvoiceId: invoiceId,
+        Amount: round2(amount),
+        Method: method,
+        Reference: reference || null,
+        PaidAt: paidAt ? new Date(paidAt) : new Date(),
+        Notes: notes || null,
+        ReceivedByUserId: userId
+      }
+    });
+
+    const newBalance = round2(balance - payment.Amount);
+    const status = statusForBalance(invoice, newBalance);
+
+    const updatedInvoice = await tx.invoice.update({
+      where: { InvoiceId: invoiceId },
+      data: {
+        Status: status,
+        PaidDate: status === 'pagada' ? payment.PaidAt : null
+      }
+    });
+
+    return { payment, invoice: updatedInvoice, balance: newBalance };
+  });
+}
+
+/**
+ * Anula un pago registrado por error y recalcula el estado de la factura
+ */
+export async function voidPayment(paymentId, { reason, userId }) {
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findUnique({ where: { PaymentId: paymentId } });
+
+    if (!payment) {
+      throw paymentError('Pago no encontrado', 404);
+    }
+
+    // Bloquea la factura igual que registerPayment y anula el pago solo si sigue
+    // vigente: dos anulaciones simultáneas no recalculan el saldo dos veces
+    await tx.invoice.update({
+      where: { InvoiceId: payment.InvoiceId },
+      data: { UpdatedAt: new Date() }
+    });
+
+    const { count } = await tx.payment.updateMany({
+      where: { PaymentId: paymentId, VoidedAt: null },
+      data: {
+        VoidedAt: new Date(),
+        VoidedByUserId: userId,
+        VoidReason: reason
+      }
+    });
+
+    if (count === 0) {
+      throw paymentError('El pago ya fue anulado', 409);
+    }
+
+    const voided = await tx.payment.findUnique({ where: { PaymentId: paymentId } });
+
+    const invoice = await tx.invoice.findUnique({
+      where: { InvoiceId: payment.InvoiceId },
+      include: balanceInclude
+    });
+
+    const { balance } = getInvoiceBalance(invoice);
+    if (invoice.Status !== 'anulada') {
+      const status = statusForBalance(invoice, balance);
+      await tx.invoice.update({
+        where: { InvoiceId: invoice.InvoiceId },
+        data: {
+          Status: status,
+          PaidDate: status === 'pagada' ? invoice.PaidDate : null
+        }
+      });
+    }
+
+    return { payment: voided, balance };
+  });
+}
+
+/**
+ * Pagos de una factura (incluye anulados) con su saldo actual
+ */
+export async function listInvoicePayments(invoiceId) {
+  const invoice = await prisma.invoice.findUnique({
+    where: { InvoiceId: invoiceId },
+    include: {
+      ...balanceInclude,
+      payments: {
+        include: {
+          receivedBy: { select: { UserId: true, Username: true } },
+          voidedBy: { select: { UserId: true, Username: true } }
+        },
+        orderBy: { PaidAt: 'asc' }
+      }
+    }
+  });
+
+  if (!invoice) {
+    throw paymentError('Factura no encontrada', 404);
+  }
+
+  const summary = getInvoiceBalance({
+    ...invoice,
+    payments: invoice.payments.filter((payment) => !payment.VoidedAt)
+  });
+
+  return {
+    invoiceId: invoice.InvoiceId,
+    invoiceNumber: invoice.InvoiceNumber,
+    status: invoice.Status,
+    ...summary,
+    payments: invoice.payments
+  };
+}
+
+// === CUENTAS POR COBRAR ===
+
+/**
+ * Facturas con saldo pendiente, con su antigüedad en días
+ */
+async function findOpenInvoices(where = {}, asOf = new Date()) {
+  const invoices = await prisma.invoice.findMany({
+    where: { ...where, Status: { in: RECEIVABLE_STATUSES } },
+    include: {
+      ...balanceInclude,
+      order: {
+        select: {
+          OrderId: true,
+          IdentityTag: true,
+          client: { select: { ClientId: true, DisplayName: true, IdNumber: true, Email: true } }
+        }
+      }
+    },
+    orderBy: { IssueDate: 'asc' }
+  });
+
+  return invoices
+    .map((invoice) => ({
+      invoice,
+      ...getInvoiceBalance(invoice),
+      ageDays: Math.max(0, Math.floor((asOf - invoice.IssueDate) / DAY_MS))
+    }))
+    .filter(({ balance }) => balance > CENT_TOLERANCE);
+}
+
+const bucketFor = (ageDays) => AGING_BUCKETS.find((bucket) => ageDays >= bucket.from && ageDays <= bucket.to);
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+
+/**
+ * Saldo de un cliente con el detalle de facturas pendientes
+ */
+export async function getClientBalance(clientId, asOf = new Date()) {
+  const client = await prisma.client.findUnique({
+    where: { ClientId: clientId },
+    select: { ClientId: true, DisplayName: true, IdNumber: true, Email: true }
+  });
+
+  if (!client) {
+    throw paymentError('Cliente no encontrado', 404);
+  }
+
+  const open = await findOpenInvoices({ order: { ClientId: clientId } }, asOf);
+  const buckets = emptyBuckets();
+  for (const row of open) {
+    const bucket = bucketFor(row.ageDays);
+    buckets[bucket.key] = round2(buckets[bucket.key] + row.balance);
+  }
+
+  return {
+    client,
+    balance: round2(open.reduce((sum, row) => sum + row.balance, 0)),
+    buckets,
+    invoices: open.map((row) => ({
+      invoiceId: row.invoice.InvoiceId,
+      invoiceNumber: row.invoice.InvoiceNumber,
+      orderTag: row.invoice.order.IdentityTag,
+      issueDate: row.invoice.IssueDate,
+      ageDays: row.ageDays,
+      total: row.total,
+      credited: row.credited,
+      paid: row.paid,
+      balance: row.balance
+    }))
+  };
+}
+
+/**
+ * Reporte de antigüedad de cartera (0-30, 31-60, 61-90, +90 días) por cliente
+ * @param {{ asOf?: Date }} options - Fecha de corte
+ */
+export async function getAgingReport({ asOf = new Date() } = {}) {
+  const open = await findOpenInvoices({ IssueDate: { lte: asOf } }, asOf);
+
+  const clients = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+
+  for (const row of open) {
+    const client = row.invoice.order.client;
+    const entry = clients.get(client.ClientId) || {
+      clientId: client.ClientId,
+      displayName: client.DisplayName,
+      idNumber: client.IdNumber,
+      invoices: 0,
+      ...emptyBuckets(),
+      total: 0
+    };
+
+    const bucket = bucketFor(row.ageDays);
+    entry[bucket.key] = round2(entry[bucket.key] + row.balance);
+    entry.total = round2(entry.total + row.balance);
+    entry.invoices += 1;
+    clients.set(client.ClientId, entry);
+
+    totals[bucket.key] = round2(totals[bucket.key] + row.balance);
+    totals.total = round2(totals.total + row.balance);
+  }
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    clients: [...clients.values()].sort((a, b) => b.total - a.total),
+    totals
+  };
+}
+
+/**
+ * Resumen financiero para el panel de administración
+ */
+export async function getReceivablesSummary(asOf = new Date()) {
+  const monthStart = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+
+  const [open, collected] = await Promise.all([
+    findOpenInvoices({}, asOf),
+    prisma.payment.aggregate({
+      where: { VoidedAt: null, PaidAt: { gte: monthStart, lte: asOf } },
+      _sum: { Amount: true }
+    })
+  ]);
+
+  return {
+    pendingPayments: round2(open.reduce((sum, row) => sum + row.balance, 0)),
+    overduePayments: round2(open.filter((row) => row.ageDays > 30).reduce((sum, row) => sum + row.balance, 0)),
+    openInvoices: open.length,
+    collectedThisMonth: round2(collected._sum.Amount || 0)
+  };
+}
+
+// === ENTREGA DE EQUIPOS ===
+
+/**
+ * Situación de pago de una orden antes de entregar el equipo.
+ * Con factura vigente se usa su saldo; una proforma aprobada y aún sin
+ * facturar se considera pendiente por su valor total.
+ * @returns {Promise<{ settled, amountDue, invoiceNumber, releaseAuthorized }>}
+ */
+export async function getOrderPaymentStatus(orderId, client = prisma) {
+  const order = await client.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: {
+      invoices: {
+        where: { Status: { not: 'anulada' } },
+        include: balanceInclude
+      }
+    }
+  });
+
+  if (!order) {
+    throw paymentError('Orden no encontrada', 404);
+  }
+
+  const invoice = order.invoices[0];
+  if (invoice) {
+    const { balance } = getInvoiceBalance(invoice);
+    return {
+      settled: balance <= CENT_TOLERANCE,
+      amountDue: Math.max(balance, 0),
+      invoiceNumber: invoice.InvoiceNumber,
+      releaseAuthorized: Boolean(order.ReleaseAuthorizedAt)
+    };
+  }
+
+  const amountDue = order.ProformaStatus === 'aprobada' ? round2(order.TotalPrice || 0) : 0;
+  return {
+    settled: amountDue <= CENT_TOLERANCE,
+    amountDue,
+    invoiceNumber: null,
+    releaseAuthorized: Boolean(order.ReleaseAuthorizedAt)
+  };
+}
+
+export default {
+  PAYMENT_METHODS,
+  AGING_BUCKETS,
+  getInvoiceBalance,
+  registerPayment,
+  voidPayment,
+  listInvoicePayments,
+  getClientBalance,
+  getAgingReport,
+  getReceivablesSummary,
+  getOrderPaymentStatus
+};
@@ -0,0 +1,254 @@
+// services/realtimeService.js - Gateway de Socket.IO para los tableros de la app de escritorio
+import { Server } from 'socket.io';
+import { PrismaClient } from '@prisma/client';
+import { verifyEmployeeToken } from '../middlewares/authMiddleware.js';
+import logger from '../../config/logger.js';
+
+// === CONSTANTES ===
+
+export const REALTIME_EVENTS = {
+  ORDER_STATUS: 'order:status',
+  TICKET_CREATED: 'ticket:created',
+  TICKET_RESPONSE: 'ticket:response',
+  NOTIFICATION: 'notification:new'
+};
+
+// Roles que atienden la bandeja de tickets (mismos que pueden listarlos)
+const TICKET_ROLES = ['Administrador', 'Recepcionista'];
+
+const ROOMS = {
+  EMPLOYEES: 'employees',
+  user: (userId) => `user:${userId}`,
+  role: (roleName) => `role:${roleName}`,
+  ticket: (ticketId) => `ticket:${ticketId}`
+};
+
+const prisma = new PrismaClient();
+
+let io = null;
+
+// === UTILIDADES ===
+
+/**
+ * Token desde `auth.token` del handshake o la cabecera Authorization
+ */
+function extractToken(handshake) {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer ')) return header.split(' ')[1];
+
+  return null;
+}
+
+function connectionError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Emite un evento si el gateway está activo (no lo está en scripts ni jobs aislados)
+ */
+function emit(rooms, event, payload) {
+  if (!io) return;
+
+  const targets = rooms.filter(Boolean);
+  if (targets.length === 0) return;
+
+  io.to(targets).emit(event, payload);
+}
+
+// === INICIALIZACIÓN ===
+
+/**
+ * Monta Socket.IO sobre el servidor HTTP.
+ * Solo empleados: se autentica con el mismo JWT que authenticateHybrid.
+ * Al conectar, el socket entra a su sala de usuario, a una sala por rol
+ * y a la sala general de empleados.
+ *
+ * @param {import('http').Server} httpServer
+ * @returns {Server}
+ */
+export function initRealtime(httpServer) {
+  const allowedOrigins = [
+    process.env.URL_FRONTEND_WEB || 'http://localhost:5173',
+    process.env.URL_FRONTEND_DESK
+  ].filter(Boolean);
+
+  io = new Server(httpServer, {
+    cors: {
+      origin: (origin, callback) => {
+        // La app de escritorio (Electron) puede conectarse sin origin
+        if (!origin || allowedOrigins.includes(origin)) return callback(null, true);
+        callback(new Error('No permitido por CORS'));
+      },
+      credentials: true
+    }
+  });
+
+  io.use(async (socket, next) => {
+    const token = extractToken(socket.handshake);
+
+    if (!token) {
+      return next(connectionError('Acceso no autorizado. Se requiere autenticación.', 'UNAUTHENTICATED'));
+    }
+
+    try {
+      socket.data.auth = await verifyEmployeeToken(token);
+      return next();
+    } catch (err) {
+      if (err.code === 'USER_NOT_FOUND' || err.code === 'USER_INACTIVE') {
+        return next(connectionError(err.message, err.code));
+      }
+      if (err.name === 'TokenExpiredError') {
+        return next(connectionError('Token expirado. Por favor, inicie sesión nuevamente.', 'TOKEN_EXPIRED'));
+      }
+      if (err.name === 'JsonWebTokenError') {
+        logger.warn(`Socket con token JWT inválido. Razón: ${err.message}`);
+        return next(connectionError('Token inválido o malformado', 'TOKEN_INVALID'));
+      }
+
+      logger.error(`Error inesperado al autenticar socket: ${err.message}`, { stack: err.stack });
+      return next(connectionError('Error al procesar el token de autenticación', 'AUTH_ERROR'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, username, roles = [] } = socket.data.auth;
+
+    socket.join([ROOMS.EMPLOYEES, ROOMS.user(userId), ...roles.map(ROOMS.role)]);
+    logger.info(`Socket conectado - Usuario: ${username} (ID: ${userId}) | Roles: [${roles.join(', ')}]`);
+
+    // Suscripción a un ticket abierto en pantalla (respuestas en vivo).
+    // Mismo alcance que la API: la bandeja o el empleado asignado al ticket.
+    socket.on('ticket:subscribe', async (ticketId, ack) => {
+      const id = Number(ticketId);
+      if (!Number.isInteger(id) || id <= 0) {
+        return ack?.({ success: false, error: 'Ticket inválido' });
+      }
+
+      try {
+        const ticket = await prisma.ticket.findUnique({
+          where: { TicketId: id },
+          select: { AssignedToUserId: true }
+        });
+        if (!ticket) {
+          return ack?.({ success: false, error: 'Ticket no encontrado' });
+        }
+
+        const isDesk = roles.some((role) => TICKET_ROLES.includes(role));
+        if (!isDesk && ticket.AssignedToUserId !== userId) {
+          return ack?.({ success: false, error: 'Solo el empleado asignado puede seguir este ticket' });
+        }
+
+        socket.join(ROOMS.ticket(id));
+        ack?.({ success: true });
+      } catch (err) {
+        logger.error(`Error al suscribir socket al ticket ${id}: ${err.message}`, { stack: err.stack });
+        ack?.({ success: false, error: 'No se pudo suscribir al ticket' });
+      }
+    });
+
+    socket.on('ticket:unsubscribe', (ticketId, ack) => {
+      socket.leave(ROOMS.ticket(Number(ticketId)));
+      ack?.({ success: true });
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.info(`Socket desconectado - Usuario: ${username} (ID: ${userId}) | Motivo: ${reason}`);
+    });
+  });
+
+  return io;
+}
+
+// === EVENTOS ===
+
+/**
+ * Cambio de estado de una orden (todos los tableros de empleados)
+ * @param {object} order - Orden con OrderId, IdentityTag y opcionalmente ClientId/TechnicianId
+ * @param {object} status - Estado nuevo con StatusId, Code y Name
+ * @param {{ notes?, userId? }} meta
+ */
+export function emitOrderStatusChange(order, status, { notes, userId } = {}) {
+  emit([ROOMS.EMPLOYEES], REALTIME_EVENTS.ORDER_STATUS, {
+    orderId: order.OrderId,
+    identityTag: order.IdentityTag,
+    clientId: order.ClientId,
+    technicianId: order.TechnicianId,
+    status: {
+      statusId: status.StatusId,
+      code: status.Code,
+      name: status.Name
+    },
+    notes: notes || null,
+    changedBy: userId || null,
+    changedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Ticket nuevo (bandeja de tickets y empleado asignado)
+ */
+export function emitTicketCreated(ticket) {
+  emit(
+    [...TICKET_ROLES.map(ROOMS.role), ticket.AssignedToUserId && ROOMS.user(ticket.AssignedToUserId)],
+    REALTIME_EVENTS.TICKET_CREATED,
+    {
+      ticketId: ticket.TicketId,
+      ticketNumber: ticket.TicketNumber,
+      subject: ticket.Subject,
+      priority: ticket.Priority,
+      status: ticket.Status,
+      orderId: ticket.OrderId,
+      clientId: ticket.ClientId,
+      createdBy: ticket.CreatedBy,
+      createdAt: ticket.CreatedAt
+    }
+  );
+}
+
+/**
+ * Respuesta en un ticket (quien lo tiene abierto, asignado y bandeja)
+ * @param {object} ticket - Ticket con TicketId, TicketNumber y AssignedToUserId
+ * @param {object} response - TicketResponse creada
+ */
+export function emitTicketResponse(ticket, response) {
+  emit(
+    [
+      ROOMS.ticket(ticket.TicketId),
+      ...TICKET_ROLES.map(ROOMS.role),
+      ticket.AssignedToUserId && ROOMS.user(ticket.AssignedToUserId)
+    ],
+    REALTIME_EVENTS.TICKET_RESPONSE,
+    {
+      ticketId: ticket.TicketId,
+      ticketNumber: ticket.TicketNumber,
+      responseId: response.ResponseId,
+      message: response.Message,
+      isInternal: response.IsInternal,
+      respondedByUserId: response.RespondedByUserId,
+      respondedByClient: response.RespondedByClient,
+      createdAt: response.CreatedAt
+    }
+  );
+}
+
+/**
+ * Notificación nueva para cada empleado destinatario
+ * @param {object} notification - Notificación en el formato de notificationService
+ * @param {number[]} userIds
+ */
+export function emitNotification(notification, userIds) {
+  emit(userIds.map(ROOMS.user), REALTIME_EVENTS.NOTIFICATION, notification);
+}
+
+export default {
+  REALTIME_EVENTS,
+  initRealtime,
+  emitOrderStatusChange,
+  emitTicketCreated,
+  emitTicketResponse,
+  emitNotification
+};
@@ -0,0 +1,83 @@
+// services/receiptPdfService.js - Utilidades comunes del recibo de ingreso y el acta de entrega en PDF
+import validator from 'validator';
+
+// === CONSTANTES ===
+
+const PAGE_BOTTOM = 780;
+
+// === UTILIDADES ===
+
+// Los textos llegan escapados por la sanitización; en el PDF se muestran tal cual los escribió el usuario
+export const plain = (value) => validator.unescape(value || '');
+
+export const formatDateTime = (date) => new Date(date).toLocaleString('es-EC', { timeZone: 'America/Guayaquil' });
+
+export async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// === DIBUJO ===
+
+/**
+ * Salta de página si el bloque siguiente no entra en la actual
+ */
+export function ensureSpace(doc, height) {
+  if (doc.y + height > PAGE_BOTTOM) {
+    doc.addPage();
+    doc.y = 50;
+  }
+}
+
+export function sectionTitle(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8)
+     .fillColor('#2c3e50')
+     .fontSize(12)
+     .font('Helvetica-Bold')
+     .text(text, 50)
+     .moveDown(0.3);
+  doc.fillColor('#333').fontSize(10).font('Helvetica');
+}
+
+export function field(doc, label, value) {
+  doc.font('Helvetica-Bold').text(`${label}: `, 50, doc.y, { continued: true })
+     .font('Helvetica').text(value || 'N/D');
+}
+
+/**
+ * Declaración, firma capturada y pie del documento
+ * @param {object} doc - Documento PDFKit
+ * @param {{ declaration: string, signature: Buffer, signerLabel: string, signedAt: Date }} block
+ */
+export function drawSignatureBlock(doc, { declaration, signature, signerLabel, signedAt }) {
+  ensureSpace(doc, 190);
+  doc.moveDown(1)
+     .fillColor('#666')
+     .fontSize(8)
+     .font('Helvetica')
+     .text(declaration, 50, doc.y, { width: 495, align: 'justify' });
+
+  const signatureY = doc.y + 15;
+  doc.image(signature, 50, signatureY, { fit: [200, 80] });
+  doc.moveTo(50, signatureY + 85).lineTo(250, signatureY + 85).strokeColor('#333').lineWidth(1).stroke();
+  doc.fillColor('#333')
+     .fontSize(9)
+     .text(signerLabel, 50, signatureY + 90)
+     .text(`Firmado el ${formatDateTime(signedAt)}`, 50, signatureY + 103);
+
+  doc.fillColor('#666')
+     .fontSize(8)
+     .text('Ecuatechnology S.A. - Servicios tecnológicos especializados', 50, signatureY + 130, { align: 'center', width: 495 });
+}
+
+export default {
+  plain,
+  formatDateTime,
+  readAll,
+  ensureSpace,
+  sectionTitle,
+  field,
+  drawSignatureBlock
+};
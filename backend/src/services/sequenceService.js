@@ -0,0 +1,175 @@
+// services/sequenceService.js - Secuenciales de comprobantes (por establecimiento, punto de emisión
+// y tipo de documento) y de los códigos de las órdenes de servicio
+
+// === CONSTANTES ===
+
+/**
+ * Tipos de comprobante SRI (tabla 3 de la ficha técnica)
+ */
+export const DOCUMENT_TYPES = {
+  INVOICE: '01',
+  CREDIT_NOTE: '04'
+};
+
+const MAX_SEQUENTIAL = 999999999;
+
+const DEFAULT_ORDER_TAG_PREFIX = 'ECT';
+const DEFAULT_ORDER_TAG_DIGITS = 6;
+const ORDER_TAG_TIME_ZONE = 'America/Guayaquil';
+
+// === CONFIGURACIÓN ===
+
+/**
+ * Establecimiento y punto de emisión configurados (SRI_ESTABLECIMIENTO / SRI_PUNTO_EMISION)
+ */
+export function getEmissionPoint() {
+  const establishment = process.env.SRI_ESTABLECIMIENTO || '001';
+  const emissionPoint = process.env.SRI_PUNTO_EMISION || '001';
+
+  if (!/^\d{3}$/.test(establishment) || !/^\d{3}$/.test(emissionPoint)) {
+    throw new Error('SRI_ESTABLECIMIENTO y SRI_PUNTO_EMISION deben tener 3 dígitos');
+  }
+
+  return { establishment, emissionPoint };
+}
+
+/**
+ * Formato de los códigos de orden:
+ *   ORDER_TAG_PREFIX  (ECT)   letras y dígitos, hasta 10
+ *   ORDER_TAG_DIGITS  (6)     ancho del secuencial, entre 3 y 9
+ *   ORDER_TAG_YEARLY  (true)  incluye el año y reinicia la numeración cada año
+ */
+export function getOrderTagFormat() {
+  const prefix = (process.env.ORDER_TAG_PREFIX || DEFAULT_ORDER_TAG_PREFIX).toUpperCase();
+  const digits = Number(process.env.ORDER_TAG_DIGITS || DEFAULT_ORDER_TAG_DIGITS);
+  const yearly = process.env.ORDER_TAG_YEARLY !== 'false';
+
+  if (!/^[A-Z0-9]{1,10}$/.test(prefix)) {
+    throw new Error('ORDER_TAG_PREFIX debe tener entre 1 y 10 letras o dígitos');
+  }
+  if (!Number.isInteger(digits) || digits < 3 || digits > 9) {
+    throw new Error('ORDER_TAG_DIGITS debe ser un entero entre 3 y 9');
+  }
+
+  return { prefix, digits, yearly };
+}
+
+// === ASIGNACIÓN ===
+
+/**
+ * Último secuencial ya emitido con este prefijo antes de existir la secuencia
+ * (facturas creadas con la numeración anterior)
+ */
+async function findLegacySequential(tx, documentType, prefix) {
+  if (documentType !== DOCUMENT_TYPES.INVOICE) return 0;
+
+  const last = await tx.invoice.findFirst({
+    where: { InvoiceNumber: { startsWith: `${prefix}-` } },
+    orderBy: { InvoiceNumber: 'desc' },
+    select: { InvoiceNumber: true }
+  });
+
+  return last ? parseInt(last.InvoiceNumber.split('-')[2], 10) || 0 : 0;
+}
+
+/**
+ * Asigna el siguiente secuencial dentro de una transacción.
+ * El incremento es atómico (UPDATE ... SET CurrentValue = CurrentValue + 1) y
+ * el bloqueo de la fila se mantiene hasta el commit, por lo que dos facturas
+ * concurrentes nunca reciben el mismo número; si la transacción falla, el
+ * secuencial no se consume.
+ *
+ * @param {object} tx - Cliente de transacción de Prisma
+ * @param {string} documentType - DOCUMENT_TYPES.*
+ * @returns {Promise<{ establishment, emissionPoint, sequential, documentNumber }>}
+ */
+export async function allocateSequence(tx, documentType, emission = getEmissionPoint()) {
+  const { establishment, emissionPoint } = emission;
+  const key = {
+    Establishment: establishment,
+    EmissionPoint: emissionPoint,
+    DocumentType: documentType
+  };
+
+  const { count } = await tx.documentSequence.updateMany({
+    where: key,
+    data: { CurrentValue: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    // Primera emisión en este punto: continuar la numeración existente.
+    // Si otra transacción crea la fila al mismo tiempo, el índice único
+    // rechaza una de las dos (P2002) y la operación se puede reintentar.
+    const prefix = `${establishment}-${emissionPoint}`;
+    const legacy = await findLegacySequential(tx, documentType, prefix);
+    await tx.documentSequence.create({
+      data: { ...key, CurrentValue: legacy + 1 }
+    });
+  }
+
+  const sequence = await tx.documentSequence.findUnique({
+    where: { Establishment_EmissionPoint_DocumentType: key }
+  });
+
+  if (sequence.CurrentValue > MAX_SEQUENTIAL) {
+    throw new Error(`Secuencial agotado para ${establishment}-${emissionPoint} (tipo ${documentType})`);
+  }
+
+  const sequential = String(sequence.CurrentValue).padStart(9, '0');
+
+  return {
+    establishment,
+    emissionPoint,
+    sequential,
+    documentNumber: `${establishment}-${emissionPoint}-${sequential}`
+  };
+}
+
+/**
+ * Asigna el siguiente código de orden (ECT-2026-000123 o ECT-000123) dentro de
+ * una transacción, con el mismo incremento atómico que los comprobantes.
+ * El año es el de Ecuador continental al momento del ingreso.
+ *
+ * @param {object} tx - Cliente de transacción de Prisma
+ * @returns {Promise<string>} Código de la orden
+ */
+export async function allocateOrderTag(tx, date = new Date(), format = getOrderTagFormat()) {
+  const { prefix, digits, yearly } = format;
+  const period = yearly
+    ? new Intl.DateTimeFormat('en', { year: 'numeric', timeZone: ORDER_TAG_TIME_ZONE }).format(date)
+    : '';
+  const key = { Prefix: prefix, Period: period };
+
+  const { count } = await tx.orderTagSequence.updateMany({
+    where: key,
+    data: { CurrentValue: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    // Primera orden del período: si otra transacción crea la fila al mismo
+    // tiempo, el índice único rechaza una de las dos (P2002) y se reintenta
+    await tx.orderTagSequence.create({
+      data: { ...key, CurrentValue: 1 }
+    });
+  }
+
+  const sequence = await tx.orderTagSequence.findUnique({
+    where: { Prefix_Period: key }
+  });
+
+  if (sequence.CurrentValue >= 10 ** digits) {
+    throw new Error(`Secuencial de órdenes agotado para ${prefix}${period ? `-${period}` : ''} (aumente ORDER_TAG_DIGITS)`);
+  }
+
+  return [prefix, period, String(sequence.CurrentValue).padStart(digits, '0')]
+    .filter(Boolean)
+    .join('-');
+}
+
+export default {
+  DOCUMENT_TYPES,
+  getEmissionPoint,
+  getOrderTagFormat,
+  allocateSequence,
+  allocateOrderTag
+};
@@ -0,0 +1,340 @@
+// services/signatureService.js - Firma XAdES-BES de comprobantes electrónicos (SRI Ecuador)
+import crypto from 'crypto';
+import fs from 'fs';
+import forge from 'node-forge';
+import { DOMParser } from '@xmldom/xmldom';
+import { C14nCanonicalization, findAncestorNs } from 'xml-crypto';
+import logger from '../../config/logger.js';
+import { getSriAmbiente } from './sriService.js';
+
+// === CONSTANTES ===
+
+const NS_DS = 'http://www.w3.org/2000/09/xmldsig#';
+const NS_ETSI = 'http://uri.etsi.org/01903/v1.3.2#';
+
+const NAMESPACES = `xmlns:ds="${NS_DS}" xmlns:etsi="${NS_ETSI}"`;
+
+const ALGORITHMS = {
+  C14N: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+  RSA_SHA1: 'http://www.w3.org/2000/09/xmldsig#rsa-sha1',
+  SHA1: 'http://www.w3.org/2000/09/xmldsig#sha1',
+  ENVELOPED: 'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+  SIGNED_PROPERTIES: 'http://uri.etsi.org/01903#SignedProperties'
+};
+
+// C14N inclusiva (REC-xml-c14n-20010315), la que declara la firma
+const c14n = new C14nCanonicalization();
+
+// Cache del certificado cargado (se invalida si cambia el archivo)
+let cachedCertificate = null;
+
+// === UTILIDADES ===
+
+function signatureError(message, statusCode = 503) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const sha1Base64 = (content) =>
+  crypto.createHash('sha1').update(content, typeof content === 'string' ? 'utf8' : undefined).digest('base64');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const bigIntegerToBase64 = (value) => {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return forge.util.encode64(forge.util.hexToBytes(hex));
+};
+
+function parseXml(xml) {
+  const fail = (message) => {
+    throw signatureError(`El comprobante no es un XML válido: ${message}`, 400);
+  };
+  const doc = new DOMParser({ errorHandler: { warning: () => {}, error: fail, fatalError: fail } })
+    .parseFromString(xml, 'text/xml');
+
+  if (!doc.documentElement) fail('no tiene nodo raíz');
+  return doc;
+}
+
+/**
+ * Forma canónica de un nodo de la firma dentro del documento: incluye los
+ * namespaces que hereda de sus ancestros, como la calcula quien verifica
+ */
+function canonicalizeNode(doc, namespace, localName) {
+  const node = doc.getElementsByTagNameNS(namespace, localName)[0];
+  return c14n.process(node, {
+    ancestorNamespaces: findAncestorNs(doc, `//*[local-name()='${localName}']`)
+  });
+}
+
+/**
+ * Escribe el valor de un nodo vacío de la firma (digest o valor de firma)
+ */
+function setText(node, value) {
+  node.appendChild(node.ownerDocument.createTextNode(value));
+}
+
+/**
+ * Lleva el XML del comprobante a su forma canónica (C14N inclusiva) para
+ * que el digest calculado coincida con el que calcula el SRI
+ */
+export function canonicalizeComprobante(xml) {
+  return c14n.process(parseXml(xml).documentElement);
+}
+
+// === CERTIFICADO ===
+
+/**
+ * Carga el certificado PKCS#12 (.p12) configurado en SRI_CERT_PATH / SRI_CERT_PASSWORD
+ * @returns {{ certificate, privateKey, notBefore: Date, notAfter: Date, subject: string, issuer: string }|null}
+ */
+export function loadSigningCertificate() {
+  const certPath = process.env.SRI_CERT_PATH;
+  if (!certPath) return null;
+
+  let stat;
+  try {
+    stat = fs.statSync(certPath);
+  } catch {
+    throw signatureError(`No se encontró el certificado de firma en ${certPath}`);
+  }
+
+  if (cachedCertificate && cachedCertificate.path === certPath && cachedCertificate.mtimeMs === stat.mtimeMs) {
+    return cachedCertificate;
+  }
+
+  let p12;
+  try {
+    const der = fs.readFileSync(certPath).toString('binary');
+    p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), process.env.SRI_CERT_PASSWORD || '');
+  } catch (error) {
+    throw signatureError(`No se pudo abrir el certificado de firma: ${error.message}`);
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  // Los .p12 de las entidades certificadoras incluyen la cadena completa:
+  // se usa el certificado cuya clave pública corresponde a la clave privada
+  let match = null;
+  for (const keyBag of keyBags) {
+    const certBag = certBags.find((bag) => bag.cert?.publicKey?.n?.equals(keyBag.key.n));
+    if (certBag) {
+      match = { certificate: certBag.cert, privateKey: keyBag.key };
+      break;
+    }
+  }
+
+  if (!match) {
+    throw signatureError('El archivo .p12 no contiene una clave privada con su certificado');
+  }
+
+  const formatName = (attributes) => attributes
+    .map((attr) => `${attr.shortName || attr.type}=${attr.value}`)
+    .reverse()
+    .join(',');
+
+  cachedCertificate = {
+    path: certPath,
+    mtimeMs: stat.mtimeMs,
+    ...match,
+    notBefore: match.certificate.validity.notBefore,
+    notAfter: match.certificate.validity.notAfter,
+    subject: formatName(match.certificate.subject.attributes),
+    issuer: formatName(match.certificate.issuer.attributes),
+    serialNumber: BigInt(`0x${match.certificate.serialNumber}`).toString(10),
+    der: Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(match.certificate)).getBytes(), 'binary')
+  };
+
+  return cachedCertificate;
+}
+
+/**
+ * Verifica que el certificado esté vigente
+ * @throws {Error} Si el certificado está vencido o aún no es válido
+ */
+export function assertCertificateValid(cert, now = new Date()) {
+  if (now < cert.notBefore) {
+    throw signatureError(`El certificado de firma aún no es válido (desde ${cert.notBefore.toISOString()})`);
+  }
+
+  if (now > cert.notAfter) {
+    throw signatureError(`El certificado de firma está vencido desde ${cert.notAfter.toISOString()}`);
+  }
+
+  const warningDays = Number(process.env.SRI_CERT_EXPIRY_WARNING_DAYS) || 30;
+  const daysLeft = Math.floor((cert.notAfter - now) / (24 * 60 * 60 * 1000));
+  if (daysLeft <= warningDays) {
+    logger.warn(`El certificado de firma vence en ${daysLeft} día(s)`, {
+      subject: cert.subject,
+      notAfter: cert.notAfter
+    });
+  }
+}
+
+/**
+ * Estado del certificado configurado (para el panel de administración)
+ */
+export function getCertificateStatus() {
+  const cert = loadSigningCertificate();
+  if (!cert) {
+    return { configured: false, ambiente: getSriAmbiente() };
+  }
+
+  const now = new Date();
+  return {
+    configured: true,
+    ambiente: getSriAmbiente(),
+    subject: cert.subject,
+    issuer: cert.issuer,
+    serialNumber: cert.serialNumber,
+    notBefore: cert.notBefore,
+    notAfter: cert.notAfter,
+    valid: now >= cert.notBefore && now <= cert.notAfter,
+    daysLeft: Math.floor((cert.notAfter - now) / (24 * 60 * 60 * 1000))
+  };
+}
+
+// === FIRMA ===
+
+/**
+ * Firma un comprobante (factura, nota de crédito...) con XAdES-BES enveloped.
+ * Sin certificado configurado solo se permite continuar en ambiente de pruebas.
+ * @param {string} xml - Comprobante con el nodo raíz id="comprobante"
+ * @returns {string} XML firmado
+ */
+export function signComprobanteXML(xml) {
+  const cert = loadSigningCertificate();
+
+  if (!cert) {
+    if (getSriAmbiente() === '2') {
+      throw signatureError('No hay certificado de firma configurado (SRI_CERT_PATH)');
+    }
+    logger.warn('SRI_CERT_PATH no configurado: el comprobante se guarda sin firma');
+    return xml;
+  }
+
+  assertCertificateValid(cert);
+
+  const declaration = xml.match(/^\uFEFF?<\?xml[^>]*\?>/)?.[0] || '<?xml version="1.0" encoding="UTF-8"?>';
+  const doc = parseXml(xml);
+  const root = doc.documentElement;
+
+  // Digest del comprobante antes de insertar la firma (transformación enveloped)
+  const comprobanteDigest = sha1Base64(c14n.process(root));
+
+  // Identificadores únicos de los nodos de la firma
+  const n = crypto.randomInt(100000, 999999);
+  const ids = {
+    signature: `Signature${n}`,
+    signedInfo: `Signature-SignedInfo${n}`,
+    signedPropertiesRef: `SignedPropertiesID${n}`,
+    signedProperties: `Signature${n}-SignedProperties${n}`,
+    certificate: `Certificate${n}`,
+    reference: `Reference-ID-${n}`,
+    signatureValue: `SignatureValue${n}`,
+    object: `Signature${n}-Object${n}`
+  };
+
+  const digestMethod = `<ds:DigestMethod Algorithm="${ALGORITHMS.SHA1}"></ds:DigestMethod>`;
+
+  // 1. Propiedades firmadas (XAdES)
+  const signedPropertiesContent =
+    '<etsi:SignedSignatureProperties>' +
+      `<etsi:SigningTime>${new Date().toISOString()}</etsi:SigningTime>` +
+      '<etsi:SigningCertificate><etsi:Cert>' +
+        `<etsi:CertDigest>${digestMethod}<ds:DigestValue>${sha1Base64(cert.der)}</ds:DigestValue></etsi:CertDigest>` +
+        '<etsi:IssuerSerial>' +
+          `<ds:X509IssuerName>${escapeXml(cert.issuer)}</ds:X509IssuerName>` +
+          `<ds:X509SerialNumber>${cert.serialNumber}</ds:X509SerialNumber>` +
+        '</etsi:IssuerSerial>' +
+      '</etsi:Cert></etsi:SigningCertificate>' +
+    '</etsi:SignedSignatureProperties>' +
+    '<etsi:SignedDataObjectProperties>' +
+      `<etsi:DataObjectFormat ObjectReference="#${ids.reference}">` +
+        '<etsi:Description>contenido comprobante</etsi:Description>' +
+        '<etsi:MimeType>text/xml</etsi:MimeType>' +
+      '</etsi:DataObjectFormat>' +
+    '</etsi:SignedDataObjectProperties>';
+
+  const signedProperties = `<etsi:SignedProperties Id="${ids.signedProperties}">${signedPropertiesContent}</etsi:SignedProperties>`;
+
+  // 2. Información de la clave
+  const keyInfoContent =
+    `<ds:X509Data><ds:X509Certificate>${cert.der.toString('base64')}</ds:X509Certificate></ds:X509Data>` +
+    '<ds:KeyValue><ds:RSAKeyValue>' +
+      `<ds:Modulus>${bigIntegerToBase64(cert.certificate.publicKey.n)}</ds:Modulus>` +
+      `<ds:Exponent>${bigIntegerToBase64(cert.certificate.publicKey.e)}</ds:Exponent>` +
+    '</ds:RSAKeyValue></ds:KeyValue>';
+
+  const keyInfo = `<ds:KeyInfo Id="${ids.certificate}">${keyInfoContent}</ds:KeyInfo>`;
+
+  // 3. SignedInfo con las tres referencias; los digests de las propiedades y
+  // del certificado se calculan con la firma ya insertada en el documento
+  const signedInfoContent =
+    `<ds:CanonicalizationMethod Algorithm="${ALGORITHMS.C14N}"></ds:CanonicalizationMethod>` +
+    `<ds:SignatureMethod Algorithm="${ALGORITHMS.RSA_SHA1}"></ds:SignatureMethod>` +
+    `<ds:Reference Id="${ids.signedPropertiesRef}" Type="${ALGORITHMS.SIGNED_PROPERTIES}" URI="#${ids.signedProperties}">` +
+      `${digestMethod}<ds:DigestValue></ds:DigestValue>` +
+    '</ds:Reference>' +
+    `<ds:Reference URI="#${ids.certificate}">` +
+      `${digestMethod}<ds:DigestValue></ds:DigestValue>` +
+    '</ds:Reference>' +
+    `<ds:Reference Id="${ids.reference}" URI="#comprobante">` +
+      `<ds:Transforms><ds:Transform Algorithm="${ALGORITHMS.ENVELOPED}"></ds:Transform></ds:Transforms>` +
+      `${digestMethod}<ds:DigestValue>${comprobanteDigest}</ds:DigestValue>` +
+    '</ds:Reference>';
+
+  const signedInfo = `<ds:SignedInfo Id="${ids.signedInfo}">${signedInfoContent}</ds:SignedInfo>`;
+
+  const signature =
+    `<ds:Signature ${NAMESPACES} Id="${ids.signature}">` +
+      signedInfo +
+      `<ds:SignatureValue Id="${ids.signatureValue}"></ds:SignatureValue>` +
+      keyInfo +
+      `<ds:Object Id="${ids.object}">` +
+        `<etsi:QualifyingProperties Target="#${ids.signature}">${signedProperties}</etsi:QualifyingProperties>` +
+      '</ds:Object>' +
+    '</ds:Signature>';
+
+  // La firma se inserta al final del nodo raíz (enveloped)
+  root.appendChild(doc.importNode(parseXml(signature).documentElement, true));
+
+  const references = Array.from(doc.getElementsByTagNameNS(NS_DS, 'Reference'));
+  const digestOf = (uri) => references
+    .find((reference) => reference.getAttribute('URI') === uri)
+    .getElementsByTagNameNS(NS_DS, 'DigestValue')[0];
+
+  setText(digestOf(`#${ids.signedProperties}`), sha1Base64(canonicalizeNode(doc, NS_ETSI, 'SignedProperties')));
+  setText(digestOf(`#${ids.certificate}`), sha1Base64(canonicalizeNode(doc, NS_DS, 'KeyInfo')));
+
+  // 4. Valor de la firma (RSA-SHA1 sobre SignedInfo canonicalizado)
+  const md = forge.md.sha1.create();
+  md.update(canonicalizeNode(doc, NS_DS, 'SignedInfo'), 'utf8');
+  const signatureValue = forge.util.encode64(cert.privateKey.sign(md)).match(/.{1,76}/g).join('\n');
+
+  setText(doc.getElementsByTagNameNS(NS_DS, 'SignatureValue')[0], `\n${signatureValue}\n`);
+
+  const signed = c14n.process(root);
+
+  logger.info('Comprobante firmado', { subject: cert.subject, signatureId: ids.signature });
+
+  return `${declaration}\n${signed}`;
+}
+
+export default {
+  loadSigningCertificate,
+  assertCertificateValid,
+  getCertificateStatus,
+  canonicalizeComprobante,
+  signComprobanteXML
+};
@@ -0,0 +1,432 @@
+// services/slaService.js - Políticas SLA de tickets, detección de incumplimientos y escalamiento
+import { PrismaClient } from '@prisma/client';
+import { createNotification, notifyRoles, NOTIFICATION_TYPES, NOTIFICATION_PRIORITY } from './notificationService.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const SLA_STATUS = {
+  NONE: 'none',
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached'
+};
+
+// Tickets que ya no corren contra el SLA
+const FINISHED_TICKET_STATUS = ['resolved', 'closed'];
+
+// Quienes reciben las alertas de tickets sin asignar
+const DESK_ROLES = ['Administrador', 'Recepcionista'];
+const ADMIN_ROLE = 'Administrador';
+
+const CHECK_BATCH_SIZE = 200;
+
+let checkTimer = null;
+let checkRunning = false;
+
+// === UTILIDADES ===
+
+function slaError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Estado de un plazo: vencido, en riesgo (consumió WarningPercent) o en curso
+ */
+function deadlineStatus(startAt, dueAt, warningPercent, now) {
+  if (now > dueAt) return SLA_STATUS.BREACHED;
+
+  const window = dueAt - startAt;
+  const elapsed = now - startAt;
+  if (window > 0 && elapsed / window * 100 >= warningPercent) return SLA_STATUS.AT_RISK;
+
+  return SLA_STATUS.ON_TRACK;
+}
+
+const STATUS_WEIGHT = {
+  [SLA_STATUS.ON_TRACK]: 0,
+  [SLA_STATUS.AT_RISK]: 1,
+  [SLA_STATUS.BREACHED]: 2
+};
+
+/**
+ * Estado SLA actual de un ticket abierto: el peor entre primera respuesta
+ * (si aún no se respondió) y resolución
+ */
+export function evaluateTicketSla(ticket, warningPercent = 80, now = new Date()) {
+  if (!ticket.ResolutionDueAt) return { status: SLA_STATUS.NONE, target: null };
+
+  const checks = [];
+  if (!ticket.FirstResponseAt && ticket.FirstResponseDueAt) {
+    checks.push({
+      target: 'first_response',
+      status: deadlineStatus(ticket.CreatedAt, ticket.FirstResponseDueAt, warningPercent, now)
+    });
+  }
+  checks.push({
+    target: 'resolution',
+    status: deadlineStatus(ticket.CreatedAt, ticket.ResolutionDueAt, warningPercent, now)
+  });
+
+  return checks.reduce((worst, check) =>
+    STATUS_WEIGHT[check.status] > STATUS_WEIGHT[worst.status] ? check : worst
+  );
+}
+
+// === POLÍTICAS ===
+
+/**
+ * Política vigente: la de la categoría y prioridad, o la general de la prioridad
+ */
+export async function findPolicy(categoryId, priority, client = prisma) {
+  const policies = await client.slaPolicy.findMany({
+    where: {
+      Active: true,
+      Priority: priority,
+      OR: [{ CategoryId: categoryId }, { CategoryId: null }]
+    }
+  });
+
+  return policies.find((policy) => policy.CategoryId === categoryId)
+    || policies.find((policy) => policy.CategoryId === null)
+    || null;
+}
+
+/**
+ * Campos SLA para crear un ticket. Sin política el ticket queda sin SLA.
+ *
+ * @param {{ categoryId: number, priority: string }} ticket
+ * @param {Date} [createdAt]
+ * @returns {Promise<object>} Datos para prisma.ticket.create
+ */
+export async function buildTicketSla({ categoryId, priority }, createdAt = new Date(), client = prisma) {
+  const policy = await findPolicy(categoryId, priority, client);
+  if (!policy) return { SlaStatus: SLA_STATUS.NONE };
+
+  return {
+    SlaPolicyId: policy.SlaPolicyId,
+    FirstResponseDueAt: addMinutes(createdAt, policy.FirstResponseMinutes),
+    ResolutionDueAt: addMinutes(createdAt, policy.ResolutionMinutes),
+    SlaStatus: SLA_STATUS.ON_TRACK
+  };
+}
+
+/**
+ * Registra la primera respuesta visible para el cliente (solo la primera vez)
+ */
+export async function recordFirstResponse(ticketId, respondedAt = new Date(), client = prisma) {
+  await client.ticket.updateMany({
+    where: { TicketId: ticketId, FirstResponseAt: null },
+    data: { FirstResponseAt: respondedAt }
+  });
+}
+
+export async function listPolicies() {
+  return prisma.slaPolicy.findMany({
+    include: {
+      category: { select: { CategoryId: true, Code: true, Name: true } },
+      escalateTo: { select: { UserId: true, Username: true } }
+    },
+    orderBy: [{ Priority: 'asc' }, { CategoryId: 'asc' }]
+  });
+}
+
+async function assertPolicyReferences({ categoryId, escalateToUserId }) {
+  if (categoryId) {
+    const category = await prisma.ticketCategory.findUnique({ where: { CategoryId: categoryId } });
+    if (!category) throw slaError('Categoría de ticket no encontrada', 404);
+  }
+  if (escalateToUserId) {
+    const user = await prisma.user.findUnique({ where: { UserId: escalateToUserId } });
+    if (!user || !user.Active) throw slaError('Usuario de escalamiento no encontrado o inactivo', 404);
+  }
+}
+
+/**
+ * Crea una política; solo una por categoría y prioridad
+ */
+export async function createPolicy(data) {
+  await assertPolicyReferences(data);
+
+  const existing = await prisma.slaPolicy.findFirst({
+    where: { CategoryId: data.categoryId ?? null, Priority: data.priority }
+  });
+  if (existing) {
+    throw slaError('Ya existe una política para esta categoría y prioridad', 409);
+  }
+
+  return prisma.slaPolicy.create({
+    data: {
+      CategoryId: data.categoryId ?? null,
+      Priority: data.priority,
+      FirstResponseMinutes: data.firstResponseMinutes,
+      ResolutionMinutes: data.resolutionMinutes,
+      WarningPercent: data.warningPercent ?? 80,
+      EscalateToUserId: data.escalateToUserId ?? null
+    }
+  });
+}
+
+/**
+ * Actualiza plazos o escalamiento. Los tickets ya creados conservan sus fechas.
+ */
+export async function updatePolicy(policyId, data) {
+  const policy = await prisma.slaPolicy.findUnique({ where: { SlaPolicyId: policyId } });
+  if (!policy) throw slaError('Política SLA no encontrada', 404);
+
+  await assertPolicyReferences(data);
+
+  const firstResponse = data.firstResponseMinutes ?? policy.FirstResponseMinutes;
+  const resolution = data.resolutionMinutes ?? policy.ResolutionMinutes;
+  if (firstResponse > resolution) {
+    throw slaError('El plazo de primera respuesta no puede superar al de resolución');
+  }
+
+  return prisma.slaPolicy.update({
+    where: { SlaPolicyId: policyId },
+    data: {
+      FirstResponseMinutes: data.firstResponseMinutes,
+      ResolutionMinutes: data.resolutionMinutes,
+      WarningPercent: data.warningPercent,
+      EscalateToUserId: data.escalateToUserId,
+      Active: data.active
+    }
+  });
+}
+
+// === DETECCIÓN Y ESCALAMIENTO ===
+
+/**
+ * Alerta de ticket en riesgo: al asignado, o a la bandeja si no tiene
+ */
+async function warnAtRisk(ticket, target) {
+  const data = {
+    type: NOTIFICATION_TYPES.TICKET,
+    title: `Ticket #${ticket.TicketNumber} por vencer`,
+    message: target === 'first_response'
+      ? `El ticket "${ticket.Subject}" está por vencer su plazo de primera respuesta.`
+      : `El ticket "${ticket.Subject}" está por vencer su plazo de resolución.`,
+    priority: NOTIFICATION_PRIORITY.HIGH,
+    ticketId: ticket.TicketId,
+    orderId: ticket.OrderId
+  };
+
+  if (ticket.AssignedToUserId) {
+    return createNotification(data, { userIds: [ticket.AssignedToUserId] });
+  }
+  return notifyRoles(DESK_ROLES, data);
+}
+
+/**
+ * Escalamiento por incumplimiento: reasigna al responsable de la política
+ * (si lo tiene) dejando una nota interna, y avisa a los administradores.
+ */
+async function escalateBreach(ticket, target, now) {
+  const escalateTo = ticket.slaPolicy?.EscalateToUserId;
+  const reassign = escalateTo && escalateTo !== ticket.AssignedToUserId;
+  const targetLabel = target === 'first_response' ? 'primera respuesta' : 'resolución';
+
+  await prisma.$transaction(async (tx) => {
+    await tx.ticket.update({
+      where: { TicketId: ticket.TicketId },
+      data: {
+        SlaStatus: SLA_STATUS.BREACHED,
+        SlaBreachedAt: now,
+        EscalatedAt: now,
+        ...(reassign && {
+          AssignedToUserId: escalateTo,
+          Status: ticket.Status === 'open' ? 'assigned' : ticket.Status
+        })
+      }
+    });
+
+    await tx.ticketResponse.create({
+      data: {
+        TicketId: ticket.TicketId,
+        Message: reassign
+          ? `SLA incumplido (${targetLabel}). Ticket escalado y reasignado automáticamente.`
+          : `SLA incumplido (${targetLabel}). Escalado a administración.`,
+        IsInternal: true
+      }
+    });
+
+    if (reassign) {
+      await createNotification({
+        type: NOTIFICATION_TYPES.TICKET,
+        title: `Ticket #${ticket.TicketNumber} escalado a usted`,
+        message: `El ticket "${ticket.Subject}" incumplió su SLA de ${targetLabel} y le fue reasignado.`,
+        priority: NOTIFICATION_PRIORITY.HIGH,
+        ticketId: ticket.TicketId,
+        orderId: ticket.OrderId
+      }, { userIds: [escalateTo] }, tx);
+    }
+  });
+
+  await notifyRoles([ADMIN_ROLE], {
+    type: NOTIFICATION_TYPES.TICKET,
+    title: `SLA incumplido: ticket #${ticket.TicketNumber}`,
+    message: `El ticket "${ticket.Subject}" superó su plazo de ${targetLabel}.`,
+    priority: NOTIFICATION_PRIORITY.HIGH,
+    ticketId: ticket.TicketId,
+    orderId: ticket.OrderId
+  });
+
+  logger.warn(`SLA incumplido en ticket ${ticket.TicketNumber} (${targetLabel})`, {
+    ticketId: ticket.TicketId,
+    reassignedTo: reassign ? escalateTo : null
+  });
+}
+
+/**
+ * Revisa los tickets abiertos con SLA: marca los que están en riesgo
+ * y escala los incumplidos. Cada transición se notifica una sola vez.
+ *
+ * @returns {Promise<{ checked: number, atRisk: number, breached: number }>}
+ */
+export async function checkSlaBreaches(now = new Date()) {
+  const tickets = await prisma.ticket.findMany({
+    where: {
+      Status: { notIn: FINISHED_TICKET_STATUS },
+      ResolutionDueAt: { not: null },
+      SlaStatus: { in: [SLA_STATUS.ON_TRACK, SLA_STATUS.AT_RISK] }
+    },
+    include: { slaPolicy: true },
+    orderBy: { ResolutionDueAt: 'asc' },
+    take: CHECK_BATCH_SIZE
+  });
+
+  let atRisk = 0;
+  let breached = 0;
+
+  for (const ticket of tickets) {
+    const { status, target } = evaluateTicketSla(ticket, ticket.slaPolicy?.WarningPercent ?? 80, now);
+
+    try {
+      if (status === SLA_STATUS.BREACHED) {
+        await escalateBreach(ticket, target, now);
+        breached++;
+      } else if (status === SLA_STATUS.AT_RISK && ticket.SlaStatus !== SLA_STATUS.AT_RISK) {
+        await prisma.ticket.update({
+          where: { TicketId: ticket.TicketId },
+          data: { SlaStatus: SLA_STATUS.AT_RISK }
+        });
+        await warnAtRisk(ticket, target);
+        atRisk++;
+      } else if (status === SLA_STATUS.ON_TRACK && ticket.SlaStatus === SLA_STATUS.AT_RISK) {
+        // Se respondió a tiempo: vuelve a en curso para alertar el plazo de resolución
+        await prisma.ticket.update({
+          where: { TicketId: ticket.TicketId },
+          data: { SlaStatus: SLA_STATUS.ON_TRACK }
+        });
+      }
+    } catch (error) {
+      logger.error(`Error al procesar SLA del ticket ${ticket.TicketId}`, { error: error.message });
+    }
+  }
+
+  return { checked: tickets.length, atRisk, breached };
+}
+
+/**
+ * Inicia la revisión periódica de SLA.
+ * SLA_CHECK_INTERVAL_MS=0 la desactiva.
+ */
+export function startSlaCheckJob() {
+  const interval = Number(process.env.SLA_CHECK_INTERVAL_MS ?? 60000);
+  if (!interval || checkTimer) return;
+
+  checkTimer = setInterval(async () => {
+    if (checkRunning) return;
+    checkRunning = true;
+    try {
+      const { atRisk, breached } = await checkSlaBreaches();
+      if (atRisk + breached > 0) {
+        logger.info(`Revisión SLA: ${atRisk} ticket(s) en riesgo, ${breached} incumplido(s)`);
+      }
+    } catch (error) {
+      logger.error('Error en la revisión automática de SLA', { error: error.message });
+    } finally {
+      checkRunning = false;
+    }
+  }, interval);
+
+  checkTimer.unref();
+  logger.info(`Revisión automática de SLA cada ${interval / 1000}s`);
+}
+
+// === REPORTES ===
+
+const percent = (part, total) => (total > 0 ? Math.round(part / total * 1000) / 10 : null);
+
+/**
+ * Cumplimiento de SLA de los tickets con política en el filtro dado
+ * @param {object} where - Filtro de prisma.ticket (p. ej. rango de CreatedAt)
+ */
+export async function getSlaCompliance(where = {}) {
+  const tickets = await prisma.ticket.findMany({
+    where: { ...where, SlaPolicyId: { not: null } },
+    select: {
+      Status: true,
+      FirstResponseDueAt: true,
+      FirstResponseAt: true,
+      ResolutionDueAt: true,
+      ResolvedAt: true,
+      ClosedAt: true,
+      SlaStatus: true
+    }
+  });
+
+  let firstResponseTotal = 0;
+  let firstResponseMet = 0;
+  let resolutionTotal = 0;
+  let resolutionMet = 0;
+
+  for (const ticket of tickets) {
+    if (ticket.FirstResponseAt) {
+      firstResponseTotal++;
+      if (ticket.FirstResponseAt <= ticket.FirstResponseDueAt) firstResponseMet++;
+    }
+
+    const finishedAt = ticket.ResolvedAt || ticket.ClosedAt;
+    if (FINISHED_TICKET_STATUS.includes(ticket.Status) && finishedAt) {
+      resolutionTotal++;
+      if (finishedAt <= ticket.ResolutionDueAt) resolutionMet++;
+    }
+  }
+
+  return {
+    ticketsWithSla: tickets.length,
+    firstResponse: {
+      measured: firstResponseTotal,
+      met: firstResponseMet,
+      compliancePercent: percent(firstResponseMet, firstResponseTotal)
+    },
+    resolution: {
+      measured: resolutionTotal,
+      met: resolutionMet,
+      compliancePercent: percent(resolutionMet, resolutionTotal)
+    },
+    atRisk: tickets.filter((t) => t.SlaStatus === SLA_STATUS.AT_RISK).length,
+    breached: tickets.filter((t) => t.SlaStatus === SLA_STATUS.BREACHED).length
+  };
+}
+
+export default {
+  SLA_STATUS,
+  evaluateTicketSla,
+  findPolicy,
+  buildTicketSla,
+  recordFirstResponse,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  checkSlaBreaches,
+  startSlaCheckJob,
+  getSlaCompliance
+};
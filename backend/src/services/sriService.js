@@ -0,0 +1,403 @@
+// services/sriService.js - Envío y autorización de comprobantes electrónicos (SRI Ecuador)
+import { PrismaClient } from '@prisma/client';
+import axios from 'axios';
+import fs from 'fs/promises';
+import { XMLParser } from 'fast-xml-parser';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+/**
+ * Estados del comprobante frente al SRI (independientes del estado
+ * comercial de la factura: emitida, enviada, pagada, anulada)
+ */
+export const SRI_STATUS = {
+  PENDING: 'pendiente',
+  RECEIVED: 'recibida',
+  RETURNED: 'devuelta',
+  AUTHORIZED: 'autorizada',
+  REJECTED: 'no_autorizada',
+  ERROR: 'error'
+};
+
+/**
+ * Endpoints oficiales de los servicios "offline" del SRI
+ */
+const SRI_ENDPOINTS = {
+  '1': {
+    reception: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline',
+    authorization: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline'
+  },
+  '2': {
+    reception: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline',
+    authorization: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline'
+  }
+};
+
+// Mensajes de recepción que indican que el SRI ya tiene el comprobante
+// 43 = CLAVE ACCESO REGISTRADA, 70 = CLAVE DE ACCESO EN PROCESAMIENTO
+const ALREADY_RECEIVED_CODES = ['43', '70'];
+
+// Estados que el reintento automático vuelve a procesar
+const RETRYABLE_STATUSES = [SRI_STATUS.PENDING, SRI_STATUS.RECEIVED, SRI_STATUS.ERROR];
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false, // El número de autorización tiene 49 dígitos
+  isArray: (name, jpath) =>
+    jpath.endsWith('mensajes.mensaje') ||
+    jpath.endsWith('autorizaciones.autorizacion') ||
+    jpath.endsWith('comprobantes.comprobante')
+});
+
+// === CONFIGURACIÓN ===
+
+/**
+ * Ambiente SRI configurado: 1=Pruebas, 2=Producción
+ */
+export function getSriAmbiente() {
+  return process.env.SRI_AMBIENTE === '2' ? '2' : '1';
+}
+
+function getSriConfig() {
+  const ambiente = getSriAmbiente();
+  return {
+    ambiente,
+    receptionUrl: process.env.SRI_RECEPCION_URL || SRI_ENDPOINTS[ambiente].reception,
+    authorizationUrl: process.env.SRI_AUTORIZACION_URL || SRI_ENDPOINTS[ambiente].authorization,
+    timeout: Number(process.env.SRI_TIMEOUT_MS) || 15000,
+    authorizationDelay: Number(process.env.SRI_AUTHORIZATION_DELAY_MS ?? 3000),
+    maxAttempts: Number(process.env.SRI_MAX_ATTEMPTS) || 10
+  };
+}
+
+// === CLIENTE SOAP ===
+
+async function postSoap(url, body, timeout) {
+  const envelope = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">',
+    '<soapenv:Header/>',
+    `<soapenv:Body>${body}</soapenv:Body>`,
+    '</soapenv:Envelope>'
+  ].join('');
+
+  const response = await axios.post(url, envelope, {
+    headers: { 'Content-Type': 'text/xml; charset=utf-8' },
+    timeout,
+    responseType: 'text',
+    // Los SOAP Fault llegan con HTTP 500 y también se deben interpretar
+    validateStatus: (status) => status < 600
+  });
+
+  const parsed = parser.parse(response.data);
+  const soapBody = parsed?.Envelope?.Body;
+
+  if (!soapBody) {
+    throw new Error(`Respuesta SOAP inválida del SRI (HTTP ${response.status})`);
+  }
+
+  if (soapBody.Fault) {
+    throw new Error(`SOAP Fault del SRI: ${soapBody.Fault.faultstring || 'sin detalle'}`);
+  }
+
+  return soapBody;
+}
+
+function normalizeMessages(mensajes) {
+  return (mensajes?.mensaje || []).map((m) => ({
+    identifier: m.identificador || null,
+    message: m.mensaje || '',
+    additionalInfo: m.informacionAdicional || null,
+    type: m.tipo || null
+  }));
+}
+
+/**
+ * Envía el comprobante al servicio de recepción del SRI
+ * @param {string} xml - Comprobante (firmado) en texto
+ * @returns {{ state: string, messages: Array }}
+ */
+export async function sendToReception(xml) {
+  const { receptionUrl, timeout } = getSriConfig();
+  const content = Buffer.from(xml, 'utf8').toString('base64');
+
+  const body = await postSoap(
+    receptionUrl,
+    `<ec:validarComprobante xmlns:ec="http://ec.gob.sri.ws.recepcion"><xml>${content}</xml></ec:validarComprobante>`,
+    timeout
+  );
+
+  const result = body.validarComprobanteResponse?.RespuestaRecepcionComprobante;
+  if (!result) {
+    throw new Error('Respuesta de recepción del SRI sin contenido');
+  }
+
+  const messages = (result.comprobantes?.comprobante || [])
+    .flatMap((comprobante) => normalizeMessages(comprobante.mensajes));
+
+  return { state: result.estado, messages };
+}
+
+/**
+ * Consulta la autorización de un comprobante por su clave de acceso
+ * @param {string} accessKey - Clave de acceso de 49 dígitos
+ * @returns {{ state: string|null, authorizationNumber?, authorizationDate?, messages: Array }}
+ */
+export async function requestAuthorization(accessKey) {
+  const { authorizationUrl, timeout } = getSriConfig();
+
+  const body = await postSoap(
+    authorizationUrl,
+    `<ec:autorizacionComprobante xmlns:ec="http://ec.gob.sri.ws.autorizacion"><claveAccesoComprobante>${accessKey}</claveAccesoComprobante></ec:autorizacionComprobante>`,
+    timeout
+  );
+
+  const result = body.autorizacionComprobanteResponse?.RespuestaAutorizacionComprobante;
+  const authorizations = result?.autorizaciones?.autorizacion || [];
+
+  // Sin autorizaciones: el SRI aún no procesa el comprobante
+  if (authorizations.length === 0) {
+    return { state: null, messages: [] };
+  }
+
+  // Si hay varios intentos registrados, prevalece el autorizado
+  const authorization = authorizations.find((a) => a.estado === 'AUTORIZADO') || authorizations[0];
+
+  return {
+    state: authorization.estado,
+    authorizationNumber: authorization.numeroAutorizacion || null,
+    authorizationDate: authorization.fechaAutorizacion ? new Date(authorization.fechaAutorizacion) : null,
+    messages: normalizeMessages(authorization.mensajes)
+  };
+}
+
+// === FLUJO DE ENVÍO ===
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Comprobantes que se envían al SRI y cómo se guardan
+ */
+const SRI_DOCUMENTS = {
+  invoice: {
+    model: 'invoice',
+    idField: 'InvoiceId',
+    label: 'Factura',
+    isVoided: (document) => document.Status === 'anulada',
+    reference: (document) => ({ invoiceId: document.InvoiceId, invoiceNumber: document.InvoiceNumber })
+  },
+  creditNote: {
+    model: 'creditNote',
+    idField: 'CreditNoteId',
+    label: 'Nota de crédito',
+    isVoided: () => false,
+    reference: (document) => ({ creditNoteId: document.CreditNoteId, creditNoteNumber: document.CreditNoteNumber })
+  }
+};
+
+function sriError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Envía un comprobante al SRI (recepción + autorización) y guarda el resultado.
+ * Los errores de conexión no se lanzan: quedan registrados en el comprobante
+ * para que el reintento automático lo vuelva a procesar.
+ */
+async function submitDocumentToSri(kind, documentId) {
+  const { model, idField, label, isVoided } = kind;
+  const document = await prisma[model].findUnique({ where: { [idField]: documentId } });
+
+  if (!document) {
+    throw sriError(`${label} no encontrada`, 404);
+  }
+
+  if (isVoided(document)) {
+    throw sriError(`No se puede enviar al SRI una ${label.toLowerCase()} anulada`, 409);
+  }
+
+  if (document.SriStatus === SRI_STATUS.AUTHORIZED) {
+    return document;
+  }
+
+  if (!document.AccessKey || !document.XMLPath) {
+    throw sriError(`La ${label.toLowerCase()} no tiene comprobante electrónico generado`, 409);
+  }
+
+  const config = getSriConfig();
+  const messages = [];
+  const data = {};
+  let sriStatus = document.SriStatus;
+
+  try {
+    // 1. Recepción (se omite si el SRI ya recibió el comprobante)
+    if (sriStatus !== SRI_STATUS.RECEIVED) {
+      const xml = await fs.readFile(document.XMLPath, 'utf8');
+      const reception = await sendToReception(xml);
+      messages.push(...reception.messages);
+
+      const alreadyReceived = reception.messages
+        .some((m) => ALREADY_RECEIVED_CODES.includes(String(m.identifier)));
+
+      sriStatus = reception.state === 'RECIBIDA' || alreadyReceived
+        ? SRI_STATUS.RECEIVED
+        : SRI_STATUS.RETURNED;
+    }
+
+    // 2. Autorización
+    if (sriStatus === SRI_STATUS.RECEIVED) {
+      if (config.authorizationDelay > 0) await wait(config.authorizationDelay);
+
+      const authorization = await requestAuthorization(document.AccessKey);
+      messages.push(...authorization.messages);
+
+      if (authorization.state === 'AUTORIZADO') {
+        sriStatus = SRI_STATUS.AUTHORIZED;
+        data.AuthorizationNumber = authorization.authorizationNumber || document.AccessKey;
+        data.AuthorizationDate = authorization.authorizationDate || new Date();
+      } else if (authorization.state === 'NO AUTORIZADO') {
+        sriStatus = SRI_STATUS.REJECTED;
+      }
+      // EN PROCESO o sin respuesta: queda "recibida" para el siguiente reintento
+    }
+  } catch (error) {
+    logger.warn('Error de comunicación con el SRI', {
+      ...kind.reference(document),
+      accessKey: document.AccessKey,
+      error: error.message
+    });
+
+    if (sriStatus !== SRI_STATUS.RECEIVED) sriStatus = SRI_STATUS.ERROR;
+    messages.push({ identifier: null, message: error.message, additionalInfo: null, type: 'CONEXION' });
+  }
+
+  const updated = await prisma[model].update({
+    where: { [idField]: documentId },
+    data: {
+      ...data,
+      SriStatus: sriStatus,
+      SriMessages: messages.length > 0 ? JSON.stringify(messages) : document.SriMessages,
+      SriAttempts: { increment: 1 },
+      SriLastAttemptAt: new Date()
+    }
+  });
+
+  logger.info(`Envío al SRI: ${label.toLowerCase()}`, {
+    ...kind.reference(document),
+    ambiente: config.ambiente,
+    sriStatus,
+    attempts: updated.SriAttempts
+  });
+
+  return updated;
+}
+
+/**
+ * Envía una factura al SRI y guarda el resultado
+ * @param {number} invoiceId
+ * @returns {Promise<object>} Factura actualizada
+ */
+export async function submitInvoiceToSri(invoiceId) {
+  return submitDocumentToSri(SRI_DOCUMENTS.invoice, invoiceId);
+}
+
+/**
+ * Envía una nota de crédito al SRI y guarda el resultado
+ * @param {number} creditNoteId
+ * @returns {Promise<object>} Nota de crédito actualizada
+ */
+export async function submitCreditNoteToSri(creditNoteId) {
+  return submitDocumentToSri(SRI_DOCUMENTS.creditNote, creditNoteId);
+}
+
+/**
+ * Reprocesa los comprobantes de un tipo pendientes, recibidos sin
+ * autorización o con error
+ */
+async function retryPendingDocuments(kind, limit) {
+  const { model, idField, reference } = kind;
+  const { maxAttempts } = getSriConfig();
+
+  const where = {
+    SriStatus: { in: RETRYABLE_STATUSES },
+    AccessKey: { not: null },
+    SriAttempts: { lt: maxAttempts }
+  };
+  if (kind === SRI_DOCUMENTS.invoice) where.Status = { not: 'anulada' };
+
+  const pending = await prisma[model].findMany({
+    where,
+    orderBy: { SriLastAttemptAt: 'asc' },
+    take: limit
+  });
+
+  const results = [];
+  // Secuencial para no saturar el servicio del SRI
+  for (const document of pending) {
+    try {
+      const updated = await submitDocumentToSri(kind, document[idField]);
+      results.push({ ...reference(document), sriStatus: updated.SriStatus });
+    } catch (error) {
+      results.push({ ...reference(document), error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Reprocesa las facturas y notas de crédito pendientes
+ * @param {{ limit?: number }} options - Máximo por tipo de comprobante
+ * @returns {Promise<{ processed: number, results: Array, creditNotes: Array }>}
+ */
+export async function retryPendingInvoices({ limit = 20 } = {}) {
+  const results = await retryPendingDocuments(SRI_DOCUMENTS.invoice, limit);
+  const creditNotes = await retryPendingDocuments(SRI_DOCUMENTS.creditNote, limit);
+
+  return { processed: results.length + creditNotes.length, results, creditNotes };
+}
+
+let retryTimer = null;
+let retryRunning = false;
+
+/**
+ * Inicia el reintento periódico de comprobantes pendientes.
+ * SRI_RETRY_INTERVAL_MS=0 lo desactiva.
+ */
+export function startSriRetryJob() {
+  const interval = Number(process.env.SRI_RETRY_INTERVAL_MS ?? 300000);
+  if (!interval || retryTimer) return;
+
+  retryTimer = setInterval(async () => {
+    if (retryRunning) return;
+    retryRunning = true;
+    try {
+      const { processed } = await retryPendingInvoices();
+      if (processed > 0) logger.info(`Reintento SRI: ${processed} comprobante(s) procesado(s)`);
+    } catch (error) {
+      logger.error('Error en el reintento automático SRI', { error: error.message });
+    } finally {
+      retryRunning = false;
+    }
+  }, interval);
+
+  retryTimer.unref();
+  logger.info(`Reintento automático SRI cada ${interval / 1000}s (ambiente ${getSriAmbiente()})`);
+}
+
+export default {
+  SRI_STATUS,
+  getSriAmbiente,
+  sendToReception,
+  requestAuthorization,
+  submitInvoiceToSri,
+  submitCreditNoteToSri,
+  retryPendingInvoices,
+  startSriRetryJob
+};
@@ -0,0 +1,107 @@
+// services/storageService.js - Almacenamiento de archivos con backends intercambiables
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// === UTILIDADES ===
+
+function storageError(message, statusCode = 500) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// === BACKEND LOCAL (por defecto) ===
+
+/**
+ * Guarda los archivos en disco bajo ATTACHMENT_DIR.
+ * Las claves son rutas relativas con separador '/'.
+ */
+export function createLocalStorage(rootDir = process.env.ATTACHMENT_DIR || './uploads') {
+  const root = path.resolve(rootDir);
+
+  // Evita que una clave manipulada salga del directorio raíz
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw storageError('Clave de almacenamiento inválida');
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+      return key;
+    },
+
+    async read(key) {
+      const fullPath = resolveKey(key);
+      try {
+        await fs.promises.access(fullPath, fs.constants.R_OK);
+      } catch {
+        throw storageError('Archivo no encontrado en el almacenamiento', 404);
+      }
+      return fs.createReadStream(fullPath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        // Ya eliminado: no es un error para quien borra
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+}
+
+// === REGISTRO DE BACKENDS ===
+
+/**
+ * Un backend implementa { name, save(key, buffer), read(key) -> Readable, remove(key) }.
+ * Para usar S3, Azure Blob, etc. se registra con registerStorageBackend()
+ * y se selecciona con ATTACHMENT_STORAGE.
+ */
+const backends = new Map();
+backends.set('local', () => createLocalStorage());
+
+const instances = new Map();
+
+export function registerStorageBackend(name, factory) {
+  backends.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Backend configurado, o el indicado (p. ej. el guardado con un archivo antiguo)
+ */
+export function getStorage(name = process.env.ATTACHMENT_STORAGE || 'local') {
+  if (!instances.has(name)) {
+    const factory = backends.get(name);
+    if (!factory) {
+      throw storageError(`Backend de almacenamiento no registrado: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Clave única bajo un prefijo; conserva solo la extensión del nombre original
+ */
+export function buildStorageKey(prefix, originalName) {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+}
+
+export default {
+  registerStorageBackend,
+  getStorage,
+  buildStorageKey,
+  createLocalStorage
+};
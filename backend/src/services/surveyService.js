@@ -0,0 +1,367 @@
+// services/surveyService.js - Encuestas de satisfacción (CSAT y NPS) y sus reportes
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { sendSurveyEmail } from '../../config/nodemailer.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const SURVEY_TRIGGER = {
+  TICKET_RESOLVED: 'ticket_resolved',
+  ORDER_DELIVERED: 'order_delivered'
+};
+
+export const CSAT_SCALE = { MIN: 1, MAX: 5 };
+export const NPS_SCALE = { MIN: 0, MAX: 10 };
+
+// CSAT: se considera satisfecho con 4 o 5. NPS: promotores 9-10, detractores 0-6
+const CSAT_SATISFIED_MIN = 4;
+const NPS_PROMOTER_MIN = 9;
+const NPS_DETRACTOR_MAX = 6;
+
+const DEFAULT_EXPIRY_DAYS = 14;
+
+const WITHOUT_TECHNICIAN = 'Sin técnico';
+const WITHOUT_CATEGORY = 'Órdenes de servicio';
+
+// === UTILIDADES ===
+
+function surveyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const percent = (part, total) => (total > 0 ? Math.round(part / total * 1000) / 10 : null);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const range = (min, max) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+/**
+ * URL pública de la API; los enlaces del correo apuntan directamente al backend
+ */
+function surveyBaseUrl() {
+  return (process.env.SURVEY_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '');
+}
+
+function buildRatingLinks(token) {
+  const base = `${surveyBaseUrl()}/api/surveys/${token}/rate`;
+  return {
+    csatLinks: range(CSAT_SCALE.MIN, CSAT_SCALE.MAX).map((score) => ({ score, url: `${base}?csat=${score}` })),
+    npsLinks: range(NPS_SCALE.MIN, NPS_SCALE.MAX).map((score) => ({ score, url: `${base}?nps=${score}` }))
+  };
+}
+
+const expiryDate = (from) => {
+  const days = Number(process.env.SURVEY_EXPIRY_DAYS) || DEFAULT_EXPIRY_DAYS;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Crea la encuesta y envía el correo. Si el correo falla la encuesta se elimina
+ * para que un nuevo intento (p. ej. al resolver otra vez) pueda enviarla.
+ */
+async function createAndSend({ trigger, client, ticketId = null, orderId = null, technicianUserId = null, categoryId = null, reference }) {
+  const sentAt = new Date();
+
+  const survey = await prisma.satisfactionSurvey.create({
+    data: {
+      Token: crypto.randomBytes(32).toString('base64url'),
+      Trigger: trigger,
+      ClientId: client.ClientId,
+      TicketId: ticketId,
+      OrderId: orderId,
+      TechnicianUserId: technicianUserId,
+      CategoryId: categoryId,
+      SentAt: sentAt,
+      ExpiresAt: expiryDate(sentAt)
+    }
+  });
+
+  try {
+    await sendSurveyEmail(client.Email, client.DisplayName, {
+      reference,
+      expiresAt: survey.ExpiresAt,
+      ...buildRatingLinks(survey.Token)
+    });
+  } catch (error) {
+    await prisma.satisfactionSurvey.delete({ where: { SurveyId: survey.SurveyId } });
+    throw error;
+  }
+
+  logger.info(`Encuesta de satisfacción ${survey.SurveyId} enviada (${trigger}, ${reference})`);
+  return survey;
+}
+
+// === ENVÍO ===
+
+/**
+ * Encuesta al resolver un ticket. Se envía una sola vez por ticket,
+ * aunque se reabra y se vuelva a resolver.
+ * @returns {Promise<object|null>} Encuesta creada o null si no corresponde
+ */
+export async function sendTicketSurvey(ticketId) {
+  const ticket = await prisma.ticket.findUnique({
+    where: { TicketId: ticketId },
+    include: { client: { select: { ClientId: true, DisplayName: true, Email: true } } }
+  });
+
+  if (!ticket?.client?.Email) return null;
+
+  const existing = await prisma.satisfactionSurvey.findFirst({ where: { TicketId: ticketId } });
+  if (existing) return null;
+
+  return createAndSend({
+    trigger: SURVEY_TRIGGER.TICKET_RESOLVED,
+    client: ticket.client,
+    ticketId,
+    technicianUserId: ticket.AssignedToUserId,
+    categoryId: ticket.CategoryId,
+    reference: `el ticket ${ticket.TicketNumber}`
+  });
+}
+
+/**
+ * Encuesta al entregar el equipo de una orden (una por orden)
+ * @returns {Promise<object|null>} Encuesta creada o null si no corresponde
+ */
+export async function sendOrderSurvey(orderId) {
+  const order = await prisma.serviceOrder.findUnique({
+    where: { OrderId: orderId },
+    include: { client: { select: { ClientId: true, DisplayName: true, Email: true } } }
+  });
+
+  if (!order?.client?.Email) return null;
+
+  const existing = await prisma.satisfactionSurvey.findFirst({ where: { OrderId: orderId } });
+  if (existing) return null;
+
+  return createAndSend({
+    trigger: SURVEY_TRIGGER.ORDER_DELIVERED,
+    client: order.client,
+    orderId,
+    technicianUserId: order.TechnicianId,
+    reference: `la orden ${order.IdentityTag}`
+  });
+}
+
+// === RESPUESTAS ===
+
+async function findOpenSurvey(token) {
+  const survey = await prisma.satisfactionSurvey.findUnique({
+    where: { Token: token },
+    include: {
+      ticket: { select: { TicketNumber: true } },
+      order: { select: { IdentityTag: true } }
+    }
+  });
+
+  if (!survey) throw surveyError('Encuesta no encontrada', 404);
+  if (survey.ExpiresAt < new Date()) throw surveyError('La encuesta ya no está disponible', 410);
+
+  return survey;
+}
+
+/**
+ * Datos públicos de la encuesta (sin información del cliente)
+ */
+const toPublicSurvey = (survey) => ({
+  trigger: survey.Trigger,
+  reference: survey.ticket
+    ? `Ticket ${survey.ticket.TicketNumber}`
+    : `Orden ${survey.order?.IdentityTag}`,
+  csatScore: survey.CsatScore,
+  npsScore: survey.NpsScore,
+  comment: survey.Comment,
+  answered: Boolean(survey.RespondedAt),
+  expiresAt: survey.ExpiresAt
+});
+
+export async function getSurvey(token) {
+  return toPublicSurvey(await findOpenSurvey(token));
+}
+
+/**
+ * Registra la calificación. Mientras no venza se puede corregir o completar
+ * (un clic para CSAT, otro para NPS y luego el comentario).
+ * El comentario debe llegar sanitizado.
+ *
+ * @param {string} token
+ * @param {{ csat?: number, nps?: number, comment?: string }} answer
+ */
+export async function submitSurvey(token, { csat, nps, comment }) {
+  if (csat === undefined && nps === undefined && !comment) {
+    throw surveyError('Indique una calificación o un comentario');
+  }
+
+  const survey = await findOpenSurvey(token);
+
+  const updated = await prisma.satisfactionSurvey.update({
+    where: { SurveyId: survey.SurveyId },
+    data: {
+      ...(csat !== undefined && { CsatScore: csat }),
+      ...(nps !== undefined && { NpsScore: nps }),
+      ...(comment && { Comment: comment }),
+      ...(!survey.RespondedAt && { RespondedAt: new Date() })
+    },
+    include: {
+      ticket: { select: { TicketNumber: true } },
+      order: { select: { IdentityTag: true } }
+    }
+  });
+
+  return toPublicSurvey(updated);
+}
+
+// === REPORTES ===
+
+function emptyGroup(key, label) {
+  return {
+    key,
+    label,
+    sent: 0,
+    responses: 0,
+    csatScores: [],
+    npsScores: []
+  };
+}
+
+function addToGroup(group, survey) {
+  group.sent++;
+  if (!survey.RespondedAt) return;
+
+  group.responses++;
+  if (survey.CsatScore !== null) group.csatScores.push(survey.CsatScore);
+  if (survey.NpsScore !== null) group.npsScores.push(survey.NpsScore);
+}
+
+/**
+ * Indicadores de un grupo: CSAT promedio y % satisfechos; NPS = % promotores - % detractores
+ */
+function summarizeGroup({ key, label, sent, responses, csatScores, npsScores }) {
+  const promoters = npsScores.filter((score) => score >= NPS_PROMOTER_MIN).length;
+  const detractors = npsScores.filter((score) => score <= NPS_DETRACTOR_MAX).length;
+
+  return {
+    key,
+    label,
+    sent,
+    responses,
+    responseRatePercent: percent(responses, sent),
+    csat: {
+      count: csatScores.length,
+      average: csatScores.length > 0
+        ? round(csatScores.reduce((sum, score) => sum + score, 0) / csatScores.length)
+        : null,
+      satisfiedPercent: percent(csatScores.filter((score) => score >= CSAT_SATISFIED_MIN).length, csatScores.length)
+    },
+    nps: {
+      count: npsScores.length,
+      promoters,
+      passives: npsScores.length - promoters - detractors,
+      detractors,
+      score: npsScores.length > 0
+        ? Math.round((promoters - detractors) / npsScores.length * 100)
+        : null
+    }
+  };
+}
+
+function groupBy(surveys, keyOf, labelOf) {
+  const groups = new Map();
+
+  for (const survey of surveys) {
+    const key = keyOf(survey);
+    if (!groups.has(key)) groups.set(key, emptyGroup(key, labelOf(survey)));
+    addToGroup(groups.get(key), survey);
+  }
+
+  return [...groups.values()].map(summarizeGroup);
+}
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Reporte de satisfacción de las encuestas enviadas en el período,
+ * agrupado por técnico, categoría de ticket y mes de envío.
+ *
+ * @param {{ from?: Date, to?: Date, trigger?: string }} filters
+ */
+export async function getSurveyReport({ from, to, trigger } = {}) {
+  const surveys = await prisma.satisfactionSurvey.findMany({
+    where: {
+      ...((from || to) && {
+        SentAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      }),
+      ...(trigger && { Trigger: trigger })
+    },
+    select: {
+      SentAt: true,
+      RespondedAt: true,
+      CsatScore: true,
+      NpsScore: true,
+      TechnicianUserId: true,
+      CategoryId: true,
+      technician: { select: { Username: true } },
+      category: { select: { Name: true } }
+    },
+    orderBy: { SentAt: 'asc' }
+  });
+
+  const [overall] = groupBy(surveys, () => 'all', () => 'General');
+
+  return {
+    filters: { from: from ?? null, to: to ?? null, trigger: trigger ?? null },
+    overall: overall ?? summarizeGroup(emptyGroup('all', 'General')),
+    byTechnician: groupBy(
+      surveys,
+      (survey) => survey.TechnicianUserId ?? 'none',
+      (survey) => survey.technician?.Username ?? WITHOUT_TECHNICIAN
+    ),
+    byCategory: groupBy(
+      surveys,
+      (survey) => survey.CategoryId ?? 'none',
+      (survey) => survey.category?.Name ?? WITHOUT_CATEGORY
+    ),
+    byMonth: groupBy(
+      surveys,
+      (survey) => monthKey(survey.SentAt),
+      (survey) => monthKey(survey.SentAt)
+    )
+  };
+}
+
+/**
+ * Resumen para el panel de estadísticas (últimos `days` días)
+ */
+export async function getSatisfactionSummary(days = 30) {
+  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const { overall } = await getSurveyReport({ from });
+
+  return {
+    periodDays: days,
+    responses: overall.responses,
+    responseRatePercent: overall.responseRatePercent,
+    csatAverage: overall.csat.average,
+    csatSatisfiedPercent: overall.csat.satisfiedPercent,
+    npsScore: overall.nps.score
+  };
+}
+
+export default {
+  SURVEY_TRIGGER,
+  CSAT_SCALE,
+  NPS_SCALE,
+  sendTicketSurvey,
+  sendOrderSurvey,
+  getSurvey,
+  submitSurvey,
+  getSurveyReport,
+  getSatisfactionSummary
+};
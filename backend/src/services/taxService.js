@@ -0,0 +1,319 @@
+// services/taxService.js - Tarifas de impuestos configurables (IVA Ecuador)
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+// Código de impuesto SRI para IVA (tabla 16 de la ficha técnica)
+export const SRI_TAX_CODE_IVA = '2';
+
+/**
+ * Catálogo SRI de códigos de porcentaje de IVA (tabla 17).
+ * percentage = null indica tarifa variable (se toma la configurada).
+ */
+export const IVA_PERCENTAGE_CODES = {
+  '0': { name: 'IVA 0%', percentage: 0 },
+  '2': { name: 'IVA 12%', percentage: 12 },
+  '3': { name: 'IVA 14%', percentage: 14 },
+  '4': { name: 'IVA 15%', percentage: 15 },
+  '5': { name: 'IVA 5%', percentage: 5 },
+  '6': { name: 'No objeto de impuesto', percentage: 0 },
+  '7': { name: 'Exento de IVA', percentage: 0 },
+  '8': { name: 'IVA diferenciado', percentage: null },
+  '10': { name: 'IVA 13%', percentage: 13 }
+};
+
+/**
+ * Tipos de ítem de una orden y su código principal por defecto
+ */
+export const LINE_TYPES = {
+  LABOR: 'mano_obra',
+  PART: 'repuesto',
+  SERVICE: 'servicio'
+};
+
+const DEFAULT_LINE_CODES = {
+  [LINE_TYPES.LABOR]: 'MO-001',
+  [LINE_TYPES.PART]: 'REP-001',
+  [LINE_TYPES.SERVICE]: 'SRV-TEC-001'
+};
+
+// === UTILIDADES ===
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const round6 = (value) => Math.round((value + Number.EPSILON) * 1e6) / 1e6;
+
+function taxError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const effectiveAt = (date) => ({
+  Active: true,
+  EffectiveFrom: { lte: date },
+  OR: [
+    { EffectiveTo: null },
+    { EffectiveTo: { gt: date } }
+  ]
+});
+
+// === CONSULTA DE TARIFAS ===
+
+/**
+ * Tarifas vigentes en una fecha
+ * @param {Date} date
+ */
+export async function getEffectiveTaxRates(date = new Date(), client = prisma) {
+  return client.taxRate.findMany({
+    where: effectiveAt(date),
+    orderBy: [{ IsDefault: 'desc' }, { Code: 'asc' }]
+  });
+}
+
+/**
+ * Resuelve la tarifa aplicable a un ítem.
+ * Sin código se usa la tarifa marcada como predeterminada en esa fecha.
+ * @param {string|null} code - Código de porcentaje SRI (p. ej. '4' = 15%)
+ * @param {Date} date - Fecha de emisión del documento
+ */
+export async function resolveTaxRate(code, date = new Date(), client = prisma) {
+  const where = code
+    ? { ...effectiveAt(date), Code: String(code) }
+    : { ...effectiveAt(date), IsDefault: true };
+
+  const rate = await client.taxRate.findFirst({
+    where,
+    orderBy: { EffectiveFrom: 'desc' }
+  });
+
+  if (!rate) {
+    throw code
+      ? taxError(`No existe una tarifa de IVA vigente con código ${code}`)
+      : taxError('No hay una tarifa de IVA predeterminada vigente configurada', 409);
+  }
+
+  return rate;
+}
+
+// === CÁLCULO ===
+
+/**
+ * Calcula bases, impuestos y totales de un documento.
+ * Con pricesIncludeTax (PVP con IVA) la base se obtiene descontando la
+ * tarifa de cada ítem; sin él, el IVA se suma sobre el precio.
+ *
+ * @param {Array<{ type?, code?, description, quantity?, unitPrice, discount?, taxCode? }>} items
+ * @param {{ date?: Date, pricesIncludeTax?: boolean, client? }} options
+ * @returns {Promise<{ date, items, taxes, subtotal, tax, total }>}
+ */
+export async function calculateTotals(items, { date = new Date(), pricesIncludeTax = true, client = prisma } = {}) {
+  const rates = new Map();
+  const getRate = async (taxCode) => {
+    const key = taxCode ? String(taxCode) : '__default__';
+    if (!rates.has(key)) rates.set(key, await resolveTaxRate(taxCode, date, client));
+    return rates.get(key);
+  };
+
+  const lines = [];
+  for (const item of items) {
+    const rate = await getRate(item.taxCode);
+    const quantity = Number(item.quantity ?? 1);
+    const unitPrice = Number(item.unitPrice || 0);
+    const discount = Number(item.discount || 0);
+    const factor = 1 + rate.Percentage / 100;
+
+    const gross = quantity * unitPrice - discount;
+    const base = pricesIncludeTax ? round2(gross / factor) : round2(gross);
+    const tax = pricesIncludeTax ? round2(gross - base) : round2(base * rate.Percentage / 100);
+
+    lines.push({
+      type: item.type || LINE_TYPES.SERVICE,
+      code: item.code || DEFAULT_LINE_CODES[item.type] || DEFAULT_LINE_CODES[LINE_TYPES.SERVICE],
+      description: item.description,
+      quantity,
+      unitPrice: pricesIncludeTax ? round6(unitPrice / factor) : round6(unitPrice),
+      discount: pricesIncludeTax ? round2(discount / factor) : round2(discount),
+      subtotal: base,
+      taxCode: rate.Code,
+      taxName: rate.Name,
+      taxPercentage: rate.Percentage,
+      tax,
+      total: round2(base + tax)
+    });
+  }
+
+  // Agrupación por tarifa (totalConImpuestos del XML y resumen del PDF)
+  const groups = new Map();
+  for (const line of lines) {
+    const group = groups.get(line.taxCode) || {
+      code: line.taxCode,
+      name: line.taxName,
+      percentage: line.taxPercentage,
+      base: 0,
+      amount: 0
+    };
+    group.base = round2(group.base + line.subtotal);
+    group.amount = round2(group.amount + line.tax);
+    groups.set(line.taxCode, group);
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const tax = round2(lines.reduce((sum, line) => sum + line.tax, 0));
+
+  return {
+    date,
+    items: lines,
+    taxes: [...groups.values()],
+    subtotal,
+    tax,
+    total: round2(subtotal + tax)
+  };
+}
+
+/**
+ * Ítems facturables de una orden de servicio.
+ * Las órdenes sin ítems (proformas anteriores) se facturan como un único
+ * servicio por el TotalPrice, que en ese caso incluye IVA.
+ */
+export function buildOrderItems(order) {
+  if (order.lines?.length) {
+    return [...order.lines]
+      .sort((a, b) => a.SortOrder - b.SortOrder)
+      .map((line) => ({
+        type: line.LineType,
+        code: line.Code,
+        description: line.Description,
+        quantity: line.Quantity,
+        unitPrice: line.UnitPrice,
+        discount: line.Discount,
+        taxCode: line.TaxCode
+      }));
+  }
+
+  return [{
+    type: LINE_TYPES.SERVICE,
+    description: `REPARACION Y MANTENIMIENTO DE EQUIPO ${order.equipment?.equipmentType?.Name?.toUpperCase() || 'TECNOLOGICO'}`,
+    quantity: 1,
+    unitPrice: order.TotalPrice ? Number(order.TotalPrice) : 0,
+    taxCode: order.TaxCode || null
+  }];
+}
+
+/**
+ * Totales de una orden a una fecha de emisión.
+ * Los ítems registrados tienen precios sin IVA; el TotalPrice heredado, con IVA.
+ * @param {object} order - Orden con `lines` (y `equipment` para el caso heredado)
+ */
+export async function calculateOrderTotals(order, options = {}) {
+  return calculateTotals(buildOrderItems(order), {
+    pricesIncludeTax: !order.lines?.length,
+    ...options
+  });
+}
+
+// === ADMINISTRACIÓN DE TARIFAS ===
+
+function assertCatalogPercentage(code, percentage) {
+  const catalog = IVA_PERCENTAGE_CODES[String(code)];
+  if (!catalog) {
+    throw taxError(`Código de porcentaje SRI inválido: ${code}`);
+  }
+  if (catalog.percentage !== null && catalog.percentage !== Number(percentage)) {
+    throw taxError(`El código ${code} corresponde a ${catalog.name} según el catálogo SRI`);
+  }
+}
+
+/**
+ * Lista las tarifas configuradas
+ * @param {{ activeOnly?: boolean, date?: Date }} filters
+ */
+export async function listTaxRates({ activeOnly = false, date } = {}) {
+  if (date) return getEffectiveTaxRates(date);
+
+  return prisma.taxRate.findMany({
+    where: activeOnly ? { Active: true } : {},
+    orderBy: [{ EffectiveFrom: 'desc' }, { Code: 'asc' }]
+  });
+}
+
+/**
+ * Crea una tarifa. Si se marca como predeterminada, la predeterminada
+ * anterior sin fecha de fin se cierra en la fecha de vigencia de la nueva.
+ */
+export async function createTaxRate({ code, name, percentage, effectiveFrom, effectiveTo = null, isDefault = false }) {
+  assertCatalogPercentage(code, percentage);
+
+  const from = new Date(effectiveFrom);
+  const to = effectiveTo ? new Date(effectiveTo) : null;
+  if (to && to <= from) {
+    throw taxError('La fecha de fin debe ser posterior a la fecha de inicio');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.taxRate.updateMany({
+        where: {
+          IsDefault: true,
+          Active: true,
+          EffectiveTo: null,
+          EffectiveFrom: { lt: from }
+        },
+        data: { EffectiveTo: from }
+      });
+    }
+
+    return tx.taxRate.create({
+      data: {
+        Code: String(code),
+        Name: name || IVA_PERCENTAGE_CODES[String(code)].name,
+        Percentage: Number(percentage),
+        EffectiveFrom: from,
+        EffectiveTo: to,
+        IsDefault: Boolean(isDefault),
+        Active: true
+      }
+    });
+  });
+}
+
+/**
+ * Actualiza una tarifa (nombre, vigencia, predeterminada o activa)
+ */
+export async function updateTaxRate(taxRateId, { name, effectiveTo, isDefault, active }) {
+  const rate = await prisma.taxRate.findUnique({ where: { TaxRateId: taxRateId } });
+  if (!rate) {
+    throw taxError('Tarifa no encontrada', 404);
+  }
+
+  const data = {};
+  if (name !== undefined) data.Name = name;
+  if (isDefault !== undefined) data.IsDefault = Boolean(isDefault);
+  if (active !== undefined) data.Active = Boolean(active);
+  if (effectiveTo !== undefined) {
+    data.EffectiveTo = effectiveTo ? new Date(effectiveTo) : null;
+    if (data.EffectiveTo && data.EffectiveTo <= rate.EffectiveFrom) {
+      throw taxError('La fecha de fin debe ser posterior a la fecha de inicio');
+    }
+  }
+
+  return prisma.taxRate.update({
+    where: { TaxRateId: taxRateId },
+    data
+  });
+}
+
+export default {
+  SRI_TAX_CODE_IVA,
+  LINE_TYPES,
+  IVA_PERCENTAGE_CODES,
+  getEffectiveTaxRates,
+  resolveTaxRate,
+  calculateTotals,
+  buildOrderItems,
+  calculateOrderTotals,
+  listTaxRates,
+  createTaxRate,
+  updateTaxRate
+};
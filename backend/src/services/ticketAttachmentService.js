@@ -0,0 +1,328 @@
+// services/ticketAttachmentService.js - Adjuntos de tickets: validación, escaneo, almacenamiento y permisos
+import crypto from 'crypto';
+import path from 'path';
+import { PrismaClient } from '@prisma/client';
+import { getStorage, buildStorageKey } from './storageService.js';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const ATTACHMENT_LIMITS = {
+  MAX_FILE_SIZE: Number(process.env.ATTACHMENT_MAX_SIZE_MB || 10) * 1024 * 1024,
+  MAX_FILES: Number(process.env.ATTACHMENT_MAX_FILES || 5)
+};
+
+/**
+ * Tipos permitidos con sus extensiones y firma inicial (magic bytes).
+ * La firma evita que un ejecutable se suba renombrado como imagen o PDF.
+ */
+const ALLOWED_TYPES = {
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extensions: ['.png'], signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/gif': { extensions: ['.gif'], signature: [0x47, 0x49, 0x46, 0x38] },
+  'image/webp': { extensions: ['.webp'], signature: [0x52, 0x49, 0x46, 0x46] },
+  'application/pdf': { extensions: ['.pdf'], signature: [0x25, 0x50, 0x44, 0x46] },
+  'text/plain': { extensions: ['.txt', '.log'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'], signature: [0x50, 0x4b, 0x03, 0x04]
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    extensions: ['.xlsx'], signature: [0x50, 0x4b, 0x03, 0x04]
+  }
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(ALLOWED_TYPES);
+
+export const SCAN_STATUS = {
+  NOT_SCANNED: 'not_scanned',
+  CLEAN: 'clean'
+};
+
+// Estados en los que el ticket ya no admite cambios en sus adjuntos
+const LOCKED_TICKET_STATUS = ['resolved', 'closed'];
+
+const ADMIN_ROLE = 'Administrador';
+
+// === UTILIDADES ===
+
+function attachmentError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function matchesSignature(buffer, signature) {
+  if (!signature) return true;
+  return signature.every((byte, index) => buffer[index] === byte);
+}
+
+function toDto(attachment) {
+  return {
+    attachmentId: attachment.AttachmentId,
+    ticketId: attachment.TicketId,
+    responseId: attachment.ResponseId,
+    fileName: attachment.FileName,
+    fileUrl: attachment.FileUrl,
+    fileSize: attachment.FileSize,
+    mimeType: attachment.MimeType,
+    uploadedAt: attachment.UploadedAt
+  };
+}
+
+// === ESCANEO ANTIVIRUS ===
+
+/**
+ * Escáneres registrados. Cada uno recibe { buffer, originalName, mimeType }
+ * y devuelve { clean: boolean, reason? }. Sin escáneres los archivos se
+ * guardan como 'not_scanned'.
+ */
+const virusScanners = [];
+
+/**
+ * Punto de extensión para conectar un antivirus (ClamAV, servicio externo, etc.)
+ * @param {(file: object) => Promise<{ clean: boolean, reason?: string }>} scanner
+ */
+export function registerVirusScanner(scanner) {
+  virusScanners.push(scanner);
+}
+
+async function scanFile(file) {
+  if (virusScanners.length === 0) return SCAN_STATUS.NOT_SCANNED;
+
+  for (const scanner of virusScanners) {
+    let result;
+    try {
+      result = await scanner(file);
+    } catch (err) {
+      // Si el escáner falla no se acepta el archivo
+      logger.error(`Error al escanear adjunto ${file.originalName}: ${err.message}`, { stack: err.stack });
+      throw attachmentError('No se pudo verificar el archivo. Intente nuevamente más tarde', 503);
+    }
+
+    if (!result?.clean) {
+      logger.warn(`Adjunto rechazado por el antivirus: ${file.originalName}`, { reason: result?.reason });
+      throw attachmentError(`El archivo ${file.originalName} fue rechazado por el análisis de seguridad`, 422);
+    }
+  }
+
+  return SCAN_STATUS.CLEAN;
+}
+
+// === VALIDACIÓN ===
+
+/**
+ * Valida tipo, extensión, firma y tamaño, y pasa cada archivo por los escáneres.
+ * Se llama antes de crear el ticket o la respuesta para no dejar registros
+ * a medias si un archivo es rechazado.
+ *
+ * @param {object[]} files - Archivos de multer (memoryStorage)
+ * @param {{ maxFiles?: number, mimeTypes?: string[] }} options - Límites de otros usos (p. ej. fotos de ingreso)
+ * @returns {Promise<object[]>} Archivos listos para storeAttachments()
+ */
+export async function prepareAttachments(files = [], { maxFiles = ATTACHMENT_LIMITS.MAX_FILES, mimeTypes = ALLOWED_MIME_TYPES } = {}) {
+  if (files.length > maxFiles) {
+    throw attachmentError(`Máximo ${maxFiles} archivos por envío`);
+  }
+
+  const prepared = [];
+
+  for (const file of files) {
+    const originalName = path.basename(file.originalname || 'archivo');
+    const type = mimeTypes.includes(file.mimetype) ? ALLOWED_TYPES[file.mimetype] : null;
+    const extension = path.extname(originalName).toLowerCase();
+
+    if (!type || !type.extensions.includes(extension)) {
+      throw attachmentError(`Tipo de archivo no permitido: ${originalName}`, 415);
+    }
+
+    if (file.size === 0 || file.size > ATTACHMENT_LIMITS.MAX_FILE_SIZE) {
+      throw attachmentError(`El archivo ${originalName} está vacío o excede el tamaño permitido`, 413);
+    }
+
+    if (!matchesSignature(file.buffer, type.signature)) {
+      throw attachmentError(`El contenido de ${originalName} no corresponde a su tipo`, 415);
+    }
+
+    const scanStatus = await scanFile({ buffer: file.buffer, originalName, mimeType: file.mimetype });
+
+    prepared.push({
+      originalName,
+      mimeType: file.mimetype,
+      size: file.size,
+      buffer: file.buffer,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      scanStatus
+    });
+  }
+
+  return prepared;
+}
+
+// === ALMACENAMIENTO ===
+
+/**
+ * Guarda los archivos en el backend configurado y registra los adjuntos.
+ * Acepta un cliente de transacción; si falla el registro, los archivos ya
+ * escritos se eliminan del almacenamiento. Dentro de una transacción, `written`
+ * (ver withAttachmentFiles) recibe cada archivo guardado para borrarlo si la
+ * transacción falla después.
+ *
+ * @param {number} ticketId
+ * @param {object[]} prepared - Resultado de prepareAttachments()
+ * @param {{ responseId?, userId?, clientId?, written? }} uploader
+ */
+export async function storeAttachments(ticketId, prepared, { responseId = null, userId = null, clientId = null, written = null }, client = prisma) {
+  if (prepared.length === 0) return [];
+
+  const storage = getStorage();
+  const storedKeys = [];
+
+  try {
+    const attachments = [];
+
+    for (const file of prepared) {
+      const key = await storage.save(buildStorageKey(`tickets/${ticketId}`, file.originalName), file.buffer);
+      storedKeys.push(key);
+      written?.push({ provider: storage.name, key });
+
+      const created = await client.ticketAttachment.create({
+        data: {
+          TicketId: ticketId,
+          ResponseId: responseId,
+          FileName: file.originalName,
+          FileUrl: '',
+          FileSize: file.size,
+          MimeType: file.mimeType,
+          StorageProvider: storage.name,
+          StorageKey: key,
+          Checksum: file.checksum,
+          ScanStatus: file.scanStatus,
+          UploadedByUserId: userId,
+          UploadedByClientId: clientId
+        }
+      });
+
+      // La ruta de descarga depende del id generado
+      attachments.push(await client.ticketAttachment.update({
+        where: { AttachmentId: created.AttachmentId },
+        data: { FileUrl: `/api/tickets/attachments/${created.AttachmentId}` }
+      }));
+    }
+
+    return attachments.map(toDto);
+  } catch (err) {
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+}
+
+/**
+ * Ejecuta la transacción que registra adjuntos. Si no llega a confirmarse
+ * (enrutamiento, notificaciones o el commit), borra los archivos que
+ * storeAttachments alcanzó a guardar para que no queden sin registro.
+ *
+ * @param {(written: object[]) => Promise<any>} run - Pasa `written` a storeAttachments
+ */
+export async function withAttachmentFiles(run) {
+  const written = [];
+  try {
+    return await run(written);
+  } catch (err) {
+    await Promise.all(written.map(({ provider, key }) => getStorage(provider).remove(key).catch(() => {})));
+    throw err;
+  }
+}
+
+// === ACCESO ===
+
+/**
+ * Adjunto con su ticket, verificando que el solicitante pueda verlo:
+ * cualquier empleado, o el cliente dueño del ticket (salvo adjuntos de notas internas).
+ *
+ * @param {number} attachmentId
+ * @param {object} auth - req.auth
+ */
+async function findAccessibleAttachment(attachmentId, auth) {
+  const attachment = await prisma.ticketAttachment.findUnique({
+    where: { AttachmentId: attachmentId },
+    include: {
+      ticket: { select: { TicketId: true, ClientId: true, Status: true } },
+      response: { select: { IsInternal: true } }
+    }
+  });
+
+  if (!attachment) {
+    throw attachmentError('Adjunto no encontrado', 404);
+  }
+
+  if (auth?.type === 'employee') return attachment;
+
+  const isOwner = auth?.type === 'client' && attachment.ticket.ClientId === auth.clientId;
+  if (!isOwner || attachment.response?.IsInternal) {
+    // Mismo mensaje que si no existiera, para no revelar adjuntos ajenos
+    throw attachmentError('Adjunto no encontrado', 404);
+  }
+
+  return attachment;
+}
+
+/**
+ * Abre el archivo para descarga
+ * @returns {Promise<{ attachment: object, stream: import('stream').Readable }>}
+ */
+export async function openAttachment(attachmentId, auth) {
+  const attachment = await findAccessibleAttachment(attachmentId, auth);
+  const stream = await getStorage(attachment.StorageProvider).read(attachment.StorageKey);
+
+  return { attachment: toDto(attachment), stream };
+}
+
+/**
+ * Elimina un adjunto.
+ * - Administrador: siempre.
+ * - Quien lo subió (cliente o empleado): mientras el ticket no esté resuelto o cerrado.
+ */
+export async function deleteAttachment(attachmentId, auth) {
+  const attachment = await findAccessibleAttachment(attachmentId, auth);
+
+  const isAdmin = auth.type === 'employee' && auth.roles?.includes(ADMIN_ROLE);
+  const isUploader = auth.type === 'employee'
+    ? attachment.UploadedByUserId === auth.userId
+    : attachment.UploadedByClientId === auth.clientId;
+
+  if (!isAdmin) {
+    if (!isUploader) {
+      throw attachmentError('Solo quien subió el archivo puede eliminarlo', 403);
+    }
+    if (LOCKED_TICKET_STATUS.includes(attachment.ticket.Status)) {
+      throw attachmentError('No se pueden eliminar adjuntos de un ticket resuelto o cerrado', 409);
+    }
+  }
+
+  await prisma.ticketAttachment.delete({
+    where: { AttachmentId: attachmentId }
+  });
+
+  // El registro ya no existe; un archivo huérfano solo se registra en el log
+  try {
+    await getStorage(attachment.StorageProvider).remove(attachment.StorageKey);
+  } catch (err) {
+    logger.error(`No se pudo eliminar el archivo ${attachment.StorageKey}: ${err.message}`);
+  }
+
+  return toDto(attachment);
+}
+
+export default {
+  ATTACHMENT_LIMITS,
+  ALLOWED_MIME_TYPES,
+  SCAN_STATUS,
+  registerVirusScanner,
+  prepareAttachments,
+  storeAttachments,
+  withAttachmentFiles,
+  openAttachment,
+  deleteAttachment
+};
@@ -0,0 +1,303 @@
+// services/ticketRoutingService.js - Reglas de asignación automática de tickets
+import { PrismaClient } from '@prisma/client';
+import logger from '../../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// === CONSTANTES ===
+
+export const ROUTING_STRATEGIES = {
+  ORDER_TECHNICIAN: 'order_technician', // Técnico de la orden vinculada
+  USER: 'user',                         // Usuario fijo
+  ROUND_ROBIN: 'round_robin',           // Turnos entre los usuarios de un rol
+  LEAST_LOADED: 'least_loaded'          // Usuario del rol con menos tickets abiertos
+};
+
+// Estados que cuentan como carga de trabajo
+const OPEN_TICKET_STATUS = ['open', 'assigned', 'in_progress'];
+
+// === UTILIDADES ===
+
+function routingError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Minúsculas y sin tildes, para comparar palabras clave
+ */
+const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const parseKeywords = (keywords) => (keywords || '')
+  .split(',')
+  .map((keyword) => normalize(keyword.trim()))
+  .filter(Boolean);
+
+/**
+ * Verifica los criterios de la regla; los criterios vacíos no filtran
+ * @param {object} rule - TicketRoutingRule
+ * @param {{ categoryId, priority, orderId, subject, description }} ticket
+ */
+export function matchesRule(rule, ticket) {
+  if (rule.CategoryId && rule.CategoryId !== ticket.categoryId) return false;
+  if (rule.Priority && rule.Priority !== ticket.priority) return false;
+  if (rule.RequiresOrder && !ticket.orderId) return false;
+
+  const keywords = parseKeywords(rule.Keywords);
+  if (keywords.length > 0) {
+    const text = normalize(`${ticket.subject} ${ticket.description}`);
+    if (!keywords.some((keyword) => text.includes(keyword))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Empleados activos con el rol, ordenados por id (orden estable para el round robin)
+ */
+async function findRoleUsers(roleName, client) {
+  const users = await client.user.findMany({
+    where: {
+      Active: true,
+      userRoles: { some: { role: { Name: roleName } } }
+    },
+    select: { UserId: true },
+    orderBy: { UserId: 'asc' }
+  });
+
+  return users.map((user) => user.UserId);
+}
+
+// === ESTRATEGIAS ===
+
+async function pickOrderTechnician(ticket, client) {
+  if (!ticket.orderId) return null;
+
+  const order = await client.serviceOrder.findUnique({
+    where: { OrderId: ticket.orderId },
+    select: { technician: { select: { UserId: true, Active: true } } }
+  });
+
+  return order?.technician?.Active ? order.technician.UserId : null;
+}
+
+async function pickFixedUser(rule, client) {
+  if (!rule.TargetUserId) return null;
+
+  const user = await client.user.findUnique({
+    where: { UserId: rule.TargetUserId },
+    select: { Active: true }
+  });
+
+  return user?.Active ? rule.TargetUserId : null;
+}
+
+async function pickRoundRobin(rule, client) {
+  const candidates = await findRoleUsers(rule.TargetRoleName, client);
+  if (candidates.length === 0) return null;
+
+  // Siguiente después del último asignado; vuelve al inicio al terminar la lista
+  const next = candidates.find((userId) => userId > (rule.LastAssignedUserId || 0)) ?? candidates[0];
+
+  await client.ticketRoutingRule.update({
+    where: { RuleId: rule.RuleId },
+    data: { LastAssignedUserId: next }
+  });
+
+  return next;
+}
+
+async function pickLeastLoaded(rule, client) {
+  const candidates = await findRoleUsers(rule.TargetRoleName, client);
+  if (candidates.length === 0) return null;
+
+  const load = await client.ticket.groupBy({
+    by: ['AssignedToUserId'],
+    where: {
+      AssignedToUserId: { in: candidates },
+      Status: { in: OPEN_TICKET_STATUS }
+    },
+    _count: true
+  });
+
+  const countByUser = new Map(load.map((row) => [row.AssignedToUserId, row._count]));
+
+  // En empate gana el id menor (candidates viene ordenado)
+  return candidates.reduce((best, userId) =>
+    (countByUser.get(userId) || 0) < (countByUser.get(best) || 0) ? userId : best
+  );
+}
+
+const STRATEGY_HANDLERS = {
+  [ROUTING_STRATEGIES.ORDER_TECHNICIAN]: (rule, ticket, client) => pickOrderTechnician(ticket, client),
+  [ROUTING_STRATEGIES.USER]: (rule, ticket, client) => pickFixedUser(rule, client),
+  [ROUTING_STRATEGIES.ROUND_ROBIN]: (rule, ticket, client) => pickRoundRobin(rule, client),
+  [ROUTING_STRATEGIES.LEAST_LOADED]: (rule, ticket, client) => pickLeastLoaded(rule, client)
+};
+
+// === ASIGNACIÓN ===
+
+/**
+ * Evalúa las reglas activas en orden y devuelve a quién asignar el ticket.
+ * Si una regla coincide pero no encuentra usuario (orden sin técnico, rol
+ * vacío, usuario inactivo), se continúa con la siguiente.
+ *
+ * @param {{ categoryId, priority, orderId, subject, description }} ticket
+ * @returns {Promise<{ userId: number, rule: object }|null>}
+ */
+export async function findAssignee(ticket, client = prisma) {
+  const rules = await client.ticketRoutingRule.findMany({
+    where: { Active: true },
+    orderBy: [{ SortOrder: 'asc' }, { RuleId: 'asc' }]
+  });
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, ticket)) continue;
+
+    const handler = STRATEGY_HANDLERS[rule.Strategy];
+    if (!handler) {
+      logger.warn(`Regla de enrutamiento ${rule.RuleId} con estrategia desconocida: ${rule.Strategy}`);
+      continue;
+    }
+
+    const userId = await handler(rule, ticket, client);
+    if (userId) return { userId, rule };
+  }
+
+  return null;
+}
+
+/**
+ * Aplica las reglas a un ticket recién creado: lo asigna y deja una nota interna.
+ * Pensado para ejecutarse dentro de la transacción de creación.
+ *
+ * @param {object} ticket - Ticket creado (TicketId, CategoryId, Priority, OrderId, Subject, Description)
+ * @returns {Promise<{ userId: number, ruleId: number, ruleName: string }|null>}
+ */
+export async function routeNewTicket(ticket, client = prisma) {
+  const match = await findAssignee({
+    categoryId: ticket.CategoryId,
+    priority: ticket.Priority,
+    orderId: ticket.OrderId,
+    subject: ticket.Subject,
+    description: ticket.Description
+  }, client);
+
+  if (!match) return null;
+
+  await client.ticket.update({
+    where: { TicketId: ticket.TicketId },
+    data: {
+      AssignedToUserId: match.userId,
+      Status: 'assigned'
+    }
+  });
+
+  await client.ticketResponse.create({
+    data: {
+      TicketId: ticket.TicketId,
+      Message: `Ticket asignado automáticamente por la regla "${match.rule.Name}"`,
+      IsInternal: true
+    }
+  });
+
+  return { userId: match.userId, ruleId: match.rule.RuleId, ruleName: match.rule.Name };
+}
+
+// === ADMINISTRACIÓN DE REGLAS ===
+
+export async function listRules() {
+  return prisma.ticketRoutingRule.findMany({
+    include: {
+      category: { select: { CategoryId: true, Code: true, Name: true } },
+      targetUser: { select: { UserId: true, Username: true } }
+    },
+    orderBy: [{ SortOrder: 'asc' }, { RuleId: 'asc' }]
+  });
+}
+
+/**
+ * Cada estrategia necesita su destino: usuario fijo o rol existente
+ */
+async function assertRuleTarget({ strategy, targetUserId, targetRoleName, categoryId }) {
+  if (strategy === ROUTING_STRATEGIES.USER) {
+    if (!targetUserId) throw routingError('La estrategia "user" requiere targetUserId');
+    const user = await prisma.user.findUnique({ where: { UserId: targetUserId } });
+    if (!user || !user.Active) throw routingError('Usuario destino no encontrado o inactivo', 404);
+  }
+
+  if (strategy === ROUTING_STRATEGIES.ROUND_ROBIN || strategy === ROUTING_STRATEGIES.LEAST_LOADED) {
+    if (!targetRoleName) throw routingError(`La estrategia "${strategy}" requiere targetRoleName`);
+    const role = await prisma.role.findUnique({ where: { Name: targetRoleName } });
+    if (!role) throw routingError('Rol destino no encontrado', 404);
+  }
+
+  if (categoryId) {
+    const category = await prisma.ticketCategory.findUnique({ where: { CategoryId: categoryId } });
+    if (!category) throw routingError('Categoría de ticket no encontrada', 404);
+  }
+}
+
+const toRuleData = (data) => ({
+  Name: data.name,
+  SortOrder: data.sortOrder,
+  Active: data.active,
+  CategoryId: data.categoryId,
+  Priority: data.priority,
+  RequiresOrder: data.requiresOrder,
+  Keywords: data.keywords,
+  Strategy: data.strategy,
+  TargetUserId: data.targetUserId,
+  TargetRoleName: data.targetRoleName
+});
+
+export async function createRule(data) {
+  await assertRuleTarget(data);
+
+  return prisma.ticketRoutingRule.create({ data: toRuleData(data) });
+}
+
+export async function updateRule(ruleId, data) {
+  const rule = await prisma.ticketRoutingRule.findUnique({ where: { RuleId: ruleId } });
+  if (!rule) throw routingError('Regla de enrutamiento no encontrada', 404);
+
+  // Se valida el resultado combinado con lo que ya tenía la regla
+  await assertRuleTarget({
+    strategy: data.strategy ?? rule.Strategy,
+    targetUserId: data.targetUserId !== undefined ? data.targetUserId : rule.TargetUserId,
+    targetRoleName: data.targetRoleName !== undefined ? data.targetRoleName : rule.TargetRoleName,
+    categoryId: data.categoryId
+  });
+
+  return prisma.ticketRoutingRule.update({
+    where: { RuleId: ruleId },
+    data: {
+      ...toRuleData(data),
+      // Al cambiar de rol el cursor del round robin ya no aplica
+      ...(data.targetRoleName !== undefined && { LastAssignedUserId: null })
+    }
+  });
+}
+
+export async function deleteRule(ruleId) {
+  const rule = await prisma.ticketRoutingRule.findUnique({ where: { RuleId: ruleId } });
+  if (!rule) throw routingError('Regla de enrutamiento no encontrada', 404);
+
+  await prisma.ticketRoutingRule.delete({ where: { RuleId: ruleId } });
+  return rule;
+}
+
+export default {
+  ROUTING_STRATEGIES,
+  matchesRule,
+  findAssignee,
+  routeNewTicket,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
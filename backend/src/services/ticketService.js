@@ -0,0 +1,139 @@
+// services/ticketService.js - Creación de tickets y respuestas de clientes (portal y correo entrante)
+import { PrismaClient } from '@prisma/client';
+import { storeAttachments, withAttachmentFiles } from './ticketAttachmentService.js';
+import { buildTicketSla } from './slaService.js';
+import { routeNewTicket } from './ticketRoutingService.js';
+import { createNotification, NOTIFICATION_TYPES } from './notificationService.js';
+import { emitTicketCreated, emitTicketResponse } from './realtimeService.js';
+
+const prisma = new PrismaClient();
+
+// === UTILIDADES ===
+
+const preview = (message) => (message.length > 200 ? `${message.slice(0, 197)}...` : message);
+
+// === TICKETS ===
+
+/**
+ * Crea un ticket de cliente: plazos SLA, adjuntos, asignación automática
+ * y aviso en tiempo real a la bandeja.
+ * Los textos deben llegar sanitizados y los adjuntos pasados por prepareAttachments().
+ *
+ * @param {object} data
+ * @param {number} data.clientId
+ * @param {number|null} [data.orderId]
+ * @param {number} data.categoryId
+ * @param {string} data.subject
+ * @param {string} data.description
+ * @param {string} [data.priority]
+ * @param {object[]} [data.files] - Adjuntos preparados
+ * @returns {Promise<{ ticket, attachments, routing }>}
+ */
+export async function createClientTicket({ clientId, orderId = null, categoryId, subject, description, priority = 'normal', files = [] }) {
+  // Plazos de primera respuesta y resolución según la política SLA
+  const createdAt = new Date();
+  const sla = await buildTicketSla({ categoryId, priority }, createdAt);
+
+  const result = await withAttachmentFiles((written) => prisma.$transaction(async (tx) => {
+    const created = await tx.ticket.create({
+      data: {
+        ClientId: clientId,
+        OrderId: orderId,
+        CategoryId: categoryId,
+        Subject: subject,
+        Description: description,
+        Priority: priority,
+        Status: 'open',
+        CreatedBy: 'client',
+        CreatedAt: createdAt,
+        ...sla
+      },
+      include: {
+        client: true,
+        order: {
+          include: {
+            equipment: true
+          }
+        },
+        category: true
+      }
+    });
+
+    const stored = await storeAttachments(created.TicketId, files, { clientId, written }, tx);
+
+    // Asignación automática según las reglas de enrutamiento
+    const routing = await routeNewTicket(created, tx);
+    if (routing) {
+      created.AssignedToUserId = routing.userId;
+      created.Status = 'assigned';
+
+      await createNotification({
+        type: NOTIFICATION_TYPES.TICKET,
+        title: `Ticket #${created.TicketNumber} asignado`,
+        message: `Se le asignó el ticket "${created.Subject}".`,
+        ticketId: created.TicketId,
+        orderId: created.OrderId
+      }, { userIds: [routing.userId] }, tx);
+    }
+
+    return { ticket: created, attachments: stored, routing };
+  }));
+
+  emitTicketCreated(result.ticket);
+
+  return result;
+}
+
+/**
+ * Agrega la respuesta de un cliente a su ticket y avisa al empleado asignado.
+ * El mensaje debe llegar sanitizado.
+ *
+ * @param {object} ticket - Ticket del cliente (TicketId, TicketNumber, AssignedToUserId, OrderId)
+ * @param {number} clientId
+ * @param {string} message
+ * @param {object[]} [files] - Adjuntos preparados
+ * @returns {Promise<{ response, attachments }>}
+ */
+export async function addClientResponse(ticket, clientId, message, files = []) {
+  const result = await withAttachmentFiles((written) => prisma.$transaction(async (tx) => {
+    const created = await tx.ticketResponse.create({
+      data: {
+        TicketId: ticket.TicketId,
+        Message: message,
+        RespondedByClient: clientId
+      }
+    });
+
+    const stored = await storeAttachments(ticket.TicketId, files, {
+      responseId: created.ResponseId,
+      clientId,
+      written
+    }, tx);
+
+    await tx.ticket.update({
+      where: { TicketId: ticket.TicketId },
+      data: { UpdatedAt: new Date() }
+    });
+
+    return { response: created, attachments: stored };
+  }));
+
+  emitTicketResponse(ticket, result.response);
+
+  if (ticket.AssignedToUserId) {
+    await createNotification({
+      type: NOTIFICATION_TYPES.TICKET,
+      title: `El cliente respondió el ticket #${ticket.TicketNumber}`,
+      message: preview(message),
+      ticketId: ticket.TicketId,
+      orderId: ticket.OrderId
+    }, { userIds: [ticket.AssignedToUserId] });
+  }
+
+  return result;
+}
+
+export default {
+  createClientTicket,
+  addClientResponse
+};
@@ -7,6 +7,7 @@ import DashboardUsuarioTickets from "./pages/DashboardUsuarioTickets";
 import DashboardReception from "./pages/DashboardRecepcion";
 import DashboardTech from "./pages/DashboardTecnico";
 import DashboardSales from "./pages/DashboardVentas";
+import OrderDetail from "./pages/OrderDetail";
 
 function App() {
   return (
@@ -21,6 +22,7 @@ function App() {
         <Route path="reception" element={<DashboardReception />} />
         <Route path="tech" element={<DashboardTech />} />
         <Route path="sales" element={<DashboardSales />} />
+        <Route path="orders/:tag?" element={<OrderDetail />} />
       </Route>
 
       <Route path="*" element={<div className="p-10 text-center">404 | Página no encontrada</div>} />
@@ -81,7 +81,23 @@ function useFetch() {
     [] // ya no depende del contexto
   );
 
-  return { fetchDataBackend };
+  // Descarga de archivos (PDF de etiquetas, facturas): devuelve un Blob
+  const fetchFileBackend = useCallback(async (endpoint) => {
+    const token = storeAuth.getState().user?.token || localStorage.getItem("userToken");
+
+    const url = endpoint.startsWith("/")
+      ? `${BASE_URL}${endpoint.substring(1)}`
+      : `${BASE_URL}${endpoint}`;
+
+    const response = await axios.get(url, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      responseType: "blob",
+    });
+
+    return response.data;
+  }, []);
+
+  return { fetchDataBackend, fetchFileBackend };
 }
 
 export default useFetch;
@@ -0,0 +1,47 @@
+// src/hooks/useOrderScanner.js
+import { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+
+// Los lectores de QR/código de barras en modo teclado escriben el código
+// muy rápido y terminan con Enter; una persona no teclea a esa velocidad
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_TAG_LENGTH = 6;
+const TAG_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const isEditable = (element) =>
+  element?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element?.tagName);
+
+/**
+ * Abre la orden cuando se escanea la etiqueta del equipo fuera de un campo de texto
+ */
+export const useOrderScanner = () => {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    let buffer = "";
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (isEditable(event.target)) return;
+
+      const now = Date.now();
+      if (now - lastKeyAt > MAX_KEY_INTERVAL_MS) buffer = "";
+      lastKeyAt = now;
+
+      if (event.key === "Enter") {
+        const tag = buffer;
+        buffer = "";
+        if (tag.length >= MIN_TAG_LENGTH && TAG_PATTERN.test(tag)) {
+          event.preventDefault();
+          navigate(`/dashboard/orders/${encodeURIComponent(tag)}`);
+        }
+        return;
+      }
+
+      if (event.key.length === 1) buffer += event.key;
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [navigate]);
+};
@@ -3,15 +3,62 @@ import React, { useState, useEffect } from "react";
 import { useForm } from "react-hook-form";
 import useFetch from "../../hooks/useFetch";
 import Swal from "sweetalert2";
+import SignaturePad from "./SignaturePad";
+
+// Formulario de ingreso: mismos valores que valida el backend (schemas.createOrder.intake)
+const CHECKLIST_ITEMS = [
+  { value: "screen", label: "Pantalla" },
+  { value: "casing", label: "Carcasa" },
+  { value: "keyboard", label: "Teclado" },
+  { value: "touchpad", label: "Touchpad" },
+  { value: "ports", label: "Puertos" },
+  { value: "hinges", label: "Bisagras" },
+  { value: "battery", label: "Batería" },
+  { value: "camera", label: "Cámara" },
+  { value: "buttons", label: "Botones" },
+];
+
+const ACCESSORY_ITEMS = [
+  { value: "charger", label: "Cargador" },
+  { value: "bag", label: "Bolso / funda" },
+  { value: "cables", label: "Cables" },
+  { value: "battery", label: "Batería externa" },
+  { value: "mouse", label: "Mouse" },
+  { value: "other", label: "Otro" },
+];
+
+const LOCK_TYPES = [
+  { value: "none", label: "Sin bloqueo" },
+  { value: "password", label: "Contraseña" },
+  { value: "pin", label: "PIN" },
+  { value: "pattern", label: "Patrón" },
+  { value: "biometric", label: "Biométrico" },
+  { value: "other", label: "Otro" },
+];
+
+const MAX_PHOTOS = 8;
+
+const initialChecklist = () =>
+  Object.fromEntries(CHECKLIST_ITEMS.map((item) => [item.value, { status: "ok", notes: "" }]));
+
+const initialAccessories = () =>
+  Object.fromEntries(ACCESSORY_ITEMS.map((item) => [item.value, { checked: false, quantity: 1, description: "" }]));
 
 const CreateServiceOrder = () => {
-  const { fetchDataBackend } = useFetch();
+  const { fetchDataBackend, fetchFileBackend } = useFetch();
 
   const [clients, setClients] = useState([]);
   const [equipments, setEquipments] = useState([]);
   const [technicians, setTechnicians] = useState([]);
   const [loadingData, setLoadingData] = useState(true);
 
+  // Ingreso del equipo
+  const [checklist, setChecklist] = useState(initialChecklist);
+  const [accessories, setAccessories] = useState(initialAccessories);
+  const [photos, setPhotos] = useState([]);
+  const [signature, setSignature] = useState(null);
+  const [resetKey, setResetKey] = useState(0);
+
   const {
     register,
     handleSubmit,
@@ -26,11 +73,18 @@ const CreateServiceOrder = () => {
       technicianId: "",
       notes: "",
       estimatedDeliveryDate: "",
+      condition: "good",
+      lockType: "none",
+      accessProvided: false,
+      symptoms: "",
+      conditionNotes: "",
+      signedByName: "",
     },
   });
 
   // Observar cambios en clientId para filtrar equipos
   const selectedClientId = watch("clientId");
+  const lockType = watch("lockType");
 
   // Cargar datos iniciales
   useEffect(() => {
@@ -88,16 +142,68 @@ const CreateServiceOrder = () => {
     loadEquipments();
   }, [selectedClientId, setValue]);
 
+  const updateChecklist = (item, changes) =>
+    setChecklist((prev) => ({ ...prev, [item]: { ...prev[item], ...changes } }));
+
+  const updateAccessory = (item, changes) =>
+    setAccessories((prev) => ({ ...prev, [item]: { ...prev[item], ...changes } }));
+
+  const handlePhotosChange = (event) => {
+    const selected = Array.from(event.target.files || []);
+    if (photos.length + selected.length > MAX_PHOTOS) {
+      Swal.fire("Atención", `Puede adjuntar hasta ${MAX_PHOTOS} fotos`, "warning");
+    }
+    setPhotos((prev) => [...prev, ...selected].slice(0, MAX_PHOTOS));
+    event.target.value = "";
+  };
+
+  const resetIntake = () => {
+    setChecklist(initialChecklist());
+    setAccessories(initialAccessories());
+    setPhotos([]);
+    setSignature(null);
+    setResetKey((key) => key + 1);
+  };
+
   const onSubmit = async (data) => {
+    if (!signature) {
+      Swal.fire("Atención", "El cliente debe firmar el recibo de ingreso", "warning");
+      return;
+    }
+
     try {
-      const submitData = {
-        clientId: parseInt(data.clientId),
-        equipmentId: parseInt(data.equipmentId),
-        technicianId: data.technicianId ? parseInt(data.technicianId) : undefined,
-        notes: data.notes || "",
-        estimatedDeliveryDate: data.estimatedDeliveryDate || null,
+      const intake = {
+        condition: data.condition,
+        checklist: Object.entries(checklist).map(([item, check]) => ({
+          item,
+          status: check.status,
+          ...(check.notes.trim() ? { notes: check.notes.trim() } : {}),
+        })),
+        accessories: Object.entries(accessories)
+          .filter(([, accessory]) => accessory.checked)
+          .map(([item, accessory]) => ({
+            item,
+            quantity: Number(accessory.quantity) || 1,
+            ...(accessory.description.trim() ? { description: accessory.description.trim() } : {}),
+          })),
+        lockType: data.lockType,
+        accessProvided: data.lockType !== "none" && data.accessProvided,
+        symptoms: data.symptoms,
+        ...(data.conditionNotes ? { conditionNotes: data.conditionNotes } : {}),
+        signedByName: data.signedByName,
+        signature,
       };
 
+      // Multipart: las fotos viajan como archivos y el formulario como JSON
+      const submitData = new FormData();
+      submitData.append("clientId", data.clientId);
+      submitData.append("equipmentId", data.equipmentId);
+      if (data.technicianId) submitData.append("technicianId", data.technicianId);
+      submitData.append("notes", data.notes || "");
+      if (data.estimatedDeliveryDate) submitData.append("estimatedDeliveryDate", data.estimatedDeliveryDate);
+      submitData.append("intake", JSON.stringify(intake));
+      photos.forEach((photo) => submitData.append("photos", photo));
+
       const res = await fetchDataBackend(
         "/employee/receptionist/create-order",
         submitData,
@@ -105,9 +211,31 @@ const CreateServiceOrder = () => {
       );
 
       if (res.success) {
-        Swal.fire("Éxito", "Orden de servicio creada correctamente", "success");
+        const { order, receipt } = res.data;
         reset();
+        resetIntake();
         setEquipments([]); // Limpiar equipos al resetear
+
+        const receiptText = receipt?.emailed
+          ? "El recibo de ingreso se envió al correo del cliente."
+          : "El recibo de ingreso no se envió por correo; puede reenviarlo desde la orden.";
+
+        // Ofrecer la etiqueta para pegar en el equipo
+        const { isConfirmed } = await Swal.fire({
+          icon: "success",
+          title: "Éxito",
+          text: `Orden de servicio ${order.IdentityTag} creada correctamente. ${receiptText}`,
+          showCancelButton: true,
+          confirmButtonText: "Imprimir etiqueta",
+          cancelButtonText: "Cerrar",
+        });
+
+        if (isConfirmed) {
+          const pdf = await fetchFileBackend(`/orders/${order.OrderId}/label`);
+          const url = URL.createObjectURL(pdf);
+          window.open(url, "_blank");
+          setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
       } else {
         Swal.fire("Error", res.message || "Error al crear orden", "error");
       }
@@ -216,6 +344,191 @@ const CreateServiceOrder = () => {
             />
           </div>
 
+          {/* Ingreso del equipo */}
+          <div className="col-span-full border-t pt-4">
+            <h3 className="text-lg font-semibold text-gray-800">Ingreso del equipo</h3>
+            <p className="text-sm text-gray-500">
+              Se entrega al cliente como recibo firmado en PDF.
+            </p>
+          </div>
+
+          <div>
+            <label className="block mb-1 font-medium">Estado general *</label>
+            <select {...register("condition")} className="w-full p-2 border rounded">
+              <option value="good">Bueno</option>
+              <option value="fair">Regular</option>
+              <option value="poor">Malo</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block mb-1 font-medium">Bloqueo del equipo *</label>
+            <select {...register("lockType")} className="w-full p-2 border rounded">
+              {LOCK_TYPES.map((lock) => (
+                <option key={lock.value} value={lock.value}>
+                  {lock.label}
+                </option>
+              ))}
+            </select>
+            {lockType !== "none" && (
+              <label className="flex items-center gap-2 mt-2 text-sm">
+                <input type="checkbox" {...register("accessProvided")} />
+                El cliente entregó el código de acceso
+              </label>
+            )}
+          </div>
+
+          {/* Revisión física */}
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Revisión física</label>
+            <table className="min-w-full border-collapse text-left text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="p-2 border-b">Elemento</th>
+                  <th className="p-2 border-b">Estado</th>
+                  <th className="p-2 border-b">Observaciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {CHECKLIST_ITEMS.map((item) => (
+                  <tr key={item.value}>
+                    <td className="p-2 border-b">{item.label}</td>
+                    <td className="p-2 border-b">
+                      <select
+                        value={checklist[item.value].status}
+                        onChange={(e) => updateChecklist(item.value, { status: e.target.value })}
+                        className="p-1 border rounded"
+                      >
+                        <option value="ok">Sin novedad</option>
+                        <option value="damaged">Con daños</option>
+                        <option value="missing">Faltante</option>
+                      </select>
+                    </td>
+                    <td className="p-2 border-b">
+                      <input
+                        value={checklist[item.value].notes}
+                        onChange={(e) => updateChecklist(item.value, { notes: e.target.value })}
+                        placeholder="Rayones, golpes, piezas sueltas..."
+                        maxLength={300}
+                        className="w-full p-1 border rounded"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Accesorios */}
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Accesorios entregados</label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {ACCESSORY_ITEMS.map((item) => (
+                <div key={item.value} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={accessories[item.value].checked}
+                    onChange={(e) => updateAccessory(item.value, { checked: e.target.checked })}
+                  />
+                  <span className="w-32">{item.label}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={accessories[item.value].quantity}
+                    onChange={(e) => updateAccessory(item.value, { quantity: e.target.value })}
+                    disabled={!accessories[item.value].checked}
+                    className="w-16 p-1 border rounded"
+                  />
+                  <input
+                    value={accessories[item.value].description}
+                    onChange={(e) => updateAccessory(item.value, { description: e.target.value })}
+                    disabled={!accessories[item.value].checked}
+                    placeholder="Detalle (marca, modelo)"
+                    maxLength={200}
+                    className="flex-1 p-1 border rounded"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Falla reportada por el cliente *</label>
+            <textarea
+              {...register("symptoms", {
+                required: "Describa la falla reportada",
+                minLength: { value: 3, message: "Mínimo 3 caracteres" },
+              })}
+              placeholder="¿Qué problema presenta el equipo?"
+              className="w-full p-2 border rounded resize-none"
+              rows="3"
+            />
+            {errors.symptoms && (
+              <span className="text-red-600 text-sm">{errors.symptoms.message}</span>
+            )}
+          </div>
+
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Observaciones del estado (opcional)</label>
+            <textarea
+              {...register("conditionNotes")}
+              placeholder="Otros detalles del estado físico..."
+              className="w-full p-2 border rounded resize-none"
+              rows="2"
+            />
+          </div>
+
+          {/* Fotos */}
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Fotos del equipo (opcional, JPG o PNG)</label>
+            <input
+              type="file"
+              accept="image/jpeg,image/png"
+              multiple
+              onChange={handlePhotosChange}
+              disabled={photos.length >= MAX_PHOTOS}
+              className="text-sm"
+            />
+            {photos.length > 0 && (
+              <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                {photos.map((photo, index) => (
+                  <li key={`${photo.name}-${index}`} className="flex items-center gap-2">
+                    {photo.name}
+                    <button
+                      type="button"
+                      onClick={() => setPhotos((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-red-600 hover:underline"
+                    >
+                      Quitar
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Firma */}
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Nombre de quien firma *</label>
+            <input
+              {...register("signedByName", {
+                required: "Nombre requerido",
+                minLength: { value: 2, message: "Mínimo 2 caracteres" },
+              })}
+              placeholder="Cliente o persona que entrega el equipo"
+              className="w-full md:w-1/2 p-2 border rounded"
+            />
+            {errors.signedByName && (
+              <span className="block text-red-600 text-sm">{errors.signedByName.message}</span>
+            )}
+          </div>
+
+          <div className="col-span-full">
+            <label className="block mb-1 font-medium">Firma del cliente *</label>
+            <SignaturePad onChange={setSignature} resetKey={resetKey} />
+          </div>
+
           {/* Botón de envío. */}
           <div className="col-span-full flex justify-end">
             <button
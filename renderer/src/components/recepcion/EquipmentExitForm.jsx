@@ -0,0 +1,178 @@
+// renderer/src/components/recepcion/EquipmentExitForm.jsx
+import React, { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Mail } from "lucide-react";
+import Swal from "sweetalert2";
+import useFetch from "../../hooks/useFetch";
+import SignaturePad from "./SignaturePad";
+
+// Entrega del equipo: código de retiro, identificación y firma de quien retira
+const EquipmentExitForm = ({ order, onDelivered }) => {
+  const { fetchDataBackend } = useFetch();
+  const [signature, setSignature] = useState(null);
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [sendingCode, setSendingCode] = useState(false);
+
+  // Sin correo registrado no hay código: retira el titular con su identificación
+  const requiresCode = Boolean(order.client?.Email);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    defaultValues: {
+      receivedByClientName: "",
+      receivedByIdNumber: "",
+      pickupCode: "",
+      notes: "",
+    },
+  });
+
+  const handleSendCode = async () => {
+    try {
+      setSendingCode(true);
+      const res = await fetchDataBackend(
+        "/employee/receptionist/pickup-code",
+        { orderId: order.OrderId },
+        "POST"
+      );
+      if (res.success) setCodeSentTo(res.data.sentTo);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setSendingCode(false);
+    }
+  };
+
+  const onSubmit = async (data) => {
+    if (!signature) {
+      Swal.fire("Atención", "Quien retira el equipo debe firmar el acta de entrega", "warning");
+      return;
+    }
+
+    try {
+      const res = await fetchDataBackend(
+        "/employee/receptionist/equipment-exit",
+        {
+          orderId: order.OrderId,
+          receivedByClientName: data.receivedByClientName,
+          receivedByIdNumber: data.receivedByIdNumber,
+          ...(requiresCode ? { pickupCode: data.pickupCode } : {}),
+          ...(data.notes ? { notes: data.notes } : {}),
+          signature,
+        },
+        "POST"
+      );
+
+      if (res.success) {
+        Swal.fire(
+          "Equipo entregado",
+          res.data.receipt?.emailed
+            ? "El acta de entrega se envió al correo del cliente."
+            : "La entrega se registró; el acta no se envió por correo.",
+          "success"
+        );
+        onDelivered();
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="border-t pt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+      <h3 className="col-span-full text-lg font-semibold text-gray-800">Entrega del equipo</h3>
+
+      {requiresCode ? (
+        <div className="col-span-full flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={handleSendCode}
+            disabled={sendingCode}
+            className="flex items-center gap-2 px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Mail size={18} /> {codeSentTo ? "Reenviar código de retiro" : "Enviar código de retiro"}
+          </button>
+          {codeSentTo && (
+            <span className="text-sm text-gray-600">Código enviado a {codeSentTo}</span>
+          )}
+        </div>
+      ) : (
+        <p className="col-span-full text-sm text-gray-600">
+          El cliente no tiene correo registrado: solo el titular puede retirar el equipo presentando su identificación.
+        </p>
+      )}
+
+      <div>
+        <label className="block mb-1 font-medium">Nombre de quien retira *</label>
+        <input
+          {...register("receivedByClientName", { required: "Nombre requerido" })}
+          className="w-full p-2 border rounded"
+        />
+        {errors.receivedByClientName && (
+          <span className="text-red-600 text-sm">{errors.receivedByClientName.message}</span>
+        )}
+      </div>
+
+      <div>
+        <label className="block mb-1 font-medium">Cédula / identificación *</label>
+        <input
+          {...register("receivedByIdNumber", {
+            required: "Identificación requerida",
+            pattern: { value: /^[A-Za-z0-9-]{5,20}$/, message: "Identificación inválida" },
+          })}
+          className="w-full p-2 border rounded"
+        />
+        {errors.receivedByIdNumber && (
+          <span className="text-red-600 text-sm">{errors.receivedByIdNumber.message}</span>
+        )}
+      </div>
+
+      {requiresCode && (
+        <div>
+          <label className="block mb-1 font-medium">Código de retiro *</label>
+          <input
+            {...register("pickupCode", {
+              required: "Ingrese el código enviado al cliente",
+              pattern: { value: /^\d{6}$/, message: "El código tiene 6 dígitos" },
+            })}
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="000000"
+            className="w-full p-2 border rounded tracking-widest"
+          />
+          {errors.pickupCode && (
+            <span className="text-red-600 text-sm">{errors.pickupCode.message}</span>
+          )}
+        </div>
+      )}
+
+      <div className="col-span-full">
+        <label className="block mb-1 font-medium">Observaciones (opcional)</label>
+        <textarea
+          {...register("notes")}
+          className="w-full p-2 border rounded resize-none"
+          rows="2"
+        />
+      </div>
+
+      <div className="col-span-full">
+        <label className="block mb-1 font-medium">Firma de quien retira *</label>
+        <SignaturePad onChange={setSignature} resetKey={order.OrderId} />
+      </div>
+
+      <div className="col-span-full flex justify-end">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? "Registrando..." : "Registrar entrega"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EquipmentExitForm;
@@ -0,0 +1,86 @@
+// renderer/src/components/recepcion/SignaturePad.jsx
+import React, { useRef, useEffect } from "react";
+import { Eraser } from "lucide-react";
+
+// Recuadro de firma con mouse, lápiz o pantalla táctil; entrega la firma como data URL PNG
+const SignaturePad = ({ onChange, resetKey, width = 460, height = 160 }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const hasStrokesRef = useRef(false);
+
+  const clearCanvas = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    hasStrokesRef.current = false;
+  };
+
+  // El formulario se limpia después de crear la orden
+  useEffect(() => {
+    clearCanvas();
+  }, [resetKey]);
+
+  const clear = () => {
+    clearCanvas();
+    onChange(null);
+  };
+
+  const pointFrom = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * canvasRef.current.width) / rect.width,
+      y: ((event.clientY - rect.top) * canvasRef.current.height) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = pointFrom(event);
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#111827";
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    drawingRef.current = true;
+    canvasRef.current.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = pointFrom(event);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    hasStrokesRef.current = true;
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    if (hasStrokesRef.current) onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  return (
+    <div className="space-y-2">
+      <canvas
+        ref={canvasRef}
+        width={width}
+        height={height}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full max-w-md border-2 border-dashed rounded bg-white touch-none cursor-crosshair"
+      />
+      <button
+        type="button"
+        onClick={clear}
+        className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800"
+      >
+        <Eraser size={16} /> Borrar firma
+      </button>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -1,7 +1,8 @@
 import { NavLink, Outlet, useLocation } from "react-router-dom";
-import { LayoutDashboard, User, Headset, MonitorSpeaker, CreditCard, LogOut } from "lucide-react";
+import { LayoutDashboard, User, Headset, MonitorSpeaker, CreditCard, QrCode, LogOut } from "lucide-react";
 import Logo from "../assets/logo.png";
 import { useTokenRefresh } from "../hooks/useTokenRefresh"; // 🔹 refresco de token
+import { useOrderScanner } from "../hooks/useOrderScanner"; // 🔹 lector de etiquetas
 
 const sidebarLinks = [
   { title: "Super Admin", path: "/dashboard/superadmin", icon: LayoutDashboard },
@@ -9,6 +10,7 @@ const sidebarLinks = [
   { title: "Recepción", path: "/dashboard/reception", icon: MonitorSpeaker },
   { title: "Técnico", path: "/dashboard/tech", icon: MonitorSpeaker },
   { title: "Ventas", path: "/dashboard/sales", icon: CreditCard },
+  { title: "Órdenes", path: "/dashboard/orders", icon: QrCode },
   { title: "Soporte", path: "/dashboard/support", icon: Headset },
 ];
 
@@ -18,6 +20,9 @@ export default function DashboardLayout() {
   // 🔹 Hook activo: refresco automático de token cada 15 min
   useTokenRefresh();
 
+  // 🔹 Escanear la etiqueta de un equipo abre su orden
+  useOrderScanner();
+
   return (
     <div className="md:flex md:min-h-screen">
       {/* Sidebar */}
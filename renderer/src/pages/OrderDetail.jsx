@@ -0,0 +1,169 @@
+// renderer/src/pages/OrderDetail.jsx
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { QrCode, Printer, FileText } from "lucide-react";
+import Swal from "sweetalert2";
+import useFetch from "../hooks/useFetch";
+import EquipmentExitForm from "../components/recepcion/EquipmentExitForm";
+
+// Estados desde los que recepción puede entregar el equipo
+const DELIVERABLE_STATUSES = ["COMPLETADO", "FACTURADO", "PROFORMA_RECHAZADA"];
+
+// Orden abierta desde el lector de la etiqueta (o buscando el código a mano)
+const OrderDetail = () => {
+  const { tag } = useParams();
+  const navigate = useNavigate();
+  const { fetchDataBackend, fetchFileBackend } = useFetch();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [searchTag, setSearchTag] = useState("");
+  const [copies, setCopies] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!tag) {
+      setLoading(false);
+      setNotFound(false);
+      setOrder(null);
+      return;
+    }
+
+    const loadOrder = async () => {
+      try {
+        setLoading(true);
+        setNotFound(false);
+        const res = await fetchDataBackend(`/orders/by-tag/${encodeURIComponent(tag)}`, null, "GET", false);
+        setOrder(res.data.order);
+      } catch (error) {
+        console.error("Error cargando orden:", error);
+        setOrder(null);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [tag, reloadKey, fetchDataBackend]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    const value = searchTag.trim();
+    if (value) navigate(`/dashboard/orders/${encodeURIComponent(value)}`);
+    setSearchTag("");
+  };
+
+  const openPdf = async (endpoint, errorMessage) => {
+    try {
+      const pdf = await fetchFileBackend(endpoint);
+      const url = URL.createObjectURL(pdf);
+      window.open(url, "_blank");
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error(error);
+      Swal.fire("Error", errorMessage, "error");
+    }
+  };
+
+  const handlePrintLabel = () =>
+    openPdf(`/orders/${order.OrderId}/label?copies=${copies}`, "No se pudo generar la etiqueta");
+
+  const handleDeliveryReceipt = () =>
+    openPdf(`/orders/${order.OrderId}/delivery-receipt`, "La orden no tiene un acta de entrega firmada");
+
+  return (
+    <div className="p-4 space-y-4">
+      <form onSubmit={handleSearch} className="bg-white p-4 rounded-2xl shadow flex gap-2 items-center">
+        <QrCode size={20} className="text-gray-500" />
+        <input
+          value={searchTag}
+          onChange={(e) => setSearchTag(e.target.value)}
+          placeholder="Escanee o escriba el código de la orden (ECT-2026-000123)"
+          className="flex-1 p-2 border rounded"
+        />
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
+          Abrir
+        </button>
+      </form>
+
+      <div className="bg-white p-6 rounded-2xl shadow">
+        {!tag && (
+          <p className="text-gray-500">Escanee la etiqueta del equipo para abrir su orden.</p>
+        )}
+
+        {loading && <p className="text-gray-500">Cargando orden {tag}...</p>}
+
+        {!loading && notFound && (
+          <p className="text-gray-500">No se encontró la orden {tag}.</p>
+        )}
+
+        {!loading && order && (
+          <div className="space-y-4">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="text-2xl font-semibold text-gray-800">{order.IdentityTag}</h2>
+                <p className="text-sm text-gray-500">
+                  Ingreso: {new Date(order.IntakeDate).toLocaleDateString("es-EC")}
+                </p>
+              </div>
+              <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 text-sm">
+                {order.status?.Name}
+              </span>
+            </div>
+
+            <table className="min-w-full border-collapse text-left">
+              <tbody>
+                <tr>
+                  <th className="p-2 border-b w-40">Cliente</th>
+                  <td className="p-2 border-b">{order.client?.DisplayName}</td>
+                </tr>
+                <tr>
+                  <th className="p-2 border-b">Equipo</th>
+                  <td className="p-2 border-b">{order.equipment?.Brand} {order.equipment?.Model}</td>
+                </tr>
+                <tr>
+                  <th className="p-2 border-b">Número de serie</th>
+                  <td className="p-2 border-b">{order.equipment?.SerialNumber || "—"}</td>
+                </tr>
+              </tbody>
+            </table>
+
+            <div className="flex justify-end items-center gap-2">
+              {order.status?.Code === "ENTREGADO" && (
+                <button
+                  onClick={handleDeliveryReceipt}
+                  className="flex items-center gap-2 px-4 py-2 border rounded hover:bg-gray-50"
+                >
+                  <FileText size={18} /> Acta de entrega
+                </button>
+              )}
+              <label className="text-sm text-gray-600">Copias</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={copies}
+                onChange={(e) => setCopies(Math.min(Math.max(Number(e.target.value) || 1, 1), 10))}
+                className="w-16 p-2 border rounded"
+              />
+              <button
+                onClick={handlePrintLabel}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+              >
+                <Printer size={18} /> Imprimir etiqueta
+              </button>
+            </div>
+
+            {DELIVERABLE_STATUSES.includes(order.status?.Code) && (
+              <EquipmentExitForm order={order} onDelivered={() => setReloadKey((key) => key + 1)} />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetail;